@@ -0,0 +1,366 @@
+// --- SERVIDOR DE IA ---
+// Guarda a chave do Gemini e faz as chamadas ao modelo no lugar do navegador,
+// que nunca vê a chave. Cada cliente (IP) tem um limite de pedidos por minuto e
+// por dia; corpos grandes demais, tarefas desconhecidas e temas longos demais
+// são recusados antes de chegar ao modelo. O navegador não manda prompt: manda
+// a tarefa e os dados dela, e o prompt é montado aqui com os mesmos geradores
+// do app (src/lib/prompts.js), para a chave não servir a pedidos livres. Num
+// pedido de correção, os erros também chegam como códigos conhecidos, e a
+// resposta anterior do modelo tem tamanho limitado.
+//
+// Uso: npm run api   (GEMINI_API_KEY obrigatória; porta em API_PORT, padrão 8787)
+// Em desenvolvimento o Vite repassa /api para cá (vite.config.js).
+//
+//   POST /api/generate  { meta: { tarefa, tema, ... }, correcao?: { resposta, erros: [{ codigo, params }] } }
+//   → NDJSON, um pedaço do texto por linha: { "texto": "..." }; uma falha no
+//     meio da resposta chega como { "erro": "...", "tipo": "..." }. Erros antes
+//     disso vêm com o status HTTP e o mesmo { erro, tipo } (tipo: limite, cota,
+//     chave, bloqueado ou sobrecarga, ver src/lib/aiErrors.js; Retry-After
+//     quando há uma espera conhecida).
+
+import { createServer } from 'node:http';
+import { existsSync } from 'node:fs';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import {
+  TEMA_MAXIMO, CORPO_MAXIMO, TAREFAS_API, RESPOSTA_CORRIGIDA_MAXIMA, ERROS_CORRIGIDOS_MAXIMO,
+} from '../src/lib/apiLimits.js';
+import { buildTaskPrompt, CHAVES_DA_RESPOSTA } from '../src/lib/prompts.js';
+
+// Mesmo arquivo de variáveis do Vite; só as que não começam com VITE_ ficam fora do site
+if (existsSync('.env.local')) process.loadEnvFile('.env.local');
+
+const PORTA = Number(process.env.API_PORT) || 8787;
+const CHAVE = process.env.GEMINI_API_KEY;
+const MODELO = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+const LIMITE_POR_MINUTO = Number(process.env.API_LIMITE_POR_MINUTO) || 10;
+const LIMITE_POR_DIA = Number(process.env.API_LIMITE_POR_DIA) || 200;
+// Atrás de um proxy reverso o IP do cliente vem no X-Forwarded-For
+const CONFIAR_PROXY = process.env.API_TRUST_PROXY === 'true';
+// Sites de outro domínio que podem chamar a API (ex.: o front publicado à parte)
+const ORIGENS = (process.env.API_ORIGENS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+if (!CHAVE) {
+  console.error('Defina GEMINI_API_KEY no ambiente ou em .env.local para iniciar o servidor de IA.');
+  process.exit(1);
+}
+
+const genAI = new GoogleGenerativeAI(CHAVE);
+
+// --- LIMITE DE PEDIDOS POR CLIENTE ---
+// Janelas fixas: a contagem zera quando a janela do cliente termina
+
+const JANELAS = [
+  { duracao: 60 * 1000, limite: LIMITE_POR_MINUTO },
+  { duracao: 24 * 60 * 60 * 1000, limite: LIMITE_POR_DIA },
+];
+
+// ip → uma { inicio, total } por janela
+const contagens = new Map();
+
+/**
+ * Conta um pedido do cliente.
+ *
+ * @returns {number} 0 se o pedido pode seguir; senão, os segundos até poder de novo
+ */
+function consumirPedido(ip, agora = Date.now()) {
+  const janelas = (contagens.get(ip) || JANELAS.map(() => ({ inicio: agora, total: 0 })))
+    .map((janela, i) => (agora - janela.inicio >= JANELAS[i].duracao ? { inicio: agora, total: 0 } : janela));
+  contagens.set(ip, janelas);
+
+  const cheia = JANELAS.findIndex(({ limite }, i) => janelas[i].total >= limite);
+  if (cheia >= 0) return Math.ceil((janelas[cheia].inicio + JANELAS[cheia].duracao - agora) / 1000);
+  janelas.forEach(janela => janela.total++);
+  return 0;
+}
+
+// Esquece clientes cuja janela mais longa já terminou
+setInterval(() => {
+  const agora = Date.now();
+  const maisLonga = JANELAS.length - 1;
+  contagens.forEach((janelas, ip) => {
+    if (agora - janelas[maisLonga].inicio >= JANELAS[maisLonga].duracao) contagens.delete(ip);
+  });
+}, 60 * 60 * 1000).unref();
+
+const ipDoCliente = (req) => (
+  (CONFIAR_PROXY && req.headers['x-forwarded-for']?.split(',')[0].trim()) || req.socket.remoteAddress
+);
+
+// --- VALIDAÇÃO DO PEDIDO ---
+
+class ErroHttp extends Error {
+  constructor(status, message, { tipo, espera } = {}) {
+    super(message);
+    this.status = status;
+    this.tipo = tipo;
+    this.espera = espera;
+  }
+}
+
+const MENSAGEM_TAMANHO = `Pedido grande demais (o limite é ${Math.round(CORPO_MAXIMO / 1024)} KB).`;
+
+function lerCorpo(req) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > CORPO_MAXIMO) {
+      reject(new ErroHttp(413, MENSAGEM_TAMANHO));
+      return;
+    }
+    const pedacos = [];
+    let tamanho = 0;
+    req.on('data', (pedaco) => {
+      tamanho += pedaco.length;
+      // O resto do corpo é lido e descartado, para a resposta 413 chegar ao navegador
+      if (tamanho > CORPO_MAXIMO) reject(new ErroHttp(413, MENSAGEM_TAMANHO));
+      else pedacos.push(pedaco);
+    });
+    req.on('end', () => resolve(Buffer.concat(pedacos).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Formato dos dados de cada tarefa, conferido antes de montar o prompt. Ids vão
+// para o prompt como estão, então não podem ter espaços nem colchetes
+const isTexto = (v) => typeof v === 'string';
+const isTextos = (v) => Array.isArray(v) && v.every(isTexto);
+const isObjeto = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isPositivo = (v) => Number.isInteger(v) && v > 0;
+const isId = (v) => isTexto(v) && /^[^\s<>[\]]{1,100}$/.test(v);
+const opcional = (teste) => (v) => v === undefined || v === null || teste(v);
+const listaDe = (teste) => (v) => Array.isArray(v) && v.every(item => isObjeto(item) && teste(item));
+
+const isCaminho = (v) => isTextos(v) && v.length > 0;
+const isTrechos = listaDe(t => /^T\d+$/.test(t.id) && isTexto(t.texto) && opcional(isPositivo)(t.pagina));
+const isPontos = listaDe(p => isTexto(p.topico) && isTexto(p.resumo) && Array.isArray(p.fontes) && p.fontes.every(f => /^T\d+$/.test(f)));
+// Versão atual do mapa ou do ramo a regenerar, em profundidade
+const isTopicosDaVersao = listaDe(t => isTexto(t.label) && opcional(isTexto)(t.descricao) && Number.isInteger(t.nivel) && t.nivel >= 0);
+// Tópicos com id e caminho (estudo e relações)
+const isTopicosDoMapa = listaDe(t => isId(t.id) && isCaminho(t.caminho) && isTexto(t.descricao));
+const isPares = (v) => Array.isArray(v) && v.every(par => Array.isArray(par) && par.length === 2 && par.every(isId));
+
+const MAX_RELACOES = 20;
+
+const CAMPOS_DAS_TAREFAS = {
+  mapa: { tema: isTexto },
+  documento: { tema: opcional(isTexto), trechos: isTrechos, pontos: opcional(isPontos) },
+  notas: { trechos: isTrechos, parte: isPositivo, totalPartes: isPositivo },
+  expandir: { tema: isTexto, caminho: isCaminho, existentes: isTextos },
+  regenerar: { tema: isTexto, caminho: isCaminho, topicos: isTopicosDaVersao },
+  estudo: { tema: isTexto, topicos: isTopicosDoMapa },
+  relacoes: {
+    tema: isTexto,
+    topicos: isTopicosDoMapa,
+    ligados: opcional(isPares),
+    maximo: (v) => isPositivo(v) && v <= MAX_RELACOES,
+  },
+  elaborar: {
+    tema: isTexto,
+    caminho: isCaminho,
+    descricao: opcional(isTexto),
+    subtopicos: opcional(isTextos),
+    notas: opcional(isTexto),
+  },
+};
+
+// Erros de validação que podem voltar ao modelo, com os parâmetros de cada um.
+// O texto de cada erro é escrito por prompts.js; do navegador vêm só códigos,
+// ids e labels curtos e números
+const isNome = (v) => isTexto(v) && v.length <= 100;
+const isContagem = (v) => Number.isInteger(v) && v >= 0;
+const PARAMETROS_DOS_ERROS = {
+  JSON_INVALIDO: {},
+  ESTRUTURA: { chave: (v) => isTexto(v) && Object.hasOwn(CHAVES_DA_RESPOSTA, v) },
+  SEM_NOS: {},
+  SEM_RESUMO: {},
+  SEM_ID: { posicao: isContagem },
+  ID_DUPLICADO: { topico: isNome },
+  SEM_LABEL: { topico: isNome },
+  SEM_DESCRICAO: { topico: isNome },
+  ARESTA_INVALIDA: { aresta: isNome, origem: isNome, destino: isNome },
+  MULTIPLOS_PAIS: { topico: isNome },
+  CICLO: { topico: isNome },
+  NO_ORFAO: { topico: isNome },
+  MULTIPLAS_RAIZES: { n: isContagem },
+  SEM_CARTOES: {},
+  SEM_FONTES: { citados: isContagem, total: isContagem },
+  SEM_NOTAS: {},
+  SEM_PONTOS: {},
+  SEM_RELACOES: {},
+};
+
+const isErroConhecido = (e) => {
+  if (!isTexto(e.codigo) || !Object.hasOwn(PARAMETROS_DOS_ERROS, e.codigo)) return false;
+  const esperados = PARAMETROS_DOS_ERROS[e.codigo];
+  const params = e.params ?? {};
+  return isObjeto(params)
+    && Object.keys(params).every(nome => Object.hasOwn(esperados, nome))
+    && Object.entries(esperados).every(([nome, teste]) => teste(params[nome]));
+};
+
+// Tentativa de correção: a resposta anterior do modelo, cortada no limite, e os erros encontrados nela
+const isCorrecao = (v) => isObjeto(v) && isTexto(v.resposta) && v.resposta.length <= RESPOSTA_CORRIGIDA_MAXIMA
+  && listaDe(isErroConhecido)(v.erros) && v.erros.length > 0 && v.erros.length <= ERROS_CORRIGIDOS_MAXIMO;
+
+/**
+ * Confere o pedido e monta o prompt da tarefa.
+ *
+ * @returns {string} O prompt a enviar ao modelo
+ */
+function validarPedido(texto) {
+  let corpo;
+  try {
+    corpo = JSON.parse(texto);
+  } catch {
+    throw new ErroHttp(400, 'O corpo do pedido não é um JSON válido.');
+  }
+  const { meta, correcao } = corpo || {};
+  if (!isObjeto(meta) || !TAREFAS_API.includes(meta.tarefa) || !Object.hasOwn(CAMPOS_DAS_TAREFAS, meta.tarefa)) {
+    throw new ErroHttp(400, 'Tarefa desconhecida.');
+  }
+  if (meta.tema !== undefined && typeof meta.tema !== 'string') {
+    throw new ErroHttp(400, 'Tema inválido.');
+  }
+  const tema = (meta.tema || '').trim();
+  if (meta.tarefa === 'mapa' && !tema) {
+    throw new ErroHttp(400, 'Informe um tema.');
+  }
+  if (tema.length > TEMA_MAXIMO) {
+    throw new ErroHttp(400, `O tema passa de ${TEMA_MAXIMO} caracteres.`);
+  }
+  const invalido = Object.entries(CAMPOS_DAS_TAREFAS[meta.tarefa]).find(([campo, teste]) => !teste(meta[campo]));
+  if (invalido) {
+    throw new ErroHttp(400, `Campo "${invalido[0]}" inválido para a tarefa "${meta.tarefa}".`);
+  }
+  if (meta.opcoes !== undefined && !isObjeto(meta.opcoes)) {
+    throw new ErroHttp(400, 'Opções de geração inválidas.');
+  }
+  if (correcao !== undefined && !isCorrecao(correcao)) {
+    throw new ErroHttp(400, 'Correção inválida.');
+  }
+  return buildTaskPrompt(meta, correcao);
+}
+
+// --- FALHAS DO GEMINI ---
+// A mensagem do SDK pode trazer detalhes da conta; o navegador recebe só o tipo
+// da falha e um texto nosso
+
+const BLOQUEIO = /SAFETY|PROHIBITED_CONTENT|BLOCKLIST|blocked/i;
+
+// No limite por minuto o Gemini informa quanto esperar, em RetryInfo ("12s")
+const esperaSugerida = (err) => {
+  const info = err.errorDetails?.find(d => d['@type']?.endsWith('RetryInfo'));
+  const segundos = Math.ceil(parseFloat(info?.retryDelay));
+  return Number.isFinite(segundos) ? segundos : undefined;
+};
+
+function falhaDoGemini(err) {
+  const espera = esperaSugerida(err);
+  if (BLOQUEIO.test(err.message)) {
+    return new ErroHttp(422, 'O filtro de segurança do modelo recusou o pedido.', { tipo: 'bloqueado' });
+  }
+  if (err.status === 429) {
+    return espera || !/quota|billing/i.test(err.message)
+      ? new ErroHttp(429, 'O modelo recebeu pedidos demais. Tente de novo em instantes.', { tipo: 'limite', espera })
+      : new ErroHttp(429, 'A cota de uso do modelo acabou.', { tipo: 'cota' });
+  }
+  if (err.status === 401 || err.status === 403 || /API key/i.test(err.message)) {
+    return new ErroHttp(502, 'O Gemini recusou a chave do servidor de IA.', { tipo: 'chave' });
+  }
+  if (!err.status || err.status >= 500) {
+    return new ErroHttp(503, 'O modelo está indisponível no momento. Tente de novo.', { tipo: 'sobrecarga' });
+  }
+  return new ErroHttp(502, `O modelo não atendeu o pedido (erro ${err.status}). Tente de novo.`);
+}
+
+// --- ROTAS ---
+
+const responderJson = (res, status, corpo, cabecalhos = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...cabecalhos });
+  res.end(JSON.stringify(corpo));
+};
+
+async function gerar(req, res) {
+  const espera = consumirPedido(ipDoCliente(req));
+  if (espera > 0) {
+    responderJson(res, 429, { erro: `Muitos pedidos seguidos. Tente de novo em ${espera} s.`, tipo: 'limite' }, { 'Retry-After': String(espera) });
+    return;
+  }
+
+  const prompt = validarPedido(await lerCorpo(req));
+
+  // O navegador cancelou (ou a conexão caiu): a chamada ao modelo é interrompida
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  // Todas as tarefas pedem a resposta em JSON
+  const modelo = genAI.getGenerativeModel({
+    model: MODELO,
+    generationConfig: { responseMimeType: 'application/json' },
+  });
+  let resultado;
+  try {
+    resultado = await modelo.generateContentStream(prompt, { signal: controller.signal });
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.warn('Erro do Gemini:', err.message);
+    throw falhaDoGemini(err);
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-store', 'X-Model': MODELO });
+  try {
+    for await (const pedaco of resultado.stream) {
+      res.write(`${JSON.stringify({ texto: pedaco.text() })}\n`);
+    }
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.warn('Resposta do Gemini interrompida:', err.message);
+    const falha = BLOQUEIO.test(err.message)
+      ? { erro: 'O filtro de segurança do modelo interrompeu a resposta.', tipo: 'bloqueado' }
+      : { erro: 'A resposta do modelo foi interrompida. Tente de novo.', tipo: 'sobrecarga' };
+    res.write(`${JSON.stringify(falha)}\n`);
+  }
+  res.end();
+}
+
+// Liberação de CORS para as origens configuradas
+function cabecalhosCors(req) {
+  const origem = req.headers.origin;
+  if (!origem || !ORIGENS.includes(origem)) return {};
+  return {
+    'Access-Control-Allow-Origin': origem,
+    'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'X-Model, Retry-After',
+    Vary: 'Origin',
+  };
+}
+
+const servidor = createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  Object.entries(cabecalhosCors(req)).forEach(([nome, valor]) => res.setHeader(nome, valor));
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+  } else if (pathname === '/api/generate' && req.method === 'POST') {
+    gerar(req, res).catch(err => {
+      if (!(err instanceof ErroHttp)) console.error('Erro no servidor de IA:', err);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      if (!(err instanceof ErroHttp)) {
+        responderJson(res, 500, { erro: 'Erro interno do servidor de IA.' });
+        return;
+      }
+      responderJson(res, err.status, { erro: err.message, tipo: err.tipo }, err.espera ? { 'Retry-After': String(err.espera) } : {});
+    });
+  } else if (pathname === '/api/health' && req.method === 'GET') {
+    responderJson(res, 200, { ok: true, modelo: MODELO });
+  } else {
+    responderJson(res, 404, { erro: 'Rota não encontrada.' });
+  }
+});
+
+servidor.listen(PORTA, () => {
+  console.log(`Servidor de IA em http://localhost:${PORTA}/api (modelo ${MODELO})`);
+});
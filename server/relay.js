@@ -0,0 +1,134 @@
+// --- SERVIDOR DE COLABORAÇÃO ---
+// Retransmite entre os navegadores de uma mesma sala as alterações do mapa
+// (atualizações binárias do Yjs) e a presença de cada pessoa (nome, cor,
+// cursor e seleção, em JSON). Guarda em memória o documento de cada sala para
+// entregar o mapa completo a quem entra depois; nada é gravado em disco; se o
+// servidor reiniciar, os navegadores conectados reenviam o mapa ao reconectar.
+//
+// Uso: npm run colab   (porta em COLAB_PORT, padrão 1234)
+// Cada sala é um caminho: ws://localhost:1234/<id-da-sala>
+
+import { randomUUID } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import * as Y from 'yjs';
+
+const PORTA = Number(process.env.COLAB_PORT) || 1234;
+// Mensagens maiores são recusadas (um mapa grande inteiro fica bem abaixo disso)
+const TAMANHO_MAXIMO = 2 * 1024 * 1024;
+// Sala sem ninguém é descartada depois deste tempo
+const TEMPO_SALA_VAZIA = 30 * 60 * 1000;
+// Intervalo do ping que derruba conexões que caíram sem avisar
+const INTERVALO_PING = 30 * 1000;
+const SALA_VALIDA = /^[\w-]{1,100}$/;
+
+const salas = new Map();
+
+function obterSala(nome) {
+  let sala = salas.get(nome);
+  if (!sala) {
+    sala = { doc: new Y.Doc(), clientes: new Map(), timer: null };
+    salas.set(nome, sala);
+  }
+  clearTimeout(sala.timer);
+  return sala;
+}
+
+function sairDaSala(nome, sala, ws) {
+  const cliente = sala.clientes.get(ws);
+  sala.clientes.delete(ws);
+  if (cliente) enviarParaOutros(sala, ws, JSON.stringify({ tipo: 'saiu', cliente: cliente.id }));
+  if (sala.clientes.size === 0) {
+    sala.timer = setTimeout(() => {
+      sala.doc.destroy();
+      salas.delete(nome);
+    }, TEMPO_SALA_VAZIA);
+  }
+}
+
+function enviarParaOutros(sala, origem, mensagem) {
+  sala.clientes.forEach((_cliente, ws) => {
+    if (ws !== origem && ws.readyState === ws.OPEN) ws.send(mensagem);
+  });
+}
+
+// Só os campos conhecidos da presença, com tamanhos limitados
+const limparPresenca = ({ nome, cor, cursor, selecao }) => ({
+  nome: String(nome || '').slice(0, 40),
+  cor: /^#[0-9a-f]{6}$/i.test(cor) ? cor : '#6b7280',
+  cursor: Number.isFinite(cursor?.x) && Number.isFinite(cursor?.y) ? { x: cursor.x, y: cursor.y } : null,
+  selecao: Array.isArray(selecao) ? selecao.slice(0, 200).map(String) : [],
+});
+
+const wss = new WebSocketServer({ port: PORTA, maxPayload: TAMANHO_MAXIMO });
+
+wss.on('connection', (ws, req) => {
+  // Sem decodificar: ids de sala válidos só têm [\w-], que não mudam na URL,
+  // e um escape malformado derrubaria o servidor
+  const nome = new URL(req.url, 'http://localhost').pathname.slice(1);
+  if (!SALA_VALIDA.test(nome)) {
+    ws.close(1008, 'Sala inválida');
+    return;
+  }
+
+  const sala = obterSala(nome);
+  const cliente = { id: randomUUID().slice(0, 8), presenca: null };
+  sala.clientes.set(ws, cliente);
+  ws.vivo = true;
+
+  // Quem entra recebe seu id, quem já está na sala e o mapa completo
+  ws.send(JSON.stringify({
+    tipo: 'boas-vindas',
+    cliente: cliente.id,
+    vazia: sala.doc.store.clients.size === 0,
+    presencas: [...sala.clientes.values()]
+      .filter(c => c !== cliente && c.presenca)
+      .map(c => ({ cliente: c.id, ...c.presenca })),
+  }));
+  ws.send(Y.encodeStateAsUpdate(sala.doc));
+
+  ws.on('message', (dados, binario) => {
+    if (binario) {
+      try {
+        Y.applyUpdate(sala.doc, new Uint8Array(dados));
+      } catch (err) {
+        console.warn(`Atualização inválida na sala ${nome}:`, err.message);
+        return;
+      }
+      enviarParaOutros(sala, ws, dados);
+      return;
+    }
+
+    let mensagem;
+    try {
+      mensagem = JSON.parse(dados.toString());
+    } catch {
+      return;
+    }
+    if (mensagem?.tipo === 'presenca') {
+      cliente.presenca = limparPresenca(mensagem);
+      enviarParaOutros(sala, ws, JSON.stringify({ tipo: 'presenca', cliente: cliente.id, ...cliente.presenca }));
+    }
+  });
+
+  ws.on('pong', () => {
+    ws.vivo = true;
+  });
+  ws.on('close', () => sairDaSala(nome, sala, ws));
+});
+
+const ping = setInterval(() => {
+  wss.clients.forEach(ws => {
+    if (!ws.vivo) {
+      ws.terminate();
+      return;
+    }
+    ws.vivo = false;
+    ws.ping();
+  });
+}, INTERVALO_PING);
+
+wss.on('close', () => clearInterval(ping));
+
+wss.on('listening', () => {
+  console.log(`Servidor de colaboração em ws://localhost:${PORTA}`);
+});
@@ -1,42 +1,102 @@
-import React, { useState, useRef, useMemo } from 'react';
+import React, { useState, useRef, useMemo, useEffect, useEffectEvent } from 'react';
 import ReactFlow, { 
   MiniMap, 
   Controls, 
   Background, 
-  Handle, 
-  Position, 
+  Panel,
   useNodesState,
-  useEdgesState 
+  useEdgesState,
+  applyNodeChanges
 } from 'reactflow';
 import 'reactflow/dist/style.css'; 
-import * as htmlToImage from 'html-to-image';
-import { jsPDF } from 'jspdf';
 import { motion, AnimatePresence } from 'framer-motion';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { Brain, Download, ArrowLeft, Lightbulb, FileText, Lock, Unlock } from 'lucide-react'; 
+import { Brain, Download, ArrowLeft, Lightbulb, FileText, Lock, Unlock, Network, Orbit, Settings, Pencil, Undo2, Redo2, Upload, FileDown, X, Check, SlidersHorizontal, RefreshCw, GraduationCap, UnfoldVertical, ChevronRight, Search, ChevronUp, ChevronDown, ListTree, Map as MapIcon, Share2, Save, Eye, Users, History, Loader2, Palette, Image as ImageIcon, Database, Waypoints, Presentation } from 'lucide-react'; 
+import { computeLayout, placeNewChildren, LAYOUTS } from './lib/layout';
+import { parseMapa, parseExpansao, repairMapa } from './lib/validation';
+import { readPartialMap } from './lib/partialJson';
+import { createProvider, loadSettings, saveSettings, PROVIDERS } from './lib/providers';
+import { TEMA_MAXIMO } from './lib/apiLimits';
+import { parseStudyCards } from './lib/study';
+import { loadOptions, saveOptions, normalizeOptions } from './lib/generationOptions';
+import { generateWithRepair } from './lib/generator';
+import { describeFailure } from './lib/aiErrors';
+import { generationCacheKey, readCachedMap, writeCachedMap } from './lib/generationCache';
+import { buildTree, getPathLabels, createNodeId, isRelationEdge } from './lib/graph';
+import { parseCrossLinks, addRelations, removeRelation, reconnectRelation, createRelationEdge, MAX_SUGESTOES } from './lib/relations';
+import { parseElaboration, appendNotes } from './lib/notes';
+import { updateNodeData, addChildNode, addSiblingNode, deleteSubtree, canReparent, reparentNode, getSubtreeIds, setEdgeLabel } from './lib/editing';
+import { getCollapseInfo, applyVisibility, getVisibleMap, toggleCollapsed, expandNode, expandAll, collapseToLevel, revealNode } from './lib/collapse';
+import { searchNodes } from './lib/search';
+import { splitPassages, chunkPassages, parseDocumentNotes, parseDocumentMap, citedPassages, MAX_PARTES } from './lib/document';
+import { ARROW_RELATIONS, getTreeItemInfo, flattenVisible, findNeighbor } from './lib/treeNavigation';
+import { useMapHistory } from './hooks/useMapHistory';
+import { useHashRoute, navigate } from './hooks/useHashRoute';
+import { useCollaboration } from './hooks/useCollaboration';
+import { TELAS, buildRoute } from './lib/routes';
+import { encodeSharedMap, decodeSharedMap } from './lib/share';
+import { saveMap, getMap, listVersions, saveVersion } from './lib/storage';
+import { MUDANCAS, diffMaps, buildReviewMap, applyReview, mapSignature } from './lib/mapDiff';
+import { FORMATS, IMPORT_ACCEPT, importMap, exportMap } from './lib/formats';
+import { downloadFile } from './lib/download';
+import { buildPresentationHtml, PRESENTATION_ORDERS } from './lib/presentation';
+import { buildMapPdf, PDF_MODES } from './lib/pdf';
+import { buildMapImage } from './lib/image';
+import { THEMES, loadAppearance, saveAppearance, normalizeAppearance, getBranchColors, getIconColor, styleEdges } from './lib/theme';
+import SettingsPanel from './components/SettingsPanel';
+import HighlightedText from './components/HighlightedText';
+import MapOutline from './components/MapOutline';
+import NodeDetailsPanel from './components/NodeDetailsPanel';
+import GenerationOptionsPanel from './components/GenerationOptionsPanel';
+import DocumentSourcePanel from './components/DocumentSourcePanel';
+import MindMapNode from './components/MindMapNode';
+import CollabBar from './components/CollabBar';
+import RemoteCursors from './components/RemoteCursors';
+import MapLibrary from './components/MapLibrary';
+import GenerationPreview from './components/GenerationPreview';
+import StudyMode from './components/StudyMode';
+import PresentationMode from './components/PresentationMode';
+import ReviewPanel from './components/ReviewPanel';
+import VersionHistoryPanel from './components/VersionHistoryPanel';
+import RelationsPanel from './components/RelationsPanel';
+import AppearancePanel from './components/AppearancePanel';
+import ErrorNotice from './components/ErrorNotice';
+import { renderIconImages } from './components/nodeIcons';
+import { MapActionsContext } from './components/MapActionsContext';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import { I18nContext } from './hooks/useI18n';
+import { createI18n, loadLanguage, saveLanguage, LocalizedError } from './lib/i18n';
 
 // --- 1. CONFIGURAÇÕES E FUNÇÕES UTILITÁRIAS ---
 
-const getPrompt = (tema) => {
-  return `Gere um mapa mental sobre o tema "${tema}".
-Sua resposta deve ser **exclusivamente** um objeto JSON válido, sem nenhum texto antes ou depois.
-O JSON deve ter duas chaves principais: "mapa" e "resumo".
+// Estilo padrão das arestas do mapa
+const edgeDefaults = {
+  animated: true,
+  style: { stroke: '#6b7280', strokeWidth: 2 }
+};
 
-1. A chave "mapa" deve conter um objeto JSON com "nodes" e "edges". 
-   - Os "nodes" devem ser um array de objetos. Cada objeto DEVE ter: "id", "position": {"x": number, "y": number}, "data": {"label": string, "descricao": string}.
-   - Os "edges" devem ser um array de objetos conectando os nós.
+// Converte nós e arestas vindos da IA para o React Flow (a posição vem do layout)
+const toFlowNodes = (nodes) => nodes.map((n, index) => ({
+  id: n.id || `node-${index}`,
+  type: 'mindmap',
+  position: { x: 0, y: 0 },
+  data: {
+    ...n.data,
+    id: n.id
+  }
+}));
 
-2. A chave "resumo" deve ser uma string contendo um resumo conciso e geral sobre o tema "${tema}" (máximo 3-4 frases).
-`;
+// Na revisão de uma regeneração, arestas que chegam a tópicos novos ou removidos
+const ESTILO_ARESTA_REVISAO = {
+  [MUDANCAS.ADICIONADO]: { stroke: '#16a34a', strokeWidth: 2 },
+  [MUDANCAS.REMOVIDO]: { stroke: '#dc2626', strokeWidth: 2, strokeDasharray: '6 4' },
 };
 
-function cleanJsonString(text) {
-  // Remove formatação de código markdown que a IA possa enviar
-  const cleanedText = text
-    .replace(/^```json\s*/, '')
-    .replace(/```$/, '');
-  return cleanedText;
-}
+const toFlowEdges = (edges) => edges.map(e => ({
+  ...e,
+  ...edgeDefaults
+}));
+
+const PREVIA_VAZIA = { nodes: [], edges: [], resumo: '', tentativa: 1 };
 
 const animationVariants = {
   initial: { opacity: 0, y: 20 },
@@ -44,51 +104,29 @@ const animationVariants = {
   exit: { opacity: 0, y: -20 },
 };
 
-// --- 2. COMPONENTE DE NÓ CUSTOMIZADO ---
-
-const MindMapNode = ({ data }) => {
-  const isMainNode = data.id === '1';
-  return (
-    <>
-      {!isMainNode && (
-        <Handle 
-          type="target" 
-          position={Position.Top} 
-          className="!bg-gray-400"
-        />
-      )}
-      <div 
-        className={`
-          p-4 rounded-xl shadow-lg border-2
-          w-64 break-words
-          ${isMainNode 
-            ? 'bg-gradient-to-br from-blue-600 to-green-600 text-white border-blue-700' 
-            : 'bg-white border-gray-200'}
-        `}
-      >
-        <strong className={isMainNode ? 'text-lg' : 'text-base text-gray-900'}>
-          {data.label}
-        </strong>
-        <hr className={`my-2 ${isMainNode ? 'border-blue-300/50' : 'border-gray-200'}`} />
-        <p className={isMainNode ? 'text-blue-100 text-sm' : 'text-gray-600 text-sm'}>
-          {data.descricao}
-        </p>
-      </div>
-      <Handle 
-        type="source" 
-        position={Position.Bottom} 
-        className="!bg-gray-400"
-      />
-    </>
-  );
-};
-
-// --- 3. COMPONENTE PRINCIPAL (APP) ---
+// --- 2. COMPONENTE PRINCIPAL (APP) ---
 
 function App() {
+  // Idioma da interface; o idioma dos mapas gerados é uma opção de geração à parte
+  const [idiomaUi, setIdiomaUi] = useState(loadLanguage);
+  const i18n = useMemo(() => createI18n(idiomaUi), [idiomaUi]);
+  const { t, formatarData } = i18n;
+  useEffect(() => {
+    document.documentElement.lang = idiomaUi;
+    document.title = t('app.tituloPagina');
+  }, [idiomaUi, t]);
+
   const [tema, setTema] = useState('');
   const [resumo, setResumo] = useState(''); 
-  const [telaAtual, setTelaAtual] = useState('HOME');
+  // Tela vinda da URL; `rotaAberta` é a rota do mapa carregado no estado. Enquanto
+  // as duas não batem (link aberto agora, voltar do navegador), o mapa está sendo aberto
+  const rota = useHashRoute();
+  const [rotaAberta, setRotaAberta] = useState(null);
+  const telaAtual = rota.tela === TELAS.RESULT && rota.chave !== rotaAberta ? 'ABRINDO' : rota.tela;
+  // Mapa recebido por link: só leitura, sem IA e sem salvar automaticamente
+  const somenteLeitura = telaAtual === TELAS.RESULT && Boolean(rota.compartilhado);
+  const [linkCopiado, setLinkCopiado] = useState(false);
+  const [conviteCopiado, setConviteCopiado] = useState(false);
   const mapRef = useRef(null);
   
   // Hooks do React Flow
@@ -98,169 +136,1449 @@ function App() {
   // Estado para travar/destravar o mapa
   const [isLocked, setIsLocked] = useState(false);
 
+  // Provedor de IA escolhido (persistido no navegador)
+  const [llmSettings, setLlmSettings] = useState(loadSettings);
+  const [showSettings, setShowSettings] = useState(false);
+
+  // Opções de geração (tamanho, público, idioma, estilo)
+  const [opcoesGeracao, setOpcoesGeracao] = useState(loadOptions);
+  const [showOpcoes, setShowOpcoes] = useState(false);
+
+  // Layout atual e se ele ainda precisa ser refeito com os tamanhos medidos dos nós
+  const [layoutMode, setLayoutMode] = useState(LAYOUTS.TB);
+  // Tema de cores e estilo das ligações do mapa aberto (ver lib/theme.js)
+  const [aparencia, setAparencia] = useState(loadAppearance);
+  const [showAparencia, setShowAparencia] = useState(false);
+  const [layoutPendente, setLayoutPendente] = useState(false);
+  const [rfInstance, setRfInstance] = useState(null);
+
+  // Ids dos nós que estão sendo expandidos pela IA
+  const [expandindo, setExpandindo] = useState(new Set());
+  // Tópico cujas notas a IA está escrevendo (painel de detalhes)
+  const [elaborandoId, setElaborandoId] = useState(null);
+
+  // Modo de edição, histórico de desfazer/refazer e nó recém-criado (abre já em edição)
+  const [modoEdicao, setModoEdicao] = useState(false);
+  const [autoEditId, setAutoEditId] = useState(null);
+  const historico = useMapHistory(nodes, edges, setNodes, setEdges);
+  const arrasteRef = useRef(null);
+
+  // Mapa aberto na biblioteca local: id, metadados e enquadramento do canvas
+  const [mapaId, setMapaId] = useState(null);
+  const [mapaMeta, setMapaMeta] = useState({});
+  const [viewport, setViewport] = useState(null);
+  const [viewportInicial, setViewportInicial] = useState(null);
+
+  // Sala de edição em tempo real (#/sala/<id>), com o id do próprio mapa
+  const salaAtiva = telaAtual === TELAS.RESULT && rota.sala ? mapaId : null;
+  const metaColab = useMemo(
+    () => ({ tema, resumo, layoutMode, aparencia: JSON.stringify(aparencia) }),
+    [tema, resumo, layoutMode, aparencia]
+  );
+  const colab = useCollaboration({
+    sala: salaAtiva,
+    nodes,
+    edges,
+    meta: metaColab,
+    setNodes,
+    setEdges,
+    extrasAresta: edgeDefaults,
+    onMetaChange: (mudancas) => {
+      if ('tema' in mudancas) setTema(mudancas.tema);
+      if ('resumo' in mudancas) setResumo(mudancas.resumo);
+      if (mudancas.layoutMode) setLayoutMode(mudancas.layoutMode);
+      if (mudancas.aparencia) setAparencia(normalizeAppearance(JSON.parse(mudancas.aparencia)));
+    },
+  });
+  // Na sala, desfazer usa o histórico do documento compartilhado, que só reverte
+  // as próprias mudanças (o histórico local restauraria também as dos outros)
+  const acoesHistorico = colab.status ? {
+    desfazer: colab.desfazer,
+    refazer: colab.refazer,
+    rotuloDesfazer: colab.podeDesfazer ? 'historico.suaUltimaAlteracao' : null,
+    rotuloRefazer: colab.podeRefazer ? 'historico.suaUltimaAlteracao' : null,
+  } : historico;
+  const selecoesRemotas = useMemo(() => {
+    const porNo = new Map();
+    colab.participantes.forEach(p => p.selecao?.forEach(id => {
+      porNo.set(id, [...(porNo.get(id) || []), p]);
+    }));
+    return porNo;
+  }, [colab.participantes]);
+
+  // Geração em streaming: o que já chegou e o controle para cancelar
+  const [previa, setPrevia] = useState(PREVIA_VAZIA);
+  const geracaoRef = useRef(null);
+  const previaFluxo = useMemo(
+    () => ({ nodes: toFlowNodes(previa.nodes), edges: toFlowEdges(previa.edges) }),
+    [previa]
+  );
+
+  // Documento-fonte opcional: com ele, o mapa é gerado a partir do texto e cita os trechos
+  const [documento, setDocumento] = useState(null);
+  const [showDocumento, setShowDocumento] = useState(false);
+  // Etapa atual da geração em várias chamadas (documentos longos), mostrada no carregamento
+  const [etapaGeracao, setEtapaGeracao] = useState('');
+  // Falha ou aviso mostrado na tela (ErrorNotice): o da última chamada à IA (ver
+  // describeFailure) ou o de outra ação, como importar ou exportar. `repetir`
+  // ([ação, argumento]) refaz o pedido à IA com o estado do momento do clique
+  const [falha, setFalha] = useState(null);
+  // Mapas já gerados são reaproveitados do cache, a não ser que se peça um novo.
+  // `mapaDoCache` é a data em que o mapa exibido foi gerado, se veio do cache
+  const [ignorarCache, setIgnorarCache] = useState(false);
+  const [mapaDoCache, setMapaDoCache] = useState(null);
+
+  // Foco numa subárvore (só visualização; não é salvo com o mapa)
+  const [focoId, setFocoId] = useState(null);
+
+  // Busca no mapa: termo digitado e posição no resultado (-1 = nenhum visitado ainda)
+  const [busca, setBusca] = useState('');
+  const [indiceBusca, setIndiceBusca] = useState(-1);
+  const buscaRef = useRef(null);
+
+  // Teclado e leitores de tela: tópico atual, visão (canvas ou lista) e painel de detalhes
+  const [cursorId, setCursorId] = useState(null);
+  const [visao, setVisao] = useState('mapa');
+  const [detalhesId, setDetalhesId] = useState(null);
+  const listaRef = useRef(null);
+
+  // Modo de estudo (flashcards e questões) sobre o mapa aberto
+  const [showEstudo, setShowEstudo] = useState(false);
+
+  // Modo apresentação, em tela cheia sobre o mapa aberto
+  const [showApresentacao, setShowApresentacao] = useState(false);
+
+  // Regeneração do mapa ou de um ramo: chamada em andamento e proposta em revisão
+  // (mudanças com os ids aceitos). Na revisão, e ao ver uma versão antiga, o canvas
+  // mostra `sobreposicao` no lugar do mapa, que só muda ao aplicar ou restaurar
+  const [regenerando, setRegenerando] = useState(null);
+  const [revisao, setRevisao] = useState(null);
+  const [sobreposicao, setSobreposicao] = useState(null);
+  // Histórico de versões: painel aberto, versão em visualização e contador para recarregar a lista
+  const [showHistorico, setShowHistorico] = useState(false);
+  const [versaoVista, setVersaoVista] = useState(null);
+  const [atualizacaoVersoes, setAtualizacaoVersoes] = useState(0);
+
+  // Relações entre ramos: painel aberto, sugestões da IA ainda não decididas e
+  // o pedido em andamento (com o AbortController)
+  const [showRelacoes, setShowRelacoes] = useState(false);
+  const [sugestoesRelacoes, setSugestoesRelacoes] = useState([]);
+  const [sugerindoRelacoes, setSugerindoRelacoes] = useState(null);
+
+  // Formato das páginas do mapa no PDF (página única ampliada ou folhas A4)
+  const [modoPdf, setModoPdf] = useState(PDF_MODES.AMPLIADA);
+
   // Memoiza os tipos de nós para evitar warnings
   const nodeTypes = useMemo(() => ({ mindmap: MindMapNode }), []);
   
   // --- LÓGICA DA IA (GERAR MAPA) ---
-  const handleGerarMapa = async () => {
-    if (!tema) {
-      alert("Por favor, digite um tema.");
+  // Mostra o mapa gerado (ou o que chegou antes do cancelamento) na tela de resultado
+  // `fonte` ({ nome, trechos }) vem de mapas gerados a partir de um documento;
+  // `doCache` é a data da resposta reaproveitada do cache
+  const exibirMapaGerado = (dados, provider, opcoes, fonte = null, { doCache = null } = {}) => {
+    const processedNodes = toFlowNodes(dados.mapa.nodes || []);
+    const processedEdges = toFlowEdges(dados.mapa.edges || []);
+
+    // Primeiro layout com tamanhos estimados; refeito quando o React Flow medir os nós
+    const nodesPosicionados = computeLayout(processedNodes, processedEdges, { direction: layoutMode });
+    setNodes(nodesPosicionados);
+    setEdges(processedEdges);
+    setLayoutPendente(true);
+    setResumo(dados.resumo || '');
+    setAparencia(loadAppearance());
+    const id = crypto.randomUUID();
+    setMapaId(id);
+    // Primeira entrada do histórico de versões
+    saveVersion({
+      mapaId: id,
+      rotulo: t('versoes.gerado'),
+      tema: fonte && !tema.trim() ? fonte.nome : tema,
+      resumo: dados.resumo || '',
+      nodes: nodesPosicionados,
+      edges: processedEdges,
+      layoutMode,
+    }).catch(err => console.error('Erro ao salvar a versão do mapa:', err));
+    setMapaMeta({
+      criadoEm: new Date().toISOString(),
+      modelo: { provider: provider.id, model: provider.model },
+      opcoes,
+      ...(fonte ? { documento: citedPassages(fonte.nome, fonte.trechos, dados.mapa.nodes || []) } : {})
+    });
+    if (fonte && !tema.trim()) setTema(fonte.nome);
+    setViewport(null);
+    setViewportInicial(null);
+    setFocoId(null);
+    setBusca('');
+    setFalha(null);
+    setMapaDoCache(doCache);
+    encerrarRelacoes();
+
+    // Substitui #/gerando, que não deve ficar no caminho do "voltar"
+    mostrarRota({ tela: TELAS.RESULT, mapaId: id }, { substituir: true });
+  };
+
+  // Cancela a geração em andamento; `manter` aproveita os nós já recebidos
+  const handleCancelarGeracao = (manter) => {
+    const geracao = geracaoRef.current;
+    if (!geracao) return;
+    geracaoRef.current = null;
+    geracao.controller.abort();
+
+    if (manter && previa.nodes.length > 0) {
+      // Liga ao tópico central os nós cujas arestas ainda não tinham chegado
+      const { dados } = repairMapa({ resumo: previa.resumo, mapa: { nodes: previa.nodes, edges: previa.edges } });
+      exibirMapaGerado(dados, geracao.provider, geracao.opcoes, geracao.fonte);
+    } else {
+      navigate({ tela: TELAS.HOME }, { substituir: true });
+    }
+  };
+
+  // Mostra a falha de uma chamada à IA; `repetir` é a ação do botão "Tentar de novo"
+  const mostrarFalha = (error, provedorId, repetir = null) => {
+    setFalha({ ...describeFailure(error, PROVIDERS[provedorId] && t(`configuracoes.provedores.${provedorId}`), t), repetir });
+  };
+
+  // Falha fora da IA: o título diz o que não deu certo e a mensagem, o motivo
+  // traduzido (LocalizedError) ou, num erro inesperado, o texto original no detalhe
+  const mostrarErro = (titulo, error) => {
+    setFalha({
+      titulo,
+      mensagem: error?.chave ? t(error.chave, error.params) : t('erros.inesperado'),
+      detalhe: error?.chave ? '' : String(error?.message || error || ''),
+    });
+  };
+
+  // Aviso de uma frase, sem erro por trás
+  const mostrarAviso = (titulo) => setFalha({ titulo });
+
+  const handleRepetirFalha = () => {
+    const [acao, argumento] = falha.repetir;
+    setFalha(null);
+    if (acao === 'gerar') {
+      handleGerarMapa(undefined, argumento);
+      return;
+    }
+    if (acao === 'relacoes') {
+      handleSugerirRelacoes();
+      return;
+    }
+    // O tópico pode ter sido excluído depois da falha (null = mapa inteiro)
+    if (argumento !== null && !nodes.some(n => n.id === argumento)) return;
+    if (acao === 'expandir') handleExpandirNo(argumento);
+    else if (acao === 'elaborar') handleElaborarNotas(argumento);
+    else handleRegenerar(argumento);
+  };
+
+  // Sem argumento usa as opções do painel. `forcarNovo` pula o cache de mapas gerados
+  const handleGerarMapa = async (opcoes = opcoesGeracao, { forcarNovo = ignorarCache } = {}) => {
+    if (!tema && !documento) {
+      mostrarAviso(t('inicio.temaVazio'));
+      return;
+    }
+    if (tema.trim().length > TEMA_MAXIMO) {
+      mostrarAviso(t('inicio.temaLongo', { maximo: TEMA_MAXIMO }));
+      return;
+    }
+
+    // Documentos longos são lidos em partes antes de montar o mapa
+    const trechos = documento ? splitPassages(documento) : [];
+    const partes = chunkPassages(trechos);
+    if (partes.length > MAX_PARTES) {
+      mostrarAviso(t('inicio.documentoLongo', { partes: partes.length, maximo: MAX_PARTES }));
+      return;
+    }
+    const fonte = documento ? { nome: documento.nome, trechos } : null;
+
+    let provider;
+    try {
+      provider = createProvider(llmSettings);
+    } catch (error) {
+      mostrarFalha(error, llmSettings.provider);
       return;
     }
-    setTelaAtual('LOADING');
+    setFalha(null);
+
+    const controller = new AbortController();
+    geracaoRef.current = { controller, provider, opcoes, fonte };
+    // A chave usa o modelo configurado, antes de o provedor informar o exato
+    const chaveCache = fonte ? null : generationCacheKey(tema, provider, opcoes);
+    // Avisa no carregamento quando uma falha passageira vai ser repetida
+    const onRetry = ({ repeticao, total }) => {
+      setEtapaGeracao(t('carregando.repetindo', { repeticao, total }));
+    };
+    setPrevia(PREVIA_VAZIA);
+
+    navigate({ tela: TELAS.LOADING });
+    setEtapaGeracao('');
     setNodes([]); 
     setEdges([]); 
     setResumo('');
-    
-    const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-    if (!apiKey) {
-      alert("Chave de API do Gemini não encontrada! Verifique o arquivo .env.local");
-      setTelaAtual('HOME');
+    historico.limpar();
+
+    try {
+      const guardado = chaveCache && !forcarNovo ? await readCachedMap(chaveCache) : null;
+      if (guardado) {
+        if (controller.signal.aborted) return;
+        geracaoRef.current = null;
+        exibirMapaGerado(guardado.dados, { id: guardado.modelo.provider, model: guardado.modelo.model }, opcoes, null, { doCache: guardado.criadoEm });
+        return;
+      }
+
+      let pontos = null;
+      if (fonte && partes.length > 1) {
+        pontos = [];
+        for (const [i, parte] of partes.entries()) {
+          setEtapaGeracao(t('carregando.lendoDocumento', { parte: i + 1, total: partes.length }));
+          pontos.push(...await generateWithRepair({
+            provider,
+            meta: { tarefa: 'notas', trechos: parte, parte: i + 1, totalPartes: partes.length, opcoes },
+            parse: (texto) => parseDocumentNotes(texto, parte),
+            signal: controller.signal,
+            onRetry,
+          }));
+        }
+        setEtapaGeracao(t('carregando.montandoDocumento'));
+      }
+
+      // Gera, valida e, se necessário, devolve os erros ao modelo para correção
+      const dadosCompletos = await generateWithRepair({
+        provider,
+        meta: fonte
+          ? { tarefa: 'documento', tema, trechos, pontos, opcoes }
+          : { tarefa: 'mapa', tema, opcoes },
+        parse: fonte ? (texto) => parseDocumentMap(texto, trechos) : parseMapa,
+        signal: controller.signal,
+        onRetry,
+        onProgress: (texto, tentativa) => {
+          const parcial = readPartialMap(texto);
+          // Só atualiza a prévia quando chega um nó, uma aresta ou o resumo
+          setPrevia(atual => (
+            atual.tentativa === tentativa
+            && atual.nodes.length === parcial.nodes.length
+            && atual.edges.length === parcial.edges.length
+            && atual.resumo === parcial.resumo
+          ) ? atual : { ...parcial, tentativa });
+        },
+      });
+      // Cancelada enquanto a última resposta terminava de chegar
+      if (controller.signal.aborted) return;
+      geracaoRef.current = null;
+      if (chaveCache) writeCachedMap(chaveCache, dadosCompletos, { provider: provider.id, model: provider.model });
+      exibirMapaGerado(dadosCompletos, provider, opcoes, fonte);
+
+    } catch (error) {
+      // O cancelamento já foi tratado em handleCancelarGeracao
+      if (controller.signal.aborted) return;
+      geracaoRef.current = null;
+      console.error(`Erro ao gerar o mapa com o provedor ${provider.id}:`, error);
+      mostrarFalha(error, provider.id, ['gerar', { forcarNovo }]);
+      navigate({ tela: TELAS.HOME }, { substituir: true });
+    }
+  };
+
+  // --- EXPANDIR TÓPICO ---
+  const handleExpandirNo = async (nodeId) => {
+    let provider;
+    try {
+      provider = createProvider(llmSettings);
+    } catch (error) {
+      mostrarFalha(error, llmSettings.provider);
       return;
     }
+    setFalha(null);
+
+    const caminho = getPathLabels(nodes, edges, nodeId);
+    const { children } = buildTree(nodes, edges);
+    const existentes = (children.get(nodeId) || [])
+      .map(id => nodes.find(n => n.id === id)?.data.label)
+      .filter(Boolean);
 
+    setExpandindo(atual => new Set(atual).add(nodeId));
     try {
-      const genAI = new GoogleGenerativeAI(apiKey);
-      const model = genAI.getGenerativeModel({ 
-        model: "gemini-2.0-flash", // Modelo rápido e estável
-        generationConfig: {
-          responseMimeType: "application/json"
-        }
+      const filhos = await generateWithRepair({
+        provider,
+        meta: { tarefa: 'expandir', tema, caminho, existentes, opcoes: mapaMeta.opcoes || opcoesGeracao },
+        parse: (texto) => parseExpansao(texto, existentes),
       });
 
-      const prompt = getPrompt(tema);
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      let respostaJsonString = response.text();
-      
-      respostaJsonString = cleanJsonString(respostaJsonString);
-      const dadosCompletos = JSON.parse(respostaJsonString);
-      
-      // Processa os nós para adicionar o tipo customizado e garantir posição
-      const processedNodes = (dadosCompletos.mapa.nodes || []).map((n, index) => ({
-        id: n.id || `node-${index}`,
-        type: 'mindmap',
-        position: n.position || { x: 0, y: 0 }, // Fallback para evitar erro de 'x undefined'
-        data: {
-          ...n.data,
-          id: n.id
-        }
+      const idsUsados = new Set(nodes.map(n => n.id));
+      const novosNodes = filhos.map(({ label, descricao }) => {
+        const id = createNodeId(idsUsados);
+        idsUsados.add(id);
+        return { id, type: 'mindmap', position: { x: 0, y: 0 }, data: { label, descricao, id } };
+      });
+      const novasArestas = novosNodes.map(n => ({
+        id: `e${nodeId}-${n.id}`,
+        source: nodeId,
+        target: n.id,
+        ...edgeDefaults
       }));
 
-      // Processa as arestas
-      const processedEdges = (dadosCompletos.mapa.edges || []).map(e => ({
-        ...e,
-        animated: true,
-        style: { stroke: '#6b7280', strokeWidth: 2 }
+      // Posiciona com base no estado mais recente, sem mover o que já existe
+      historico.executar('historico.expandirTopico', (nds, eds) => ({
+        nodes: [...expandNode(nds, nodeId), ...placeNewChildren(nds, eds, nodeId, novosNodes, { direction: layoutMode })],
+        edges: [...eds, ...novasArestas]
       }));
+    } catch (error) {
+      console.error(`Erro ao expandir o nó ${nodeId}:`, error);
+      mostrarFalha(error, provider.id, ['expandir', nodeId]);
+    } finally {
+      setExpandindo(atual => {
+        const proximo = new Set(atual);
+        proximo.delete(nodeId);
+        return proximo;
+      });
+    }
+  };
+
+  // --- APROFUNDAR NOTAS ---
+  // A IA escreve notas mais completas sobre o tópico, acrescentadas às que ele já tem
+  const handleElaborarNotas = async (nodeId) => {
+    let provider;
+    try {
+      provider = createProvider(llmSettings);
+    } catch (error) {
+      mostrarFalha(error, llmSettings.provider);
+      return;
+    }
+    setFalha(null);
+
+    const no = nodes.find(n => n.id === nodeId);
+    const caminho = getPathLabels(nodes, edges, nodeId);
+    const { children } = buildTree(nodes, edges);
+    const subtopicos = (children.get(nodeId) || [])
+      .map(id => nodes.find(n => n.id === id)?.data.label)
+      .filter(Boolean);
+
+    setElaborandoId(nodeId);
+    try {
+      const notas = await generateWithRepair({
+        provider,
+        meta: {
+          tarefa: 'elaborar', tema, caminho, subtopicos, descricao: no.data.descricao, notas: no.data.notas, opcoes: mapaMeta.opcoes || opcoesGeracao,
+        },
+        parse: parseElaboration,
+      });
+      // Lê as notas do estado mais recente: podem ter sido editadas durante o pedido
+      historico.executar('historico.elaborarNotas', (nds, eds) => {
+        const atual = nds.find(n => n.id === nodeId);
+        return atual && updateNodeData(nds, eds, nodeId, { notas: appendNotes(atual.data.notas, notas) });
+      });
+    } catch (error) {
+      console.error(`Erro ao aprofundar as notas do nó ${nodeId}:`, error);
+      mostrarFalha(error, provider.id, ['elaborar', nodeId]);
+    } finally {
+      setElaborandoId(null);
+    }
+  };
+
+  // --- REGENERAR COM REVISÃO ---
+  // Estado completo do mapa, como é guardado no histórico de versões
+  const estadoAtual = () => ({ tema, resumo, layoutMode, ...historico.capturar() });
+
+  // Guarda um estado confirmado no histórico de versões. Se o mapa mudou desde a
+  // última versão (edições manuais), `anterior` é guardado antes dele
+  const registrarVersao = async (rotulo, mapa, anterior) => {
+    if (!mapaId) return;
+    try {
+      const [ultima] = await listVersions(mapaId);
+      if (!ultima || mapSignature(ultima) !== mapSignature(anterior)) {
+        await saveVersion({ ...anterior, mapaId, rotulo: t(ultima ? 'versoes.edicoesManuais' : 'versoes.original') });
+      }
+      await saveVersion({ ...mapa, mapaId, rotulo });
+      setAtualizacaoVersoes(n => n + 1);
+    } catch (err) {
+      console.error('Erro ao salvar a versão do mapa:', err);
+    }
+  };
+
+  // Mostra no canvas um mapa que não é o atual (proposta em revisão, versão antiga)
+  const mostrarSobreposicao = ({ nodes: nds, edges: eds }, { refazerLayout = false } = {}) => {
+    setSobreposicao({
+      nodes: refazerLayout ? computeLayout(nds, eds, { direction: layoutMode }) : nds,
+      edges: eds,
+      layoutPendente: refazerLayout,
+    });
+    setModoEdicao(false);
+    setDetalhesId(null);
+    setVisao('mapa');
+    requestAnimationFrame(() => rfInstance?.fitView({ duration: 400 }));
+  };
+
+  const fecharSobreposicao = () => {
+    setSobreposicao(null);
+    setRevisao(null);
+    setVersaoVista(null);
+  };
+
+  // Sem `ramoId`, regenera o mapa inteiro. A proposta é comparada com o mapa do
+  // momento em que chega e só muda o mapa depois de revisada
+  const handleRegenerar = async (ramoId = null) => {
+    if (regenerando) return;
+    let provider;
+    try {
+      provider = createProvider(llmSettings);
+    } catch (error) {
+      mostrarFalha(error, llmSettings.provider);
+      return;
+    }
+    setFalha(null);
+
+    const { roots, children } = buildTree(nodes, edges);
+    const raizId = ramoId ?? roots[0];
+    if (raizId === undefined) return;
+    const ramo = raizId !== roots[0];
+    const porId = new Map(nodes.map(n => [n.id, n]));
+    const topicos = [];
+    const visitar = (id, pai, nivel) => {
+      const { label, descricao = '' } = porId.get(id).data;
+      topicos.push({ id, pai, nivel, label, descricao });
+      (children.get(id) || []).forEach(filho => visitar(filho, id, nivel + 1));
+    };
+    visitar(raizId, null, 0);
+    const caminho = ramo ? getPathLabels(nodes, edges, raizId) : [tema || topicos[0].label];
+    const nome = ramo ? t('regeneracao.doRamo', { titulo: topicos[0].label }) : t('regeneracao.doMapa');
+
+    const controller = new AbortController();
+    setRegenerando({ raizId, nome, controller });
+    fecharSobreposicao();
+    setShowHistorico(false);
+    setDetalhesId(null);
+    try {
+      const dados = await generateWithRepair({
+        provider,
+        meta: { tarefa: 'regenerar', tema, caminho, topicos, opcoes: mapaMeta.opcoes || opcoesGeracao },
+        parse: parseMapa,
+        signal: controller.signal,
+      });
+      if (controller.signal.aborted) return;
+
+      const atual = historico.capturar();
+      // O ramo foi excluído enquanto a IA respondia
+      if (!atual.nodes.some(n => n.id === raizId)) return;
+      const diff = diffMaps(atual, dados.mapa, raizId);
+      const resumoNovo = !ramo && dados.resumo && dados.resumo !== resumo ? dados.resumo : null;
+      if (diff.mudancas.length === 0 && !resumoNovo) {
+        mostrarAviso(t('regeneracao.semMudancas'));
+        return;
+      }
+
+      setRevisao({
+        ...diff,
+        raizId,
+        nome,
+        resumoNovo,
+        aceitaResumo: Boolean(resumoNovo),
+        aceitas: new Set(diff.mudancas.map(m => m.id)),
+      });
+      const mapaRevisao = buildReviewMap(atual, diff);
+      mostrarSobreposicao({
+        nodes: mapaRevisao.nodes,
+        edges: mapaRevisao.edges.map(e => ({ ...edgeDefaults, ...e })),
+      }, { refazerLayout: true });
+    } catch (error) {
+      // O cancelamento já foi tratado em handleCancelarRegeneracao
+      if (controller.signal.aborted) return;
+      console.error(`Erro na regeneração ${nome}:`, error);
+      mostrarFalha(error, provider.id, ['regenerar', ramoId]);
+    } finally {
+      setRegenerando(atual => (atual?.controller === controller ? null : atual));
+    }
+  };
+
+  const handleCancelarRegeneracao = () => {
+    regenerando?.controller.abort();
+    setRegenerando(null);
+  };
+
+  const handleDecidir = (id, aceita) => {
+    setRevisao(atual => {
+      const aceitas = new Set(atual.aceitas);
+      if (aceita) aceitas.add(id);
+      else aceitas.delete(id);
+      return { ...atual, aceitas };
+    });
+  };
+
+  const handleDecidirTodas = (aceita) => {
+    setRevisao(atual => ({ ...atual, aceitas: new Set(aceita ? atual.mudancas.map(m => m.id) : []) }));
+  };
+
+  const handleDescartarRevisao = () => {
+    fecharSobreposicao();
+    requestAnimationFrame(() => rfInstance?.fitView({ duration: 400 }));
+  };
+
+  // Aplica as mudanças aceitas ao mapa (um passo de desfazer) e guarda a nova versão
+  const handleAplicarRevisao = async () => {
+    const { raizId, nome, aceitas, mudancas, resumoNovo, aceitaResumo } = revisao;
+    const novoResumo = resumoNovo && aceitaResumo ? resumoNovo : resumo;
+    handleDescartarRevisao();
+    if (aceitas.size === 0 && novoResumo === resumo) return;
+
+    const anterior = estadoAtual();
+    const resultado = historico.executar('historico.regenerar', (nds, eds) => {
+      const aplicado = applyReview({ nodes: nds, edges: eds }, revisao, raizId, aceitas);
+      const arestas = aplicado.edges.map(e => ({ ...edgeDefaults, ...e }));
+      return { nodes: computeLayout(aplicado.nodes, arestas, { direction: layoutMode }), edges: arestas };
+    });
+    setLayoutPendente(true);
+    setResumo(novoResumo);
+    await registrarVersao(
+      t('versoes.regeneracao', { nome, aceitas: aceitas.size, total: mudancas.length }),
+      { ...anterior, ...resultado, resumo: novoResumo },
+      anterior
+    );
+  };
+
+  // --- HISTÓRICO DE VERSÕES ---
+  const handleVerVersao = (versao) => {
+    setRevisao(null);
+    setVersaoVista(versao);
+    mostrarSobreposicao({ nodes: versao.nodes, edges: versao.edges.map(e => ({ ...edgeDefaults, ...e })) });
+  };
+
+  // Torna a versão o mapa atual (pode ser desfeito); as edições desde a última versão são guardadas antes
+  const handleRestaurarVersao = async (versao) => {
+    const anterior = estadoAtual();
+    historico.executar('historico.restaurarVersao', () => ({
+      nodes: versao.nodes,
+      edges: versao.edges.map(e => ({ ...edgeDefaults, ...e })),
+    }));
+    setTema(versao.tema);
+    setResumo(versao.resumo);
+    if (versao.layoutMode) setLayoutMode(versao.layoutMode);
+    fecharSobreposicao();
+    requestAnimationFrame(() => rfInstance?.fitView({ duration: 400 }));
+    await registrarVersao(t('versoes.restaurada', { rotulo: versao.rotulo }), versao, anterior);
+  };
+
+  // Ao trocar de mapa, a regeneração em andamento e a revisão são descartadas
+  const encerrarRegeneracao = () => {
+    regenerando?.controller.abort();
+    setRegenerando(null);
+    fecharSobreposicao();
+    setShowHistorico(false);
+    encerrarRelacoes();
+  };
+
+  // --- RELAÇÕES ENTRE RAMOS ---
+  // A IA sugere ligações entre tópicos que a árvore não mostra; as sugestões
+  // aparecem pontilhadas no mapa e só entram nele (um passo de desfazer cada)
+  // quando aceitas
+  const encerrarRelacoes = () => {
+    sugerindoRelacoes?.abort();
+    setSugerindoRelacoes(null);
+    setSugestoesRelacoes([]);
+    setShowRelacoes(false);
+  };
+
+  const handleSugerirRelacoes = async () => {
+    if (sugerindoRelacoes) return;
+    let provider;
+    try {
+      provider = createProvider(llmSettings);
+    } catch (error) {
+      mostrarFalha(error, llmSettings.provider);
+      return;
+    }
+    setFalha(null);
+
+    const topicos = nodes.map(n => ({
+      id: n.id,
+      caminho: getPathLabels(nodes, edges, n.id),
+      descricao: n.data.descricao || '',
+    }));
+    const ligados = edges.filter(isRelationEdge).map(e => [e.source, e.target]);
+    const controller = new AbortController();
+    setSugerindoRelacoes(controller);
+    try {
+      const sugestoes = await generateWithRepair({
+        provider,
+        meta: { tarefa: 'relacoes', tema, topicos, ligados, maximo: MAX_SUGESTOES, opcoes: mapaMeta.opcoes || opcoesGeracao },
+        parse: (texto) => parseCrossLinks(texto, nodes, edges),
+        signal: controller.signal,
+      });
+      if (controller.signal.aborted) return;
+      if (sugestoes.length === 0) {
+        mostrarAviso(t('relacoes.semNovas'));
+        return;
+      }
+      setSugestoesRelacoes(sugestoes);
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('Erro ao sugerir relações:', error);
+      mostrarFalha(error, provider.id, ['relacoes']);
+    } finally {
+      setSugerindoRelacoes(atual => (atual === controller ? null : atual));
+    }
+  };
+
+  const handleCancelarRelacoes = () => {
+    sugerindoRelacoes?.abort();
+    setSugerindoRelacoes(null);
+  };
+
+  const handleAceitarRelacoes = (ids) => {
+    const aceitas = sugestoesRelacoes.filter(s => ids.includes(s.id));
+    setSugestoesRelacoes(atual => atual.filter(s => !ids.includes(s.id)));
+    const resultado = historico.executar(aceitas.length > 1 ? 'historico.aceitarRelacoes' : 'historico.aceitarRelacao', (nds, eds) =>
+      addRelations(nds, eds, aceitas));
+    // Um dos tópicos foi excluído ou ganhou outra ligação desde a sugestão
+    if (!resultado) mostrarAviso(t('relacoes.naoCabe'));
+  };
+
+  const handleDescartarRelacoes = (ids) => {
+    setSugestoesRelacoes(atual => atual.filter(s => !ids.includes(s.id)));
+  };
+
+  const handleEditarRelacao = (relacao) => {
+    const rotulo = window.prompt(t('relacoes.rotulo'), relacao.rotulo);
+    if (rotulo === null || rotulo.trim() === relacao.rotulo) return;
+    historico.executar('historico.rotularRelacao', (nds, eds) => setEdgeLabel(nds, eds, relacao.id, rotulo.trim()));
+  };
+
+  const handleRemoverRelacao = (id) => {
+    historico.executar('historico.removerRelacao', (nds, eds) => removeRelation(nds, eds, id));
+  };
+
+  const handleAbrirRelacoes = () => {
+    setShowHistorico(false);
+    setDetalhesId(null);
+    setShowRelacoes(!showRelacoes);
+  };
+
+  const handleAbrirDetalhes = (nodeId) => {
+    setShowHistorico(false);
+    setShowRelacoes(false);
+    setDetalhesId(nodeId);
+  };
+
+  // --- EDIÇÃO DO MAPA ---
+  const handleUpdateData = (nodeId, campos) => {
+    setAutoEditId(null);
+    historico.executar('historico.editarTexto', (nds, eds) => updateNodeData(nds, eds, nodeId, campos));
+  };
+
+  const handleAddChild = (nodeId) => {
+    const resultado = historico.executar('historico.adicionarSubtopico', (nds, eds) =>
+      addChildNode(expandNode(nds, nodeId), eds, nodeId, { direction: layoutMode, edgeDefaults, label: t('no.novoTopico') }));
+    setAutoEditId(resultado.novoId);
+  };
+
+  const handleAddSibling = (nodeId) => {
+    const resultado = historico.executar('historico.adicionarIrmao', (nds, eds) =>
+      addSiblingNode(nds, eds, nodeId, { direction: layoutMode, edgeDefaults, label: t('no.novoTopico') }));
+    if (resultado) setAutoEditId(resultado.novoId);
+  };
+
+  const handleDeleteNode = (nodeId) => {
+    historico.executar('historico.excluirTopico', (nds, eds) => deleteSubtree(nds, eds, nodeId));
+  };
+
+  // Cor, ícone e forma escolhidos no tópico
+  const handleUpdateStyle = (nodeId, campos) => {
+    historico.executar('historico.mudarEstilo', (nds, eds) => updateNodeData(nds, eds, nodeId, campos));
+  };
+
+  // Notas, links e imagens, editados no painel de detalhes
+  const handleUpdateDetails = (nodeId, campos, rotulo) => {
+    historico.executar(rotulo, (nds, eds) => updateNodeData(nds, eds, nodeId, campos));
+  };
+
+  // Duplo clique numa ligação (modo de edição) escreve ou apaga o rótulo dela
+  const handleEdgeDoubleClick = (_event, aresta) => {
+    // Sugestões de relação ainda não estão no mapa: são decididas no painel
+    if (!modoEdicao || isLocked || sobreposicao || aresta.data?.sugestao) return;
+    const rotulo = window.prompt(t('canvas.rotuloLigacao'), aresta.label || '');
+    if (rotulo === null) return;
+    historico.executar('historico.rotularLigacao', (nds, eds) => setEdgeLabel(nds, eds, aresta.id, rotulo.trim()));
+  };
+
+  // Arrastar de um handle a outro torna o destino filho da origem
+  const handleConnect = ({ source, target }) => {
+    if (!canReparent(nodes, edges, source, target)) return;
+    historico.executar('historico.reconectarTopico', (nds, eds) => reparentNode(nds, eds, source, target, { edgeDefaults }));
+  };
+
+  // Uma relação arrastada liga outros dois tópicos; uma aresta da árvore muda o pai
+  const handleReconnect = (arestaAntiga, { source, target }) => {
+    if (isRelationEdge(arestaAntiga)) {
+      historico.executar('historico.moverRelacao', (nds, eds) => reconnectRelation(nds, eds, arestaAntiga.id, source, target));
+      return;
+    }
+    if (!canReparent(nodes, edges, source, target)) return;
+    historico.executar('historico.reconectarTopico', (nds, eds) =>
+      reparentNode(nds, eds, source, target, { edgeDefaults, arestaRemovida: arestaAntiga.id }));
+  };
+
+  const handleNodeDragStart = () => {
+    arrasteRef.current = historico.capturar();
+  };
+
+  const handleNodeDragStop = (event, node) => {
+    const antes = arrasteRef.current;
+    arrasteRef.current = null;
+    const original = antes?.nodes.find(n => n.id === node.id);
+    if (original && (original.position.x !== node.position.x || original.position.y !== node.position.y)) {
+      historico.registrar('historico.moverTopico', antes);
+    }
+  };
+
+  // Clicar num tópico abre os detalhes; os botões e campos do cartão têm ações próprias
+  const handleNodeClick = (event, node) => {
+    if (sobreposicao || event.target.closest('button, input, textarea, a')) return;
+    handleAbrirDetalhes(node.id);
+  };
+
+  // Atalhos: Ctrl+Z desfaz, Ctrl+Shift+Z (ou Ctrl+Y) refaz, Delete exclui o selecionado,
+  // Ctrl+F abre a busca no mapa
+  const onKeyDown = useEffectEvent((e) => {
+    if (telaAtual !== TELAS.RESULT || showEstudo || showApresentacao) return;
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+      e.preventDefault();
+      buscaRef.current?.focus();
+      buscaRef.current?.select();
+      return;
+    }
+    const alvo = e.target;
+    if (alvo instanceof HTMLElement && (alvo.isContentEditable || ['INPUT', 'TEXTAREA'].includes(alvo.tagName))) {
+      return;
+    }
+    // Proposta em revisão ou versão antiga na tela: o mapa em si não está visível
+    if (sobreposicao) return;
+    const tecla = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && tecla === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) acoesHistorico.refazer();
+      else acoesHistorico.desfazer();
+    } else if ((e.ctrlKey || e.metaKey) && tecla === 'y') {
+      e.preventDefault();
+      acoesHistorico.refazer();
+    } else if (modoEdicao && e.key === 'Delete') {
+      nodes.filter(n => n.selected).forEach(n => handleDeleteNode(n.id));
+    }
+  });
+
+  useEffect(() => {
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // --- RAMOS RECOLHIDOS E FOCO ---
+  // Um foco num nó que deixou de existir (ex.: excluído) é ignorado
+  const focoAtivo = focoId && nodes.some(n => n.id === focoId) ? focoId : null;
+  const infoRecolhidos = useMemo(() => getCollapseInfo(nodes, edges, focoAtivo), [nodes, edges, focoAtivo]);
+  const visiveis = useMemo(
+    () => applyVisibility(nodes, edges, infoRecolhidos.ocultos),
+    [nodes, edges, infoRecolhidos]
+  );
+
+  // Caminho da raiz até o nó em foco, para as "migalhas de pão"
+  const trilhaFoco = useMemo(() => {
+    if (!focoAtivo) return [];
+    const { parent } = buildTree(nodes, edges);
+    const trilha = [];
+    for (let atual = focoAtivo; atual !== undefined; atual = parent.get(atual)) {
+      trilha.unshift({ id: atual, label: nodes.find(n => n.id === atual)?.data.label });
+    }
+    return trilha;
+  }, [nodes, edges, focoAtivo]);
+
+  // Reenquadra depois que o React Flow aplicar a nova visibilidade
+  const enquadrar = () => {
+    setTimeout(() => rfInstance?.fitView({ duration: 400 }), 50);
+  };
+
+  const handleToggleRecolhido = (nodeId) => {
+    setNodes(nds => toggleCollapsed(nds, nodeId));
+  };
+
+  const handleFocar = (nodeId) => {
+    setFocoId(nodeId);
+    enquadrar();
+  };
+
+  const handleExpandirTudo = () => {
+    setNodes(nds => expandAll(nds));
+    enquadrar();
+  };
+
+  const handleRecolherNivel = (nivel) => {
+    setNodes(nds => collapseToLevel(nds, edges, nivel));
+    enquadrar();
+  };
+
+  // --- BUSCA NO MAPA ---
+  const resultadosBusca = useMemo(() => searchNodes(nodes, edges, busca), [nodes, edges, busca]);
+  const buscando = busca.trim() !== '';
+  const atualBusca = indiceBusca >= 0 && indiceBusca < resultadosBusca.length
+    ? resultadosBusca[indiceBusca]
+    : null;
+  const destaquesBusca = useMemo(() => new Set(resultadosBusca), [resultadosBusca]);
+
+  const handleBuscaChange = (termo) => {
+    setBusca(termo);
+    setIndiceBusca(-1);
+  };
+
+  // Mostra o nó (abrindo ramos recolhidos e saindo de um foco que o esconda) e centraliza nele
+  const irParaNo = (nodeId) => {
+    if (infoRecolhidos.ocultos.has(nodeId)) {
+      if (focoAtivo && !getSubtreeIds(nodes, edges, focoAtivo).has(nodeId)) setFocoId(null);
+      setNodes(nds => revealNode(nds, edges, nodeId));
+    }
+    setCursorId(nodeId);
+    setTimeout(() => rfInstance?.fitView({ nodes: [{ id: nodeId }], duration: 400, maxZoom: 1.2 }), 50);
+  };
+
+  // Enter avança, Shift+Enter volta; os dois dão a volta no fim da lista
+  const handlePassoBusca = (passo) => {
+    const total = resultadosBusca.length;
+    if (total === 0) return;
+    const novo = indiceBusca < 0
+      ? (passo > 0 ? 0 : total - 1)
+      : (indiceBusca + passo + total) % total;
+    setIndiceBusca(novo);
+    irParaNo(resultadosBusca[novo]);
+  };
+
+  const handleIrParaResultado = (nodeId) => {
+    setIndiceBusca(resultadosBusca.indexOf(nodeId));
+    irParaNo(nodeId);
+  };
+
+  // --- NAVEGAÇÃO PELO TECLADO ---
+  const arvoreInfo = useMemo(() => getTreeItemInfo(nodes, edges), [nodes, edges]);
+  const ordemVisivel = useMemo(
+    () => flattenVisible(nodes, edges, infoRecolhidos.ocultos),
+    [nodes, edges, infoRecolhidos]
+  );
+  // Se o tópico atual sumiu (excluído, recolhido ou fora do foco), o Tab entra pelo primeiro visível
+  const cursorAtivo = ordemVisivel.includes(cursorId) ? cursorId : (ordemVisivel[0] ?? null);
+  const noDetalhes = detalhesId ? nodes.find(n => n.id === detalhesId) : null;
+
+  // Traz o nó para dentro da área visível do canvas, sem mudar o zoom
+  const mostrarNaTela = (nodeId) => {
+    const no = rfInstance?.getNode(nodeId);
+    const area = mapRef.current;
+    if (!no?.positionAbsolute || !area) return;
+    const { x, y, zoom } = rfInstance.getViewport();
+    const largura = (no.width || 0) * zoom;
+    const altura = (no.height || 0) * zoom;
+    const esquerda = no.positionAbsolute.x * zoom + x;
+    const topo = no.positionAbsolute.y * zoom + y;
+    const margem = 24;
+    if (esquerda >= margem && topo >= margem
+        && esquerda + largura <= area.clientWidth - margem && topo + altura <= area.clientHeight - margem) {
+      return;
+    }
+    rfInstance.setCenter(
+      no.positionAbsolute.x + (no.width || 0) / 2,
+      no.positionAbsolute.y + (no.height || 0) / 2,
+      { zoom, duration: 200 }
+    );
+  };
 
-      setNodes(processedNodes);
-      setEdges(processedEdges);
-      setResumo(dadosCompletos.resumo || 'Resumo não disponível.');
+  // Move o foco do DOM para o tópico na visão atual, depois que ela renderizar
+  const focarItem = (nodeId) => {
+    setTimeout(() => {
+      const raiz = visao === 'lista' ? listaRef.current : mapRef.current;
+      raiz?.querySelector(`[data-item-id="${CSS.escape(nodeId)}"]`)?.focus({ preventScroll: visao === 'mapa' });
+      if (visao === 'mapa') mostrarNaTela(nodeId);
+    }, 0);
+  };
+
+  const handleCursor = (nodeId, { mover = false } = {}) => {
+    setCursorId(nodeId);
+    // No modo de edição a seleção acompanha o teclado, para a barra do nó e o Delete
+    if (modoEdicao) {
+      setNodes(nds => nds.map(n => (Boolean(n.selected) === (n.id === nodeId) ? n : { ...n, selected: n.id === nodeId })));
+    }
+    if (mover) focarItem(nodeId);
+  };
+
+  // Teclas sobre um tópico do canvas: setas seguem a direção do layout
+  const handleNavegarTeclado = (nodeId, e) => {
+    const relacao = ARROW_RELATIONS[layoutMode][e.key];
+    const node = nodes.find(n => n.id === nodeId);
+    const temFilhos = (infoRecolhidos.descendentes.get(nodeId) || 0) > 0;
+    let destino = null;
+
+    if (relacao === 'filho' && node.data.recolhido) {
+      // Como na lista: em ramo recolhido, a seta "para o filho" primeiro abre o ramo
+      handleToggleRecolhido(nodeId);
+    } else if (relacao) {
+      destino = findNeighbor(nodes, edges, nodeId, relacao, infoRecolhidos.ocultos);
+    } else if (e.key === 'Home') {
+      destino = ordemVisivel[0];
+    } else if (e.key === 'End') {
+      destino = ordemVisivel[ordemVisivel.length - 1];
+    } else if (e.key === 'Enter') {
+      setDetalhesId(nodeId);
+    } else if (e.key === ' ' && temFilhos) {
+      handleToggleRecolhido(nodeId);
+    } else {
+      return;
+    }
+    e.preventDefault();
+    if (destino) handleCursor(destino, { mover: true });
+  };
+
+  const handleFecharDetalhes = () => {
+    const id = detalhesId;
+    setDetalhesId(null);
+    if (id) focarItem(id);
+  };
+
+  const handleTrocarVisao = (nova) => {
+    setVisao(nova);
+    if (cursorAtivo) {
+      setTimeout(() => {
+        const raiz = nova === 'lista' ? listaRef.current : mapRef.current;
+        raiz?.querySelector(`[data-item-id="${CSS.escape(cursorAtivo)}"]`)?.focus({ preventScroll: nova === 'mapa' });
+      }, 0);
+    }
+  };
+
+  // Mudanças da revisão por nó, com a decisão atual
+  const marcasRevisao = useMemo(() => new Map(
+    (revisao?.mudancas || []).map(m => [m.id, { ...m, aceita: revisao.aceitas.has(m.id) }])
+  ), [revisao]);
+
+  // --- APARÊNCIA ---
+  // Cores dos ramos calculadas no mapa inteiro (recolher ou focar não muda as
+  // cores); na revisão, as arestas de tópicos novos e removidos ganham o destaque
+  const temaVisual = THEMES[aparencia.tema];
+  const mapaColorido = sobreposicao ?? { nodes, edges };
+  const ramos = useMemo(
+    () => getBranchColors(mapaColorido.nodes, mapaColorido.edges, temaVisual.paleta),
+    [mapaColorido.nodes, mapaColorido.edges, temaVisual]
+  );
+  // A apresentação percorre só o que está à vista: ramos recolhidos ficam de fora
+  const mapaApresentacao = useMemo(() => getVisibleMap(nodes, edges), [nodes, edges]);
+  // Sugestões de relação entram só no desenho, sem seleção nem reconexão
+  const arestasSugeridas = useMemo(() => {
+    const ids = new Set(nodes.map(n => n.id));
+    const arestas = sugestoesRelacoes
+      .filter(s => ids.has(s.source) && ids.has(s.target))
+      .map(s => {
+        const aresta = createRelationEdge(s);
+        return { ...aresta, id: `sugestao-${aresta.id}`, data: { ...aresta.data, sugestao: true }, selectable: false, focusable: false, updatable: false };
+      });
+    return applyVisibility([], arestas, infoRecolhidos.ocultos).edges;
+  }, [nodes, sugestoesRelacoes, infoRecolhidos]);
+  const arestasExibidas = useMemo(() => styleEdges(
+    sobreposicao?.edges ?? [...visiveis.edges, ...arestasSugeridas], ramos.cores, aparencia
+  ).map(e => {
+    const estilo = !isRelationEdge(e) && ESTILO_ARESTA_REVISAO[marcasRevisao.get(e.target)?.tipo];
+    return estilo ? { ...e, style: estilo, animated: false } : e;
+  }), [sobreposicao, visiveis, arestasSugeridas, ramos, aparencia, marcasRevisao]);
+
+  // Relações guardadas no mapa e títulos dos tópicos, para o painel
+  const titulosTopicos = useMemo(() => new Map(nodes.map(n => [n.id, n.data.label])), [nodes]);
+  const relacoesDoMapa = useMemo(() => edges.filter(isRelationEdge).map(e => ({
+    id: e.id,
+    source: e.source,
+    target: e.target,
+    rotulo: e.label || '',
+    justificativa: e.data.justificativa || '',
+  })), [edges]);
+
+  const handleAparenciaChange = (nova) => {
+    setAparencia(nova);
+    saveAppearance(nova);
+  };
+
+  const mapActions = {
+    onExpand: handleExpandirNo,
+    expandindo,
+    modoEdicao,
+    autoEditId,
+    onUpdateData: handleUpdateData,
+    onAddChild: handleAddChild,
+    onAddSibling: handleAddSibling,
+    onDelete: handleDeleteNode,
+    descendentes: infoRecolhidos.descendentes,
+    focoId: focoAtivo,
+    onToggleCollapse: handleToggleRecolhido,
+    onFocus: handleFocar,
+    busca: { termo: busca, resultados: destaquesBusca, atualId: atualBusca },
+    arvore: arvoreInfo,
+    cursorId: cursorAtivo,
+    onCursor: handleCursor,
+    onNavigate: handleNavegarTeclado,
+    onOpenDetails: handleAbrirDetalhes,
+    // Proposta em revisão ou versão antiga: só visualização, sem ações nos nós
+    somenteLeitura: Boolean(sobreposicao),
+    permiteIa: !somenteLeitura,
+    selecoesRemotas,
+    onRegenerate: handleRegenerar,
+    regenerandoId: regenerando?.raizId ?? null,
+    revisao: marcasRevisao,
+    onDecide: handleDecidir,
+    aparencia: { tema: temaVisual, ...ramos },
+    onUpdateStyle: handleUpdateStyle,
+  };
+
+  const handleSettingsChange = (novas) => {
+    setLlmSettings(novas);
+    saveSettings(novas);
+  };
+
+  const handleIdiomaChange = (idioma) => {
+    setIdiomaUi(idioma);
+    saveLanguage(idioma);
+  };
+
+  const handleOpcoesChange = (novas) => {
+    setOpcoesGeracao(novas);
+    saveOptions(novas);
+  };
+
+  // --- LAYOUT ---
+  const handleRelayout = (direction = layoutMode) => {
+    setLayoutMode(direction);
+    historico.executar('historico.reorganizarLayout', (nds, eds) => ({ nodes: computeLayout(nds, eds, { direction }), edges: eds }));
+    // Espera o React Flow aplicar as novas posições antes de enquadrar
+    requestAnimationFrame(() => rfInstance?.fitView({ duration: 400 }));
+  };
+
+  const handleNodesChange = (changes) => {
+    // Mapa sobreposto: as mudanças (medidas, arrastar) valem só para ele; com as
+    // medidas reais, o layout estimado da proposta é refeito
+    if (sobreposicao) {
+      const medidos = applyNodeChanges(changes, sobreposicao.nodes);
+      const refazer = sobreposicao.layoutPendente && medidos.every(n => n.width && n.height);
+      setSobreposicao({
+        ...sobreposicao,
+        nodes: refazer ? computeLayout(medidos, sobreposicao.edges, { direction: layoutMode }) : medidos,
+        layoutPendente: sobreposicao.layoutPendente && !refazer,
+      });
+      if (refazer) requestAnimationFrame(() => rfInstance?.fitView({ duration: 400 }));
+      return;
+    }
+    // Assim que os nós recém-gerados forem medidos, refaz o layout com o tamanho real
+    if (layoutPendente && changes.some(c => c.type === 'dimensions')) {
+      const medidos = applyNodeChanges(changes, nodes);
+      if (medidos.every(n => n.width && n.height)) {
+        setLayoutPendente(false);
+        setNodes(computeLayout(medidos, edges, { direction: layoutMode }));
+        requestAnimationFrame(() => rfInstance?.fitView());
+        return;
+      }
+    }
+    onNodesChange(changes);
+  };
+
+  // --- BIBLIOTECA LOCAL ---
+
+  // Salva automaticamente o mapa aberto a cada mudança (com um pequeno atraso)
+  useEffect(() => {
+    if (telaAtual !== TELAS.RESULT || !mapaId || nodes.length === 0) return;
+    const timer = setTimeout(() => {
+      saveMap({ ...mapaMeta, id: mapaId, tema, resumo, nodes, edges, layoutMode, aparencia, viewport })
+        .catch(err => console.error('Erro ao salvar o mapa:', err));
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [telaAtual, mapaId, mapaMeta, tema, resumo, nodes, edges, layoutMode, aparencia, viewport]);
+
+  // Carrega um mapa no estado, sem mexer na URL
+  const carregarMapa = (mapa, { layoutPendente: refazerLayout = false } = {}) => {
+    historico.limpar();
+    setTema(mapa.tema);
+    setResumo(mapa.resumo);
+    setNodes(mapa.nodes);
+    setEdges(mapa.edges);
+    setLayoutMode(mapa.layoutMode || LAYOUTS.TB);
+    setAparencia(normalizeAppearance(mapa.aparencia));
+    setLayoutPendente(refazerLayout);
+    setMapaId(mapa.id);
+    setMapaMeta({ nome: mapa.nome, criadoEm: mapa.criadoEm, modelo: mapa.modelo, opcoes: mapa.opcoes, documento: mapa.documento });
+    // Mapas gerados trazem as opções usadas, reaproveitadas ao gerar de novo
+    if (mapa.opcoes) setOpcoesGeracao(normalizeOptions(mapa.opcoes));
+    setViewport(mapa.viewport || null);
+    setViewportInicial(mapa.viewport || null);
+    setFocoId(null);
+    setBusca('');
+    setDetalhesId(null);
+    setShowEstudo(false);
+    setShowApresentacao(false);
+    setFalha(null);
+    setMapaDoCache(null);
+    encerrarRegeneracao();
+  };
+
+  const handleAbrirMapa = (mapa, opcoes) => {
+    carregarMapa(mapa, opcoes);
+    mostrarRota({ tela: TELAS.RESULT, mapaId: mapa.id });
+  };
+
+  // --- ROTAS E COMPARTILHAMENTO ---
+  // Marca o mapa carregado como o da rota e navega até ela
+  const mostrarRota = (destino, opcoes) => {
+    setRotaAberta(buildRoute(destino));
+    navigate(destino, opcoes);
+  };
+
+  // Mapa de um link: sem id, para não ir para a biblioteca até o usuário pedir uma cópia
+  const abrirCompartilhado = (mapa, chave) => {
+    const direction = mapa.layoutMode || LAYOUTS.TB;
+    const edgesCompartilhadas = mapa.edges.map(e => ({ ...edgeDefaults, ...e }));
+    carregarMapa({
+      ...mapa,
+      id: null,
+      nome: mapa.tema,
+      nodes: mapa.nodes,
+      edges: edgesCompartilhadas,
+      layoutMode: direction,
+    });
+    setModoEdicao(false);
+    setRotaAberta(chave);
+  };
+
+  // Abre o mapa pedido pela URL (link recebido, recarregar a página, voltar/avançar)
+  const aoMudarRota = useEffectEvent(async (destino) => {
+    // Saiu da tela de geração pelo navegador: a chamada em andamento é descartada
+    if (destino.tela !== TELAS.LOADING && geracaoRef.current) {
+      geracaoRef.current.controller.abort();
+      geracaoRef.current = null;
+    }
+    // #/gerando sem geração em andamento (ex.: página recarregada ou "avançar")
+    if (destino.tela === TELAS.LOADING && !geracaoRef.current) {
+      navigate({ tela: TELAS.HOME }, { substituir: true });
+      return;
+    }
+    if (destino.tela !== TELAS.RESULT || destino.chave === rotaAberta) return;
+    // Entrou ou saiu da sala do mapa que já está aberto
+    if (destino.mapaId && destino.mapaId === mapaId) {
+      setRotaAberta(destino.chave);
+      return;
+    }
+
+    try {
+      let mapa = destino.mapaId
+        ? await getMap(destino.mapaId)
+        : await decodeSharedMap(destino.compartilhado);
+      // A rota mudou de novo enquanto o mapa era lido
+      if (window.location.hash !== destino.chave) return;
+      // Convidado de uma sala sem cópia local: o mapa chega pelo servidor
+      if (!mapa && destino.sala) mapa = { id: destino.mapaId, tema: '', resumo: '', nodes: [], edges: [] };
+      if (!mapa) throw new LocalizedError('erros.mapaNaoSalvo');
+      if (destino.mapaId) carregarMapa(mapa);
+      else abrirCompartilhado(mapa, destino.chave);
+      setRotaAberta(destino.chave);
+    } catch (error) {
+      console.error('Erro ao abrir o mapa da URL:', error);
+      navigate({ tela: TELAS.HOME }, { substituir: true });
+      mostrarErro(t('erros.abrirMapa'), error);
+    }
+  });
+
+  useEffect(() => {
+    aoMudarRota(rota);
+  }, [rota]);
+
+  // Copia o link da rota e mostra a confirmação por alguns segundos
+  const copiarLink = async (destino, setCopiado) => {
+    const link = `${window.location.origin}${window.location.pathname}${buildRoute(destino)}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopiado(true);
+      setTimeout(() => setCopiado(false), 2500);
+    } catch {
+      // Sem acesso à área de transferência (ex.: página sem HTTPS)
+      window.prompt(t('erros.copieOLink'), link);
+    }
+  };
+
+  const handleCompartilhar = async () => {
+    try {
+      const dados = await encodeSharedMap({ tema, resumo, nodes, edges, layoutMode, aparencia, documento: mapaMeta.documento });
+      await copiarLink({ tela: TELAS.RESULT, compartilhado: dados }, setLinkCopiado);
+    } catch (error) {
+      console.error('Erro ao gerar o link de compartilhamento:', error);
+      mostrarErro(t('erros.gerarLink'), error);
+    }
+  };
+
+  // Abre a sala do mapa e copia o convite; quem abrir o link edita junto
+  const handleColaborar = () => {
+    const destino = { tela: TELAS.RESULT, mapaId, sala: true };
+    mostrarRota(destino);
+    copiarLink(destino, setConviteCopiado);
+  };
+
+  const handleSairDaSala = () => {
+    mostrarRota({ tela: TELAS.RESULT, mapaId });
+  };
+
+  // Ponteiro sobre o canvas, em coordenadas do mapa, para quem está na sala
+  const handleMovimentoPonteiro = (e) => {
+    if (!colab.status || !rfInstance) return;
+    colab.enviarCursor(rfInstance.screenToFlowPosition({ x: e.clientX, y: e.clientY }));
+  };
+
+  // Guarda o mapa compartilhado na biblioteca, onde ele pode ser editado
+  const handleSalvarCopia = async () => {
+    try {
+      const mapa = await saveMap({
+        ...mapaMeta,
+        id: crypto.randomUUID(),
+        tema, resumo, nodes, edges, layoutMode, aparencia, viewport,
+        criadoEm: new Date().toISOString(),
+        modelo: { provider: 'compartilhamento', model: 'Link' }
+      });
+      handleAbrirMapa(mapa);
+    } catch (error) {
+      console.error('Erro ao salvar a cópia do mapa:', error);
+      mostrarErro(t('erros.salvarCopia'), error);
+    }
+  };
 
-      setTelaAtual('RESULT');
+  // --- IMPORTAÇÃO E EXPORTAÇÃO DE FORMATOS ---
+  const handleImportarArquivo = async (event) => {
+    const arquivo = event.target.files?.[0];
+    // Limpa o input para permitir importar o mesmo arquivo de novo
+    event.target.value = '';
+    if (!arquivo) return;
 
+    try {
+      const importado = importMap(arquivo.name, await arquivo.text());
+      const direction = importado.layoutMode || LAYOUTS.TB;
+      const edgesImportadas = importado.edges.map(e => ({ ...edgeDefaults, ...e }));
+      handleAbrirMapa({
+        id: crypto.randomUUID(),
+        nome: importado.tema,
+        tema: importado.tema,
+        resumo: importado.resumo,
+        nodes: importado.temPosicoes
+          ? importado.nodes
+          : computeLayout(importado.nodes, edgesImportadas, { direction }),
+        edges: edgesImportadas,
+        layoutMode: direction,
+        aparencia: importado.aparencia,
+        viewport: importado.viewport,
+        opcoes: importado.opcoes,
+        documento: importado.documento,
+        criadoEm: new Date().toISOString(),
+        modelo: { provider: 'importacao', model: FORMATS[importado.formato].nome }
+      }, { layoutPendente: !importado.temPosicoes });
     } catch (error) {
-      console.error("Erro ao chamar a API do Gemini:", error);
-      alert("Desculpe, ocorreu um erro ao gerar o mapa. Verifique sua chave de API ou tente novamente mais tarde.");
-      setTelaAtual('HOME');
+      console.error('Erro ao importar arquivo:', error);
+      mostrarErro(t('erros.importar', { arquivo: arquivo.name }), error);
     }
   };
 
+  const handleExportFormato = (formato) => {
+    const { extensao, mime } = FORMATS[formato];
+    const conteudo = exportMap(formato, {
+      tema, resumo, nodes, edges, layoutMode, aparencia, viewport, opcoes: mapaMeta.opcoes, documento: mapaMeta.documento,
+    });
+    downloadFile(`${tema || 'mapa-mental'}.${extensao}`, conteudo, mime);
+  };
+
   // --- RESETAR ESTADO ---
   const handleVoltar = () => {
+    encerrarRegeneracao();
     setTema('');
+    // O próximo mapa começa com a última aparência escolhida
+    setAparencia(loadAppearance());
     setNodes([]);
     setEdges([]);
     setResumo('');
-    setTelaAtual('HOME');
+    historico.limpar();
+    setModoEdicao(false);
+    setShowEstudo(false);
+    setShowApresentacao(false);
+    setFalha(null);
+    setFocoId(null);
+    setBusca('');
+    setDetalhesId(null);
+    setMapaId(null);
+    setRotaAberta(null);
+    navigate({ tela: TELAS.HOME });
+  };
+
+  // --- MODO DE ESTUDO ---
+  // Questões mais elaboradas pela IA; as offline saem direto da estrutura do mapa
+  const handleGerarCartoesIa = () => {
+    const provider = createProvider(llmSettings);
+    const topicos = nodes.map(n => ({
+      id: n.id,
+      caminho: getPathLabels(nodes, edges, n.id),
+      descricao: n.data.descricao || '',
+    }));
+    return generateWithRepair({
+      provider,
+      meta: { tarefa: 'estudo', tema, topicos, opcoes: mapaMeta.opcoes || opcoesGeracao },
+      parse: (texto) => parseStudyCards(texto, nodes),
+    });
   };
 
   // --- LÓGICA DE EXPORTAÇÃO (PDF) ---
   const handleExportPDF = async () => {
-    if (mapRef.current === null) {
-      return;
+    if (nodes.length === 0) return;
+    document.body.style.cursor = 'wait';
+    try {
+      // Ramos recolhidos ficam fora do PDF, como na tela
+      const visivel = getVisibleMap(nodes, edges);
+      const estilo = { tema: temaVisual, ...getBranchColors(visivel.nodes, visivel.edges, temaVisual.paleta) };
+      const icones = await renderIconImages(visivel.nodes
+        .filter(n => n.data.icone)
+        .map(n => ({ icone: n.data.icone, cor: getIconColor(n.id, estilo) })));
+      // Títulos do PDF no idioma em que o mapa foi gerado
+      const idioma = (mapaMeta.opcoes || opcoesGeracao).idioma || idiomaUi;
+      const pdf = await buildMapPdf({ tema, resumo, ...visivel, modo: modoPdf, aparencia, icones, idioma });
+      pdf.save(`${tema || t('exportar.nomeArquivo')}.pdf`);
+    } catch (err) {
+      console.error('Erro ao exportar PDF:', err);
+      mostrarErro(t('exportar.erroPdf'), err);
+    } finally {
+      document.body.style.cursor = 'default';
     }
-    // Tira o foco dos nós para sumir as bordas azuis
-    document.querySelectorAll('.react-flow__node').forEach(n => n.blur());
-    await new Promise(r => setTimeout(r, 50)); 
+  };
 
+  // --- EXPORTAÇÃO COMO IMAGEM ---
+  // Só os nós desenhados (ramos recolhidos ficam de fora, como no PDF)
+  const handleExportImagem = async () => {
+    if (!rfInstance || !mapRef.current) return;
     document.body.style.cursor = 'wait';
     try {
-      // 1. Captura a imagem do mapa
-      const dataUrl = await htmlToImage.toPng(mapRef.current, { cacheBust: true });
-      
-      // 2. Configura o PDF
-      const pdf = new jsPDF('p', 'mm', 'a4');
-      const pdfWidth = pdf.internal.pageSize.getWidth();
-      const margin = 15;
-      const contentWidth = pdfWidth - (margin * 2);
-
-      // --- PÁGINA 1: TÍTULO E MAPA ---
-      pdf.setFont('Helvetica', 'bold');
-      pdf.setFontSize(20);
-      pdf.text(`Mapa Mental: ${tema}`, margin, 20);
-      
-      const imgProps = pdf.getImageProperties(dataUrl);
-      const imgHeight = (imgProps.height * contentWidth) / imgProps.width;
-      pdf.addImage(dataUrl, 'PNG', margin, 30, contentWidth, imgHeight);
-
-      // --- PÁGINA 2: CONTEÚDO ---
-      pdf.addPage();
-      
-      let currentY = 20; 
-      const lineSpacing = 7; 
-
-      // Resumo
-      pdf.setFont('Helvetica', 'bold');
-      pdf.setFontSize(16);
-      pdf.text('Resumo do Tema', margin, currentY);
-      currentY += 10; 
-
-      pdf.setFont('Helvetica', 'normal');
-      pdf.setFontSize(12);
-      const resumoLines = pdf.splitTextToSize(resumo, contentWidth);
-      pdf.text(resumoLines, margin, currentY);
-      currentY += (resumoLines.length * lineSpacing) + 10; 
-
-      // Tópicos Detalhados
-      pdf.setFont('Helvetica', 'bold');
-      pdf.setFontSize(16);
-      pdf.text('Principais Tópicos', margin, currentY); 
-      currentY += 10; 
-
-      pdf.setFont('Helvetica', 'normal');
-      pdf.setFontSize(12);
-      
-      const topicosText = nodes.map(node => {
-        return `• ${node.data.label}\n   ${node.data.descricao || ''}`;
-      }).join('\n\n'); 
-
-      const topicosLines = pdf.splitTextToSize(topicosText, contentWidth);
-      pdf.text(topicosLines, margin, currentY);
-      
-      pdf.save(`${tema || 'mapa-mental'}.pdf`);
-
+      const imagem = await buildMapImage(mapRef.current, rfInstance.getNodes(), { fundo: temaVisual.fundo });
+      downloadFile(`${tema || t('exportar.nomeArquivo')}.png`, imagem);
     } catch (err) {
-      console.error('Erro ao exportar PDF:', err);
-      alert('Desculpe, ocorreu um erro ao exportar o PDF.');
+      console.error('Erro ao exportar imagem:', err);
+      mostrarErro(t('exportar.erroImagem'), err);
     } finally {
       document.body.style.cursor = 'default';
     }
   };
 
+  // --- EXPORTAÇÃO DA APRESENTAÇÃO ---
+  // HTML único que abre offline; ramos recolhidos ficam de fora, como no PDF
+  const handleExportApresentacao = (ordem = PRESENTATION_ORDERS.PROFUNDIDADE) => {
+    if (nodes.length === 0) return;
+    const idioma = (mapaMeta.opcoes || opcoesGeracao).idioma || idiomaUi;
+    const html = buildPresentationHtml({ tema, ...getVisibleMap(nodes, edges), aparencia, ordem, idioma });
+    downloadFile(`${tema || t('exportar.nomeArquivo')}.html`, html, 'text/html');
+  };
+
   // --- RENDERIZAÇÃO (VISUAL) ---
   return (
+    <I18nContext.Provider value={i18n}>
     <div className="relative min-h-screen overflow-hidden">
       {/* Fundo Gradiente Fixo */}
       <div className="fixed inset-0 bg-gradient-to-br from-blue-50 via-green-50 to-indigo-50 -z-10" />
+
+      <LanguageSwitcher idioma={idiomaUi} onChange={handleIdiomaChange} />
       
       <div className="relative p-4 md:p-8">
         
         <AnimatePresence mode="wait">
           
           {/* --- TELA 1: HOME --- */}
-          {telaAtual === 'HOME' && (
+          {telaAtual === TELAS.HOME && (
             <motion.div 
               key="home" 
               variants={animationVariants} 
@@ -287,7 +1605,7 @@ function App() {
                 transition={{ delay: 0.3 }}
                 className="text-5xl md:text-7xl font-black text-center mb-4 text-gray-900"
               >
-                Gerador de Mapa Mental IA
+                {t('app.titulo')}
               </motion.h1>
               
               <motion.div
@@ -298,7 +1616,7 @@ function App() {
               >
                 <Lightbulb className="w-5 h-5 text-green-600" />
                 <p className="text-xl text-gray-700 font-medium">
-                  Transforme ideias em estruturas visuais
+                  {t('inicio.slogan')}
                 </p>
               </motion.div>
               
@@ -308,7 +1626,7 @@ function App() {
                 transition={{ delay: 0.5 }}
                 className="text-gray-500 text-center mb-12 max-w-md"
               >
-                Inteligência artificial para criar mapas mentais profissionais em segundos
+                {t('inicio.subtitulo')}
               </motion.p>
               
               <motion.div 
@@ -326,14 +1644,15 @@ function App() {
                       </div>
                       <input
                         type="text"
-                        placeholder="Digite seu tema aqui... (ex: Guerra Fria, Marketing Digital)"
+                        placeholder={t(documento ? 'inicio.placeholderDocumento' : 'inicio.placeholderTema')}
                         value={tema}
+                        maxLength={TEMA_MAXIMO}
                         onChange={(e) => setTema(e.target.value)}
                         onKeyPress={(e) => e.key === 'Enter' && handleGerarMapa()}
                         className="flex-grow p-5 text-lg bg-transparent border-none outline-none placeholder-gray-400 text-gray-800"
                       />
                       <button
-                        onClick={handleGerarMapa}
+                        onClick={() => handleGerarMapa()}
                         className="relative bg-gradient-to-r from-blue-600 to-green-600 text-white font-bold py-5 px-8 m-1.5 rounded-xl
                                    hover:from-blue-700 hover:to-green-700
                                    transform hover:scale-105 active:scale-95
@@ -341,18 +1660,103 @@ function App() {
                                    shadow-lg hover:shadow-xl
                                    flex items-center gap-2 group"
                       >
-                        <span>Gerar Mapa</span>
+                        <span>{t('inicio.gerar')}</span>
                         <Lightbulb className="w-5 h-5 group-hover:rotate-12 transition-transform" />
                       </button>
                     </div>
                   </div>
                 </div>
+
+                {falha && (
+                  <ErrorNotice
+                    falha={falha}
+                    onRetry={falha.repetir ? handleRepetirFalha : undefined}
+                    onSettings={() => { setShowSettings(true); setShowOpcoes(false); setShowDocumento(false); }}
+                    onClose={() => setFalha(null)}
+                    className="mt-4"
+                  />
+                )}
+
+                <div className="flex flex-wrap justify-between gap-x-4 gap-y-2 mt-3">
+                  <label className="flex items-center gap-2 text-sm text-gray-500 hover:text-blue-600 transition-colors cursor-pointer">
+                    <Upload className="w-4 h-4" />
+                    <span>{t('inicio.importar')}</span>
+                    <input
+                      type="file"
+                      accept={IMPORT_ACCEPT}
+                      onChange={handleImportarArquivo}
+                      className="hidden"
+                    />
+                  </label>
+                  <button
+                    onClick={() => { setShowDocumento(!showDocumento); setShowOpcoes(false); setShowSettings(false); }}
+                    className={`flex items-center gap-2 text-sm transition-colors hover:text-blue-600 ${documento ? 'text-blue-600 font-semibold' : 'text-gray-500'}`}
+                  >
+                    <FileText className="w-4 h-4" />
+                    <span className="max-w-[12rem] truncate">{documento ? documento.nome : t('inicio.aPartirDeDocumento')}</span>
+                  </button>
+                  <label
+                    className="flex items-center gap-2 text-sm text-gray-500 hover:text-blue-600 transition-colors cursor-pointer"
+                    title={t('inicio.ignorarCacheDica')}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={ignorarCache}
+                      onChange={(e) => setIgnorarCache(e.target.checked)}
+                      className="accent-blue-600"
+                    />
+                    <span>{t('inicio.ignorarCache')}</span>
+                  </label>
+                  <button
+                    onClick={() => { setShowOpcoes(!showOpcoes); setShowSettings(false); setShowDocumento(false); }}
+                    className="flex items-center gap-2 text-sm text-gray-500 hover:text-blue-600 transition-colors"
+                  >
+                    <SlidersHorizontal className="w-4 h-4" />
+                    <span>
+                      {t(`opcoes.propositos.${opcoesGeracao.proposito}`)} · {t('inicio.niveis', { n: opcoesGeracao.niveis })}
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => { setShowSettings(!showSettings); setShowOpcoes(false); setShowDocumento(false); }}
+                    className="flex items-center gap-2 text-sm text-gray-500 hover:text-blue-600 transition-colors"
+                  >
+                    <Settings className="w-4 h-4" />
+                    <span>
+                      {t(`configuracoes.provedores.${llmSettings.provider}`)}
+                      {llmSettings[llmSettings.provider].model && ` · ${llmSettings[llmSettings.provider].model}`}
+                    </span>
+                  </button>
+                </div>
+
+                {showDocumento && (
+                  <DocumentSourcePanel
+                    documento={documento}
+                    onChange={setDocumento}
+                    onClose={() => setShowDocumento(false)}
+                  />
+                )}
+
+                {showOpcoes && (
+                  <GenerationOptionsPanel
+                    opcoes={opcoesGeracao}
+                    onChange={handleOpcoesChange}
+                    onClose={() => setShowOpcoes(false)}
+                  />
+                )}
+
+                {showSettings && (
+                  <SettingsPanel
+                    settings={llmSettings}
+                    onChange={handleSettingsChange}
+                    onClose={() => setShowSettings(false)}
+                  />
+                )}
                 
                 <div className="grid grid-cols-3 gap-4 mt-8">
                   {[
-                    { icon: Brain, text: 'IA Avançada' },
-                    { icon: Lightbulb, text: 'Gerador Rápido' },
-                    { icon: Download, text: 'Exportar PDF' }
+                    { icon: Brain, text: t('inicio.recursos.ia') },
+                    { icon: Lightbulb, text: t('inicio.recursos.rapido') },
+                    { icon: Download, text: t('inicio.recursos.pdf') }
                   ].map((feature, idx) => (
                     <motion.div
                       key={idx}
@@ -367,11 +1771,13 @@ function App() {
                   ))}
                 </div>
               </motion.div>
+
+              <MapLibrary onOpen={handleAbrirMapa} />
             </motion.div>
           )}
 
           {/* --- TELA 2: LOADING --- */}
-          {telaAtual === 'LOADING' && (
+          {telaAtual === TELAS.LOADING && (
             <motion.div 
               key="loading" 
               variants={animationVariants} 
@@ -397,17 +1803,70 @@ function App() {
                 className="text-center mt-12"
               >
                 <h2 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-green-600 bg-clip-text text-transparent mb-3">
-                  Processando sua ideia...
+                  {t('carregando.titulo')}
                 </h2>
-                <p className="text-gray-600 text-lg">
-                  A IA está estruturando seu mapa mental
+                <p className="text-gray-600 text-lg" aria-live="polite">
+                  {previa.nodes.length === 0
+                    ? (etapaGeracao || t('carregando.estruturando'))
+                    : t('carregando.progresso', {
+                      topicos: t('carregando.topicosRecebidos', { n: previa.nodes.length }),
+                      conexoes: t('carregando.conexoes', { n: previa.edges.length }),
+                    })}
                 </p>
+                {previa.tentativa > 1 && (
+                  <p className="text-sm text-amber-600 mt-1">
+                    {t('carregando.corrigindo', { n: previa.tentativa })}
+                  </p>
+                )}
               </motion.div>
+
+              {previaFluxo.nodes.length > 0 && (
+                <div className="w-full mt-8 bg-white rounded-2xl shadow-xl border border-gray-200 overflow-hidden h-[45vh]">
+                  <GenerationPreview nodes={previaFluxo.nodes} edges={previaFluxo.edges} direction={layoutMode} aparencia={aparencia} />
+                </div>
+              )}
+
+              <div className="flex flex-wrap justify-center gap-3 mt-8">
+                <button
+                  onClick={() => handleCancelarGeracao(false)}
+                  className="flex items-center gap-2 bg-white/80 backdrop-blur-lg text-gray-700 font-semibold py-3 px-6 rounded-xl
+                             border border-gray-200 shadow-lg hover:bg-white hover:shadow-xl transition-all duration-200"
+                >
+                  <X className="w-5 h-5" />
+                  {t('comum.cancelar')}
+                </button>
+                {previa.nodes.length > 0 && (
+                  <button
+                    onClick={() => handleCancelarGeracao(true)}
+                    className="flex items-center gap-2 bg-gradient-to-r from-blue-600 to-green-600 text-white font-semibold py-3 px-6 rounded-xl
+                               shadow-lg hover:shadow-xl transition-all duration-200"
+                  >
+                    <Check className="w-5 h-5" />
+                    {t('carregando.manter')}
+                  </button>
+                )}
+              </div>
+            </motion.div>
+          )}
+
+          {/* Mapa da URL sendo lido (biblioteca local ou link compartilhado) */}
+          {telaAtual === 'ABRINDO' && (
+            <motion.div
+              key="abrindo"
+              variants={animationVariants}
+              initial="initial"
+              animate="animate"
+              exit="exit"
+              transition={{ duration: 0.4 }}
+              className="max-w-6xl mx-auto flex flex-col items-center justify-center min-h-[80vh] gap-4 p-4 md:p-8"
+            >
+              <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin" />
+              <p className="text-lg text-gray-600">{t('carregando.abrindo')}</p>
             </motion.div>
           )}
 
           {/* --- TELA 3: RESULTADO --- */}
-          {telaAtual === 'RESULT' && (
+          {telaAtual === TELAS.RESULT && (
             <motion.div 
               key="result" 
               variants={animationVariants} 
@@ -420,26 +1879,303 @@ function App() {
               <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-8">
                 <div>
                   <h2 className="text-4xl font-bold text-gray-800 mb-2">
-                    Seu Mapa Mental
+                    {t('resultado.titulo')}
                   </h2>
                   <div className="flex items-center gap-2">
                     <div className="h-1 w-12 bg-gradient-to-r from-blue-600 to-green-600 rounded" />
                     <p className="text-xl text-gray-600">
-                      Tema: <span className="font-bold bg-gradient-to-r from-blue-600 to-green-600 bg-clip-text text-transparent">{tema}</span>
+                      {t('resultado.tema')} <span className="font-bold bg-gradient-to-r from-blue-600 to-green-600 bg-clip-text text-transparent">{tema}</span>
                     </p>
                   </div>
                 </div>
-                <button
-                  onClick={handleVoltar}
-                  className="flex items-center gap-2 bg-white/80 backdrop-blur-lg text-gray-700 font-semibold py-3 px-6 rounded-xl
-                             border border-gray-200 shadow-lg
-                             hover:bg-white hover:shadow-xl hover:-translate-y-0.5
-                             transform active:scale-95
-                             transition-all duration-200"
-                >
-                  <ArrowLeft className="w-5 h-5" />
-                  Novo Mapa
-                </button>
+                <div className="flex flex-wrap gap-3">
+                  {somenteLeitura ? (
+                    <button
+                      onClick={handleSalvarCopia}
+                      title={t('resultado.salvarCopiaDica')}
+                      className="flex items-center gap-2 bg-gradient-to-r from-blue-600 to-green-600 text-white font-semibold py-3 px-6 rounded-xl
+                                 shadow-lg hover:shadow-xl hover:-translate-y-0.5
+                                 transform active:scale-95
+                                 transition-all duration-200"
+                    >
+                      <Save className="w-5 h-5" />
+                      {t('resultado.salvarCopia')}
+                    </button>
+                  ) : (
+                  <>
+                  <button
+                    onClick={() => setShowEstudo(true)}
+                    title={t('resultado.estudarDica')}
+                    className="flex items-center gap-2 bg-gradient-to-r from-blue-600 to-green-600 text-white font-semibold py-3 px-6 rounded-xl
+                               shadow-lg hover:shadow-xl hover:-translate-y-0.5
+                               transform active:scale-95
+                               transition-all duration-200"
+                  >
+                    <GraduationCap className="w-5 h-5" />
+                    {t('resultado.estudar')}
+                  </button>
+                  <button
+                    onClick={() => handleRegenerar()}
+                    disabled={Boolean(regenerando || revisao)}
+                    title={t('resultado.regenerarDica')}
+                    className="flex items-center gap-2 bg-white/80 backdrop-blur-lg text-gray-700 font-semibold py-3 px-6 rounded-xl
+                               border border-gray-200 shadow-lg
+                               hover:bg-white hover:shadow-xl hover:-translate-y-0.5
+                               transform active:scale-95
+                               transition-all duration-200
+                               disabled:opacity-50 disabled:hover:translate-y-0"
+                  >
+                    <RefreshCw className={`w-5 h-5 ${regenerando ? 'animate-spin' : ''}`} />
+                    {t('resultado.regenerar')}
+                  </button>
+                  <button
+                    onClick={() => {
+                      setDetalhesId(null);
+                      setShowRelacoes(false);
+                      setShowHistorico(!showHistorico);
+                    }}
+                    disabled={Boolean(revisao)}
+                    aria-pressed={showHistorico}
+                    title={t('resultado.versoesDica')}
+                    className="flex items-center gap-2 bg-white/80 backdrop-blur-lg text-gray-700 font-semibold py-3 px-6 rounded-xl
+                               border border-gray-200 shadow-lg
+                               hover:bg-white hover:shadow-xl hover:-translate-y-0.5
+                               transform active:scale-95
+                               transition-all duration-200
+                               disabled:opacity-50 disabled:hover:translate-y-0"
+                  >
+                    <History className="w-5 h-5" />
+                    {t('resultado.versoes')}
+                  </button>
+                  <button
+                    onClick={handleAbrirRelacoes}
+                    disabled={Boolean(revisao)}
+                    aria-pressed={showRelacoes}
+                    title={t('resultado.relacoesDica')}
+                    className="flex items-center gap-2 bg-white/80 backdrop-blur-lg text-gray-700 font-semibold py-3 px-6 rounded-xl
+                               border border-gray-200 shadow-lg
+                               hover:bg-white hover:shadow-xl hover:-translate-y-0.5
+                               transform active:scale-95
+                               transition-all duration-200
+                               disabled:opacity-50 disabled:hover:translate-y-0"
+                  >
+                    <Waypoints className={`w-5 h-5 ${sugerindoRelacoes ? 'animate-pulse' : ''}`} />
+                    {t('resultado.relacoes')}
+                  </button>
+                  {!colab.status && (
+                    <button
+                      onClick={handleColaborar}
+                      title={t('resultado.colaborarDica')}
+                      className="flex items-center gap-2 bg-white/80 backdrop-blur-lg text-gray-700 font-semibold py-3 px-6 rounded-xl
+                                 border border-gray-200 shadow-lg
+                                 hover:bg-white hover:shadow-xl hover:-translate-y-0.5
+                                 transform active:scale-95
+                                 transition-all duration-200"
+                    >
+                      <Users className="w-5 h-5" />
+                      {t('resultado.colaborar')}
+                    </button>
+                  )}
+                  </>
+                  )}
+                  <button
+                    onClick={() => setShowApresentacao(true)}
+                    disabled={Boolean(sobreposicao)}
+                    title={t('resultado.apresentarDica')}
+                    className="flex items-center gap-2 bg-white/80 backdrop-blur-lg text-gray-700 font-semibold py-3 px-6 rounded-xl
+                               border border-gray-200 shadow-lg
+                               hover:bg-white hover:shadow-xl hover:-translate-y-0.5
+                               transform active:scale-95
+                               transition-all duration-200
+                               disabled:opacity-50 disabled:hover:translate-y-0"
+                  >
+                    <Presentation className="w-5 h-5" />
+                    {t('resultado.apresentar')}
+                  </button>
+                  <button
+                    onClick={handleCompartilhar}
+                    title={t('resultado.compartilharDica')}
+                    className="flex items-center gap-2 bg-white/80 backdrop-blur-lg text-gray-700 font-semibold py-3 px-6 rounded-xl
+                               border border-gray-200 shadow-lg
+                               hover:bg-white hover:shadow-xl hover:-translate-y-0.5
+                               transform active:scale-95
+                               transition-all duration-200"
+                  >
+                    {linkCopiado ? <Check className="w-5 h-5 text-green-600" /> : <Share2 className="w-5 h-5" />}
+                    <span aria-live="polite">{t(linkCopiado ? 'resultado.linkCopiado' : 'resultado.compartilhar')}</span>
+                  </button>
+                  <button
+                    onClick={handleVoltar}
+                    className="flex items-center gap-2 bg-white/80 backdrop-blur-lg text-gray-700 font-semibold py-3 px-6 rounded-xl
+                               border border-gray-200 shadow-lg
+                               hover:bg-white hover:shadow-xl hover:-translate-y-0.5
+                               transform active:scale-95
+                               transition-all duration-200"
+                  >
+                    <ArrowLeft className="w-5 h-5" />
+                    {t('resultado.novoMapa')}
+                  </button>
+                </div>
+              </div>
+
+              {somenteLeitura && (
+                <p className="flex items-center gap-2 mb-4 rounded-xl border border-blue-200 bg-blue-50 px-4 py-2 text-sm text-blue-800">
+                  <Eye className="w-4 h-4 flex-shrink-0" />
+                  {t('resultado.somenteLeitura')}
+                </p>
+              )}
+
+              {regenerando && (
+                <p className="flex items-center gap-2 mb-4 rounded-xl border border-blue-200 bg-blue-50 px-4 py-2 text-sm text-blue-800" aria-live="polite">
+                  <Loader2 className="w-4 h-4 flex-shrink-0 animate-spin" />
+                  {t('resultado.regenerando', { nome: regenerando.nome })}
+                  <button onClick={handleCancelarRegeneracao} className="ml-auto font-semibold hover:underline">
+                    {t('comum.cancelar')}
+                  </button>
+                </p>
+              )}
+
+              {falha && (
+                <ErrorNotice
+                  falha={falha}
+                  onRetry={falha.repetir && !somenteLeitura ? handleRepetirFalha : undefined}
+                  onClose={() => setFalha(null)}
+                  className="mb-4"
+                />
+              )}
+
+              {mapaDoCache && !somenteLeitura && (
+                <p className="flex flex-wrap items-center gap-2 mb-4 rounded-xl border border-blue-200 bg-blue-50 px-4 py-2 text-sm text-blue-800">
+                  <Database className="w-4 h-4 flex-shrink-0" />
+                  {t('resultado.doCache', { data: formatarData(mapaDoCache) })}
+                  <span className="ml-auto flex gap-3 font-semibold">
+                    <button onClick={() => handleGerarMapa(mapaMeta.opcoes, { forcarNovo: true })} className="hover:underline">
+                      {t('resultado.gerarNovo')}
+                    </button>
+                    <button onClick={() => setMapaDoCache(null)} className="hover:underline">
+                      {t('resultado.manterEste')}
+                    </button>
+                  </span>
+                </p>
+              )}
+
+              {versaoVista && (
+                <p className="flex flex-wrap items-center gap-2 mb-4 rounded-xl border border-amber-200 bg-amber-50 px-4 py-2 text-sm text-amber-800">
+                  <History className="w-4 h-4 flex-shrink-0" />
+                  {t('resultado.vendoVersao', { rotulo: versaoVista.rotulo, data: formatarData(versaoVista.criadoEm) })}
+                  <span className="ml-auto flex gap-3 font-semibold">
+                    <button onClick={() => handleRestaurarVersao(versaoVista)} className="hover:underline">
+                      {t('resultado.restaurarVersao')}
+                    </button>
+                    <button onClick={handleDescartarRevisao} className="hover:underline">
+                      {t('resultado.voltarAoAtual')}
+                    </button>
+                  </span>
+                </p>
+              )}
+
+              {colab.status && (
+                <CollabBar
+                  status={colab.status}
+                  participantes={colab.participantes}
+                  nome={colab.nome}
+                  cor={colab.cor}
+                  conviteCopiado={conviteCopiado}
+                  onRename={colab.setNome}
+                  onInvite={() => copiarLink({ tela: TELAS.RESULT, mapaId, sala: true }, setConviteCopiado)}
+                  onLeave={handleSairDaSala}
+                />
+              )}
+
+              {/* BUSCA NO MAPA */}
+              <div className="flex items-center gap-2 mb-4 bg-white/80 backdrop-blur-lg rounded-xl border border-gray-200 shadow-md px-4 py-2">
+                <Search className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                <input
+                  ref={buscaRef}
+                  type="search"
+                  value={busca}
+                  onChange={(e) => handleBuscaChange(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      handlePassoBusca(e.shiftKey ? -1 : 1);
+                    } else if (e.key === 'Escape') {
+                      handleBuscaChange('');
+                    }
+                  }}
+                  placeholder={t('busca.placeholder')}
+                  aria-label={t('busca.rotulo')}
+                  className="flex-grow min-w-0 bg-transparent outline-none text-gray-800 py-1"
+                />
+                {buscando && (
+                  <>
+                    <span className="text-sm text-gray-500 whitespace-nowrap" aria-live="polite">
+                      {resultadosBusca.length === 0
+                        ? t('busca.nenhum')
+                        : atualBusca
+                          ? t('busca.posicao', { atual: indiceBusca + 1, total: resultadosBusca.length })
+                          : t('busca.resultados', { n: resultadosBusca.length })}
+                    </span>
+                    <button
+                      onClick={() => handlePassoBusca(-1)}
+                      disabled={resultadosBusca.length === 0}
+                      className="p-1 rounded-lg text-gray-500 hover:bg-gray-100 disabled:opacity-40"
+                      title={t('busca.anterior')}
+                    >
+                      <ChevronUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handlePassoBusca(1)}
+                      disabled={resultadosBusca.length === 0}
+                      className="p-1 rounded-lg text-gray-500 hover:bg-gray-100 disabled:opacity-40"
+                      title={t('busca.proximo')}
+                    >
+                      <ChevronDown className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleBuscaChange('')}
+                      className="p-1 rounded-lg text-gray-500 hover:bg-gray-100"
+                      title={t('busca.limpar')}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+                <div className="flex items-center gap-1 ml-2 pl-3 border-l border-gray-200" role="group" aria-label={t('visao.rotulo')}>
+                  <button
+                    onClick={() => handleTrocarVisao('mapa')}
+                    aria-pressed={visao === 'mapa'}
+                    className={`p-1.5 rounded-lg ${visao === 'mapa' ? 'bg-blue-50 text-blue-600' : 'text-gray-500 hover:bg-gray-100'}`}
+                    title={t('visao.mapa')}
+                  >
+                    <MapIcon className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleTrocarVisao('lista')}
+                    aria-pressed={visao === 'lista'}
+                    className={`p-1.5 rounded-lg ${visao === 'lista' ? 'bg-blue-50 text-blue-600' : 'text-gray-500 hover:bg-gray-100'}`}
+                    title={t('visao.lista')}
+                  >
+                    <ListTree className="w-4 h-4" />
+                  </button>
+                  <div className="relative">
+                    <button
+                      onClick={() => setShowAparencia(!showAparencia)}
+                      aria-expanded={showAparencia}
+                      className={`p-1.5 rounded-lg ${showAparencia ? 'bg-blue-50 text-blue-600' : 'text-gray-500 hover:bg-gray-100'}`}
+                      title={t('visao.aparencia')}
+                    >
+                      <Palette className="w-4 h-4" />
+                    </button>
+                    {showAparencia && (
+                      <AppearancePanel
+                        aparencia={aparencia}
+                        onChange={handleAparenciaChange}
+                        onClose={() => setShowAparencia(false)}
+                      />
+                    )}
+                  </div>
+                </div>
               </div>
 
               {/* CONTAINER DO MAPA */}
@@ -447,39 +2183,256 @@ function App() {
                 <div className="absolute -inset-1 bg-gradient-to-r from-blue-600 to-green-600 rounded-3xl blur opacity-20 group-hover:opacity-30 transition duration-300" />
                 <div 
                   ref={mapRef} 
-                  className="relative bg-white rounded-2xl shadow-2xl border border-gray-200 overflow-hidden h-[60vh] lg:h-[600px]"
+                  onMouseMove={handleMovimentoPonteiro}
+                  onMouseLeave={() => colab.enviarCursor(null)}
+                  className="relative rounded-2xl shadow-2xl border border-gray-200 overflow-hidden h-[60vh] lg:h-[600px]"
+                  style={{ backgroundColor: temaVisual.fundo }}
                 >
-                  <ReactFlow
-                    nodes={nodes}
-                    edges={edges}
-                    nodeTypes={nodeTypes} 
-                    fitView
-                    onNodesChange={onNodesChange}
-                    onEdgesChange={onEdgesChange}
-                    nodesDraggable={!isLocked}
-                    nodesFocusable={!isLocked}
-                    edgesFocusable={!isLocked}
-                    panOnDrag={!isLocked}
-                    zoomOnScroll={!isLocked}
-                    zoomOnPinch={!isLocked}
-                    zoomOnDoubleClick={!isLocked}
-                    preventScrolling={!isLocked} 
-                  >
-                    <Controls showInteractive={false}>
-                      <button 
-                        onClick={() => setIsLocked(!isLocked)} 
-                        className="react-flow__controls-button" 
-                        title={isLocked ? "Desbloquear Mapa" : "Bloquear Mapa"}
-                      >
-                        {isLocked ? <Lock size={16} /> : <Unlock size={16} />}
-                      </button>
-                    </Controls>
-                    <MiniMap 
-                      nodeColor={(node) => '#2563eb'}
-                      maskColor="rgba(37, 99, 235, 0.1)"
+                  <p id="instrucoes-mapa" className="sr-only">
+                    {t('canvas.instrucoes')}
+                  </p>
+                  <MapActionsContext.Provider value={mapActions}>
+                    <ReactFlow
+                      role="tree"
+                      aria-label={t('canvas.rotulo', { tema })}
+                      aria-describedby="instrucoes-mapa"
+                      inert={visao === 'lista'}
+                      nodes={sobreposicao?.nodes ?? visiveis.nodes}
+                      edges={arestasExibidas}
+                      nodeTypes={nodeTypes} 
+                      fitView={!viewportInicial}
+                      defaultViewport={viewportInicial || undefined}
+                      onInit={setRfInstance}
+                      onMoveEnd={(event, vp) => setViewport(vp)}
+                      onNodesChange={handleNodesChange}
+                      onEdgesChange={onEdgesChange}
+                      onEdgeDoubleClick={handleEdgeDoubleClick}
+                      onConnect={handleConnect}
+                      onReconnect={handleReconnect}
+                      onNodeDragStart={handleNodeDragStart}
+                      onNodeDragStop={handleNodeDragStop}
+                      onNodeClick={handleNodeClick}
+                      deleteKeyCode={null}
+                      nodesConnectable={modoEdicao && !isLocked}
+                      edgesUpdatable={modoEdicao && !isLocked}
+                      nodesDraggable={!isLocked && !sobreposicao && !somenteLeitura}
+                      nodesFocusable={false}
+                      edgesFocusable={modoEdicao && !isLocked}
+                      disableKeyboardA11y
+                      panOnDrag={!isLocked}
+                      zoomOnScroll={!isLocked}
+                      zoomOnPinch={!isLocked}
+                      zoomOnDoubleClick={!isLocked && !modoEdicao}
+                      preventScrolling={!isLocked} 
+                    >
+                      {focoAtivo && !sobreposicao && (
+                        <Panel position="top-left" className="flex items-center flex-wrap gap-1 bg-white/90 backdrop-blur rounded-xl shadow-md border border-gray-200 px-3 py-2 text-sm max-w-[70%]">
+                          <nav aria-label={t('canvas.trilha')} className="flex items-center flex-wrap gap-1">
+                            {trilhaFoco.map(({ id, label }, i) => (
+                              <React.Fragment key={id}>
+                                {i > 0 && <ChevronRight className="w-3.5 h-3.5 text-gray-400" />}
+                                {id === focoAtivo ? (
+                                  <span className="font-semibold text-gray-800" aria-current="location">{label}</span>
+                                ) : (
+                                  <button
+                                    onClick={() => handleFocar(i === 0 ? null : id)}
+                                    className="text-blue-600 hover:underline"
+                                  >
+                                    {label}
+                                  </button>
+                                )}
+                              </React.Fragment>
+                            ))}
+                          </nav>
+                          <button
+                            onClick={() => handleFocar(null)}
+                            className="ml-2 flex items-center gap-1 text-gray-500 hover:text-blue-600"
+                            title={t('canvas.mostrarInteiro')}
+                          >
+                            <X className="w-3.5 h-3.5" />
+                            {t('canvas.sairDoFoco')}
+                          </button>
+                        </Panel>
+                      )}
+                      {infoRecolhidos.profundidadeMaxima > 0 && !sobreposicao && (
+                        <Panel position="top-right" className="flex items-center gap-2 bg-white/90 backdrop-blur rounded-xl shadow-md border border-gray-200 px-3 py-2 text-sm text-gray-600">
+                          <button
+                            onClick={handleExpandirTudo}
+                            className="flex items-center gap-1 hover:text-blue-600"
+                            title={t('canvas.expandirTudoDica')}
+                          >
+                            <UnfoldVertical className="w-4 h-4" />
+                            {t('canvas.expandirTudo')}
+                          </button>
+                          <select
+                            value=""
+                            onChange={(e) => handleRecolherNivel(Number(e.target.value))}
+                            className="bg-transparent outline-none cursor-pointer hover:text-blue-600"
+                            aria-label={t('canvas.recolherAte')}
+                          >
+                            <option value="" disabled>{t('canvas.recolherAteOpcao')}</option>
+                            {Array.from({ length: infoRecolhidos.profundidadeMaxima }, (_, i) => (
+                              <option key={i} value={i}>
+                                {i === 0 ? t('canvas.soRaiz') : t('canvas.nivel', { n: i })}
+                              </option>
+                            ))}
+                          </select>
+                        </Panel>
+                      )}
+                      <Controls showInteractive={false}>
+                        <button 
+                          onClick={() => setIsLocked(!isLocked)} 
+                          className="react-flow__controls-button" 
+                          aria-pressed={isLocked}
+                          title={t(isLocked ? 'canvas.desbloquear' : 'canvas.bloquear')}
+                        >
+                          {isLocked ? <Lock size={16} /> : <Unlock size={16} />}
+                        </button>
+                        {!sobreposicao && (
+                          <>
+                            <button 
+                              onClick={() => handleRelayout(LAYOUTS.TB)} 
+                              className="react-flow__controls-button" 
+                              title={t('canvas.layoutVertical')}
+                            >
+                              <Network size={16} className={layoutMode === LAYOUTS.TB ? 'text-blue-600' : ''} />
+                            </button>
+                            <button 
+                              onClick={() => handleRelayout(LAYOUTS.LR)} 
+                              className="react-flow__controls-button" 
+                              title={t('canvas.layoutHorizontal')}
+                            >
+                              <Network size={16} className={`-rotate-90 ${layoutMode === LAYOUTS.LR ? 'text-blue-600' : ''}`} />
+                            </button>
+                            <button 
+                              onClick={() => handleRelayout(LAYOUTS.RADIAL)} 
+                              className="react-flow__controls-button" 
+                              title={t('canvas.layoutRadial')}
+                            >
+                              <Orbit size={16} className={layoutMode === LAYOUTS.RADIAL ? 'text-blue-600' : ''} />
+                            </button>
+                          </>
+                        )}
+                        {!somenteLeitura && !sobreposicao && (
+                          <>
+                            <button 
+                              onClick={() => setModoEdicao(!modoEdicao)} 
+                              className="react-flow__controls-button" 
+                              title={t(modoEdicao ? 'canvas.sairEdicao' : 'canvas.editar')}
+                            >
+                              <Pencil size={16} className={modoEdicao ? 'text-blue-600' : ''} />
+                            </button>
+                            <button 
+                              onClick={acoesHistorico.desfazer} 
+                              disabled={!acoesHistorico.rotuloDesfazer}
+                              className="react-flow__controls-button disabled:opacity-40" 
+                              title={acoesHistorico.rotuloDesfazer ? t('canvas.desfazer', { acao: t(acoesHistorico.rotuloDesfazer) }) : t('canvas.nadaDesfazer')}
+                            >
+                              <Undo2 size={16} />
+                            </button>
+                            <button 
+                              onClick={acoesHistorico.refazer} 
+                              disabled={!acoesHistorico.rotuloRefazer}
+                              className="react-flow__controls-button disabled:opacity-40" 
+                              title={acoesHistorico.rotuloRefazer ? t('canvas.refazer', { acao: t(acoesHistorico.rotuloRefazer) }) : t('canvas.nadaRefazer')}
+                            >
+                              <Redo2 size={16} />
+                            </button>
+                          </>
+                        )}
+                      </Controls>
+                      <MiniMap 
+                        nodeColor={(node) => ramos.cores.get(node.id) || node.data.cor || temaVisual.raiz.solido}
+                        maskColor="rgba(37, 99, 235, 0.1)"
+                        style={{ backgroundColor: temaVisual.fundo }}
+                      />
+                      <Background variant="dots" gap={16} size={1} color={temaVisual.pontos} />
+                      {colab.status && <RemoteCursors participantes={colab.participantes} />}
+                    </ReactFlow>
+                  </MapActionsContext.Provider>
+                  {visao === 'lista' && (
+                    <div ref={listaRef} className="absolute inset-0 bg-white">
+                      <MapOutline
+                        nodes={nodes}
+                        edges={edges}
+                        ocultos={infoRecolhidos.ocultos}
+                        descendentes={infoRecolhidos.descendentes}
+                        cursorId={cursorAtivo}
+                        busca={mapActions.busca}
+                        onCursor={handleCursor}
+                        onToggleCollapse={handleToggleRecolhido}
+                        onOpenDetails={handleAbrirDetalhes}
+                      />
+                    </div>
+                  )}
+                  {revisao && (
+                    <ReviewPanel
+                      titulo={t('regeneracao.novaVersao', { nome: revisao.nome })}
+                      mudancas={revisao.mudancas}
+                      aceitas={revisao.aceitas}
+                      resumoNovo={revisao.resumoNovo}
+                      aceitaResumo={revisao.aceitaResumo}
+                      onDecide={handleDecidir}
+                      onDecideAll={handleDecidirTodas}
+                      onToggleResumo={() => setRevisao(atual => ({ ...atual, aceitaResumo: !atual.aceitaResumo }))}
+                      onLocate={(id) => rfInstance?.fitView({ nodes: [{ id }], duration: 400, maxZoom: 1.2 })}
+                      onApply={handleAplicarRevisao}
+                      onDiscard={handleDescartarRevisao}
+                    />
+                  )}
+                  {showHistorico && !revisao && mapaId && (
+                    <VersionHistoryPanel
+                      mapaId={mapaId}
+                      atualizacao={atualizacaoVersoes}
+                      vistaId={versaoVista?.id}
+                      onView={handleVerVersao}
+                      onRestore={handleRestaurarVersao}
+                      onClose={() => {
+                        setShowHistorico(false);
+                        if (versaoVista) handleDescartarRevisao();
+                      }}
                     />
-                    <Background variant="dots" gap={16} size={1} color="#e5e7eb" />
-                  </ReactFlow>
+                  )}
+                  {showRelacoes && !sobreposicao && (
+                    <RelationsPanel
+                      sugestoes={sugestoesRelacoes.filter(s => titulosTopicos.has(s.source) && titulosTopicos.has(s.target))}
+                      relacoes={relacoesDoMapa}
+                      titulos={titulosTopicos}
+                      sugerindo={Boolean(sugerindoRelacoes)}
+                      somenteLeitura={somenteLeitura}
+                      onSuggest={handleSugerirRelacoes}
+                      onCancel={handleCancelarRelacoes}
+                      onAccept={(id) => handleAceitarRelacoes([id])}
+                      onDismiss={(id) => handleDescartarRelacoes([id])}
+                      onAcceptAll={() => handleAceitarRelacoes(sugestoesRelacoes.map(s => s.id))}
+                      onDismissAll={() => handleDescartarRelacoes(sugestoesRelacoes.map(s => s.id))}
+                      onEditLabel={handleEditarRelacao}
+                      onRemove={handleRemoverRelacao}
+                      onLocate={({ source, target }) => rfInstance?.fitView({ nodes: [{ id: source }, { id: target }], duration: 400, maxZoom: 1.2 })}
+                      onClose={() => setShowRelacoes(false)}
+                    />
+                  )}
+                  {noDetalhes && !sobreposicao && (
+                    <NodeDetailsPanel
+                      key={noDetalhes.id}
+                      node={noDetalhes}
+                      caminho={getPathLabels(nodes, edges, noDetalhes.id).slice(0, -1)}
+                      totalSubtopicos={infoRecolhidos.descendentes.get(noDetalhes.id) || 0}
+                      fontes={(noDetalhes.data.fontes || [])
+                        .map(id => mapaMeta.documento?.trechos.find(t => t.id === id))
+                        .filter(Boolean)}
+                      nomeDocumento={mapaMeta.documento?.nome}
+                      onFocusBranch={(id) => {
+                        setDetalhesId(null);
+                        handleFocar(id);
+                      }}
+                      onRegenerateBranch={somenteLeitura || regenerando ? null : (id) => handleRegenerar(id)}
+                      onUpdateDetails={somenteLeitura ? null : handleUpdateDetails}
+                      onElaborate={somenteLeitura || (elaborandoId && elaborandoId !== noDetalhes.id) ? null : handleElaborarNotas}
+                      elaborando={elaborandoId === noDetalhes.id}
+                      onClose={handleFecharDetalhes}
+                    />
+                  )}
                 </div>
               </div>
               
@@ -495,7 +2448,7 @@ function App() {
                     <FileText className="w-6 h-6 text-white" />
                   </div>
                   <h3 className="text-2xl font-bold text-gray-800">
-                    Resumo do Tema
+                    {t('resultado.resumo')}
                   </h3>
                 </div>
                 <p className="text-gray-700 leading-relaxed font-medium">
@@ -513,23 +2466,38 @@ function App() {
                       <Brain className="w-6 h-6 text-white" />
                     </div>
                     <h3 className="text-2xl font-bold text-gray-800">
-                      Principais Tópicos
+                      {t('resultado.topicos')}
                     </h3>
                   </div>
+                  {/* Durante a busca, a lista mostra só os tópicos encontrados */}
+                  {buscando && resultadosBusca.length === 0 && (
+                    <p className="text-gray-500 text-sm">{t('resultado.nenhumTopicoBusca', { termo: busca.trim() })}</p>
+                  )}
                   <ul className="space-y-4 max-h-96 overflow-y-auto pr-2"> 
-                    {nodes.map((node, idx) => (
+                    {nodes.filter(node => !buscando || destaquesBusca.has(node.id)).map((node, idx) => (
                       <motion.li 
                         key={node.id}
                         initial={{ opacity: 0, x: -20 }}
                         animate={{ opacity: 1, x: 0 }}
-                        transition={{ delay: idx * 0.1 }}
+                        transition={{ delay: buscando ? 0 : idx * 0.1 }}
                         className="flex items-start gap-3"
                       >
                         <div className="w-2 h-2 bg-gradient-to-br from-blue-600 to-green-600 rounded-full mt-2 flex-shrink-0" />
-                        <div>
-                          <span className="font-bold text-gray-800">{node.data.label}</span>
-                          <p className="text-gray-600 text-sm">{node.data.descricao}</p>
-                        </div>
+                        {buscando ? (
+                          <button
+                            onClick={() => handleIrParaResultado(node.id)}
+                            className={`text-left rounded-lg -mx-1 px-1 hover:bg-blue-50 ${atualBusca === node.id ? 'bg-yellow-50' : ''}`}
+                            title={t('comum.mostrarNoMapa')}
+                          >
+                            <span className="font-bold text-gray-800"><HighlightedText texto={node.data.label} termo={busca} /></span>
+                            <p className="text-gray-600 text-sm"><HighlightedText texto={node.data.descricao} termo={busca} /></p>
+                          </button>
+                        ) : (
+                          <div>
+                            <span className="font-bold text-gray-800">{node.data.label}</span>
+                            <p className="text-gray-600 text-sm">{node.data.descricao}</p>
+                          </div>
+                        )}
                       </motion.li>
                     ))}
                   </ul>
@@ -540,11 +2508,11 @@ function App() {
                   <div className="flex items-center gap-3 mb-6">
                     <Download className="w-8 h-8" />
                     <h3 className="text-2xl font-bold">
-                      Exportar Resultado
+                      {t('exportar.titulo')}
                     </h3>
                   </div>
                   <p className="text-blue-100 mb-6 leading-relaxed">
-                    Baixe seu mapa mental completo, resumo e tópicos em um único arquivo PDF.
+                    {t('exportar.descricao')}
                   </p>
                   <button
                     onClick={handleExportPDF}
@@ -555,13 +2523,68 @@ function App() {
                                flex items-center justify-center gap-2 group"
                   >
                     <Download className="w-5 h-5 group-hover:animate-bounce" />
-                    <span>Exportar como PDF</span>
+                    <span>{t('exportar.pdf')}</span>
                   </button>
+                  <button
+                    onClick={handleExportImagem}
+                    disabled={visao !== 'mapa'}
+                    title={t(visao === 'mapa' ? 'exportar.imagemDica' : 'exportar.imagemIndisponivel')}
+                    className="mt-3 w-full flex items-center justify-center gap-2 bg-white/15 hover:bg-white/25 border border-white/30 rounded-xl py-3 px-6 font-semibold
+                               transition-all duration-200 disabled:opacity-50"
+                  >
+                    <ImageIcon className="w-5 h-5" />
+                    {t('exportar.imagem')}
+                  </button>
+                  <button
+                    onClick={() => handleExportApresentacao()}
+                    title={t('exportar.apresentacaoDica')}
+                    className="mt-3 w-full flex items-center justify-center gap-2 bg-white/15 hover:bg-white/25 border border-white/30 rounded-xl py-3 px-6 font-semibold
+                               transition-all duration-200"
+                  >
+                    <Presentation className="w-5 h-5" />
+                    {t('exportar.apresentacao')}
+                  </button>
+                  <div className="mt-3 flex items-center justify-center gap-4 text-sm text-blue-100">
+                    <label className="flex items-center gap-1.5 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="modo-pdf"
+                        checked={modoPdf === PDF_MODES.AMPLIADA}
+                        onChange={() => setModoPdf(PDF_MODES.AMPLIADA)}
+                      />
+                      {t('exportar.paginaUnica')}
+                    </label>
+                    <label className="flex items-center gap-1.5 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="modo-pdf"
+                        checked={modoPdf === PDF_MODES.A4}
+                        onChange={() => setModoPdf(PDF_MODES.A4)}
+                      />
+                      {t('exportar.folhasA4')}
+                    </label>
+                  </div>
+                  <div className="mt-4">
+                    <p className="text-sm text-blue-100 mb-2">{t('exportar.outrosFormatos')}</p>
+                    <div className="flex flex-wrap gap-2">
+                      {Object.entries(FORMATS).map(([id, { extensao }]) => (
+                        <button
+                          key={id}
+                          onClick={() => handleExportFormato(id)}
+                          title={t('exportar.baixar', { extensao })}
+                          className="flex items-center gap-1.5 bg-white/15 hover:bg-white/25 border border-white/30 rounded-lg py-1.5 px-3 text-sm font-semibold transition-all duration-200"
+                        >
+                          <FileDown className="w-4 h-4" />
+                          {t(`exportar.formatos.${id}`)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
                   <div className="mt-6 pt-6 border-t border-white/20">
                     <div className="flex items-center justify-between text-sm text-blue-100">
-                      <span>✓ Mapa visual</span>
-                      <span>✓ Resumo do tema</span>
-                      <span>✓ Tópicos detalhados</span>
+                      <span>{t('exportar.incluiMapa')}</span>
+                      <span>{t('exportar.incluiResumo')}</span>
+                      <span>{t('exportar.incluiTopicos')}</span>
                     </div>
                   </div>
                 </div>
@@ -571,7 +2594,28 @@ function App() {
 
         </AnimatePresence>
       </div>
+
+      {showEstudo && telaAtual === TELAS.RESULT && mapaId && (
+        <StudyMode
+          mapaId={mapaId}
+          nodes={nodes}
+          edges={edges}
+          onGenerateCards={handleGerarCartoesIa}
+          onClose={() => setShowEstudo(false)}
+        />
+      )}
+
+      {showApresentacao && telaAtual === TELAS.RESULT && (
+        <PresentationMode
+          nodes={mapaApresentacao.nodes}
+          edges={mapaApresentacao.edges}
+          aparencia={aparencia}
+          onExport={handleExportApresentacao}
+          onClose={() => setShowApresentacao(false)}
+        />
+      )}
     </div>
+    </I18nContext.Provider>
   );
 }
 
@@ -0,0 +1,87 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { THEMES, EDGE_TYPES } from '../lib/theme';
+import { useI18n } from '../hooks/useI18n';
+
+// --- PAINEL DE APARÊNCIA DO MAPA ---
+// Tema de cores (inclusive o escuro) e estilo das ligações. A escolha é salva
+// com o mapa e vale também para o PDF e a imagem exportados.
+
+const AppearancePanel = ({ aparencia, onChange, onClose }) => {
+  const { t } = useI18n();
+  const setCampo = (campo, valor) => onChange({ ...aparencia, [campo]: valor });
+
+  return (
+    <div
+      role="dialog"
+      aria-labelledby="aparencia-titulo"
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          onClose();
+        }
+      }}
+      className="absolute right-0 top-full z-20 mt-2 w-72 space-y-4 rounded-2xl border border-gray-200 bg-white p-4 text-left shadow-xl"
+    >
+      <div className="flex items-center justify-between">
+        <h3 id="aparencia-titulo" className="font-bold text-gray-800">{t('aparencia.titulo')}</h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title={t('comum.fecharEsc')}>
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div>
+        <span className="text-sm font-semibold text-gray-600">{t('aparencia.tema')}</span>
+        <div className="grid grid-cols-2 gap-2 mt-1">
+          {Object.entries(THEMES).map(([id, tema]) => (
+            <button
+              key={id}
+              onClick={() => setCampo('tema', id)}
+              aria-pressed={aparencia.tema === id}
+              className={`rounded-xl border p-2 text-left text-sm font-semibold transition-all duration-200
+                ${aparencia.tema === id ? 'border-blue-400 ring-2 ring-blue-200' : 'border-gray-200 hover:border-blue-300'}`}
+              style={{ backgroundColor: tema.fundo, color: tema.no.texto }}
+            >
+              <span className="flex gap-1 mb-1" aria-hidden="true">
+                <span className="h-3 w-6 rounded" style={{ background: tema.raiz.fundo }} />
+                {tema.paleta.slice(0, 3).map(cor => (
+                  <span key={cor} className="h-3 w-3 rounded-full" style={{ backgroundColor: cor }} />
+                ))}
+              </span>
+              {t(`aparencia.temas.${id}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <label className="block">
+        <span className="text-sm font-semibold text-gray-600">{t('aparencia.ligacoes')}</span>
+        <select
+          value={aparencia.arestas}
+          onChange={(e) => setCampo('arestas', e.target.value)}
+          className="mt-1 w-full rounded-xl border border-gray-200 bg-white p-2 text-sm text-gray-800 outline-none focus:border-blue-400"
+        >
+          {Object.keys(EDGE_TYPES).map(id => (
+            <option key={id} value={id}>{t(`aparencia.tiposLigacao.${id}`)}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={aparencia.animadas}
+          onChange={(e) => setCampo('animadas', e.target.checked)}
+          className="accent-blue-600"
+        />
+        {t('aparencia.animar')}
+      </label>
+
+      <p className="text-xs text-gray-500">
+        {t('aparencia.dicaRotulo')}
+      </p>
+    </div>
+  );
+};
+
+export default AppearancePanel;
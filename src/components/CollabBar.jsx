@@ -0,0 +1,74 @@
+import React from 'react';
+import { Users, WifiOff, Loader2, UserPlus, LogOut, Check } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+
+// --- BARRA DA SALA DE COLABORAÇÃO ---
+// Estado da conexão, quem está na sala (com a cor do cursor de cada um),
+// o próprio nome e as ações de convidar e sair.
+
+const STATUS = {
+  conectando: { icone: Loader2, texto: 'colab.conectando', classe: 'text-gray-500 animate-spin' },
+  conectado: { icone: Users, texto: 'colab.aoVivo', classe: 'text-green-600' },
+  desconectado: { icone: WifiOff, texto: 'colab.desconectado', classe: 'text-red-500' },
+};
+
+const iniciais = (nome) => nome.split(/\s+/).filter(Boolean).slice(0, 2).map(p => p[0].toUpperCase()).join('');
+
+const Avatar = ({ nome, cor, titulo }) => (
+  <span
+    title={titulo || nome}
+    className="flex items-center justify-center w-8 h-8 rounded-full border-2 border-white text-xs font-bold text-white shadow"
+    style={{ backgroundColor: cor }}
+  >
+    {iniciais(nome) || '?'}
+  </span>
+);
+
+const CollabBar = ({ status, participantes, nome, cor, conviteCopiado, onRename, onInvite, onLeave }) => {
+  const { t } = useI18n();
+  const { icone: Icone, texto, classe } = STATUS[status] || STATUS.conectando;
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-4 bg-white/80 backdrop-blur-lg rounded-xl border border-gray-200 shadow-md px-4 py-2">
+      <span className="flex items-center gap-2 text-sm font-semibold text-gray-700" aria-live="polite">
+        <Icone className={`w-4 h-4 ${classe}`} />
+        {t(texto)}
+      </span>
+      <div className="flex -space-x-2">
+        <button
+          onClick={() => {
+            const novo = window.prompt(t('colab.seuNome'), nome);
+            if (novo) onRename(novo);
+          }}
+          className="rounded-full focus-visible:outline focus-visible:outline-2 focus-visible:outline-blue-600"
+        >
+          <Avatar nome={nome} cor={cor} titulo={t('colab.voce', { nome })} />
+        </button>
+        {participantes.map(p => (
+          <Avatar key={p.cliente} nome={p.nome} cor={p.cor} />
+        ))}
+      </div>
+      <span className="text-sm text-gray-500">
+        {t('colab.participantes', { n: participantes.length })}
+      </span>
+      <div className="flex gap-2 ml-auto">
+        <button
+          onClick={onInvite}
+          className="flex items-center gap-2 py-1.5 px-3 rounded-lg text-sm font-semibold border border-gray-200 bg-white text-gray-700 hover:border-blue-300 transition-all duration-200"
+        >
+          {conviteCopiado ? <Check className="w-4 h-4 text-green-600" /> : <UserPlus className="w-4 h-4" />}
+          {t(conviteCopiado ? 'colab.conviteCopiado' : 'colab.copiarConvite')}
+        </button>
+        <button
+          onClick={onLeave}
+          className="flex items-center gap-2 py-1.5 px-3 rounded-lg text-sm font-semibold border border-gray-200 bg-white text-gray-700 hover:border-red-300 hover:text-red-600 transition-all duration-200"
+        >
+          <LogOut className="w-4 h-4" />
+          {t('colab.sair')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CollabBar;
@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from 'react';
+import { X, FileText, Upload, Loader2, Trash2 } from 'lucide-react';
+import { DOCUMENT_ACCEPT, MAX_PARTES, readDocumentFile, splitPassages, chunkPassages } from '../lib/document';
+import { useI18n } from '../hooks/useI18n';
+
+// --- PAINEL DE DOCUMENTO-FONTE ---
+// Com um documento escolhido, o mapa é gerado a partir dele em vez do
+// conhecimento geral do modelo sobre o tema.
+
+const DocumentSourcePanel = ({ documento, onChange, onClose }) => {
+  const { t } = useI18n();
+  const [colado, setColado] = useState('');
+  const [lendo, setLendo] = useState(false);
+  const [erro, setErro] = useState('');
+
+  const partes = useMemo(
+    () => (documento ? chunkPassages(splitPassages(documento)).length : 0),
+    [documento]
+  );
+
+  const handleArquivo = async (event) => {
+    const arquivo = event.target.files?.[0];
+    event.target.value = '';
+    if (!arquivo) return;
+    setLendo(true);
+    setErro('');
+    try {
+      onChange(await readDocumentFile(arquivo));
+    } catch (err) {
+      console.error('Erro ao ler o documento:', err);
+      const motivo = err?.chave ? t(err.chave, err.params) : t('erros.inesperado');
+      setErro(t('documento.erroLeitura', { arquivo: arquivo.name, detalhe: motivo }));
+    } finally {
+      setLendo(false);
+    }
+  };
+
+  const handleUsarColado = () => {
+    if (!colado.trim()) return;
+    setErro('');
+    onChange({ nome: t('documento.textoColado'), secoes: [{ texto: colado }] });
+    setColado('');
+  };
+
+  const tamanho = documento ? documento.secoes.reduce((total, s) => total + s.texto.length, 0) : 0;
+  const paginas = documento?.secoes.filter(s => s.pagina).length;
+
+  return (
+    <div className="relative bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl border border-white/20 p-6 mt-6 text-left space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-bold text-gray-800">{t('documento.titulo')}</h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title={t('comum.fechar')}>
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {documento ? (
+        <div className="flex items-center gap-3 p-3 rounded-xl border border-blue-200 bg-blue-50">
+          <FileText className="w-6 h-6 text-blue-600 flex-shrink-0" />
+          <div className="flex-grow min-w-0">
+            <p className="font-semibold text-gray-800 truncate">{documento.nome}</p>
+            <p className="text-xs text-gray-500">
+              {t('documento.caracteres', { n: tamanho })}
+              {paginas > 0 && ` · ${t('documento.paginas', { n: paginas })}`}
+              {partes > 1 && ` · ${t('documento.lidoEmPartes', { n: partes })}`}
+            </p>
+          </div>
+          <button onClick={() => onChange(null)} className="text-gray-400 hover:text-red-600" title={t('documento.remover')}>
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ) : (
+        <>
+          <label className="flex items-center justify-center gap-2 p-4 rounded-xl border-2 border-dashed border-gray-300 text-gray-600 hover:border-blue-400 hover:text-blue-600 transition-colors cursor-pointer">
+            {lendo ? <Loader2 className="w-5 h-5 animate-spin" /> : <Upload className="w-5 h-5" />}
+            <span>{t(lendo ? 'documento.lendo' : 'documento.escolher')}</span>
+            <input type="file" accept={DOCUMENT_ACCEPT} onChange={handleArquivo} disabled={lendo} className="hidden" />
+          </label>
+          <div>
+            <textarea
+              value={colado}
+              onChange={(e) => setColado(e.target.value)}
+              rows={5}
+              placeholder={t('documento.placeholder')}
+              aria-label={t('documento.rotuloTexto')}
+              className="w-full p-3 rounded-xl border border-gray-200 bg-white outline-none focus:border-blue-400 text-gray-800 text-sm"
+            />
+            <button
+              onClick={handleUsarColado}
+              disabled={!colado.trim()}
+              className="mt-2 py-1.5 px-4 rounded-xl text-sm font-semibold border bg-white text-gray-700 border-gray-200 hover:border-blue-300 transition-all duration-200 disabled:opacity-50"
+            >
+              {t('documento.usarTexto')}
+            </button>
+          </div>
+        </>
+      )}
+
+      {partes > MAX_PARTES && (
+        <p className="text-sm text-red-500">
+          {t('inicio.documentoLongo', { partes, maximo: MAX_PARTES })}
+        </p>
+      )}
+      {erro && <p className="text-sm text-red-500">{erro}</p>}
+      <p className="text-xs text-gray-500">
+        {t('documento.dica')}
+      </p>
+    </div>
+  );
+};
+
+export default DocumentSourcePanel;
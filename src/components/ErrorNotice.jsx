@@ -0,0 +1,67 @@
+import React from 'react';
+import { TriangleAlert, KeyRound, WifiOff, ShieldAlert, Clock, RefreshCw, Settings, X } from 'lucide-react';
+import { FALHAS } from '../lib/aiErrors';
+import { useI18n } from '../hooks/useI18n';
+
+// --- AVISO DE FALHA ---
+// Mostra na própria tela (e não num alert) o que deu errado, com as ações que
+// resolvem cada caso. `falha` vem de describeFailure nas chamadas à IA; nas
+// outras ações tem só `titulo` e, se houver, `mensagem` e `detalhe`.
+
+const ICONES = {
+  [FALHAS.CHAVE]: KeyRound,
+  [FALHAS.COTA]: Clock,
+  [FALHAS.LIMITE]: Clock,
+  [FALHAS.REDE]: WifiOff,
+  [FALHAS.BLOQUEADO]: ShieldAlert,
+};
+
+const ErrorNotice = ({ falha, onRetry, onSettings, onClose, className = '' }) => {
+  const { t } = useI18n();
+  const Icone = ICONES[falha.tipo] || TriangleAlert;
+
+  return (
+    <div role="alert" className={`flex gap-3 rounded-2xl border border-red-200 bg-red-50 p-4 text-left text-sm text-red-800 shadow-sm ${className}`}>
+      <Icone className="mt-0.5 h-5 w-5 shrink-0 text-red-500" />
+      <div className="min-w-0 flex-1">
+        <p className="font-semibold">{falha.titulo}</p>
+        {falha.mensagem && <p className="mt-0.5 text-red-700">{falha.mensagem}</p>}
+        {falha.detalhe && (
+          <details className="mt-1 text-xs text-red-600">
+            <summary className="cursor-pointer select-none">{t('falhas.detalhes')}</summary>
+            <p className="mt-1 whitespace-pre-wrap break-words">{falha.detalhe}</p>
+          </details>
+        )}
+        {(onRetry || (onSettings && falha.configuracoes)) && (
+          <div className="mt-2 flex flex-wrap gap-2">
+            {onRetry && (
+              <button
+                onClick={onRetry}
+                className="flex items-center gap-1.5 rounded-lg bg-red-600 px-3 py-1.5 text-xs font-semibold text-white hover:bg-red-700"
+              >
+                <RefreshCw className="h-3.5 w-3.5" />
+                {t('falhas.tentarDeNovo')}
+              </button>
+            )}
+            {onSettings && falha.configuracoes && (
+              <button
+                onClick={onSettings}
+                className="flex items-center gap-1.5 rounded-lg border border-red-200 bg-white px-3 py-1.5 text-xs font-semibold text-red-700 hover:border-red-400"
+              >
+                <Settings className="h-3.5 w-3.5" />
+                {t('falhas.abrirConfiguracoes')}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+      {onClose && (
+        <button onClick={onClose} className="self-start text-red-400 hover:text-red-700" title={t('comum.fechar')}>
+          <X className="h-4 w-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ErrorNotice;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import {
+  PROPOSITOS, PUBLICOS, IDIOMAS, TAMANHOS_DESCRICAO, LIMITES, applyPurpose,
+} from '../lib/generationOptions';
+import { useI18n } from '../hooks/useI18n';
+
+// Grupo de botões de escolha única, no mesmo estilo do seletor de provedor.
+// Com `textos`, os nomes vêm da tradução ("<textos>.<id>"); sem, do próprio `nome`
+const Escolha = ({ titulo, opcoes, textos, valor, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <div>
+      <span className="text-sm font-semibold text-gray-600">{titulo}</span>
+      <div className="flex flex-wrap gap-2 mt-1">
+        {Object.entries(opcoes).map(([id, { nome }]) => (
+          <button
+            key={id}
+            onClick={() => onChange(id)}
+            aria-pressed={id === valor}
+            className={`py-1.5 px-3 rounded-xl text-sm font-semibold border transition-all duration-200
+              ${id === valor
+                ? 'bg-gradient-to-r from-blue-600 to-green-600 text-white border-transparent shadow'
+                : 'bg-white text-gray-700 border-gray-200 hover:border-blue-300'}`}
+          >
+            {textos ? t(`${textos}.${id}`) : nome}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const Faixa = ({ titulo, valor, limites, onChange }) => (
+  <label className="block">
+    <span className="text-sm font-semibold text-gray-600">
+      {titulo}: <span className="text-blue-600">{valor}</span>
+    </span>
+    <input
+      type="range"
+      min={limites.min}
+      max={limites.max}
+      value={valor}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="mt-1 w-full accent-blue-600"
+    />
+  </label>
+);
+
+// --- PAINEL DE OPÇÕES DE GERAÇÃO ---
+
+const GenerationOptionsPanel = ({ opcoes, onChange, onClose }) => {
+  const { t } = useI18n();
+  const setOpcao = (campo, valor) => onChange({ ...opcoes, [campo]: valor });
+
+  return (
+    <div className="relative bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl border border-white/20 p-6 mt-6 text-left space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-bold text-gray-800">{t('opcoes.titulo')}</h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title={t('comum.fechar')}>
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <Escolha
+        titulo={t('opcoes.proposito')}
+        opcoes={PROPOSITOS}
+        textos="opcoes.propositos"
+        valor={opcoes.proposito}
+        onChange={(proposito) => onChange(applyPurpose(opcoes, proposito))}
+      />
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <Faixa
+          titulo={t('opcoes.niveis')}
+          valor={opcoes.niveis}
+          limites={LIMITES.niveis}
+          onChange={(valor) => setOpcao('niveis', valor)}
+        />
+        <Faixa
+          titulo={t('opcoes.maxFilhos')}
+          valor={opcoes.maxFilhos}
+          limites={LIMITES.maxFilhos}
+          onChange={(valor) => setOpcao('maxFilhos', valor)}
+        />
+      </div>
+
+      <Escolha titulo={t('opcoes.publico')} opcoes={PUBLICOS} textos="opcoes.publicos" valor={opcoes.publico} onChange={(valor) => setOpcao('publico', valor)} />
+      <Escolha titulo={t('opcoes.idioma')} opcoes={IDIOMAS} valor={opcoes.idioma} onChange={(valor) => setOpcao('idioma', valor)} />
+      <Escolha
+        titulo={t('opcoes.tamanhoDescricao')}
+        opcoes={TAMANHOS_DESCRICAO}
+        textos="opcoes.tamanhos"
+        valor={opcoes.tamanhoDescricao}
+        onChange={(valor) => setOpcao('tamanhoDescricao', valor)}
+      />
+    </div>
+  );
+};
+
+export default GenerationOptionsPanel;
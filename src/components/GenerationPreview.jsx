@@ -0,0 +1,52 @@
+import React, { useContext, useEffect, useMemo, useState } from 'react';
+import ReactFlow, { Background } from 'reactflow';
+import { computeLayout } from '../lib/layout';
+import { THEMES, getBranchColors, styleEdges } from '../lib/theme';
+import MindMapNode from './MindMapNode';
+import { MapActionsContext } from './MapActionsContext';
+
+const nodeTypes = { mindmap: MindMapNode };
+
+// --- PRÉVIA DO MAPA DURANTE A GERAÇÃO EM STREAMING ---
+// Mostra os nós conforme chegam, sem edição nem expansão, já com a aparência
+// que o mapa terá.
+
+const GenerationPreview = ({ nodes, edges, direction, aparencia }) => {
+  const [rfInstance, setRfInstance] = useState(null);
+  const tema = THEMES[aparencia.tema];
+  const ramos = useMemo(() => getBranchColors(nodes, edges, tema.paleta), [nodes, edges, tema]);
+  const acoes = { ...useContext(MapActionsContext), somenteLeitura: true, aparencia: { tema, ...ramos } };
+
+  const nodesComLayout = useMemo(
+    () => computeLayout(nodes, edges, { direction }),
+    [nodes, edges, direction]
+  );
+  const arestas = useMemo(() => styleEdges(edges, ramos.cores, aparencia), [edges, ramos, aparencia]);
+
+  // Reenquadra a cada nó novo, depois que o React Flow desenhar
+  useEffect(() => {
+    if (!rfInstance) return undefined;
+    const frame = requestAnimationFrame(() => rfInstance.fitView({ duration: 300 }));
+    return () => cancelAnimationFrame(frame);
+  }, [rfInstance, nodesComLayout]);
+
+  return (
+    <MapActionsContext.Provider value={acoes}>
+      <ReactFlow
+        nodes={nodesComLayout}
+        edges={arestas}
+        nodeTypes={nodeTypes}
+        onInit={setRfInstance}
+        fitView
+        nodesDraggable={false}
+        nodesConnectable={false}
+        elementsSelectable={false}
+        style={{ backgroundColor: tema.fundo }}
+      >
+        <Background variant="dots" gap={16} size={1} color={tema.pontos} />
+      </ReactFlow>
+    </MapActionsContext.Provider>
+  );
+};
+
+export default GenerationPreview;
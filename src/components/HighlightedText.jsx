@@ -0,0 +1,15 @@
+import React from 'react';
+import { splitMatches } from '../lib/search';
+
+// Texto com as ocorrências do termo de busca marcadas
+const HighlightedText = ({ texto, termo }) => (
+  <>
+    {splitMatches(texto, termo).map((trecho, i) => (
+      trecho.destaque
+        ? <mark key={i} className="bg-yellow-200 text-inherit rounded px-0.5">{trecho.texto}</mark>
+        : <React.Fragment key={i}>{trecho.texto}</React.Fragment>
+    ))}
+  </>
+);
+
+export default HighlightedText;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { IDIOMAS_INTERFACE } from '../lib/i18n';
+import { useI18n } from '../hooks/useI18n';
+
+// --- SELETOR DO IDIOMA DA INTERFACE ---
+// Fica no canto da página em todas as telas. Não muda o idioma dos mapas, que
+// é escolhido nas opções de geração.
+
+const LanguageSwitcher = ({ idioma, onChange }) => {
+  const { t } = useI18n();
+
+  return (
+    <label className="absolute top-2 right-3 z-20 flex items-center gap-1.5 rounded-lg bg-white/70 backdrop-blur px-2 py-1 text-sm text-gray-600 shadow-sm hover:text-blue-600">
+      <Languages className="w-4 h-4" aria-hidden="true" />
+      <span className="sr-only">{t('comum.idiomaInterface')}</span>
+      <select
+        value={idioma}
+        onChange={(e) => onChange(e.target.value)}
+        className="bg-transparent outline-none cursor-pointer"
+      >
+        {Object.entries(IDIOMAS_INTERFACE).map(([id, { nome }]) => (
+          <option key={id} value={id} lang={id}>{nome}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,46 @@
+import { createContext } from 'react';
+import { THEMES } from '../lib/theme';
+
+// Ações do mapa disponíveis para os nós customizados do React Flow,
+// sem precisar colocar funções dentro de `node.data` (que é salvo e exportado)
+export const MapActionsContext = createContext({
+  onExpand: () => {},
+  expandindo: new Set(),
+  modoEdicao: false,
+  autoEditId: null,
+  onUpdateData: () => {},
+  onAddChild: () => {},
+  onAddSibling: () => {},
+  onDelete: () => {},
+  // Ramos recolhidos e foco: total de descendentes por nó e o nó em foco
+  descendentes: new Map(),
+  focoId: null,
+  onToggleCollapse: () => {},
+  onFocus: () => {},
+  // Busca: termo, ids encontrados e o resultado atual (Enter/Shift+Enter)
+  busca: { termo: '', resultados: new Set(), atualId: null },
+  // Navegação pelo teclado: nível/posição de cada nó e o tópico atual (foco itinerante)
+  arvore: new Map(),
+  cursorId: null,
+  onCursor: () => {},
+  onNavigate: () => {},
+  onOpenDetails: () => {},
+  // Prévias (como a da geração em streaming) não mostram ações nos nós
+  somenteLeitura: false,
+  // Mapas abertos por link de compartilhamento não chamam a IA
+  permiteIa: true,
+  // Sala de colaboração: quem (nome e cor) está com cada nó selecionado
+  selecoesRemotas: new Map(),
+  // Regeneração: ramo sendo regenerado e, na revisão, a mudança proposta para cada
+  // nó ({ tipo, antes, depois, moveu, aceita }) com a ação de aceitar/rejeitar
+  onRegenerate: () => {},
+  regenerandoId: null,
+  revisao: new Map(),
+  onDecide: () => {},
+  // Aparência: tema, raízes do mapa e cor do ramo de cada nó; cor, ícone e forma
+  // escolhidos num tópico são gravados com onUpdateStyle
+  aparencia: { tema: THEMES.claro, raizes: new Set(), cores: new Map() },
+  onUpdateStyle: () => {},
+  // Modo apresentação: tópico sendo apresentado
+  destacadoId: null,
+});
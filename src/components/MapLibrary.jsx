@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react';
+import { Library, Search, FolderOpen, Pencil, Copy, Trash2, Check, X } from 'lucide-react';
+import { listMaps, renameMap, duplicateMap, deleteMap } from '../lib/storage';
+import { normalizeText } from '../lib/text';
+import { useI18n } from '../hooks/useI18n';
+
+// --- BIBLIOTECA DE MAPAS SALVOS (TELA HOME) ---
+
+const MapLibrary = ({ onOpen }) => {
+  const { t, formatarData } = useI18n();
+  const [mapas, setMapas] = useState([]);
+  const [busca, setBusca] = useState('');
+  const [renomeando, setRenomeando] = useState(null);
+  const [novoNome, setNovoNome] = useState('');
+  // Chave do texto do erro
+  const [erro, setErro] = useState('');
+
+  const recarregar = () => listMaps()
+    .then(setMapas)
+    .catch(err => {
+      console.error('Erro ao ler a biblioteca de mapas:', err);
+      setErro('biblioteca.erro');
+    });
+
+  useEffect(() => {
+    recarregar();
+  }, []);
+
+  const handleRenomear = async (id) => {
+    const nome = novoNome.trim();
+    setRenomeando(null);
+    if (!nome) return;
+    await renameMap(id, nome);
+    recarregar();
+  };
+
+  const handleDuplicar = async (id) => {
+    await duplicateMap(id);
+    recarregar();
+  };
+
+  const handleExcluir = async (mapa) => {
+    if (!window.confirm(t('biblioteca.confirmarExclusao', { nome: mapa.nome }))) return;
+    await deleteMap(mapa.id);
+    recarregar();
+  };
+
+  if (erro) {
+    return <p className="text-sm text-red-500 mt-8 text-center">{t(erro)}</p>;
+  }
+  if (mapas.length === 0) return null;
+
+  const termo = normalizeText(busca.trim());
+  const filtrados = mapas.filter(m => !termo || normalizeText(`${m.nome} ${m.tema}`).includes(termo));
+
+  return (
+    <div className="w-full max-w-2xl mt-12 bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl border border-white/20 p-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-gradient-to-br from-blue-600 to-green-600 rounded-lg">
+            <Library className="w-5 h-5 text-white" />
+          </div>
+          <h3 className="text-xl font-bold text-gray-800">{t('biblioteca.titulo')}</h3>
+        </div>
+        <div className="flex items-center gap-2 bg-white rounded-xl border border-gray-200 px-3">
+          <Search className="w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={busca}
+            onChange={(e) => setBusca(e.target.value)}
+            placeholder={t('biblioteca.buscar')}
+            className="py-2 bg-transparent outline-none text-sm text-gray-800"
+          />
+        </div>
+      </div>
+
+      <ul className="divide-y divide-gray-100 max-h-80 overflow-y-auto pr-1">
+        {filtrados.map(mapa => (
+          <li key={mapa.id} className="py-3 flex items-center gap-3">
+            <div className="flex-grow min-w-0 text-left">
+              {renomeando === mapa.id ? (
+                <div className="flex items-center gap-2">
+                  <input
+                    autoFocus
+                    value={novoNome}
+                    onChange={(e) => setNovoNome(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleRenomear(mapa.id);
+                      if (e.key === 'Escape') setRenomeando(null);
+                    }}
+                    className="flex-grow p-1 rounded-md border border-blue-300 outline-none text-gray-800"
+                  />
+                  <button onClick={() => handleRenomear(mapa.id)} title={t('biblioteca.salvarNome')} className="text-green-600">
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => setRenomeando(null)} title={t('comum.cancelar')} className="text-gray-400">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <button onClick={() => onOpen(mapa)} className="font-semibold text-gray-800 hover:text-blue-600 truncate block max-w-full">
+                  {mapa.nome}
+                </button>
+              )}
+              <p className="text-xs text-gray-500 truncate">
+                {mapa.tema} · {t('biblioteca.topicos', { n: mapa.nodes.length })} · {formatarData(mapa.atualizadoEm)}
+                {mapa.modelo?.model && ` · ${mapa.modelo.model}`}
+              </p>
+            </div>
+            <div className="flex items-center gap-1 text-gray-500 flex-shrink-0">
+              <button onClick={() => onOpen(mapa)} title={t('biblioteca.abrir')} className="p-1.5 hover:text-blue-600">
+                <FolderOpen className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => { setRenomeando(mapa.id); setNovoNome(mapa.nome); }}
+                title={t('biblioteca.renomear')}
+                className="p-1.5 hover:text-blue-600"
+              >
+                <Pencil className="w-4 h-4" />
+              </button>
+              <button onClick={() => handleDuplicar(mapa.id)} title={t('biblioteca.duplicar')} className="p-1.5 hover:text-blue-600">
+                <Copy className="w-4 h-4" />
+              </button>
+              <button onClick={() => handleExcluir(mapa)} title={t('biblioteca.excluir')} className="p-1.5 hover:text-red-600">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </li>
+        ))}
+        {filtrados.length === 0 && (
+          <li className="py-6 text-center text-sm text-gray-500">{t('biblioteca.nenhum', { termo: busca })}</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default MapLibrary;
@@ -0,0 +1,144 @@
+import React, { useMemo } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { buildTree } from '../lib/graph';
+import { flattenVisible } from '../lib/treeNavigation';
+import HighlightedText from './HighlightedText';
+import { useI18n } from '../hooks/useI18n';
+
+// --- MAPA EM TÓPICOS (VISÃO ACESSÍVEL) ---
+// O mesmo mapa como árvore ARIA aninhada, para leitores de tela e teclado.
+// Ramos recolhidos, foco, busca e o tópico atual são os mesmos do canvas.
+
+const MapOutline = ({ nodes, edges, ocultos, descendentes, cursorId, busca, onCursor, onToggleCollapse, onOpenDetails }) => {
+  const { t } = useI18n();
+  const { children, parent } = useMemo(() => buildTree(nodes, edges), [nodes, edges]);
+  const ordem = useMemo(() => flattenVisible(nodes, edges, ocultos), [nodes, edges, ocultos]);
+  const porId = useMemo(() => new Map(nodes.map(n => [n.id, n])), [nodes]);
+
+  // Só um item entra na ordem do Tab (roving tabindex); os demais se alcançam pelas setas
+  const itemComTab = ordem.includes(cursorId) ? cursorId : ordem[0];
+  const buscando = busca.termo.trim() !== '';
+
+  const filhosVisiveis = (id) => (children.get(id) || []).filter(filho => !ocultos.has(filho));
+  const topo = ordem.filter(id => !parent.has(id) || ocultos.has(parent.get(id)));
+
+  const handleKeyDown = (e, id) => {
+    if (e.target !== e.currentTarget) return;
+    const indice = ordem.indexOf(id);
+    const temFilhos = (descendentes.get(id) || 0) > 0;
+    const recolhido = Boolean(porId.get(id).data.recolhido);
+    let destino = null;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        destino = ordem[indice + 1];
+        break;
+      case 'ArrowUp':
+        destino = ordem[indice - 1];
+        break;
+      case 'Home':
+        destino = ordem[0];
+        break;
+      case 'End':
+        destino = ordem[ordem.length - 1];
+        break;
+      case 'ArrowRight':
+        if (temFilhos && recolhido) onToggleCollapse(id);
+        else destino = filhosVisiveis(id)[0];
+        break;
+      case 'ArrowLeft':
+        if (temFilhos && !recolhido) onToggleCollapse(id);
+        else if (!ocultos.has(parent.get(id))) destino = parent.get(id);
+        break;
+      case 'Enter':
+        onOpenDetails(id);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    if (destino) onCursor(destino, { mover: true });
+  };
+
+  const renderItem = (id, nivel, posicao, total) => {
+    const { data } = porId.get(id);
+    const temFilhos = (descendentes.get(id) || 0) > 0;
+    const filhos = filhosVisiveis(id);
+    const atual = id === cursorId;
+    const encontrado = buscando && busca.resultados.has(id);
+
+    return (
+      <li
+        key={id}
+        role="treeitem"
+        data-item-id={id}
+        tabIndex={id === itemComTab ? 0 : -1}
+        aria-level={nivel}
+        aria-posinset={posicao}
+        aria-setsize={total}
+        aria-expanded={temFilhos ? !data.recolhido : undefined}
+        aria-selected={atual}
+        aria-labelledby={`lista-titulo-${id}`}
+        aria-describedby={data.descricao ? `lista-descricao-${id}` : undefined}
+        onKeyDown={(e) => handleKeyDown(e, id)}
+        onFocus={(e) => {
+          if (e.target === e.currentTarget && !atual) onCursor(id);
+        }}
+        className="outline-none group/item"
+      >
+        <div
+          onClick={() => onCursor(id, { mover: true })}
+          className={`flex items-start gap-2 rounded-lg px-2 py-1.5 cursor-pointer
+            group-focus-visible/item:ring-2 group-focus-visible/item:ring-blue-500
+            ${atual ? 'bg-blue-50' : 'hover:bg-gray-50'}
+            ${buscando && !encontrado ? 'opacity-50' : ''}`}
+        >
+          {temFilhos ? (
+            <button
+              tabIndex={-1}
+              aria-hidden="true"
+              onClick={(e) => {
+                e.stopPropagation();
+                onToggleCollapse(id);
+              }}
+              className="mt-0.5 text-gray-400 hover:text-blue-600"
+            >
+              {data.recolhido ? <ChevronRight className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            </button>
+          ) : (
+            <span className="w-4 flex-shrink-0" />
+          )}
+          <div className="min-w-0">
+            <span id={`lista-titulo-${id}`} className="font-semibold text-gray-800">
+              <HighlightedText texto={data.label} termo={busca.termo} />
+            </span>
+            {data.recolhido && (
+              <span className="ml-2 text-xs text-gray-400">+{descendentes.get(id)}</span>
+            )}
+            {data.descricao && (
+              <p id={`lista-descricao-${id}`} className="text-sm text-gray-600">
+                <HighlightedText texto={data.descricao} termo={busca.termo} />
+              </p>
+            )}
+          </div>
+        </div>
+        {filhos.length > 0 && (
+          <ul role="group" className="ml-5 border-l border-gray-200 pl-2">
+            {filhos.map((filho, i) => renderItem(filho, nivel + 1, i + 1, filhos.length))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="h-full overflow-y-auto p-6">
+      <ul role="tree" aria-label={t('canvas.lista')} className="space-y-1">
+        {topo.map((id, i) => renderItem(id, 1, i + 1, topo.length))}
+      </ul>
+    </div>
+  );
+};
+
+export default MapOutline;
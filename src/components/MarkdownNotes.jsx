@@ -0,0 +1,52 @@
+import React from 'react';
+import { parseMarkdown, parseInline } from '../lib/notes';
+
+// Notas em Markdown desenhadas como elementos React: nada do texto vira HTML
+
+const EmLinha = ({ texto }) => (
+  <>
+    {parseInline(texto).map((trecho, i) => {
+      if (trecho.tipo === 'negrito') return <strong key={i}>{trecho.texto}</strong>;
+      if (trecho.tipo === 'italico') return <em key={i}>{trecho.texto}</em>;
+      if (trecho.tipo === 'codigo') return <code key={i} className="rounded bg-gray-100 px-1 text-[0.9em]">{trecho.texto}</code>;
+      if (trecho.tipo === 'link') {
+        return (
+          <a key={i} href={trecho.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline hover:text-blue-800">
+            {trecho.texto}
+          </a>
+        );
+      }
+      return <React.Fragment key={i}>{trecho.texto}</React.Fragment>;
+    })}
+  </>
+);
+
+const TAMANHOS_TITULO = { 1: 'text-base', 2: 'text-sm', 3: 'text-sm' };
+
+const MarkdownNotes = ({ texto }) => (
+  <div className="space-y-2 text-sm text-gray-700 leading-relaxed">
+    {parseMarkdown(texto).map((bloco, i) => {
+      if (bloco.tipo === 'titulo') {
+        const Titulo = `h${bloco.nivel + 3}`;
+        return <Titulo key={i} className={`${TAMANHOS_TITULO[bloco.nivel]} font-bold text-gray-800 pt-1`}><EmLinha texto={bloco.texto} /></Titulo>;
+      }
+      if (bloco.tipo === 'lista') {
+        const Lista = bloco.ordenada ? 'ol' : 'ul';
+        return (
+          <Lista key={i} className={`${bloco.ordenada ? 'list-decimal' : 'list-disc'} pl-5 space-y-1`}>
+            {bloco.itens.map((item, j) => <li key={j}><EmLinha texto={item} /></li>)}
+          </Lista>
+        );
+      }
+      if (bloco.tipo === 'citacao') {
+        return <blockquote key={i} className="border-l-4 border-gray-300 pl-3 text-gray-600"><EmLinha texto={bloco.texto} /></blockquote>;
+      }
+      if (bloco.tipo === 'codigo') {
+        return <pre key={i} className="overflow-x-auto rounded-lg bg-gray-100 p-2 text-xs"><code>{bloco.texto}</code></pre>;
+      }
+      return <p key={i}><EmLinha texto={bloco.texto} /></p>;
+    })}
+  </div>
+);
+
+export default MarkdownNotes;
@@ -0,0 +1,392 @@
+import React, { useContext, useRef, useState } from 'react';
+import { Handle, NodeToolbar, Position } from 'reactflow';
+import { Sparkles, Loader2, Plus, CornerDownRight, Trash2, ChevronDown, ChevronRight, Focus, Quote, RefreshCw, Check, X, Palette, NotebookPen } from 'lucide-react';
+import { MapActionsContext } from './MapActionsContext';
+import HighlightedText from './HighlightedText';
+import NodeStylePicker from './NodeStylePicker';
+import { NODE_ICONS } from './nodeIcons';
+import { MUDANCAS } from '../lib/mapDiff';
+import { getIconColor } from '../lib/theme';
+import { hasNodeExtras } from '../lib/notes';
+import { useI18n } from '../hooks/useI18n';
+
+// --- CAMPO EDITÁVEL (duplo clique para editar) ---
+
+const TextEditor = ({ initialValue, multiline, onCommit, onCancel, onKeyboardExit, inputClassName }) => {
+  const [rascunho, setRascunho] = useState(initialValue || '');
+  // Evita confirmar duas vezes (Enter seguido do blur ao desmontar)
+  const finalizadoRef = useRef(false);
+
+  const finalizar = (acao) => {
+    if (finalizadoRef.current) return;
+    finalizadoRef.current = true;
+    acao();
+  };
+
+  const Campo = multiline ? 'textarea' : 'input';
+  return (
+    <Campo
+      autoFocus
+      value={rascunho}
+      rows={multiline ? 3 : undefined}
+      onChange={(e) => setRascunho(e.target.value)}
+      onBlur={() => finalizar(() => onCommit(rascunho))}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') finalizar(onCancel);
+        else if (e.key === 'Enter' && (!multiline || e.ctrlKey || e.metaKey)) finalizar(() => onCommit(rascunho));
+        else return;
+        // Saindo pelo teclado, o foco volta ao tópico
+        onKeyboardExit?.();
+      }}
+      className={`nodrag nowheel w-full rounded-md p-1 outline-none border border-blue-300 bg-white text-gray-800 ${inputClassName}`}
+    />
+  );
+};
+
+const EditableText = ({ value, editing, onStart, placeholder, termoBusca, ...editorProps }) => {
+  if (editing) {
+    return <TextEditor initialValue={value} {...editorProps} />;
+  }
+  return (
+    <span onDoubleClick={onStart}>
+      {value
+        ? <HighlightedText texto={value} termo={termoBusca} />
+        : <span className="italic opacity-60">{placeholder}</span>}
+    </span>
+  );
+};
+
+// --- COMPONENTE DE NÓ CUSTOMIZADO ---
+
+// Destaque de cada tipo de mudança na revisão de uma regeneração (o nome vem
+// de "revisao.tipos.<tipo>")
+const MARCAS_REVISAO = {
+  [MUDANCAS.ADICIONADO]: { anel: 'ring-4 ring-green-500 ring-offset-2', cor: 'bg-green-600' },
+  [MUDANCAS.REMOVIDO]: { anel: 'ring-4 ring-red-400 ring-offset-2', cor: 'bg-red-600' },
+  [MUDANCAS.ALTERADO]: { anel: 'ring-4 ring-amber-400 ring-offset-2', cor: 'bg-amber-500' },
+};
+
+// Cantos do card em cada forma (ver NODE_SHAPES)
+const FORMAS = {
+  arredondado: 'rounded-xl',
+  retangulo: 'rounded-none',
+  pilula: 'rounded-[2rem] px-6',
+};
+
+const MindMapNode = ({ id, data, selected, sourcePosition = Position.Bottom, targetPosition = Position.Top }) => {
+  const {
+    onExpand, expandindo, modoEdicao, autoEditId,
+    onUpdateData, onAddChild, onAddSibling, onDelete, somenteLeitura, permiteIa,
+    descendentes, focoId, onToggleCollapse, onFocus, busca,
+    arvore, cursorId, onCursor, onNavigate, onOpenDetails, selecoesRemotas,
+    onRegenerate, regenerandoId, revisao, onDecide, aparencia, onUpdateStyle, destacadoId,
+  } = useContext(MapActionsContext);
+  const { t } = useI18n();
+  const cardRef = useRef(null);
+  const [estiloAberto, setEstiloAberto] = useState(false);
+  // Raiz é quem não tem pai no grafo (um mapa pode ter mais de uma)
+  const isMainNode = aparencia.raizes.has(id);
+  const isExpanding = expandindo.has(id);
+  const totalDescendentes = descendentes.get(id) || 0;
+
+  // Durante a busca, destaca os nós encontrados e esmaece os demais
+  const buscando = busca.termo.trim() !== '';
+  let destaque = modoEdicao && selected ? 'ring-2 ring-blue-400 ring-offset-2' : '';
+  if (buscando && busca.atualId === id) destaque = 'ring-4 ring-yellow-400 ring-offset-2';
+  else if (buscando && busca.resultados.has(id)) destaque = 'ring-2 ring-yellow-300 ring-offset-2';
+  else if (buscando) destaque = 'opacity-30';
+  // Tópico atual do modo apresentação
+  if (destacadoId === id) destaque = 'ring-4 ring-blue-400 ring-offset-4';
+
+  // Revisão da regeneração: mudanças rejeitadas ficam em cinza (tópicos novos, esmaecidos)
+  const mudanca = revisao.get(id);
+  const marca = mudanca && MARCAS_REVISAO[mudanca.tipo];
+  if (mudanca) {
+    destaque = mudanca.aceita
+      ? marca.anel
+      : `ring-2 ring-gray-300 ring-offset-2 ${mudanca.tipo === MUDANCAS.ADICIONADO ? 'opacity-50' : ''}`;
+  }
+  const riscado = mudanca?.tipo === MUDANCAS.REMOVIDO && mudanca.aceita;
+
+  // Outras pessoas da sala com este nó selecionado: contorno na cor da primeira
+  const selecionadoPor = selecoesRemotas.get(id) || [];
+
+  // Cores do tema: a raiz usa a cor escolhida nela ou a do tema; os demais, a do ramo
+  const { tema } = aparencia;
+  const corRamo = aparencia.cores.get(id) || tema.aresta;
+  const estiloCard = isMainNode
+    ? { background: data.cor || tema.raiz.fundo, borderColor: data.cor || tema.raiz.borda, color: tema.raiz.texto }
+    : { backgroundColor: tema.no.fundo, borderColor: corRamo, color: tema.no.texto };
+  if (selecionadoPor.length > 0) estiloCard.boxShadow = `0 0 0 3px ${selecionadoPor[0].cor}`;
+  const Icone = NODE_ICONS[data.icone]?.icone;
+
+  // Nós recém-criados no modo de edição já abrem com o título em edição
+  const [campoEditando, setCampoEditando] = useState(() => autoEditId === id ? 'label' : null);
+
+  const iniciarEdicao = (campo) => {
+    if (modoEdicao) setCampoEditando(campo);
+  };
+
+  const handleKeyDown = (e) => {
+    // Teclas dentro dos campos e botões do card não navegam
+    if (e.target !== e.currentTarget) return;
+    if (e.key === 'F2' && modoEdicao) {
+      e.preventDefault();
+      iniciarEdicao('label');
+      return;
+    }
+    onNavigate(id, e);
+  };
+
+  // Papel de item da árvore (com foco itinerante), exceto na prévia somente leitura
+  const info = arvore.get(id);
+  const atributosArvore = somenteLeitura || !info ? {} : {
+    role: 'treeitem',
+    'data-item-id': id,
+    tabIndex: id === cursorId ? 0 : -1,
+    'aria-level': info.nivel,
+    'aria-posinset': info.posicao,
+    'aria-setsize': info.total,
+    'aria-expanded': totalDescendentes > 0 ? !data.recolhido : undefined,
+    'aria-selected': id === cursorId,
+    'aria-label': data.label,
+    'aria-describedby': data.descricao ? `mapa-descricao-${id}` : undefined,
+    onKeyDown: handleKeyDown,
+    onFocus: (e) => {
+      if (e.target === e.currentTarget && id !== cursorId) onCursor(id);
+    },
+  };
+
+  const confirmar = (campo, valor) => {
+    setCampoEditando(null);
+    const limpo = valor.trim();
+    // O título não pode ficar vazio
+    if (campo === 'label' && !limpo) return;
+    if (limpo !== (data[campo] || '')) onUpdateData(id, { [campo]: limpo });
+  };
+
+  return (
+    <>
+      <NodeToolbar isVisible={modoEdicao && selected} position={Position.Top} className="flex gap-1">
+        <button
+          onClick={() => onAddChild(id)}
+          title={t('no.adicionarSubtopico')}
+          className="p-2 rounded-lg bg-white shadow-md border border-gray-200 text-gray-700 hover:text-blue-600"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+        {!isMainNode && (
+          <button
+            onClick={() => onAddSibling(id)}
+            title={t('no.adicionarIrmao')}
+            className="p-2 rounded-lg bg-white shadow-md border border-gray-200 text-gray-700 hover:text-blue-600"
+          >
+            <CornerDownRight className="w-4 h-4" />
+          </button>
+        )}
+        {permiteIa && (
+          <button
+            onClick={() => onRegenerate(id)}
+            disabled={regenerandoId !== null}
+            title={t('no.regenerar')}
+            className="p-2 rounded-lg bg-white shadow-md border border-gray-200 text-gray-700 hover:text-blue-600 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${regenerandoId === id ? 'animate-spin' : ''}`} />
+          </button>
+        )}
+        <button
+          onClick={() => setEstiloAberto(aberto => !aberto)}
+          aria-expanded={estiloAberto}
+          title={t('no.estilo')}
+          className="p-2 rounded-lg bg-white shadow-md border border-gray-200 text-gray-700 hover:text-blue-600"
+        >
+          <Palette className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => onDelete(id)}
+          title={t('no.excluir')}
+          className="p-2 rounded-lg bg-white shadow-md border border-gray-200 text-gray-700 hover:text-red-600"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </NodeToolbar>
+      <NodeToolbar isVisible={modoEdicao && selected && estiloAberto} position={Position.Right}>
+        <NodeStylePicker
+          data={data}
+          paleta={tema.paleta}
+          onChange={(campos) => onUpdateStyle(id, campos)}
+          onClose={() => {
+            setEstiloAberto(false);
+            cardRef.current?.focus();
+          }}
+        />
+      </NodeToolbar>
+      {!isMainNode && (
+        <Handle
+          type="target"
+          position={targetPosition}
+          className="!bg-gray-400"
+        />
+      )}
+      <div
+        ref={cardRef}
+        {...atributosArvore}
+        className={`
+          relative p-4 shadow-lg border-2
+          w-64 break-words outline-none
+          focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-4 focus-visible:outline-blue-600
+          ${FORMAS[data.forma] || FORMAS.arredondado}
+          ${destaque} transition-opacity duration-200
+        `}
+        style={estiloCard}
+      >
+        {mudanca && (
+          <span
+            className={`absolute -top-3 left-3 rounded-md px-1.5 py-0.5 text-[10px] font-semibold text-white shadow ${mudanca.aceita ? marca.cor : 'bg-gray-500'}`}
+          >
+            {t(`revisao.tipos.${mudanca.tipo}`)}{mudanca.aceita ? '' : ` · ${t('no.rejeitado')}`}
+          </span>
+        )}
+        {!mudanca && selecionadoPor.length > 0 && (
+          <span
+            className="absolute -top-3 left-3 rounded-md px-1.5 py-0.5 text-[10px] font-semibold text-white shadow"
+            style={{ backgroundColor: selecionadoPor[0].cor }}
+          >
+            {selecionadoPor.map(p => p.nome).join(', ')}
+          </span>
+        )}
+        <strong className={`${isMainNode ? 'text-lg' : 'text-base'} ${riscado ? 'line-through' : ''}`}>
+          {Icone && (
+            <Icone
+              className="inline w-4 h-4 mr-1.5 -mt-0.5"
+              color={getIconColor(id, aparencia)}
+              aria-label={t(`estilo.icones.${data.icone}`)}
+            />
+          )}
+          <EditableText
+            value={data.label}
+            editing={campoEditando === 'label'}
+            onStart={() => iniciarEdicao('label')}
+            onCommit={(valor) => confirmar('label', valor)}
+            onCancel={() => setCampoEditando(null)}
+            onKeyboardExit={() => cardRef.current?.focus()}
+            placeholder={t('no.semTitulo')}
+            termoBusca={busca.termo}
+            inputClassName="font-bold"
+          />
+        </strong>
+        <hr className="my-2 opacity-40" style={{ borderColor: isMainNode ? tema.raiz.descricao : corRamo }} />
+        <p id={`mapa-descricao-${id}`} className="text-sm" style={{ color: isMainNode ? tema.raiz.descricao : tema.no.descricao }}>
+          <EditableText
+            value={data.descricao}
+            multiline
+            editing={campoEditando === 'descricao'}
+            onStart={() => iniciarEdicao('descricao')}
+            onCommit={(valor) => confirmar('descricao', valor)}
+            onCancel={() => setCampoEditando(null)}
+            onKeyboardExit={() => cardRef.current?.focus()}
+            placeholder={modoEdicao ? t('no.adicionarDescricao') : ''}
+            termoBusca={busca.termo}
+            inputClassName="text-sm"
+          />
+        </p>
+        {mudanca?.tipo === MUDANCAS.ALTERADO && (
+          <div className="mt-2 rounded-lg border border-amber-200 bg-amber-50 p-2 text-xs text-gray-700">
+            <span className="font-semibold text-amber-700">{t('no.proposta')} </span>
+            {mudanca.antes.label !== mudanca.depois.label && <strong>{mudanca.depois.label}. </strong>}
+            {mudanca.antes.descricao !== mudanca.depois.descricao && mudanca.depois.descricao}
+            {mudanca.moveu && <em> {t('no.mudaDeLugar')}</em>}
+          </div>
+        )}
+        {mudanca && (
+          <div className="nodrag absolute -bottom-3 right-3 flex gap-1" role="group" aria-label={t('revisao.decisao', { titulo: data.label })}>
+            <button
+              onClick={() => onDecide(id, true)}
+              aria-pressed={mudanca.aceita}
+              title={t('no.aceitar')}
+              className={`p-1 rounded-full shadow-md border ${mudanca.aceita ? 'bg-green-600 text-white border-white' : 'bg-white text-gray-600 border-gray-200 hover:text-green-600'}`}
+            >
+              <Check className="w-3.5 h-3.5" />
+            </button>
+            <button
+              onClick={() => onDecide(id, false)}
+              aria-pressed={!mudanca.aceita}
+              title={t('no.rejeitar')}
+              className={`p-1 rounded-full shadow-md border ${!mudanca.aceita ? 'bg-gray-600 text-white border-white' : 'bg-white text-gray-600 border-gray-200 hover:text-red-600'}`}
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        )}
+        {!somenteLeitura && (hasNodeExtras(data) || data.fontes?.length > 0) && (
+          <div className="nodrag absolute -top-3 right-3 flex gap-1">
+            {hasNodeExtras(data) && (
+              <button
+                onClick={() => onOpenDetails(id)}
+                title={t('no.extras')}
+                className="p-1 rounded-full shadow-md border bg-white text-gray-600 border-gray-200 hover:text-blue-600 transition-all duration-200"
+              >
+                <NotebookPen className="w-3 h-3" />
+              </button>
+            )}
+            {data.fontes?.length > 0 && (
+              <button
+                onClick={() => onOpenDetails(id)}
+                title={t('no.verTrechos', { n: data.fontes.length })}
+                className="flex items-center gap-0.5 px-1.5 py-1 rounded-full shadow-md border bg-white text-gray-600 border-gray-200 text-xs font-semibold hover:text-blue-600 transition-all duration-200"
+              >
+                <Quote className="w-3 h-3" />
+                {data.fontes.length}
+              </button>
+            )}
+          </div>
+        )}
+        {!somenteLeitura && totalDescendentes > 0 && (
+          <div className="nodrag absolute -bottom-3 left-3 flex gap-1">
+            <button
+              onClick={() => onToggleCollapse(id)}
+              aria-expanded={!data.recolhido}
+              title={data.recolhido ? t('no.mostrarOcultos', { n: totalDescendentes }) : t('no.recolher')}
+              className="flex items-center gap-0.5 px-1.5 py-1 rounded-full shadow-md border bg-white text-gray-600 border-gray-200 text-xs font-semibold hover:text-blue-600 transition-all duration-200"
+            >
+              {data.recolhido ? <ChevronRight className="w-3.5 h-3.5" /> : <ChevronDown className="w-3.5 h-3.5" />}
+              {data.recolhido && <span>+{totalDescendentes}</span>}
+            </button>
+            {focoId !== id && (
+              <button
+                onClick={() => onFocus(id)}
+                title={t('no.focar')}
+                className="p-1 rounded-full shadow-md border bg-white text-gray-600 border-gray-200 hover:text-blue-600 transition-all duration-200"
+              >
+                <Focus className="w-3.5 h-3.5" />
+              </button>
+            )}
+          </div>
+        )}
+        {!somenteLeitura && permiteIa && (
+          <button
+            onClick={() => onExpand(id)}
+            disabled={isExpanding}
+            title={t('no.expandir')}
+            className={`nodrag absolute -bottom-3 right-3 p-1.5 rounded-full shadow-md border transition-all duration-200
+              ${isMainNode
+                ? 'bg-white text-blue-600 border-blue-200'
+                : 'bg-gradient-to-br from-blue-600 to-green-600 text-white border-white'}
+              hover:scale-110 disabled:opacity-70 disabled:hover:scale-100`}
+          >
+            {isExpanding
+              ? <Loader2 className="w-4 h-4 animate-spin" />
+              : <Sparkles className="w-4 h-4" />}
+          </button>
+        )}
+      </div>
+      <Handle
+        type="source"
+        position={sourcePosition}
+        className="!bg-gray-400"
+      />
+    </>
+  );
+};
+
+export default MindMapNode;
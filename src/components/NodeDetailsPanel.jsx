@@ -0,0 +1,322 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  X, Focus, ChevronRight, Quote, RefreshCw, NotebookPen, Pencil, Sparkles, Loader2, Link2, ExternalLink, ImagePlus, Trash2,
+} from 'lucide-react';
+import MarkdownNotes from './MarkdownNotes';
+import { IMAGE_ACCEPT, MAX_IMAGENS, normalizeUrl, readImageFile } from '../lib/notes';
+import { useI18n } from '../hooks/useI18n';
+
+// --- DETALHES DO TÓPICO ---
+// Painel lateral aberto ao clicar num tópico, com Enter sobre ele (no mapa ou na
+// lista) ou pelos selos do cartão. Recebe o foco ao abrir; Esc fecha e devolve
+// o foco ao tópico. Além da descrição, mostra as notas em Markdown, os links e
+// as imagens do tópico (ver notes.js); sem `onUpdateDetails` (mapa só para
+// leitura) eles não podem ser editados.
+
+const botaoSecundario = 'flex items-center gap-1.5 text-xs font-semibold text-gray-500 hover:text-blue-600 disabled:opacity-40 disabled:hover:text-gray-500';
+
+const NodeDetailsPanel = ({
+  node, caminho, totalSubtopicos, fontes = [], nomeDocumento, elaborando = false,
+  onFocusBranch, onRegenerateBranch, onUpdateDetails, onElaborate, onClose,
+}) => {
+  const { t } = useI18n();
+  const tituloRef = useRef(null);
+  // Rascunho das notas (null = fora da edição)
+  const [rascunho, setRascunho] = useState(null);
+  const [novoLink, setNovoLink] = useState({ url: '', titulo: '' });
+  const [erroLink, setErroLink] = useState('');
+  const [lendoImagem, setLendoImagem] = useState(false);
+  const [erroImagem, setErroImagem] = useState('');
+
+  const { notas = '', links = [], imagens = [] } = node.data;
+  const editavel = Boolean(onUpdateDetails);
+
+  useEffect(() => {
+    tituloRef.current?.focus();
+  }, [node.id]);
+
+  const handleSalvarNotas = () => {
+    if (rascunho.trim() !== notas.trim()) {
+      onUpdateDetails(node.id, { notas: rascunho.trim() }, 'historico.editarNotas');
+    }
+    setRascunho(null);
+  };
+
+  const handleAdicionarLink = (event) => {
+    event.preventDefault();
+    const url = normalizeUrl(novoLink.url);
+    if (!url) {
+      setErroLink(t('detalhes.urlInvalida'));
+      return;
+    }
+    onUpdateDetails(node.id, { links: [...links, { url, titulo: novoLink.titulo.trim() }] }, 'historico.adicionarLink');
+    setNovoLink({ url: '', titulo: '' });
+    setErroLink('');
+  };
+
+  const handleImagem = async (event) => {
+    const arquivo = event.target.files?.[0];
+    event.target.value = '';
+    if (!arquivo) return;
+    setLendoImagem(true);
+    setErroImagem('');
+    try {
+      const imagem = await readImageFile(arquivo);
+      onUpdateDetails(node.id, { imagens: [...imagens, imagem] }, 'historico.anexarImagem');
+    } catch (err) {
+      console.error('Erro ao anexar a imagem:', err);
+      const motivo = err?.chave ? t(err.chave, err.params) : t('erros.inesperado');
+      setErroImagem(t('detalhes.erroImagem', { arquivo: arquivo.name, detalhe: motivo }));
+    } finally {
+      setLendoImagem(false);
+    }
+  };
+
+  return (
+    <aside
+      aria-labelledby="detalhes-titulo"
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          onClose();
+        }
+      }}
+      className="nodrag nowheel absolute top-0 right-0 z-10 h-full w-80 max-w-full overflow-y-auto bg-white/95 backdrop-blur border-l border-gray-200 shadow-2xl p-5"
+    >
+      <div className="flex items-start justify-between gap-2 mb-3">
+        <h3
+          id="detalhes-titulo"
+          ref={tituloRef}
+          tabIndex={-1}
+          className="text-lg font-bold text-gray-800 outline-none"
+        >
+          {node.data.label}
+        </h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title={t('detalhes.fechar')}>
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {caminho.length > 0 && (
+        <p className="flex items-center flex-wrap gap-1 text-xs text-gray-500 mb-3">
+          <span className="sr-only">{t('detalhes.caminho')}</span>
+          {caminho.map((label, i) => (
+            <React.Fragment key={i}>
+              {i > 0 && <ChevronRight className="w-3 h-3" aria-hidden="true" />}
+              <span>{label}</span>
+            </React.Fragment>
+          ))}
+        </p>
+      )}
+
+      <p className="text-gray-700 text-sm leading-relaxed mb-4">
+        {node.data.descricao || <span className="italic text-gray-400">{t('detalhes.semDescricao')}</span>}
+      </p>
+
+      <p className="text-sm text-gray-500 mb-4">
+        {t(node.data.recolhido ? 'detalhes.subtopicosRecolhidos' : 'detalhes.subtopicos', { n: totalSubtopicos })}
+      </p>
+
+      <section className="mb-4" aria-labelledby="detalhes-notas">
+        <div className="flex items-center justify-between gap-2 mb-2">
+          <h4 id="detalhes-notas" className="flex items-center gap-2 text-sm font-semibold text-gray-600">
+            <NotebookPen className="w-4 h-4" />
+            {t('detalhes.notas')}
+          </h4>
+          {editavel && rascunho === null && (
+            <button onClick={() => setRascunho(notas)} className={botaoSecundario}>
+              <Pencil className="w-3.5 h-3.5" />
+              {t('detalhes.editarNotas')}
+            </button>
+          )}
+        </div>
+        {rascunho !== null ? (
+          <div className="space-y-2">
+            <textarea
+              value={rascunho}
+              onChange={(e) => setRascunho(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Escape') {
+                  e.stopPropagation();
+                  setRascunho(null);
+                }
+              }}
+              rows={10}
+              autoFocus
+              aria-label={t('detalhes.notas')}
+              placeholder={t('detalhes.placeholderNotas')}
+              className="w-full rounded-lg border border-gray-300 p-2 font-mono text-xs leading-relaxed outline-none focus:border-blue-500"
+            />
+            <div className="flex justify-end gap-2">
+              <button onClick={() => setRascunho(null)} className="py-1 px-3 rounded-lg text-sm text-gray-600 hover:bg-gray-100">
+                {t('comum.cancelar')}
+              </button>
+              <button onClick={handleSalvarNotas} className="py-1 px-3 rounded-lg text-sm font-semibold bg-blue-600 text-white hover:bg-blue-700">
+                {t('detalhes.salvar')}
+              </button>
+            </div>
+          </div>
+        ) : notas ? (
+          <MarkdownNotes texto={notas} />
+        ) : (
+          <p className="text-sm italic text-gray-400">{t('detalhes.semNotas')}</p>
+        )}
+        {onElaborate && rascunho === null && (
+          <button
+            onClick={() => onElaborate(node.id)}
+            disabled={elaborando}
+            title={t('detalhes.elaborarDica')}
+            className={`${botaoSecundario} mt-2`}
+          >
+            {elaborando ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Sparkles className="w-3.5 h-3.5" />}
+            {t(elaborando ? 'detalhes.elaborando' : 'detalhes.elaborar')}
+          </button>
+        )}
+      </section>
+
+      {(links.length > 0 || editavel) && (
+        <section className="mb-4" aria-labelledby="detalhes-links">
+          <h4 id="detalhes-links" className="flex items-center gap-2 text-sm font-semibold text-gray-600 mb-2">
+            <Link2 className="w-4 h-4" />
+            {t('detalhes.links')}
+          </h4>
+          {links.length > 0 && (
+            <ul className="space-y-1 mb-2">
+              {links.map((link, i) => (
+                <li key={`${i}-${link.url}`} className="flex items-center gap-2 text-sm">
+                  <ExternalLink className="w-3.5 h-3.5 flex-shrink-0 text-gray-400" />
+                  <a href={link.url} target="_blank" rel="noopener noreferrer" title={link.url} className="flex-grow truncate text-blue-600 hover:underline">
+                    {link.titulo || link.url.replace(/^(https?:\/\/|mailto:)/, '')}
+                  </a>
+                  {editavel && (
+                    <button
+                      onClick={() => onUpdateDetails(node.id, { links: links.filter((_, j) => j !== i) }, 'historico.removerLink')}
+                      title={t('detalhes.removerLink')}
+                      className="text-gray-400 hover:text-red-600"
+                    >
+                      <X className="w-3.5 h-3.5" />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {editavel && (
+            <form onSubmit={handleAdicionarLink} className="space-y-1">
+              <input
+                type="text"
+                inputMode="url"
+                value={novoLink.url}
+                onChange={(e) => setNovoLink(atual => ({ ...atual, url: e.target.value }))}
+                aria-label={t('detalhes.endereco')}
+                placeholder="https://"
+                className="w-full rounded-lg border border-gray-300 px-2 py-1 text-sm outline-none focus:border-blue-500"
+              />
+              <div className="flex gap-1">
+                <input
+                  type="text"
+                  value={novoLink.titulo}
+                  onChange={(e) => setNovoLink(atual => ({ ...atual, titulo: e.target.value }))}
+                  aria-label={t('detalhes.tituloLink')}
+                  placeholder={t('detalhes.tituloLink')}
+                  className="flex-grow min-w-0 rounded-lg border border-gray-300 px-2 py-1 text-sm outline-none focus:border-blue-500"
+                />
+                <button type="submit" disabled={!novoLink.url.trim()} className="py-1 px-3 rounded-lg text-sm font-semibold bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40">
+                  {t('detalhes.adicionarLink')}
+                </button>
+              </div>
+              {erroLink && <p role="alert" className="text-xs text-red-600">{erroLink}</p>}
+            </form>
+          )}
+        </section>
+      )}
+
+      {(imagens.length > 0 || editavel) && (
+        <section className="mb-4" aria-labelledby="detalhes-imagens">
+          <h4 id="detalhes-imagens" className="flex items-center gap-2 text-sm font-semibold text-gray-600 mb-2">
+            <ImagePlus className="w-4 h-4" />
+            {t('detalhes.imagens')}
+          </h4>
+          {imagens.length > 0 && (
+            <ul className="space-y-3 mb-2">
+              {imagens.map(imagem => (
+                <li key={imagem.id}>
+                  <figure>
+                    <img src={imagem.src} alt={imagem.nome} className="w-full rounded-lg border border-gray-200" />
+                    <figcaption className="flex items-center justify-between gap-2 mt-1 text-xs text-gray-400">
+                      <span className="truncate">{imagem.nome}</span>
+                      {editavel && (
+                        <button
+                          onClick={() => onUpdateDetails(node.id, { imagens: imagens.filter(outra => outra.id !== imagem.id) }, 'historico.removerImagem')}
+                          title={t('detalhes.removerImagem')}
+                          className="text-gray-400 hover:text-red-600"
+                        >
+                          <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                      )}
+                    </figcaption>
+                  </figure>
+                </li>
+              ))}
+            </ul>
+          )}
+          {editavel && (imagens.length < MAX_IMAGENS ? (
+            <label className={`${botaoSecundario} cursor-pointer`}>
+              {lendoImagem ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <ImagePlus className="w-3.5 h-3.5" />}
+              {t(lendoImagem ? 'detalhes.lendoImagem' : 'detalhes.anexarImagem')}
+              <input type="file" accept={IMAGE_ACCEPT} onChange={handleImagem} disabled={lendoImagem} className="sr-only" />
+            </label>
+          ) : (
+            <p className="text-xs text-gray-400">{t('detalhes.limiteImagens', { n: MAX_IMAGENS })}</p>
+          ))}
+          {erroImagem && <p role="alert" className="text-xs text-red-600 mt-1">{erroImagem}</p>}
+        </section>
+      )}
+
+      {fontes.length > 0 && (
+        <section className="mb-4" aria-labelledby="detalhes-fontes">
+          <h4 id="detalhes-fontes" className="flex items-center gap-2 text-sm font-semibold text-gray-600 mb-2">
+            <Quote className="w-4 h-4" />
+            {t('detalhes.trechos', { documento: nomeDocumento || t('detalhes.documento') })}
+          </h4>
+          <ul className="space-y-2">
+            {fontes.map(trecho => (
+              <li key={trecho.id}>
+                <blockquote className="border-l-4 border-blue-300 bg-blue-50/60 rounded-r-lg p-3 text-sm text-gray-700 leading-relaxed">
+                  {trecho.texto}
+                </blockquote>
+                <p className="text-xs text-gray-400 mt-1">
+                  {trecho.id}{trecho.pagina && ` · ${t('detalhes.pagina', { n: trecho.pagina })}`}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {totalSubtopicos > 0 && (
+          <button
+            onClick={() => onFocusBranch(node.id)}
+            className="flex items-center gap-2 py-2 px-4 rounded-xl border border-gray-200 bg-white text-gray-700 font-semibold hover:border-blue-300 transition-all duration-200"
+          >
+            <Focus className="w-4 h-4" />
+            {t('no.focar')}
+          </button>
+        )}
+        {onRegenerateBranch && (
+          <button
+            onClick={() => onRegenerateBranch(node.id)}
+            title={t('detalhes.regenerarDica')}
+            className="flex items-center gap-2 py-2 px-4 rounded-xl border border-gray-200 bg-white text-gray-700 font-semibold hover:border-blue-300 transition-all duration-200"
+          >
+            <RefreshCw className="w-4 h-4" />
+            {t('detalhes.regenerar')}
+          </button>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default NodeDetailsPanel;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { Ban } from 'lucide-react';
+import { NODE_ICONS } from './nodeIcons';
+import { NODE_SHAPES } from '../lib/theme';
+import { useI18n } from '../hooks/useI18n';
+
+// --- ESTILO DO TÓPICO ---
+// Cor, ícone e forma de um nó, abertos pela barra de ferramentas no modo de
+// edição. A cor vale para o tópico e para o ramo abaixo dele; "Automática" volta
+// à cor do ramo de primeiro nível.
+
+const opcao = (ativa) => `rounded-lg border px-2 py-1 ${ativa
+  ? 'border-blue-400 bg-blue-50 text-blue-700'
+  : 'border-gray-200 text-gray-700 hover:border-blue-300'}`;
+
+const NodeStylePicker = ({ data, paleta, onChange, onClose }) => {
+  const { t } = useI18n();
+  return (
+    <div
+      role="dialog"
+      aria-label={t('estilo.titulo')}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          onClose();
+        }
+      }}
+      className="nodrag nowheel w-64 space-y-3 rounded-xl border border-gray-200 bg-white p-3 text-xs shadow-xl"
+    >
+      <fieldset>
+        <legend className="mb-1 font-semibold text-gray-700">{t('estilo.cor')}</legend>
+        <div className="flex flex-wrap items-center gap-1.5">
+          <button onClick={() => onChange({ cor: undefined })} aria-pressed={!data.cor} className={opcao(!data.cor)}>
+            {t('estilo.automatica')}
+          </button>
+          {paleta.map(cor => (
+            <button
+              key={cor}
+              onClick={() => onChange({ cor })}
+              aria-pressed={data.cor === cor}
+              aria-label={t('estilo.corValor', { cor })}
+              title={cor}
+              className={`h-6 w-6 rounded-full border-2 ${data.cor === cor ? 'border-gray-900' : 'border-white shadow'}`}
+              style={{ backgroundColor: cor }}
+            />
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend className="mb-1 font-semibold text-gray-700">{t('estilo.icone')}</legend>
+        <div className="grid grid-cols-7 gap-1">
+          <button
+            onClick={() => onChange({ icone: undefined })}
+            aria-pressed={!data.icone}
+            title={t('estilo.semIcone')}
+            className={`${opcao(!data.icone)} flex justify-center`}
+          >
+            <Ban className="h-4 w-4" />
+          </button>
+          {Object.keys(NODE_ICONS).map(chave => {
+            const { icone: Icone } = NODE_ICONS[chave];
+            const nome = t(`estilo.icones.${chave}`);
+            return (
+              <button
+                key={chave}
+                onClick={() => onChange({ icone: chave })}
+                aria-pressed={data.icone === chave}
+                title={nome}
+                className={`${opcao(data.icone === chave)} flex justify-center`}
+              >
+                <Icone className="h-4 w-4" aria-label={nome} />
+              </button>
+            );
+          })}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend className="mb-1 font-semibold text-gray-700">{t('estilo.forma')}</legend>
+        <div className="flex gap-1.5">
+          {Object.keys(NODE_SHAPES).map(chave => {
+            const ativa = (data.forma || 'arredondado') === chave;
+            return (
+              <button
+                key={chave}
+                onClick={() => onChange({ forma: chave === 'arredondado' ? undefined : chave })}
+                aria-pressed={ativa}
+                className={opcao(ativa)}
+              >
+                {t(`estilo.formas.${chave}`)}
+              </button>
+            );
+          })}
+        </div>
+      </fieldset>
+    </div>
+  );
+};
+
+export default NodeStylePicker;
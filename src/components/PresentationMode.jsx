@@ -0,0 +1,189 @@
+import React, { useContext, useEffect, useMemo, useRef, useState } from 'react';
+import ReactFlow, { Background } from 'reactflow';
+import { X, ChevronLeft, ChevronRight, Download } from 'lucide-react';
+import { THEMES, getBranchColors, styleEdges } from '../lib/theme';
+import { PRESENTATION_ORDERS, PRESENTATION_KEYS, buildPresentationSteps, getRevealedIds } from '../lib/presentation';
+import MindMapNode from './MindMapNode';
+import MarkdownNotes from './MarkdownNotes';
+import { MapActionsContext } from './MapActionsContext';
+import { useI18n } from '../hooks/useI18n';
+
+const nodeTypes = { mindmap: MindMapNode };
+
+const botao = 'flex items-center justify-center gap-2 py-2 px-4 rounded-xl border border-gray-200 bg-white text-gray-700 font-semibold hover:border-blue-300 transition-all duration-200 disabled:opacity-50';
+
+// Tempo da câmera e da revelação de cada passo, em ms
+const DURACAO = 800;
+
+// --- MODO APRESENTAÇÃO ---
+// Tela cheia que percorre o mapa passo a passo (ver presentation.js): a câmera
+// vai até cada tópico, que aparece junto com a ligação ao pai, e a descrição e
+// as notas ficam embaixo, como texto de apoio para quem apresenta.
+
+const PresentationMode = ({ nodes, edges, aparencia, onExport, onClose }) => {
+  const { t } = useI18n();
+  const telaRef = useRef(null);
+  const [rfInstance, setRfInstance] = useState(null);
+  const [ordem, setOrdem] = useState(PRESENTATION_ORDERS.PROFUNDIDADE);
+  // Guarda o tópico atual, e não o índice, para trocar a ordem sem perder o lugar
+  const [atualId, setAtualId] = useState(null);
+
+  const passos = useMemo(() => buildPresentationSteps(nodes, edges, ordem), [nodes, edges, ordem]);
+  const indice = Math.max(0, passos.findIndex(p => p.id === atualId));
+  const passo = passos[indice];
+  const revelados = useMemo(() => getRevealedIds(passos, indice), [passos, indice]);
+
+  const tema = THEMES[aparencia.tema];
+  const ramos = useMemo(() => getBranchColors(nodes, edges, tema.paleta), [nodes, edges, tema]);
+  const acoes = {
+    ...useContext(MapActionsContext),
+    somenteLeitura: true,
+    destacadoId: passo?.id ?? null,
+    aparencia: { tema, ...ramos },
+  };
+
+  // Tópicos ainda não apresentados ficam no lugar, invisíveis, para a câmera não pular
+  const nodesApresentados = useMemo(() => nodes.map(n => ({
+    ...n,
+    hidden: false,
+    selected: false,
+    style: {
+      ...n.style,
+      opacity: revelados.has(n.id) ? 1 : 0,
+      pointerEvents: revelados.has(n.id) ? 'auto' : 'none',
+      transition: `opacity ${DURACAO}ms ease`,
+    },
+  })), [nodes, revelados]);
+  const arestas = useMemo(() => styleEdges(edges, ramos.cores, aparencia).map(e => {
+    const revelada = revelados.has(e.source) && revelados.has(e.target);
+    return {
+      ...e,
+      hidden: false,
+      animated: revelada && e.animated,
+      label: revelada ? e.label : undefined,
+      style: { ...e.style, opacity: revelada ? (e.style?.opacity ?? 1) : 0, transition: `opacity ${DURACAO}ms ease` },
+    };
+  }), [edges, ramos, aparencia, revelados]);
+
+  const irPara = (novo) => {
+    const limitado = Math.max(0, Math.min(passos.length - 1, novo));
+    setAtualId(passos[limitado]?.id ?? null);
+  };
+
+  // Enquadra o tópico atual junto com o pai, depois que o React Flow desenhar
+  useEffect(() => {
+    if (!rfInstance || !passo) return undefined;
+    const alvo = [{ id: passo.id }, ...(passo.pai ? [{ id: passo.pai }] : [])];
+    const frame = requestAnimationFrame(() => rfInstance.fitView({ nodes: alvo, duration: DURACAO, padding: 0.35, maxZoom: 1.4 }));
+    return () => cancelAnimationFrame(frame);
+  }, [rfInstance, passo]);
+
+  // Tela cheia ao abrir (o navegador pode recusar; aí segue na janela)
+  useEffect(() => {
+    telaRef.current?.requestFullscreen?.().catch(() => {});
+    return () => {
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // As setas no seletor de ordem mudam a opção, não o passo
+      if (e.target.closest?.('select, input, textarea')) return;
+      if (e.key === 'Escape') {
+        onClose();
+        return;
+      }
+      const acao = PRESENTATION_KEYS[e.key];
+      if (!acao) return;
+      e.preventDefault();
+      if (acao === 'proximo') irPara(indice + 1);
+      else if (acao === 'anterior') irPara(indice - 1);
+      else if (acao === 'inicio') irPara(0);
+      else irPara(passos.length - 1);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  return (
+    <div
+      ref={telaRef}
+      className="fixed inset-0 z-50 flex flex-col bg-white"
+      role="dialog"
+      aria-modal="true"
+      aria-label={t('apresentacao.titulo')}
+    >
+      <div className="relative flex-grow min-h-0">
+        <MapActionsContext.Provider value={acoes}>
+          <ReactFlow
+            nodes={nodesApresentados}
+            edges={arestas}
+            nodeTypes={nodeTypes}
+            onInit={setRfInstance}
+            nodesDraggable={false}
+            nodesConnectable={false}
+            elementsSelectable={false}
+            zoomOnDoubleClick={false}
+            style={{ backgroundColor: tema.fundo }}
+          >
+            <Background variant="dots" gap={16} size={1} color={tema.pontos} />
+          </ReactFlow>
+        </MapActionsContext.Provider>
+
+        <div className="absolute top-4 right-4 flex flex-wrap items-center gap-2">
+          <label className="flex items-center gap-2 rounded-xl border border-gray-200 bg-white/90 px-3 py-2 text-sm text-gray-700 shadow">
+            {t('apresentacao.ordem')}
+            <select value={ordem} onChange={(e) => setOrdem(e.target.value)} className="bg-transparent font-semibold outline-none">
+              {Object.values(PRESENTATION_ORDERS).map(id => (
+                <option key={id} value={id}>{t(`apresentacao.ordens.${id}`)}</option>
+              ))}
+            </select>
+          </label>
+          <button onClick={() => onExport(ordem)} className={`${botao} shadow`} title={t('apresentacao.baixarHtmlDica')}>
+            <Download className="w-4 h-4" />
+            {t('apresentacao.baixarHtml')}
+          </button>
+          <button onClick={onClose} className={`${botao} shadow`} title={t('apresentacao.sair')}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex items-start gap-6 border-t border-gray-200 bg-white px-6 py-4">
+        <div className="flex-grow max-h-[35vh] overflow-y-auto" aria-live="polite">
+          {passo && (
+            <>
+              <h2 className="text-2xl font-bold text-gray-900">{passo.label || t('no.semTitulo')}</h2>
+              {passo.caminho.length > 0 && (
+                <p className="text-xs text-gray-500 mt-0.5">{passo.caminho.join(' › ')}</p>
+              )}
+              {passo.descricao && <p className="text-lg text-gray-700 mt-2">{passo.descricao}</p>}
+              {passo.notas.trim() && (
+                <div className="mt-2">
+                  <MarkdownNotes texto={passo.notas} />
+                </div>
+              )}
+            </>
+          )}
+        </div>
+        <div className="flex flex-col items-center gap-2 flex-shrink-0">
+          <span className="font-bold text-blue-600">
+            {t('apresentacao.passo', { atual: indice + 1, total: passos.length })}
+          </span>
+          <div className="flex gap-2">
+            <button onClick={() => irPara(indice - 1)} disabled={indice === 0} className={botao} title={t('apresentacao.anterior')}>
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <button onClick={() => irPara(indice + 1)} disabled={indice === passos.length - 1} className={botao} title={t('apresentacao.proximo')}>
+              <ChevronRight className="w-5 h-5" />
+            </button>
+          </div>
+          <span className="text-[11px] text-gray-400">{t('apresentacao.dica')}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PresentationMode;
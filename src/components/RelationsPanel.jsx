@@ -0,0 +1,172 @@
+import React from 'react';
+import { X, Check, CheckCheck, Waypoints, Sparkles, Loader2, PenLine, Trash2, ArrowRight } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+
+// --- RELAÇÕES ENTRE RAMOS ---
+// Sugestões da IA (tracejadas no mapa até serem decididas), aceitas ou
+// descartadas uma a uma, e as relações já guardadas no mapa, que podem ter o
+// rótulo editado ou ser removidas. `titulos` traduz ids de tópicos em títulos.
+
+const Par = ({ relacao, titulos, onLocate }) => {
+  const { t } = useI18n();
+  return (
+    <button
+      onClick={() => onLocate(relacao)}
+      className="block w-full text-left hover:underline"
+      title={t('comum.mostrarNoMapa')}
+    >
+      <span className="font-semibold text-gray-800">{titulos.get(relacao.source)}</span>
+      <span className="mx-1 inline-flex items-center gap-1 italic text-purple-700">
+        <ArrowRight className="w-3 h-3" aria-hidden="true" />
+        {relacao.rotulo || <span className="text-gray-400">{t('relacoes.semRotulo')}</span>}
+        <ArrowRight className="w-3 h-3" aria-hidden="true" />
+      </span>
+      <span className="font-semibold text-gray-800">{titulos.get(relacao.target)}</span>
+    </button>
+  );
+};
+
+const RelationsPanel = ({
+  sugestoes, relacoes, titulos, sugerindo, somenteLeitura,
+  onSuggest, onCancel, onAccept, onDismiss, onAcceptAll, onDismissAll, onEditLabel, onRemove, onLocate, onClose,
+}) => {
+  const { t } = useI18n();
+  return (
+    <aside
+      aria-labelledby="relacoes-titulo"
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          onClose();
+        }
+      }}
+      className="nodrag nowheel absolute top-0 right-0 z-10 flex h-full w-80 max-w-full flex-col bg-white/95 backdrop-blur border-l border-gray-200 shadow-2xl"
+    >
+      <div className="p-5 pb-3 border-b border-gray-200">
+        <div className="flex items-start justify-between gap-2">
+          <h3 id="relacoes-titulo" className="flex items-center gap-2 text-lg font-bold text-gray-800">
+            <Waypoints className="w-5 h-5 text-purple-600" />
+            {t('resultado.relacoes')}
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title={t('comum.fecharEsc')}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mt-1">
+          {t('relacoes.descricao')}
+        </p>
+        {!somenteLeitura && (
+          sugerindo ? (
+            <button
+              onClick={onCancel}
+              className="mt-3 w-full flex items-center justify-center gap-2 py-2 px-4 rounded-xl border border-gray-200 bg-white text-gray-700 font-semibold hover:border-red-300 hover:text-red-700"
+            >
+              <Loader2 className="w-4 h-4 animate-spin" />
+              {t('relacoes.procurando')}
+            </button>
+          ) : (
+            <button
+              onClick={onSuggest}
+              className="mt-3 w-full flex items-center justify-center gap-2 py-2 px-4 rounded-xl bg-gradient-to-r from-blue-600 to-green-600 text-white font-semibold shadow hover:shadow-lg transition-all duration-200"
+            >
+              <Sparkles className="w-4 h-4" />
+              {t('relacoes.sugerir')}
+            </button>
+          )
+        )}
+      </div>
+
+      <div className="flex-grow overflow-y-auto p-3 space-y-4">
+        {sugestoes.length > 0 && (
+          <section aria-labelledby="relacoes-sugeridas">
+            <div className="flex items-center justify-between gap-2 mb-2">
+              <h4 id="relacoes-sugeridas" className="text-sm font-semibold text-gray-700">
+                {t('relacoes.sugeridas', { n: sugestoes.length })}
+              </h4>
+              <div className="flex gap-1 text-xs">
+                <button
+                  onClick={onAcceptAll}
+                  className="flex items-center gap-1 py-1 px-2 rounded-lg border border-gray-200 text-gray-700 hover:border-green-300 hover:text-green-700"
+                >
+                  <CheckCheck className="w-3.5 h-3.5" />
+                  {t('revisao.aceitarTodas')}
+                </button>
+                <button
+                  onClick={onDismissAll}
+                  className="flex items-center gap-1 py-1 px-2 rounded-lg border border-gray-200 text-gray-700 hover:border-red-300 hover:text-red-700"
+                >
+                  <X className="w-3.5 h-3.5" />
+                  {t('revisao.descartar')}
+                </button>
+              </div>
+            </div>
+            <ul className="space-y-2">
+              {sugestoes.map(s => (
+                <li key={s.id} className="rounded-xl border border-dashed border-purple-300 bg-purple-50/50 p-3 text-sm">
+                  <Par relacao={s} titulos={titulos} onLocate={onLocate} />
+                  {s.justificativa && <p className="mt-1 text-xs text-gray-600">{s.justificativa}</p>}
+                  <div className="flex gap-2 mt-2" role="group" aria-label={t('revisao.decisao', { titulo: s.rotulo })}>
+                    <button
+                      onClick={() => onAccept(s.id)}
+                      className="flex items-center gap-1 py-1 px-2 rounded-lg bg-green-600 text-white text-xs font-semibold hover:bg-green-700"
+                    >
+                      <Check className="w-3.5 h-3.5" />
+                      {t('relacoes.aceitar')}
+                    </button>
+                    <button
+                      onClick={() => onDismiss(s.id)}
+                      className="flex items-center gap-1 py-1 px-2 rounded-lg border border-gray-200 bg-white text-gray-600 text-xs font-semibold hover:border-gray-300"
+                    >
+                      <X className="w-3.5 h-3.5" />
+                      {t('revisao.descartar')}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        <section aria-labelledby="relacoes-do-mapa">
+          <h4 id="relacoes-do-mapa" className="text-sm font-semibold text-gray-700 mb-2">
+            {t('relacoes.noMapa', { n: relacoes.length })}
+          </h4>
+          {relacoes.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {t('relacoes.nenhuma')}{!somenteLeitura && ` ${t('relacoes.nenhumaDica')}`}
+            </p>
+          ) : (
+            <ul className="space-y-2">
+              {relacoes.map(r => (
+                <li key={r.id} className="rounded-xl border border-gray-200 bg-white p-3 text-sm">
+                  <Par relacao={r} titulos={titulos} onLocate={onLocate} />
+                  {r.justificativa && <p className="mt-1 text-xs text-gray-600">{r.justificativa}</p>}
+                  {!somenteLeitura && (
+                    <div className="flex gap-2 mt-2">
+                      <button
+                        onClick={() => onEditLabel(r)}
+                        className="flex items-center gap-1 py-1 px-2 rounded-lg border border-gray-200 text-gray-600 text-xs font-semibold hover:border-blue-300 hover:text-blue-700"
+                      >
+                        <PenLine className="w-3.5 h-3.5" />
+                        {t('relacoes.editarRotulo')}
+                      </button>
+                      <button
+                        onClick={() => onRemove(r.id)}
+                        className="flex items-center gap-1 py-1 px-2 rounded-lg border border-gray-200 text-gray-600 text-xs font-semibold hover:border-red-300 hover:text-red-700"
+                      >
+                        <Trash2 className="w-3.5 h-3.5" />
+                        {t('relacoes.remover')}
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </aside>
+  );
+};
+
+export default RelationsPanel;
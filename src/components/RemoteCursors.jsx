@@ -0,0 +1,35 @@
+import React from 'react';
+import { useStore } from 'reactflow';
+import { MousePointer2 } from 'lucide-react';
+
+// --- CURSORES DA SALA ---
+// Ponteiro e nome de cada pessoa conectada. As posições chegam em coordenadas
+// do mapa, então cada um vê o cursor dos outros no lugar certo com o próprio zoom.
+
+const seletorTransform = (estado) => estado.transform;
+
+const RemoteCursors = ({ participantes }) => {
+  const [x, y, zoom] = useStore(seletorTransform);
+
+  return (
+    <div className="pointer-events-none absolute inset-0 z-10 overflow-hidden" aria-hidden="true">
+      {participantes.filter(p => p.cursor).map(p => (
+        <div
+          key={p.cliente}
+          className="absolute top-0 left-0 transition-transform duration-75 ease-linear"
+          style={{ transform: `translate(${p.cursor.x * zoom + x}px, ${p.cursor.y * zoom + y}px)` }}
+        >
+          <MousePointer2 className="w-5 h-5" style={{ color: p.cor, fill: p.cor }} />
+          <span
+            className="ml-4 block whitespace-nowrap rounded-md px-1.5 py-0.5 text-xs font-semibold text-white shadow"
+            style={{ backgroundColor: p.cor }}
+          >
+            {p.nome}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RemoteCursors;
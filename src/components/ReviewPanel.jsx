@@ -0,0 +1,143 @@
+import React from 'react';
+import { X, Check, Plus, Minus, PenLine, GitCompare, CheckCheck } from 'lucide-react';
+import { MUDANCAS } from '../lib/mapDiff';
+import { useI18n } from '../hooks/useI18n';
+
+// --- REVISÃO DA REGENERAÇÃO ---
+// Lista as mudanças propostas pela IA (tópicos novos, removidos e alterados),
+// que também aparecem destacadas no mapa. Cada uma é aceita ou rejeitada antes
+// de aplicar; nada muda no mapa até "Aplicar".
+
+const ESTILOS = {
+  [MUDANCAS.ADICIONADO]: { icone: Plus, classe: 'text-green-700 bg-green-50 border-green-200' },
+  [MUDANCAS.REMOVIDO]: { icone: Minus, classe: 'text-red-700 bg-red-50 border-red-200' },
+  [MUDANCAS.ALTERADO]: { icone: PenLine, classe: 'text-amber-700 bg-amber-50 border-amber-200' },
+};
+
+const contar = (mudancas, tipo) => mudancas.filter(m => m.tipo === tipo).length;
+
+const ReviewPanel = ({ titulo, mudancas, aceitas, resumoNovo, aceitaResumo, onDecide, onDecideAll, onToggleResumo, onLocate, onApply, onDiscard }) => {
+  const { t } = useI18n();
+  return (
+    <aside
+      aria-labelledby="revisao-titulo"
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          onDiscard();
+        }
+      }}
+      className="nodrag nowheel absolute top-0 right-0 z-10 flex h-full w-80 max-w-full flex-col bg-white/95 backdrop-blur border-l border-gray-200 shadow-2xl"
+    >
+      <div className="p-5 pb-3 border-b border-gray-200">
+        <div className="flex items-start justify-between gap-2">
+          <h3 id="revisao-titulo" className="flex items-center gap-2 text-lg font-bold text-gray-800">
+            <GitCompare className="w-5 h-5 text-blue-600" />
+            {t('revisao.titulo')}
+          </h3>
+          <button onClick={onDiscard} className="text-gray-400 hover:text-gray-700" title={t('revisao.descartarDica')}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mt-1">{titulo}</p>
+        <p className="flex gap-3 text-xs font-semibold mt-2">
+          <span className="text-green-700">+{t('revisao.novos', { n: contar(mudancas, MUDANCAS.ADICIONADO) })}</span>
+          <span className="text-red-700">−{t('revisao.removidos', { n: contar(mudancas, MUDANCAS.REMOVIDO) })}</span>
+          <span className="text-amber-700">{t('revisao.alterados', { n: contar(mudancas, MUDANCAS.ALTERADO) })}</span>
+        </p>
+        <div className="flex gap-2 mt-3 text-sm">
+          <button
+            onClick={() => onDecideAll(true)}
+            className="flex items-center gap-1 py-1 px-2 rounded-lg border border-gray-200 text-gray-700 hover:border-green-300 hover:text-green-700"
+          >
+            <CheckCheck className="w-4 h-4" />
+            {t('revisao.aceitarTodas')}
+          </button>
+          <button
+            onClick={() => onDecideAll(false)}
+            className="flex items-center gap-1 py-1 px-2 rounded-lg border border-gray-200 text-gray-700 hover:border-red-300 hover:text-red-700"
+          >
+            <X className="w-4 h-4" />
+            {t('revisao.rejeitarTodas')}
+          </button>
+        </div>
+      </div>
+
+      <ul className="flex-grow overflow-y-auto p-3 space-y-2">
+        {resumoNovo && (
+          <li className="rounded-xl border border-amber-200 bg-amber-50/50 p-3 text-sm">
+            <label className="flex items-start gap-2 cursor-pointer">
+              <input type="checkbox" checked={aceitaResumo} onChange={onToggleResumo} className="mt-1" />
+              <span>
+                <span className="font-semibold text-gray-800">{t('revisao.novoResumo')}</span>
+                <span className="block text-gray-600 mt-1">{resumoNovo}</span>
+              </span>
+            </label>
+          </li>
+        )}
+        {mudancas.map(m => {
+          const { icone: Icone, classe } = ESTILOS[m.tipo];
+          const aceita = aceitas.has(m.id);
+          const textoAtual = m.depois || m.antes;
+          return (
+            <li key={m.id} className={`rounded-xl border p-3 text-sm ${aceita ? classe : 'border-gray-200 bg-white opacity-70'}`}>
+              <div className="flex items-start gap-2">
+                <Icone className="w-4 h-4 mt-0.5 flex-shrink-0" aria-label={t(`revisao.tipos.${m.tipo}`)} />
+                <button
+                  onClick={() => onLocate(m.id)}
+                  className="flex-grow text-left font-semibold text-gray-800 hover:underline"
+                  title={t('comum.mostrarNoMapa')}
+                >
+                  {m.tipo === MUDANCAS.REMOVIDO ? <s>{textoAtual.label}</s> : textoAtual.label}
+                </button>
+                <div className="flex gap-1 flex-shrink-0" role="group" aria-label={t('revisao.decisao', { titulo: textoAtual.label })}>
+                  <button
+                    onClick={() => onDecide(m.id, true)}
+                    aria-pressed={aceita}
+                    title={t('no.aceitar')}
+                    className={`p-1 rounded-lg ${aceita ? 'bg-green-600 text-white' : 'text-gray-500 hover:bg-gray-100'}`}
+                  >
+                    <Check className="w-3.5 h-3.5" />
+                  </button>
+                  <button
+                    onClick={() => onDecide(m.id, false)}
+                    aria-pressed={!aceita}
+                    title={t('no.rejeitar')}
+                    className={`p-1 rounded-lg ${!aceita ? 'bg-gray-600 text-white' : 'text-gray-500 hover:bg-gray-100'}`}
+                  >
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              </div>
+              {m.tipo === MUDANCAS.ALTERADO && (
+                <div className="mt-1 ml-6 space-y-1 text-xs text-gray-600">
+                  {m.antes.label !== m.depois.label && <p>{t('revisao.tituloAntes')} <s>{m.antes.label}</s></p>}
+                  {m.antes.descricao !== m.depois.descricao && <p>{t('revisao.novaDescricao')} {m.depois.descricao || <em>{t('revisao.vazia')}</em>}</p>}
+                  {m.moveu && <p>{t('no.mudaDeLugar')}</p>}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="flex gap-2 p-3 border-t border-gray-200">
+        <button
+          onClick={onApply}
+          className="flex-grow flex items-center justify-center gap-2 py-2 px-4 rounded-xl bg-gradient-to-r from-blue-600 to-green-600 text-white font-semibold shadow hover:shadow-lg transition-all duration-200"
+        >
+          <Check className="w-4 h-4" />
+          {t('revisao.aplicar', { aceitas: aceitas.size, total: mudancas.length })}
+        </button>
+        <button
+          onClick={onDiscard}
+          className="py-2 px-4 rounded-xl border border-gray-200 bg-white text-gray-700 font-semibold hover:border-gray-300"
+        >
+          {t('revisao.descartar')}
+        </button>
+      </div>
+    </aside>
+  );
+};
+
+export default ReviewPanel;
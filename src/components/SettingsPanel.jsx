@@ -0,0 +1,70 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { PROVIDERS } from '../lib/providers';
+import { useI18n } from '../hooks/useI18n';
+
+// O rótulo de cada campo vem de "configuracoes.campos.<campo>"
+const CAMPOS = {
+  baseUrl: { placeholder: 'http://localhost:8000/v1', type: 'text' },
+  model: { placeholder: 'nome-do-modelo', type: 'text' },
+  apiKey: { placeholder: 'sk-...', type: 'password' },
+};
+
+// --- PAINEL DE CONFIGURAÇÕES DO PROVEDOR DE IA ---
+
+const SettingsPanel = ({ settings, onChange, onClose }) => {
+  const { t } = useI18n();
+  const atual = settings.provider;
+  const { campos, descricao } = PROVIDERS[atual];
+
+  const setCampo = (campo, valor) => {
+    onChange({ ...settings, [atual]: { ...settings[atual], [campo]: valor } });
+  };
+
+  return (
+    <div className="relative bg-white/80 backdrop-blur-xl rounded-2xl shadow-xl border border-white/20 p-6 mt-6 text-left">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold text-gray-800">{t('configuracoes.titulo')}</h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title={t('comum.fechar')}>
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
+        {Object.keys(PROVIDERS).map(id => (
+          <button
+            key={id}
+            onClick={() => onChange({ ...settings, provider: id })}
+            className={`py-2 px-3 rounded-xl text-sm font-semibold border transition-all duration-200
+              ${id === atual
+                ? 'bg-gradient-to-r from-blue-600 to-green-600 text-white border-transparent shadow-lg'
+                : 'bg-white text-gray-700 border-gray-200 hover:border-blue-300'}`}
+          >
+            {t(`configuracoes.provedores.${id}`)}
+          </button>
+        ))}
+      </div>
+
+      {descricao && (
+        <p className="text-sm text-gray-500 mb-3">{t(`configuracoes.descricoes.${atual}`)}</p>
+      )}
+
+      <div className="space-y-3">
+        {campos.map(campo => (
+          <label key={campo} className="block">
+            <span className="text-sm font-semibold text-gray-600">{t(`configuracoes.campos.${campo}`)}</span>
+            <input
+              type={CAMPOS[campo].type}
+              value={settings[atual][campo] || ''}
+              placeholder={CAMPOS[campo].placeholder}
+              onChange={(e) => setCampo(campo, e.target.value)}
+              className="mt-1 w-full p-3 rounded-xl border border-gray-200 bg-white outline-none focus:border-blue-400 text-gray-800"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
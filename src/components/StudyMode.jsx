@@ -0,0 +1,282 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { X, GraduationCap, Sparkles, Loader2, RotateCcw, Check } from 'lucide-react';
+import { buildOfflineCards, checkAnswer } from '../lib/study';
+import { NOTAS, scheduleCard, buildSession, summarizeProgress } from '../lib/spacedRepetition';
+import { getStudyProgress, saveStudyProgress } from '../lib/storage';
+import { describeFailure } from '../lib/aiErrors';
+import ErrorNotice from './ErrorNotice';
+import { useI18n } from '../hooks/useI18n';
+
+const botaoSecundario = 'flex items-center justify-center gap-2 py-2 px-4 rounded-xl border border-gray-200 bg-white text-gray-700 font-semibold hover:border-blue-300 transition-all duration-200 disabled:opacity-50';
+const botaoPrimario = 'flex items-center justify-center gap-2 py-2 px-4 rounded-xl bg-gradient-to-r from-blue-600 to-green-600 text-white font-semibold shadow hover:shadow-lg transition-all duration-200 disabled:opacity-50';
+
+// --- UM CARTÃO DA SESSÃO ---
+// Flashcards são autoavaliados; múltipla escolha e lacuna são corrigidas aqui
+// e viram "bom" (acerto) ou "errei" (erro) para a repetição espaçada.
+
+const CardView = ({ cartao, onAnswer }) => {
+  const { t } = useI18n();
+  const [revelado, setRevelado] = useState(false);
+  const [escolha, setEscolha] = useState(null);
+  const [digitado, setDigitado] = useState('');
+
+  const acertou = cartao.tipo === 'multipla'
+    ? escolha === cartao.resposta
+    : checkAnswer(digitado, cartao.resposta);
+
+  return (
+    <div>
+      <span className="text-xs font-semibold uppercase tracking-wide text-blue-600">
+        {t(`estudo.tipos.${cartao.tipo}`)}{cartao.origem === 'ia' && ` · ${t('estudo.ia')}`}
+      </span>
+      <p className="text-xl font-bold text-gray-800 mt-2 mb-1">{cartao.pergunta}</p>
+      {cartao.dica && <p className="text-sm text-gray-500 mb-4">{cartao.dica}</p>}
+
+      {cartao.tipo === 'flashcard' && (
+        revelado ? (
+          <>
+            <p className="mt-4 p-4 rounded-xl bg-blue-50 text-gray-700">{cartao.resposta}</p>
+            <p className="text-sm text-gray-500 mt-4 mb-2">{t('estudo.comoFoi')}</p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+              {Object.keys(NOTAS).map(id => (
+                <button key={id} onClick={() => onAnswer(id)} className={id === 'errei' ? botaoSecundario : botaoPrimario}>
+                  {t(`estudo.notas.${id}`)}
+                </button>
+              ))}
+            </div>
+          </>
+        ) : (
+          <button onClick={() => setRevelado(true)} className={`${botaoPrimario} mt-4 w-full`}>
+            {t('estudo.mostrarResposta')}
+          </button>
+        )
+      )}
+
+      {cartao.tipo === 'multipla' && (
+        <div className="space-y-2 mt-4">
+          {cartao.alternativas.map(alternativa => {
+            const estado = escolha === null
+              ? 'border-gray-200 hover:border-blue-300'
+              : alternativa === cartao.resposta
+                ? 'border-green-500 bg-green-50'
+                : alternativa === escolha ? 'border-red-400 bg-red-50' : 'border-gray-200 opacity-60';
+            return (
+              <button
+                key={alternativa}
+                onClick={() => setEscolha(alternativa)}
+                disabled={escolha !== null}
+                className={`w-full text-left p-3 rounded-xl border-2 bg-white text-gray-700 transition-all duration-200 ${estado}`}
+              >
+                {alternativa}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {cartao.tipo === 'lacuna' && (
+        <form
+          className="flex gap-2 mt-4"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (digitado.trim()) setRevelado(true);
+          }}
+        >
+          <input
+            autoFocus
+            value={digitado}
+            disabled={revelado}
+            onChange={(e) => setDigitado(e.target.value)}
+            placeholder={t('estudo.digiteResposta')}
+            className="flex-grow p-3 rounded-xl border border-gray-200 bg-white outline-none focus:border-blue-400 text-gray-800"
+          />
+          {!revelado && <button type="submit" className={botaoPrimario}>{t('estudo.conferir')}</button>}
+        </form>
+      )}
+
+      {((cartao.tipo === 'multipla' && escolha !== null) || (cartao.tipo === 'lacuna' && revelado)) && (
+        <div className="mt-4">
+          <p className={`font-semibold ${acertou ? 'text-green-600' : 'text-red-500'}`}>
+            {acertou ? t('estudo.correto') : t('estudo.respostaCerta', { resposta: cartao.resposta })}
+          </p>
+          <button onClick={() => onAnswer(acertou ? 'bom' : 'errei')} className={`${botaoPrimario} mt-3 w-full`}>
+            {t('estudo.continuar')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- MODO DE ESTUDO ---
+
+const StudyMode = ({ mapaId, nodes, edges, onGenerateCards, onClose }) => {
+  const { t } = useI18n();
+  const [registro, setRegistro] = useState(null);
+  // Chave do texto do erro
+  const [erro, setErro] = useState('');
+  // Falha ao pedir questões à IA (ver describeFailure)
+  const [falhaIa, setFalhaIa] = useState(null);
+  const [gerando, setGerando] = useState(false);
+  const [sessao, setSessao] = useState(null);
+
+  useEffect(() => {
+    getStudyProgress(mapaId)
+      .then(setRegistro)
+      .catch(err => {
+        console.error('Erro ao ler o progresso de estudo:', err);
+        setErro('estudo.erroProgresso');
+        setRegistro({ mapaId, cartoesIa: [], progresso: {} });
+      });
+  }, [mapaId]);
+
+  // Cartões da IA cujo tópico foi excluído do mapa saem da lista
+  const cartoes = useMemo(() => {
+    if (!registro) return [];
+    const ids = new Set(nodes.map(n => n.id));
+    return [
+      ...buildOfflineCards(nodes, edges, t),
+      ...registro.cartoesIa.filter(c => !c.nodeId || ids.has(c.nodeId)),
+    ];
+  }, [registro, nodes, edges, t]);
+
+  const salvar = (novo) => {
+    setRegistro(novo);
+    saveStudyProgress(novo).catch(err => console.error('Erro ao salvar o progresso de estudo:', err));
+  };
+
+  const handleGerarComIa = async () => {
+    setGerando(true);
+    setFalhaIa(null);
+    try {
+      const novos = await onGenerateCards();
+      const existentes = new Set(registro.cartoesIa.map(c => c.id));
+      salvar({ ...registro, cartoesIa: [...registro.cartoesIa, ...novos.filter(c => !existentes.has(c.id))] });
+    } catch (err) {
+      console.error('Erro ao gerar questões com a IA:', err);
+      setFalhaIa(describeFailure(err, undefined, t));
+    } finally {
+      setGerando(false);
+    }
+  };
+
+  const handleResponder = (nota) => {
+    const cartao = sessao.fila[sessao.indice];
+    salvar({
+      ...registro,
+      progresso: { ...registro.progresso, [cartao.id]: scheduleCard(registro.progresso[cartao.id], nota) },
+    });
+    setSessao({
+      // Cartões errados voltam no fim da sessão
+      fila: nota === 'errei' ? [...sessao.fila, cartao] : sessao.fila,
+      indice: sessao.indice + 1,
+      acertos: sessao.acertos + (nota === 'errei' ? 0 : 1),
+      respondidos: sessao.respondidos + 1,
+    });
+  };
+
+  const handleZerar = () => {
+    if (!window.confirm(t('estudo.confirmarZerar'))) return;
+    salvar({ ...registro, progresso: {} });
+  };
+
+  const resumo = summarizeProgress(cartoes, registro?.progresso || {});
+  const filaInicial = registro ? buildSession(cartoes, registro.progresso) : [];
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 backdrop-blur-sm flex items-center justify-center p-4" role="dialog" aria-modal="true" aria-label={t('estudo.titulo')}>
+      <div className="w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-white rounded-2xl shadow-2xl p-6">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-gradient-to-br from-blue-600 to-green-600 rounded-lg">
+              <GraduationCap className="w-5 h-5 text-white" />
+            </div>
+            <h3 className="text-xl font-bold text-gray-800">{t('estudo.titulo')}</h3>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title={t('comum.fechar')}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {erro && <p className="text-sm text-red-500 mb-4">{t(erro)}</p>}
+        {falhaIa && (
+          <ErrorNotice falha={falhaIa} onRetry={handleGerarComIa} onClose={() => setFalhaIa(null)} className="mb-4" />
+        )}
+
+        {!registro && (
+          <div className="flex justify-center py-12">
+            <Loader2 className="w-8 h-8 text-blue-600 animate-spin" />
+          </div>
+        )}
+
+        {registro && !sessao && (
+          <>
+            <div className="grid grid-cols-3 gap-3 mb-6 text-center">
+              {[
+                { valor: resumo.vencidos, texto: t('estudo.paraRevisar') },
+                { valor: resumo.novos, texto: t('estudo.novos') },
+                { valor: resumo.agendados, texto: t('estudo.agendados') },
+              ].map(({ valor, texto }) => (
+                <div key={texto} className="p-4 rounded-xl bg-blue-50">
+                  <p className="text-3xl font-black text-blue-600">{valor}</p>
+                  <p className="text-sm text-gray-600">{texto}</p>
+                </div>
+              ))}
+            </div>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <button
+                onClick={() => setSessao({ fila: filaInicial, indice: 0, acertos: 0, respondidos: 0 })}
+                disabled={filaInicial.length === 0}
+                className={`${botaoPrimario} flex-grow`}
+              >
+                <GraduationCap className="w-4 h-4" />
+                {t('estudo.estudar', { n: filaInicial.length })}
+              </button>
+              <button onClick={handleGerarComIa} disabled={gerando} className={botaoSecundario} title={t('estudo.gerarDica')}>
+                {gerando ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+                {t('estudo.gerar')}
+              </button>
+              <button onClick={handleZerar} className={botaoSecundario} title={t('estudo.zerar')}>
+                <RotateCcw className="w-4 h-4" />
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mt-4">
+              {t('estudo.rodape', { n: cartoes.length, ia: registro.cartoesIa.length })}
+            </p>
+          </>
+        )}
+
+        {sessao && sessao.indice < sessao.fila.length && (
+          <>
+            <div className="h-1.5 bg-gray-100 rounded-full mb-6 overflow-hidden">
+              <div
+                className="h-full bg-gradient-to-r from-blue-600 to-green-600 transition-all duration-300"
+                style={{ width: `${(sessao.indice / sessao.fila.length) * 100}%` }}
+              />
+            </div>
+            <CardView
+              key={`${sessao.fila[sessao.indice].id}-${sessao.indice}`}
+              cartao={sessao.fila[sessao.indice]}
+              onAnswer={handleResponder}
+            />
+          </>
+        )}
+
+        {sessao && sessao.indice >= sessao.fila.length && (
+          <div className="text-center py-6">
+            <Check className="w-12 h-12 text-green-600 mx-auto mb-3" />
+            <p className="text-2xl font-bold text-gray-800 mb-1">{t('estudo.concluida')}</p>
+            <p className="text-gray-600 mb-6">
+              {t('estudo.acertos', { acertos: sessao.acertos, n: sessao.respondidos })}
+            </p>
+            <button onClick={() => setSessao(null)} className={`${botaoPrimario} mx-auto`}>
+              {t('estudo.voltar')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StudyMode;
@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react';
+import { X, History, Eye, RotateCcw } from 'lucide-react';
+import { listVersions } from '../lib/storage';
+import { useI18n } from '../hooks/useI18n';
+
+// --- HISTÓRICO DE VERSÕES ---
+// Estados confirmados do mapa (o gerado, cada regeneração aplicada, cada
+// restauração), do mais recente para o mais antigo. "Ver" mostra a versão no
+// canvas sem mudar o mapa; "Restaurar" a torna o mapa atual, guardando antes
+// as edições feitas desde a última versão.
+
+const VersionHistoryPanel = ({ mapaId, atualizacao, vistaId, onView, onRestore, onClose }) => {
+  const { t, formatarData } = useI18n();
+  const [versoes, setVersoes] = useState(null);
+  // Chave do texto do erro
+  const [erro, setErro] = useState('');
+
+  useEffect(() => {
+    listVersions(mapaId)
+      .then(setVersoes)
+      .catch(err => {
+        console.error('Erro ao ler o histórico de versões:', err);
+        setErro('versoes.erro');
+      });
+  }, [mapaId, atualizacao]);
+
+  return (
+    <aside
+      aria-labelledby="historico-titulo"
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          onClose();
+        }
+      }}
+      className="nodrag nowheel absolute top-0 right-0 z-10 h-full w-80 max-w-full overflow-y-auto bg-white/95 backdrop-blur border-l border-gray-200 shadow-2xl p-5"
+    >
+      <div className="flex items-start justify-between gap-2 mb-3">
+        <h3 id="historico-titulo" className="flex items-center gap-2 text-lg font-bold text-gray-800">
+          <History className="w-5 h-5 text-blue-600" />
+          {t('versoes.titulo')}
+        </h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title={t('versoes.fechar')}>
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {erro && <p className="text-sm text-red-500">{t(erro)}</p>}
+      {versoes?.length === 0 && (
+        <p className="text-sm text-gray-500">
+          {t('versoes.nenhuma')}
+        </p>
+      )}
+
+      <ol className="space-y-2">
+        {versoes?.map((versao, i) => (
+          <li
+            key={versao.id}
+            className={`rounded-xl border p-3 text-sm ${vistaId === versao.id ? 'border-blue-300 bg-blue-50' : 'border-gray-200 bg-white'}`}
+          >
+            <p className="font-semibold text-gray-800">
+              {versao.rotulo}
+              {i === 0 && <span className="ml-2 text-xs font-normal text-gray-500">{t('versoes.maisRecente')}</span>}
+            </p>
+            <p className="text-xs text-gray-500 mt-0.5">
+              {formatarData(versao.criadoEm)} · {t('biblioteca.topicos', { n: versao.nodes.length })}
+            </p>
+            <div className="flex gap-2 mt-2">
+              <button
+                onClick={() => onView(versao)}
+                aria-pressed={vistaId === versao.id}
+                className="flex items-center gap-1 py-1 px-2 rounded-lg border border-gray-200 text-gray-700 hover:border-blue-300 hover:text-blue-600"
+              >
+                <Eye className="w-3.5 h-3.5" />
+                {t('versoes.ver')}
+              </button>
+              <button
+                onClick={() => onRestore(versao)}
+                className="flex items-center gap-1 py-1 px-2 rounded-lg border border-gray-200 text-gray-700 hover:border-blue-300 hover:text-blue-600"
+              >
+                <RotateCcw className="w-3.5 h-3.5" />
+                {t('versoes.restaurar')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </aside>
+  );
+};
+
+export default VersionHistoryPanel;
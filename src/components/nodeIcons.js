@@ -0,0 +1,61 @@
+import { createElement } from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import { Lightbulb, Star, Target, BookOpen, CircleHelp, CircleCheck, TriangleAlert, Heart, Flag, Rocket, Zap, Clock } from 'lucide-react';
+
+// --- ÍCONES DOS TÓPICOS ---
+// O nó guarda só a chave (`data.icone`); o desenho vem daqui, na tela e no PDF.
+
+export const NODE_ICONS = {
+  ideia: { nome: 'Ideia', icone: Lightbulb },
+  destaque: { nome: 'Destaque', icone: Star },
+  objetivo: { nome: 'Objetivo', icone: Target },
+  leitura: { nome: 'Leitura', icone: BookOpen },
+  duvida: { nome: 'Dúvida', icone: CircleHelp },
+  concluido: { nome: 'Concluído', icone: CircleCheck },
+  atencao: { nome: 'Atenção', icone: TriangleAlert },
+  favorito: { nome: 'Favorito', icone: Heart },
+  marco: { nome: 'Marco', icone: Flag },
+  lancamento: { nome: 'Lançamento', icone: Rocket },
+  energia: { nome: 'Energia', icone: Zap },
+  prazo: { nome: 'Prazo', icone: Clock },
+};
+
+const TAMANHO_PNG = 96;
+
+const paraPng = (svg) => new Promise((resolve, reject) => {
+  const imagem = new Image();
+  imagem.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = TAMANHO_PNG;
+    canvas.height = TAMANHO_PNG;
+    canvas.getContext('2d').drawImage(imagem, 0, 0, TAMANHO_PNG, TAMANHO_PNG);
+    resolve(canvas.toDataURL('image/png'));
+  };
+  imagem.onerror = () => reject(new Error('Não foi possível desenhar o ícone.'));
+  imagem.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+});
+
+/**
+ * Imagens PNG dos ícones usados no mapa, cada um na cor do seu nó (para o PDF,
+ * que não desenha SVG). Os ícones são renderizados fora da tela.
+ *
+ * @param {Array<{ icone: string, cor: string }>} pedidos
+ * @returns {Promise<Map<string, string>>} `${icone}|${cor}` → data URL
+ */
+export async function renderIconImages(pedidos) {
+  const imagens = new Map();
+  const container = document.createElement('div');
+  const root = createRoot(container);
+  try {
+    for (const { icone, cor } of pedidos) {
+      const chave = `${icone}|${cor}`;
+      if (imagens.has(chave) || !NODE_ICONS[icone]) continue;
+      flushSync(() => root.render(createElement(NODE_ICONS[icone].icone, { color: cor, size: TAMANHO_PNG })));
+      imagens.set(chave, await paraPng(container.innerHTML));
+    }
+  } finally {
+    root.unmount();
+  }
+  return imagens;
+}
@@ -0,0 +1,218 @@
+import { useEffect, useEffectEvent, useRef, useState } from 'react';
+import * as Y from 'yjs';
+import {
+  ORIGEM_LOCAL, ORIGEM_REMOTA, createSyncState, isDocEmpty,
+  writeLocalChanges, readNodes, readEdges, readMeta, mergeRemoteItems,
+} from '../lib/collab';
+
+// Servidor de retransmissão (npm run colab); por padrão, na mesma máquina que serve a página
+const COLAB_URL = import.meta.env.VITE_COLAB_URL || `ws://${window.location.hostname || 'localhost'}:1234`;
+const CHAVE_NOME = 'mapa-mental-colab-nome';
+const CORES = ['#e11d48', '#d97706', '#16a34a', '#0891b2', '#7c3aed', '#db2777', '#4f46e5', '#65a30d'];
+// Cursor e seleção são enviados no máximo a cada INTERVALO_PRESENCA ms
+const INTERVALO_PRESENCA = 50;
+// Espera entre tentativas de reconexão (dobra a cada falha, até o máximo)
+const ESPERA_INICIAL = 1000;
+const ESPERA_MAXIMA = 10000;
+// O mapa inicial de quem abre a sala não entra no desfazer de ninguém
+const ORIGEM_SEMENTE = 'semente';
+
+const carregarNome = () => localStorage.getItem(CHAVE_NOME) || `Convidado ${Math.floor(Math.random() * 900) + 100}`;
+
+/**
+ * Edição em tempo real do mapa aberto com outras pessoas na mesma sala.
+ *
+ * Com `sala` definida, conecta ao servidor, sincroniza nós, arestas e `meta`
+ * (tema, resumo, layout) nos dois sentidos e troca a presença (cursor e seleção).
+ * Se a sala ainda não tem mapa, o mapa local é enviado; se já tem, o da sala
+ * substitui o local. Com `sala` nula não faz nada.
+ *
+ * @returns {{ status, participantes, nome, cor, setNome, enviarCursor, desfazer, refazer, podeDesfazer, podeRefazer }}
+ *   `status`: null (fora de sala), 'conectando', 'conectado' ou 'desconectado'
+ */
+export function useCollaboration({ sala, nodes, edges, meta, setNodes, setEdges, onMetaChange, extrasAresta }) {
+  const [status, setStatus] = useState(null);
+  const [participantes, setParticipantes] = useState([]);
+  const [nome, setNomeState] = useState(carregarNome);
+  const [cor] = useState(() => CORES[Math.floor(Math.random() * CORES.length)]);
+  const [pilhas, setPilhas] = useState({ desfazer: 0, refazer: 0 });
+  const sessaoRef = useRef(null);
+
+  // Leva o documento ao estado do React. Os nós e arestas são lidos dentro do
+  // updater para valer o documento mais recente, inclusive escritas locais feitas
+  // entre a chegada da mudança remota e a próxima renderização
+  const aplicarDocumento = useEffectEvent((sessao) => {
+    const { doc, estado } = sessao;
+    setNodes(atuais => mergeRemoteItems(atuais, readNodes(doc), estado, { campoIds: 'idsNos' }));
+    setEdges(atuais => mergeRemoteItems(atuais, readEdges(doc), estado, { campoIds: 'idsArestas', extras: extrasAresta }));
+
+    const metaDoc = readMeta(doc);
+    const mudancas = Object.fromEntries(
+      Object.entries(metaDoc).filter(([campo, valor]) => sessao.metaDoc[campo] !== valor)
+    );
+    sessao.metaDoc = metaDoc;
+    if (Object.keys(mudancas).length > 0) onMetaChange(mudancas);
+  });
+
+  const semear = useEffectEvent((sessao) => {
+    sessao.doc.transact(() => writeLocalChanges(sessao.doc, { nodes, edges, meta }, sessao.estado), ORIGEM_SEMENTE);
+    sessao.metaDoc = readMeta(sessao.doc);
+  });
+
+  const presencaLocal = useEffectEvent(() => ({
+    nome,
+    cor,
+    selecao: nodes.filter(n => n.selected).map(n => n.id),
+  }));
+
+  useEffect(() => {
+    if (!sala) return;
+
+    const doc = new Y.Doc();
+    const undo = new Y.UndoManager(
+      [doc.getMap('nodes'), doc.getMap('edges'), doc.getMap('meta')],
+      { trackedOrigins: new Set([ORIGEM_LOCAL]) }
+    );
+    const sessao = {
+      doc,
+      undo,
+      estado: createSyncState(),
+      metaDoc: {},
+      ws: null,
+      // Só depois de receber (ou enviar) o mapa da sala as mudanças locais são sincronizadas
+      pronto: false,
+      aguardandoEstado: false,
+      presenca: { cursor: null },
+      timerPresenca: null,
+      timerReconexao: null,
+      espera: ESPERA_INICIAL,
+      encerrada: false,
+    };
+    sessaoRef.current = sessao;
+
+    const enviar = (mensagem) => {
+      if (sessao.ws?.readyState === WebSocket.OPEN) sessao.ws.send(mensagem);
+    };
+    sessao.enviarPresenca = (parcial = {}) => {
+      Object.assign(sessao.presenca, parcial);
+      if (sessao.timerPresenca) return;
+      sessao.timerPresenca = setTimeout(() => {
+        sessao.timerPresenca = null;
+        enviar(JSON.stringify({ tipo: 'presenca', ...presencaLocal(), ...sessao.presenca }));
+      }, INTERVALO_PRESENCA);
+    };
+
+    doc.on('update', (update, origem) => {
+      if (origem !== ORIGEM_REMOTA) enviar(update);
+      if (origem !== ORIGEM_LOCAL && origem !== ORIGEM_SEMENTE) aplicarDocumento(sessao);
+    });
+    const atualizarPilhas = () => setPilhas({ desfazer: undo.undoStack.length, refazer: undo.redoStack.length });
+    undo.on('stack-item-added', atualizarPilhas);
+    undo.on('stack-item-popped', atualizarPilhas);
+    undo.on('stack-cleared', atualizarPilhas);
+
+    // Mapa da sala recebido (ou enviado): daqui em diante as mudanças vão e voltam
+    const ficarPronto = () => {
+      // Reenvia tudo: numa reconexão, leva o que foi editado enquanto estava fora
+      enviar(Y.encodeStateAsUpdate(doc));
+      sessao.pronto = true;
+      sessao.espera = ESPERA_INICIAL;
+      setStatus('conectado');
+      sessao.enviarPresenca();
+    };
+
+    const conectar = () => {
+      setStatus('conectando');
+      const ws = new WebSocket(`${COLAB_URL}/${encodeURIComponent(sala)}`);
+      ws.binaryType = 'arraybuffer';
+      sessao.ws = ws;
+
+      ws.onmessage = ({ data }) => {
+        if (data instanceof ArrayBuffer) {
+          Y.applyUpdate(doc, new Uint8Array(data), ORIGEM_REMOTA);
+          if (sessao.aguardandoEstado) {
+            sessao.aguardandoEstado = false;
+            ficarPronto();
+          }
+          return;
+        }
+
+        const mensagem = JSON.parse(data);
+        if (mensagem.tipo === 'boas-vindas') {
+          setParticipantes(mensagem.presencas);
+          if (!mensagem.vazia) {
+            sessao.aguardandoEstado = true;
+            return;
+          }
+          // Sala nova (ou servidor reiniciado): quem tem o mapa o envia
+          if (isDocEmpty(doc)) semear(sessao);
+          ficarPronto();
+        } else if (mensagem.tipo === 'presenca') {
+          const { tipo: _tipo, ...presenca } = mensagem;
+          setParticipantes(atuais => [...atuais.filter(p => p.cliente !== presenca.cliente), presenca]);
+        } else if (mensagem.tipo === 'saiu') {
+          setParticipantes(atuais => atuais.filter(p => p.cliente !== mensagem.cliente));
+        }
+      };
+
+      ws.onclose = () => {
+        if (sessao.encerrada) return;
+        sessao.aguardandoEstado = false;
+        setStatus('desconectado');
+        setParticipantes([]);
+        sessao.timerReconexao = setTimeout(conectar, sessao.espera);
+        sessao.espera = Math.min(sessao.espera * 2, ESPERA_MAXIMA);
+      };
+    };
+
+    conectar();
+
+    return () => {
+      sessao.encerrada = true;
+      clearTimeout(sessao.timerPresenca);
+      clearTimeout(sessao.timerReconexao);
+      sessao.ws?.close();
+      undo.destroy();
+      doc.destroy();
+      sessaoRef.current = null;
+      setStatus(null);
+      setParticipantes([]);
+      setPilhas({ desfazer: 0, refazer: 0 });
+    };
+  }, [sala]);
+
+  // Mudanças locais vão para o documento (e dali para a sala)
+  useEffect(() => {
+    const sessao = sessaoRef.current;
+    if (!sessao?.pronto) return;
+    sessao.doc.transact(() => writeLocalChanges(sessao.doc, { nodes, edges, meta }, sessao.estado), ORIGEM_LOCAL);
+  }, [nodes, edges, meta]);
+
+  // Seleção e nome também fazem parte da presença
+  const selecao = nodes.filter(n => n.selected).map(n => n.id).join(',');
+  useEffect(() => {
+    sessaoRef.current?.enviarPresenca?.();
+  }, [selecao, nome]);
+
+  const setNome = (novo) => {
+    const limpo = novo.trim().slice(0, 40);
+    if (!limpo) return;
+    localStorage.setItem(CHAVE_NOME, limpo);
+    setNomeState(limpo);
+  };
+
+  return {
+    status,
+    participantes,
+    nome,
+    cor,
+    setNome,
+    // Posição do ponteiro em coordenadas do mapa (null quando sai do canvas)
+    enviarCursor: (cursor) => sessaoRef.current?.enviarPresenca?.({ cursor }),
+    // O desfazer da sala só reverte as mudanças feitas neste navegador
+    desfazer: () => sessaoRef.current?.undo.undo(),
+    refazer: () => sessaoRef.current?.undo.redo(),
+    podeDesfazer: pilhas.desfazer > 0,
+    podeRefazer: pilhas.refazer > 0,
+  };
+}
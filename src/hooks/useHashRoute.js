@@ -0,0 +1,31 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { parseRoute, buildRoute } from '../lib/routes';
+
+const assinar = (aviso) => {
+  window.addEventListener('hashchange', aviso);
+  return () => window.removeEventListener('hashchange', aviso);
+};
+
+/**
+ * Rota atual, lida do fragmento da URL e atualizada no voltar/avançar.
+ */
+export function useHashRoute() {
+  const hash = useSyncExternalStore(assinar, () => window.location.hash);
+  return useMemo(() => parseRoute(hash), [hash]);
+}
+
+/**
+ * Vai para uma rota. Com `substituir`, troca a entrada atual do histórico em vez
+ * de criar outra (ex.: a tela de geração não deve ficar no caminho do "voltar").
+ */
+export function navigate(rota, { substituir = false } = {}) {
+  const hash = buildRoute(rota);
+  if (hash === window.location.hash || (hash === '#/' && !window.location.hash)) return;
+  if (substituir) {
+    window.history.replaceState(null, '', hash);
+    // replaceState não dispara hashchange
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+  } else {
+    window.location.hash = hash;
+  }
+}
@@ -0,0 +1,13 @@
+import { createContext, useContext } from 'react';
+import { createI18n, IDIOMA_PADRAO } from '../lib/i18n';
+
+// Idioma da interface, fornecido pelo App; fora dele (ex.: testes de um
+// componente isolado) os textos saem em português
+export const I18nContext = createContext(createI18n(IDIOMA_PADRAO));
+
+/**
+ * `{ idioma, t, formatarData }` do idioma atual.
+ */
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,81 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Quantos passos de desfazer são guardados
+const LIMITE_HISTORICO = 100;
+
+/**
+ * Histórico de comandos do mapa (desfazer/refazer).
+ * Cada entrada guarda o estado anterior ao comando e a chave de texto do seu
+ * rótulo (ex.: 'historico.editarTexto'), traduzida só na hora de mostrar.
+ *
+ * `executar(rotulo, fn)` aplica `fn(nodes, edges) => { nodes, edges }` sobre o
+ * estado mais recente e registra o passo; `registrar(rotulo, snapshot?)` só
+ * registra (útil quando a mudança já aconteceu, como ao arrastar nós).
+ */
+export function useMapHistory(nodes, edges, setNodes, setEdges) {
+  // Estado mais recente, lido pelos handlers mesmo depois de um await
+  const atualRef = useRef({ nodes, edges });
+  useEffect(() => {
+    atualRef.current = { nodes, edges };
+  }, [nodes, edges]);
+
+  const [pilhas, setPilhas] = useState({ passado: [], futuro: [] });
+
+  const capturar = useCallback(() => atualRef.current, []);
+
+  const registrar = useCallback((rotulo, snapshot = atualRef.current) => {
+    setPilhas(({ passado }) => ({
+      passado: [...passado.slice(1 - LIMITE_HISTORICO), { rotulo, ...snapshot }],
+      futuro: [],
+    }));
+  }, []);
+
+  const executar = useCallback((rotulo, fn) => {
+    const { nodes: atuais, edges: arestasAtuais } = atualRef.current;
+    const resultado = fn(atuais, arestasAtuais);
+    if (!resultado) return null;
+    registrar(rotulo);
+    setNodes(resultado.nodes);
+    setEdges(resultado.edges);
+    // Mantém o ref coerente para comandos disparados em sequência
+    atualRef.current = { nodes: resultado.nodes, edges: resultado.edges };
+    return resultado;
+  }, [registrar, setNodes, setEdges]);
+
+  const desfazer = () => {
+    const { passado, futuro } = pilhas;
+    if (passado.length === 0) return;
+    const anterior = passado[passado.length - 1];
+    setPilhas({
+      passado: passado.slice(0, -1),
+      futuro: [{ rotulo: anterior.rotulo, ...atualRef.current }, ...futuro],
+    });
+    setNodes(anterior.nodes);
+    setEdges(anterior.edges);
+  };
+
+  const refazer = () => {
+    const { passado, futuro } = pilhas;
+    if (futuro.length === 0) return;
+    const [proximo, ...resto] = futuro;
+    setPilhas({
+      passado: [...passado, { rotulo: proximo.rotulo, ...atualRef.current }],
+      futuro: resto,
+    });
+    setNodes(proximo.nodes);
+    setEdges(proximo.edges);
+  };
+
+  const limpar = useCallback(() => setPilhas({ passado: [], futuro: [] }), []);
+
+  return {
+    executar,
+    registrar,
+    capturar,
+    desfazer,
+    refazer,
+    limpar,
+    rotuloDesfazer: pilhas.passado[pilhas.passado.length - 1]?.rotulo,
+    rotuloRefazer: pilhas.futuro[0]?.rotulo,
+  };
+}
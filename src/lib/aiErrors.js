@@ -0,0 +1,124 @@
+// --- FALHAS DA IA ---
+// Classifica os erros dos provedores em poucos tipos, cada um com uma mensagem
+// que diz ao usuário o que fazer, e decide quais valem uma nova tentativa.
+
+import { ProviderError } from './providers/errors';
+import { MapValidationError } from './validation';
+import { translate, IDIOMA_PADRAO } from './i18n';
+
+export const FALHAS = {
+  CHAVE: 'chave',
+  COTA: 'cota',
+  LIMITE: 'limite',
+  SOBRECARGA: 'sobrecarga',
+  BLOQUEADO: 'bloqueado',
+  REDE: 'rede',
+  FORMATO: 'formato',
+  DESCONHECIDA: 'desconhecida',
+};
+
+// Acima dessa espera (em segundos) não adianta repetir: o usuário decide
+export const ESPERA_MAXIMA_REPETICAO = 30;
+
+const offline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Espera em segundos ou minutos, conforme o tamanho
+const formatarEspera = (segundos, t) => (
+  segundos < 90
+    ? t('falhas.segundos', { n: Math.ceil(segundos) })
+    : t('falhas.minutos', { n: Math.ceil(segundos / 60) })
+);
+
+/**
+ * Tipo da falha (um dos valores de FALHAS).
+ */
+export function classifyFailure(err) {
+  if (err instanceof MapValidationError || err instanceof SyntaxError) return FALHAS.FORMATO;
+  if (offline()) return FALHAS.REDE;
+  if (err?.tipo && Object.values(FALHAS).includes(err.tipo)) return err.tipo;
+
+  const texto = String(err?.message || '');
+  const status = err?.status;
+  if (/SAFETY|PROHIBITED_CONTENT|BLOCKLIST|blocked/i.test(texto)) return FALHAS.BLOQUEADO;
+  if (status === 401 || status === 403 || /API[_ ]?key|chave de api/i.test(texto)) return FALHAS.CHAVE;
+  // Com uma espera sugerida é o limite por minuto, mesmo que a mensagem fale em cota
+  if (status === 429) {
+    return !err.retryAfter && /quota|billing|insufficient/i.test(texto) ? FALHAS.COTA : FALHAS.LIMITE;
+  }
+  if (status === 408 || status >= 500) return FALHAS.SOBRECARGA;
+  // Sem resposta nenhuma: o fetch falhou antes de chegar ao serviço
+  if (err instanceof ProviderError && status === undefined && err.cause) return FALHAS.REDE;
+  return FALHAS.DESCONHECIDA;
+}
+
+/**
+ * Vale tentar de novo sozinho? Só falhas passageiras, e só se a espera pedida
+ * pelo serviço for curta.
+ */
+export function isRetryableFailure(err) {
+  if (err?.name === 'AbortError') return false;
+  if ((err?.retryAfter || 0) > ESPERA_MAXIMA_REPETICAO) return false;
+  const tipo = classifyFailure(err);
+  return tipo === FALHAS.SOBRECARGA || tipo === FALHAS.LIMITE || (tipo === FALHAS.REDE && !offline());
+}
+
+/**
+ * Texto para mostrar ao usuário.
+ *
+ * @param {Error} err
+ * @param {string} [nomeProvedor] Nome do provedor nas configurações (ex.: PROVIDERS[id].nome)
+ * @param {Function} [t] Tradução do idioma da interface (ver useI18n); sem ela, português
+ * @returns {{ tipo: string, titulo: string, mensagem: string, detalhe: string, configuracoes: boolean }}
+ *   `configuracoes` indica que o problema se resolve nas configurações do provedor
+ */
+export function describeFailure(err, nomeProvedor, t = (chave, params) => translate(IDIOMA_PADRAO, chave, params)) {
+  const tipo = classifyFailure(err);
+  const detalhe = err instanceof MapValidationError
+    ? err.erros.map(e => `• ${t(`validacao.${e.codigo}`, e.params)}`).join('\n')
+    : String(err?.message || err || '');
+  const provedor = nomeProvedor || t('falhas.provedorPadrao');
+
+  const textos = {
+    [FALHAS.CHAVE]: {
+      titulo: t('falhas.chave.titulo'),
+      mensagem: t('falhas.chave.mensagem', { provedor }),
+    },
+    [FALHAS.COTA]: {
+      titulo: t('falhas.cota.titulo'),
+      mensagem: t('falhas.cota.mensagem', { provedor }),
+    },
+    [FALHAS.LIMITE]: {
+      titulo: t('falhas.limite.titulo'),
+      mensagem: err?.retryAfter
+        ? t('falhas.limite.aguarde', { espera: formatarEspera(err.retryAfter, t) })
+        : t('falhas.limite.mensagem'),
+    },
+    [FALHAS.SOBRECARGA]: {
+      titulo: t('falhas.sobrecarga.titulo'),
+      mensagem: t('falhas.sobrecarga.mensagem', { provedor }),
+    },
+    [FALHAS.BLOQUEADO]: {
+      titulo: t('falhas.bloqueado.titulo'),
+      mensagem: t('falhas.bloqueado.mensagem'),
+    },
+    [FALHAS.REDE]: offline()
+      ? { titulo: t('falhas.offline.titulo'), mensagem: t('falhas.offline.mensagem') }
+      : { titulo: t('falhas.rede.titulo'), mensagem: t('falhas.rede.mensagem', { provedor }) },
+    [FALHAS.FORMATO]: {
+      titulo: t('falhas.formato.titulo'),
+      mensagem: t('falhas.formato.mensagem'),
+    },
+    [FALHAS.DESCONHECIDA]: {
+      titulo: t('falhas.desconhecida.titulo'),
+      mensagem: detalhe || t('falhas.desconhecida.mensagem'),
+    },
+  };
+
+  return {
+    tipo,
+    ...textos[tipo],
+    // A mensagem genérica já é o próprio erro
+    detalhe: tipo === FALHAS.DESCONHECIDA ? '' : detalhe,
+    configuracoes: tipo === FALHAS.CHAVE || tipo === FALHAS.COTA || tipo === FALHAS.REDE,
+  };
+}
@@ -0,0 +1,17 @@
+// --- LIMITES DO SERVIDOR DE IA ---
+// Compartilhados entre o navegador, que avisa antes de enviar, e o servidor
+// (server/api.js), que recusa o que passar deles.
+
+// Caracteres do tema digitado
+export const TEMA_MAXIMO = 200;
+
+// Bytes do corpo de um pedido (o prompt de um documento longo fica bem abaixo disso)
+export const CORPO_MAXIMO = 256 * 1024;
+
+// Pedido de correção: caracteres da resposta anterior do modelo que voltam a
+// ele e quantidade de erros listados
+export const RESPOSTA_CORRIGIDA_MAXIMA = 32 * 1024;
+export const ERROS_CORRIGIDOS_MAXIMO = 30;
+
+// Tarefas aceitas (`meta.tarefa` de cada chamada ao provedor)
+export const TAREFAS_API = ['mapa', 'documento', 'notas', 'expandir', 'regenerar', 'estudo', 'relacoes', 'elaborar'];
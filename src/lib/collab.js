@@ -0,0 +1,206 @@
+// --- EDIÇÃO COLABORATIVA (CRDT) ---
+// Numa sala de colaboração o mapa vive também num documento Yjs, que cada
+// navegador sincroniza pelo servidor de retransmissão (server/relay.js).
+// O Yjs mescla alterações simultâneas sem conflito; quando duas pessoas mudam
+// o mesmo campo ao mesmo tempo, vale a última escrita daquele campo.
+//
+//   nodes: id → Y.Map { type, x, y, ordem, data: Y.Map(campo → valor) }
+//   edges: id → { ...aresta serializada, ordem }
+//   meta:  tema, resumo, layoutMode, aparencia (em JSON, para comparar por valor)
+//
+// O estado do React continua sendo a fonte da tela. Cada mudança local é
+// comparada com a última versão sincronizada do item e só os campos alterados
+// vão para o documento (mover um nó não sobrescreve o rótulo que outra pessoa
+// acabou de editar); as mudanças remotas voltam para o estado preservando os
+// objetos que não mudaram (e com eles as medidas e a seleção do React Flow).
+
+import * as Y from 'yjs';
+import { serializeEdge } from './storage';
+import { normalizeNodeColors } from './theme';
+
+// Origem das transações feitas por este navegador (o desfazer só reverte estas)
+export const ORIGEM_LOCAL = 'local';
+export const ORIGEM_REMOTA = 'remota';
+
+export const CAMPOS_META = ['tema', 'resumo', 'layoutMode', 'aparencia'];
+
+const igual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const porOrdem = (a, b) => (a.ordem - b.ordem) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+const semOrdem = (item) => {
+  const { ordem: _ordem, ...resto } = item;
+  return resto;
+};
+
+/**
+ * Estado da sincronização de um navegador. `conhecidos` guarda os objetos de
+ * nó/aresta que já estão no documento: objetos novos no estado são mudanças
+ * locais, comparadas com a versão em `base` para saber quais campos mudaram.
+ */
+export function createSyncState() {
+  return {
+    conhecidos: new WeakSet(),
+    base: new Map(),
+    idsNos: new Set(),
+    idsArestas: new Set(),
+    meta: {},
+  };
+}
+
+export const isDocEmpty = (doc) => doc.getMap('nodes').size === 0;
+
+// Sem `base` (nó novo ou removido por outra pessoa) o nó é escrito por inteiro
+const escreverNo = (ynodes, no, base, ordem) => {
+  let ynode = ynodes.get(no.id);
+  if (!ynode) {
+    ynode = new Y.Map();
+    ynode.set('type', no.type || 'mindmap');
+    ynode.set('ordem', ordem);
+    ynode.set('data', new Y.Map());
+    ynodes.set(no.id, ynode);
+    base = null;
+  }
+  const x = Math.round(no.position.x);
+  const y = Math.round(no.position.y);
+  if (!base || Math.round(base.position.x) !== x) ynode.set('x', x);
+  if (!base || Math.round(base.position.y) !== y) ynode.set('y', y);
+
+  const ydata = ynode.get('data');
+  const campos = new Set([...Object.keys(no.data), ...Object.keys(base?.data || {})]);
+  campos.forEach(campo => {
+    const valor = no.data[campo];
+    if (base && igual(base.data[campo], valor)) return;
+    if (valor === undefined) ydata.delete(campo);
+    else if (!igual(ydata.get(campo), valor)) ydata.set(campo, valor);
+  });
+};
+
+const semEstilo = (aresta) => {
+  const { style: _style, animated: _animated, ...resto } = serializeEdge(aresta);
+  return resto;
+};
+
+const escreverAresta = (yedges, aresta, base, ordem) => {
+  const existente = yedges.get(aresta.id);
+  if (existente && base && igual(semEstilo(base), semEstilo(aresta))) return;
+  yedges.set(aresta.id, { ...semEstilo(aresta), ordem: existente?.ordem ?? ordem });
+};
+
+/**
+ * Leva ao documento o que mudou no estado local desde a última sincronização.
+ * Deve rodar dentro de `doc.transact(..., ORIGEM_LOCAL)`.
+ */
+export function writeLocalChanges(doc, { nodes, edges, meta }, estado) {
+  const ynodes = doc.getMap('nodes');
+  const yedges = doc.getMap('edges');
+  const ymeta = doc.getMap('meta');
+
+  const idsNos = new Set(nodes.map(n => n.id));
+  estado.idsNos.forEach(id => {
+    if (!idsNos.has(id)) ynodes.delete(id);
+  });
+  nodes.forEach((no, i) => {
+    if (estado.conhecidos.has(no)) return;
+    escreverNo(ynodes, no, estado.base.get(no.id), i);
+    estado.conhecidos.add(no);
+    estado.base.set(no.id, no);
+  });
+  estado.idsNos = idsNos;
+
+  const idsArestas = new Set(edges.map(e => e.id));
+  estado.idsArestas.forEach(id => {
+    if (!idsArestas.has(id)) yedges.delete(id);
+  });
+  edges.forEach((aresta, i) => {
+    if (estado.conhecidos.has(aresta)) return;
+    escreverAresta(yedges, aresta, estado.base.get(aresta.id), i);
+    estado.conhecidos.add(aresta);
+    estado.base.set(aresta.id, aresta);
+  });
+  estado.idsArestas = idsArestas;
+
+  // Metadados só vão quando mudam no estado local (`estado.meta` é o último valor local visto)
+  CAMPOS_META.forEach(campo => {
+    const valor = meta[campo] ?? '';
+    if (estado.meta[campo] === valor) return;
+    estado.meta[campo] = valor;
+    if (ymeta.get(campo) !== valor) ymeta.set(campo, valor);
+  });
+}
+
+/**
+ * Nós do documento, no formato do React Flow. Qualquer pessoa na sala escreve
+ * neles, então as cores passam pela mesma checagem de arquivos e links.
+ */
+export function readNodes(doc) {
+  const nodes = [];
+  doc.getMap('nodes').forEach((ynode, id) => {
+    nodes.push({
+      id,
+      type: ynode.get('type'),
+      position: { x: ynode.get('x') ?? 0, y: ynode.get('y') ?? 0 },
+      data: ynode.get('data').toJSON(),
+      ordem: ynode.get('ordem') ?? 0,
+    });
+  });
+  return normalizeNodeColors(nodes.sort(porOrdem).map(semOrdem));
+}
+
+/**
+ * Arestas do documento, ainda sem o estilo da aplicação.
+ */
+export function readEdges(doc) {
+  const edges = [];
+  doc.getMap('edges').forEach((aresta, id) => edges.push({ ...aresta, id }));
+  return edges.sort(porOrdem).map(semOrdem);
+}
+
+export function readMeta(doc) {
+  const ymeta = doc.getMap('meta');
+  return Object.fromEntries(CAMPOS_META.filter(campo => ymeta.has(campo)).map(campo => [campo, ymeta.get(campo)]));
+}
+
+/**
+ * Aplica o conteúdo do documento sobre os itens do estado local. Itens iguais
+ * mantêm o mesmo objeto; `extras` completa os itens novos (ex.: estilo das arestas).
+ * Atualiza `estado` para que a próxima escrita local não devolva esses itens ao documento.
+ *
+ * @returns {Array} O próprio `atuais` quando nada mudou
+ */
+export function mergeRemoteItems(atuais, lidos, estado, { campoIds, extras = {} }) {
+  const porId = new Map(atuais.map(item => [item.id, item]));
+  let mudou = atuais.length !== lidos.length;
+
+  const resultado = lidos.map((lido, i) => {
+    const atual = porId.get(lido.id);
+    if (atual && mesmoItem(atual, lido)) {
+      if (atuais[i] !== atual) mudou = true;
+      estado.base.set(atual.id, atual);
+      return atual;
+    }
+    mudou = true;
+    const novo = { ...extras, ...atual, ...lido };
+    estado.conhecidos.add(novo);
+    estado.base.set(novo.id, novo);
+    return novo;
+  });
+
+  estado[campoIds] = new Set(lidos.map(item => item.id));
+  return mudou ? resultado : atuais;
+}
+
+// Compara só o que é sincronizado (nós: tipo, posição e dados; arestas: o resto)
+const mesmoItem = (atual, lido) => {
+  if (lido.position) {
+    return atual.type === lido.type
+      && Math.round(atual.position.x) === lido.position.x
+      && Math.round(atual.position.y) === lido.position.y
+      && igual(ordenarChaves(atual.data), ordenarChaves(lido.data));
+  }
+  return igual(ordenarChaves(semEstilo(atual)), ordenarChaves(lido));
+};
+
+const ordenarChaves = (objeto) => Object.fromEntries(
+  Object.entries(objeto).filter(([, v]) => v !== undefined).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+);
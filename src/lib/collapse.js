@@ -0,0 +1,111 @@
+// --- RAMOS RECOLHIDOS E FOCO EM SUBÁRVORE ---
+// Um nó recolhido guarda `data.recolhido = true` (e por isso é salvo e exportado
+// junto com o mapa); seus descendentes ficam ocultos. O foco mostra só a
+// subárvore de um nó e é estado de visualização, sem ir para o mapa salvo.
+//
+// Nas exportações: os formatos de arquivo levam a árvore inteira e marcam o
+// que está recolhido (JSON e OPML no próprio dado, FreeMind com FOLDED,
+// Markdown com um comentário HTML, Mermaid com a classe "recolhido"), para não
+// perder tópicos nem as relações que chegam a eles; PDF, imagem e apresentação
+// mostram o mapa como está na tela, sem os ramos recolhidos.
+
+import { buildTree } from './graph';
+import { getSubtreeIds } from './editing';
+
+/**
+ * Quem está oculto e quantos descendentes cada nó tem.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {string|null} [focoId] Se dado, tudo fora da subárvore dele fica oculto
+ * @returns {{ ocultos: Set<string>, descendentes: Map<string, number>, profundidadeMaxima: number }}
+ */
+export function getCollapseInfo(nodes, edges, focoId = null) {
+  const { roots, children, depth } = buildTree(nodes, edges);
+  const porId = new Map(nodes.map(n => [n.id, n]));
+  const ocultos = new Set();
+  const descendentes = new Map();
+
+  const visitar = (id, oculto) => {
+    if (oculto) ocultos.add(id);
+    const recolhido = Boolean(porId.get(id).data.recolhido);
+    const total = (children.get(id) || []).reduce(
+      (soma, filho) => soma + 1 + visitar(filho, oculto || recolhido),
+      0
+    );
+    descendentes.set(id, total);
+    return total;
+  };
+  roots.forEach(raiz => visitar(raiz, false));
+
+  if (focoId && porId.has(focoId)) {
+    const subarvore = getSubtreeIds(nodes, edges, focoId);
+    nodes.forEach(n => { if (!subarvore.has(n.id)) ocultos.add(n.id); });
+  }
+
+  return {
+    ocultos,
+    descendentes,
+    profundidadeMaxima: Math.max(0, ...depth.values()),
+  };
+}
+
+/**
+ * Marca `hidden` nos nós e arestas para o React Flow, sem alterar o estado salvo.
+ */
+export function applyVisibility(nodes, edges, ocultos) {
+  return {
+    nodes: nodes.map(n => (Boolean(n.hidden) === ocultos.has(n.id) ? n : { ...n, hidden: ocultos.has(n.id) })),
+    edges: edges.map(e => {
+      const oculta = ocultos.has(e.source) || ocultos.has(e.target);
+      return Boolean(e.hidden) === oculta ? e : { ...e, hidden: oculta };
+    }),
+  };
+}
+
+// Só a parte visível do mapa, para exportações que não têm como representar ramos recolhidos
+export function getVisibleMap(nodes, edges) {
+  const { ocultos } = getCollapseInfo(nodes, edges);
+  return {
+    nodes: nodes.filter(n => !ocultos.has(n.id)),
+    edges: edges.filter(e => !ocultos.has(e.source) && !ocultos.has(e.target)),
+  };
+}
+
+const comRecolhido = (node, recolhido) => {
+  if (Boolean(node.data.recolhido) === recolhido) return node;
+  const { recolhido: _antigo, ...data } = node.data;
+  return { ...node, data: recolhido ? { ...data, recolhido: true } : data };
+};
+
+export function toggleCollapsed(nodes, id) {
+  return nodes.map(n => (n.id === id ? comRecolhido(n, !n.data.recolhido) : n));
+}
+
+// Garante que o nó mostre os filhos (ex.: ao ganhar um subtópico novo)
+export function expandNode(nodes, id) {
+  return nodes.map(n => (n.id === id ? comRecolhido(n, false) : n));
+}
+
+// Abre os ramos recolhidos acima do nó, para ele ficar visível
+export function revealNode(nodes, edges, id) {
+  const { parent } = buildTree(nodes, edges);
+  const ancestrais = new Set();
+  for (let atual = parent.get(id); atual !== undefined; atual = parent.get(atual)) ancestrais.add(atual);
+  return nodes.map(n => (ancestrais.has(n.id) ? comRecolhido(n, false) : n));
+}
+
+export function expandAll(nodes) {
+  return nodes.map(n => comRecolhido(n, false));
+}
+
+/**
+ * Mostra os níveis 0..`nivel` e recolhe os nós do nível `nivel` que têm filhos.
+ */
+export function collapseToLevel(nodes, edges, nivel) {
+  const { children, depth } = buildTree(nodes, edges);
+  return nodes.map(n => comRecolhido(
+    n,
+    depth.get(n.id) === nivel && (children.get(n.id) || []).length > 0
+  ));
+}
@@ -0,0 +1,235 @@
+// --- MAPA A PARTIR DE UM DOCUMENTO ---
+// O texto (colado ou lido de .txt, .md ou .pdf) é dividido em trechos numerados
+// (T1, T2, ...). O modelo cita esses ids em `data.fontes` de cada nó, e o mapa
+// guarda só os trechos citados, para mostrar a passagem original de cada tópico.
+// Documentos longos são lidos em partes: cada parte vira uma lista de pontos
+// principais (com as fontes) e o mapa final é montado a partir desses pontos.
+
+import { parseMapa, cleanJsonString } from './validation';
+import { LocalizedError } from './i18n';
+
+export const DOCUMENT_ACCEPT = '.txt,.md,.markdown,.pdf';
+
+// Tamanho alvo de um trecho e limite de cada parte enviada ao modelo (em caracteres)
+const TRECHO_MINIMO = 400;
+const TRECHO_MAXIMO = 1200;
+const CARACTERES_POR_PARTE = 12000;
+// Acima disso o documento exigiria chamadas demais ao modelo
+export const MAX_PARTES = 12;
+
+const isTexto = (v) => typeof v === 'string' && v.trim() !== '';
+const erro = (codigo, params = {}) => ({ codigo, params });
+
+// Texto de cada página do PDF, com quebras de linha onde o PDF indica fim de linha
+async function extractPdfPages(arquivo) {
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await arquivo.arrayBuffer()) }).promise;
+  const paginas = [];
+  for (let numero = 1; numero <= pdf.numPages; numero++) {
+    const pagina = await pdf.getPage(numero);
+    const { items } = await pagina.getTextContent();
+    paginas.push(items.map(item => `${item.str ?? ''}${item.hasEOL ? '\n' : ''}`).join(''));
+  }
+  await pdf.destroy();
+  return paginas;
+}
+
+/**
+ * Lê um arquivo de texto, Markdown ou PDF.
+ *
+ * @param {File} arquivo
+ * @returns {Promise<{ nome: string, secoes: Array<{ texto: string, pagina?: number }> }>}
+ *   PDFs têm uma seção por página, para as citações indicarem a página
+ */
+export async function readDocumentFile(arquivo) {
+  const nome = arquivo.name.replace(/\.[^.]+$/, '');
+  const ehPdf = arquivo.type === 'application/pdf' || /\.pdf$/i.test(arquivo.name);
+  const secoes = ehPdf
+    ? (await extractPdfPages(arquivo)).map((texto, i) => ({ texto, pagina: i + 1 }))
+    : [{ texto: await arquivo.text() }];
+
+  if (!secoes.some(s => isTexto(s.texto))) {
+    throw new LocalizedError(ehPdf ? 'documento.pdfSemTexto' : 'documento.arquivoVazio');
+  }
+  return { nome, secoes };
+}
+
+// Quebra um parágrafo longo entre frases, sem passar do tamanho máximo
+const quebrarParagrafo = (paragrafo) => {
+  if (paragrafo.length <= TRECHO_MAXIMO) return [paragrafo];
+  const frases = paragrafo.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [paragrafo];
+  const pedacos = [];
+  let atual = '';
+  frases.forEach(frase => {
+    // Frase sozinha maior que o limite (ex.: texto sem pontuação) é cortada
+    for (let inicio = 0; inicio < frase.length; inicio += TRECHO_MAXIMO) {
+      const parte = frase.slice(inicio, inicio + TRECHO_MAXIMO);
+      if (atual && atual.length + parte.length > TRECHO_MAXIMO) {
+        pedacos.push(atual.trim());
+        atual = '';
+      }
+      atual += parte;
+    }
+  });
+  if (atual.trim()) pedacos.push(atual.trim());
+  return pedacos;
+};
+
+/**
+ * Divide o documento em trechos de alguns parágrafos, numerados T1, T2, ...
+ * Parágrafos curtos (títulos, itens de lista) são juntados ao seguinte.
+ *
+ * @param {{ secoes: Array<{ texto: string, pagina?: number }> }} documento
+ * @returns {Array<{ id: string, texto: string, pagina?: number }>}
+ */
+export function splitPassages({ secoes }) {
+  const trechos = [];
+  const adicionar = (texto, pagina) => {
+    trechos.push({ id: `T${trechos.length + 1}`, texto, ...(pagina ? { pagina } : {}) });
+  };
+
+  secoes.forEach(({ texto, pagina }) => {
+    const paragrafos = texto
+      .replace(/\r\n?/g, '\n')
+      .split(/\n\s*\n/)
+      .map(p => p.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .flatMap(quebrarParagrafo);
+
+    let acumulado = '';
+    paragrafos.forEach(paragrafo => {
+      if (acumulado && acumulado.length + paragrafo.length + 1 > TRECHO_MAXIMO) {
+        adicionar(acumulado, pagina);
+        acumulado = '';
+      }
+      acumulado = acumulado ? `${acumulado} ${paragrafo}` : paragrafo;
+      if (acumulado.length >= TRECHO_MINIMO) {
+        adicionar(acumulado, pagina);
+        acumulado = '';
+      }
+    });
+    if (acumulado) adicionar(acumulado, pagina);
+  });
+
+  return trechos;
+}
+
+/**
+ * Agrupa trechos consecutivos em partes que cabem numa chamada ao modelo.
+ *
+ * @returns {Array<Array<{ id: string, texto: string }>>}
+ */
+export function chunkPassages(trechos, maxCaracteres = CARACTERES_POR_PARTE) {
+  const partes = [];
+  let atual = [];
+  let tamanho = 0;
+  trechos.forEach(trecho => {
+    if (atual.length > 0 && tamanho + trecho.texto.length > maxCaracteres) {
+      partes.push(atual);
+      atual = [];
+      tamanho = 0;
+    }
+    atual.push(trecho);
+    tamanho += trecho.texto.length;
+  });
+  if (atual.length > 0) partes.push(atual);
+  return partes;
+}
+
+// Ids citados que existem, sem repetição, na ordem em que aparecem
+const filtrarFontes = (fontes, idsValidos) => (
+  Array.isArray(fontes)
+    ? [...new Set(fontes.map(f => String(f).trim().toUpperCase()))].filter(f => idsValidos.has(f))
+    : []
+);
+
+/**
+ * Converte a resposta de uma parte do documento em pontos principais.
+ *
+ * @param {string} texto Resposta bruta do modelo
+ * @param {Array<{ id: string }>} trechos Trechos da parte, para validar as fontes
+ * @returns {{ dados: Array<{ topico, resumo, fontes }>, correcoes: string[], erros: Array }}
+ */
+export function parseDocumentNotes(texto, trechos) {
+  let bruto;
+  try {
+    bruto = JSON.parse(cleanJsonString(texto));
+  } catch {
+    return { dados: null, correcoes: [], erros: [erro('JSON_INVALIDO')] };
+  }
+
+  const lista = Array.isArray(bruto) ? bruto : bruto?.pontos;
+  if (!Array.isArray(lista)) {
+    return { dados: null, correcoes: [], erros: [erro('ESTRUTURA', { chave: 'pontos' })] };
+  }
+
+  const ids = new Set(trechos.map(t => t.id));
+  const correcoes = [];
+  const pontos = [];
+  lista.forEach((p, i) => {
+    if (!isTexto(p?.topico) || !isTexto(p?.resumo)) {
+      correcoes.push(`Ponto na posição ${i} descartado: sem tópico ou resumo.`);
+      return;
+    }
+    const fontes = filtrarFontes(p.fontes, ids);
+    if (fontes.length === 0) {
+      correcoes.push(`Ponto "${p.topico}" descartado: não cita nenhum trecho desta parte.`);
+      return;
+    }
+    pontos.push({ topico: p.topico.trim(), resumo: p.resumo.trim(), fontes });
+  });
+
+  const erros = pontos.length === 0
+    ? [erro('SEM_PONTOS')]
+    : [];
+  return { dados: pontos, correcoes, erros };
+}
+
+/**
+ * Como parseMapa, mas também confere as citações: `data.fontes` de cada nó fica
+ * só com ids de trechos existentes, e o mapa precisa citar o documento.
+ *
+ * @param {string} texto Resposta bruta do modelo
+ * @param {Array<{ id: string }>} trechos Todos os trechos do documento
+ */
+export function parseDocumentMap(texto, trechos) {
+  const resultado = parseMapa(texto);
+  if (!resultado.dados?.mapa?.nodes) return resultado;
+
+  const ids = new Set(trechos.map(t => t.id));
+  const correcoes = [...resultado.correcoes];
+  const nodes = resultado.dados.mapa.nodes.map(n => {
+    const fontes = filtrarFontes(n.data?.fontes, ids);
+    if (Array.isArray(n.data?.fontes) && fontes.length < n.data.fontes.length) {
+      correcoes.push(`Nó "${n.id}": citações de trechos inexistentes removidas.`);
+    }
+    const { fontes: _brutas, ...data } = n.data || {};
+    return { ...n, data: fontes.length > 0 ? { ...data, fontes } : data };
+  });
+
+  const erros = [...resultado.erros];
+  const citados = nodes.filter(n => n.data.fontes).length;
+  // O nó central pode resumir o documento todo sem citar; os demais devem citar
+  if (citados < Math.ceil((nodes.length - 1) / 2)) {
+    erros.push(erro('SEM_FONTES', { citados, total: nodes.length }));
+  }
+
+  return {
+    dados: { ...resultado.dados, mapa: { ...resultado.dados.mapa, nodes } },
+    correcoes,
+    erros,
+  };
+}
+
+/**
+ * Dados do documento guardados com o mapa: o nome e só os trechos citados.
+ */
+export function citedPassages(nome, trechos, nodes) {
+  const citados = new Set(nodes.flatMap(n => n.data.fontes || []));
+  return { nome, trechos: trechos.filter(t => citados.has(t.id)) };
+}
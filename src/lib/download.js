@@ -0,0 +1,12 @@
+// Baixa um conteúdo gerado no navegador como arquivo
+export function downloadFile(nomeArquivo, conteudo, mime = 'text/plain') {
+  const blob = conteudo instanceof Blob ? conteudo : new Blob([conteudo], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = nomeArquivo;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
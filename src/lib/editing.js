@@ -0,0 +1,109 @@
+// --- OPERAÇÕES DE EDIÇÃO DO MAPA ---
+// Funções puras: recebem nodes/edges e devolvem o novo par, para que cada
+// operação possa ser registrada no histórico de desfazer/refazer.
+
+import { buildTree, createNodeId, isRelationEdge } from './graph';
+import { placeNewChildren } from './layout';
+
+/**
+ * Ids do nó e de todos os seus descendentes.
+ */
+export function getSubtreeIds(nodes, edges, id) {
+  const { children } = buildTree(nodes, edges);
+  const ids = new Set();
+  const visitar = (atual) => {
+    ids.add(atual);
+    (children.get(atual) || []).forEach(visitar);
+  };
+  visitar(id);
+  return ids;
+}
+
+/**
+ * Atualiza campos de `data` de um nó (ex.: label, descricao).
+ */
+export function updateNodeData(nodes, edges, id, campos) {
+  return {
+    nodes: nodes.map(n => n.id === id ? { ...n, data: { ...n.data, ...campos } } : n),
+    edges,
+  };
+}
+
+/**
+ * Cria um filho vazio sob `parentId`, posicionado sem colidir com os demais.
+ *
+ * @returns {{ nodes: Array, edges: Array, novoId: string }}
+ */
+export function addChildNode(nodes, edges, parentId, { direction, edgeDefaults = {}, label = 'Novo tópico' } = {}) {
+  const novoId = createNodeId(new Set(nodes.map(n => n.id)));
+  const novo = {
+    id: novoId,
+    type: 'mindmap',
+    position: { x: 0, y: 0 },
+    data: { label, descricao: '', id: novoId },
+  };
+  const [posicionado] = placeNewChildren(nodes, edges, parentId, [novo], { direction });
+  return {
+    nodes: [...nodes.map(n => n.selected ? { ...n, selected: false } : n), { ...posicionado, selected: true }],
+    edges: [...edges, { id: `e${parentId}-${novoId}`, source: parentId, target: novoId, ...edgeDefaults }],
+    novoId,
+  };
+}
+
+/**
+ * Cria um irmão do nó, isto é, um novo filho do pai dele.
+ * Retorna null para a raiz, que não tem irmãos.
+ */
+export function addSiblingNode(nodes, edges, id, opcoes) {
+  const { parent } = buildTree(nodes, edges);
+  const pai = parent.get(id);
+  if (pai === undefined) return null;
+  return addChildNode(nodes, edges, pai, opcoes);
+}
+
+/**
+ * Remove o nó, todos os seus descendentes e as arestas ligadas a eles.
+ */
+export function deleteSubtree(nodes, edges, id) {
+  const removidos = getSubtreeIds(nodes, edges, id);
+  return {
+    nodes: nodes.filter(n => !removidos.has(n.id)),
+    edges: edges.filter(e => !removidos.has(e.source) && !removidos.has(e.target)),
+  };
+}
+
+/**
+ * Uma ligação source → target é válida se não criar laço nem ciclo, isto é,
+ * se o novo pai não estiver dentro da subárvore do filho.
+ */
+export function canReparent(nodes, edges, source, target) {
+  if (!source || !target || source === target) return false;
+  return !getSubtreeIds(nodes, edges, target).has(source);
+}
+
+/**
+ * Torna `target` filho de `source`, substituindo a aresta para o pai anterior.
+ * `arestaRemovida` (opcional) é retirada antes, para reconexões de uma aresta existente.
+ * As relações que chegam em `target` continuam.
+ */
+export function reparentNode(nodes, edges, source, target, { edgeDefaults = {}, arestaRemovida } = {}) {
+  const restantes = edges.filter(e => e.id !== arestaRemovida && (isRelationEdge(e) || e.target !== target));
+  return {
+    nodes,
+    edges: [...restantes, { id: `e${source}-${target}`, source, target, ...edgeDefaults }],
+  };
+}
+
+/**
+ * Escreve (ou, com texto vazio, remove) o rótulo de uma ligação.
+ */
+export function setEdgeLabel(nodes, edges, id, label) {
+  return {
+    nodes,
+    edges: edges.map(e => {
+      if (e.id !== id) return e;
+      const { label: _label, ...resto } = e;
+      return label ? { ...resto, label } : resto;
+    }),
+  };
+}
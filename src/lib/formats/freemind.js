@@ -0,0 +1,77 @@
+// --- FORMATO FREEMIND / FREEPLANE (.mm) ---
+// Descrições viram notas (richcontent TYPE="NOTE") e o resumo fica num atributo
+// do nó central. Ramos recolhidos usam o FOLDED nativo. O formato guarda só
+// deslocamentos relativos, então as posições não são exportadas. Relações entre
+// ramos viram setas (arrowlink), com o rótulo no MIDDLE_LABEL do Freeplane.
+
+import { toOutline, fromOutline, escapeXml, parseXml } from './outline';
+import { isRelationEdge } from '../graph';
+import { LocalizedError } from '../i18n';
+
+export function exportFreeMind({ resumo, nodes, edges }) {
+  const raizes = toOutline(nodes, edges);
+  // O .mm aceita um único nó central
+  const raiz = raizes.length === 1 ? raizes[0] : { label: 'Mapa', descricao: '', filhos: raizes };
+
+  // IDs do arquivo numerados antes de escrever, porque uma seta pode apontar
+  // para um tópico que aparece depois dela
+  const idsMm = new Map();
+  const idPorNo = new Map();
+  const numerar = (topico) => {
+    const idMm = `ID_${idsMm.size + 1}`;
+    idsMm.set(topico, idMm);
+    if (topico.id !== undefined) idPorNo.set(topico.id, idMm);
+    topico.filhos.forEach(numerar);
+  };
+  numerar(raiz);
+  const setas = (topico) => edges
+    .filter(e => isRelationEdge(e) && e.source === topico.id && idPorNo.has(e.target))
+    .map(e => `<arrowlink DESTINATION="${idPorNo.get(e.target)}" ENDARROW="Default"${e.label ? ` MIDDLE_LABEL="${escapeXml(e.label)}"` : ''}/>`);
+
+  const no = (topico, nivel, lado) => {
+    const recuo = '  '.repeat(nivel);
+    const posicao = lado ? ` POSITION="${lado}"` : '';
+    const recolhido = topico.recolhido && topico.filhos.length > 0 ? ' FOLDED="true"' : '';
+    const conteudo = [
+      topico.descricao && `${recuo}  <richcontent TYPE="NOTE"><html><head/><body><p>${escapeXml(topico.descricao)}</p></body></html></richcontent>`,
+      nivel === 1 && resumo && `${recuo}  <attribute NAME="resumo" VALUE="${escapeXml(resumo)}"/>`,
+      ...setas(topico).map(seta => `${recuo}  ${seta}`),
+      // No FreeMind os filhos do centro se dividem entre os lados direito e esquerdo
+      ...topico.filhos.map((f, i) => no(f, nivel + 1, nivel === 1 ? (i % 2 === 0 ? 'right' : 'left') : null)),
+    ].filter(Boolean);
+    const abertura = `${recuo}<node ID="${idsMm.get(topico)}" TEXT="${escapeXml(topico.label)}"${posicao}${recolhido}`;
+    return conteudo.length === 0 ? `${abertura}/>` : [`${abertura}>`, ...conteudo, `${recuo}</node>`].join('\n');
+  };
+
+  return `<map version="1.0.1">\n${no(raiz, 1, null)}\n</map>\n`;
+}
+
+export function importFreeMind(texto, nomeArquivo = 'Mapa importado') {
+  const doc = parseXml(texto);
+  const raiz = [...(doc.querySelector('map')?.children || [])].find(c => c.tagName === 'node');
+  if (!raiz) throw new LocalizedError('erros.arquivo.freemindSemCentral');
+
+  const ler = (elemento) => {
+    const filhosDiretos = [...elemento.children];
+    // O texto pode vir no atributo TEXT ou em richcontent TYPE="NODE" (texto formatado)
+    const textoRico = filhosDiretos.find(c => c.tagName === 'richcontent' && c.getAttribute('TYPE') === 'NODE');
+    const nota = filhosDiretos.find(c => c.tagName === 'richcontent' && ['NOTE', 'DETAILS'].includes(c.getAttribute('TYPE')));
+    return {
+      label: elemento.getAttribute('TEXT') ?? textoRico?.textContent.trim() ?? '',
+      descricao: nota?.textContent.trim().replace(/\s+/g, ' ') || '',
+      recolhido: elemento.getAttribute('FOLDED') === 'true',
+      ...(elemento.hasAttribute('ID') ? { id: elemento.getAttribute('ID') } : {}),
+      relacoes: filhosDiretos.filter(c => c.tagName === 'arrowlink' && c.getAttribute('DESTINATION')).map(c => ({
+        destino: c.getAttribute('DESTINATION'),
+        rotulo: c.getAttribute('MIDDLE_LABEL') || '',
+      })),
+      filhos: filhosDiretos.filter(c => c.tagName === 'node').map(ler),
+    };
+  };
+
+  const resumo = [...raiz.children]
+    .find(c => c.tagName === 'attribute' && c.getAttribute('NAME') === 'resumo')
+    ?.getAttribute('VALUE') || '';
+  const { nodes, edges, temPosicoes } = fromOutline([ler(raiz)], nomeArquivo);
+  return { tema: nodes[0].data.label, resumo, nodes, edges, temPosicoes };
+}
@@ -0,0 +1,65 @@
+// --- IMPORTAÇÃO E EXPORTAÇÃO DE FORMATOS DE MAPA MENTAL ---
+// Todos os formatos trabalham com o mesmo documento de mapa:
+// { tema, resumo, nodes, edges, layoutMode?, aparencia?, viewport? }
+// e a importação devolve também `temPosicoes`, indicando se é preciso calcular o layout.
+
+import { exportJson, importJson } from './json';
+import { exportMarkdown, importMarkdown } from './markdown';
+import { exportOpml, importOpml } from './opml';
+import { exportFreeMind, importFreeMind } from './freemind';
+import { exportMermaid, importMermaid } from './mermaid';
+import { LocalizedError } from '../i18n';
+import { normalizeNodeColors } from '../theme';
+
+export const FORMATS = {
+  json: { nome: 'JSON', extensao: 'json', mime: 'application/json', exportar: exportJson, importar: importJson },
+  markdown: { nome: 'Markdown', extensao: 'md', mime: 'text/markdown', exportar: exportMarkdown, importar: importMarkdown },
+  opml: { nome: 'OPML', extensao: 'opml', mime: 'text/x-opml', exportar: exportOpml, importar: importOpml },
+  freemind: { nome: 'FreeMind / Freeplane', extensao: 'mm', mime: 'application/x-freemind', exportar: exportFreeMind, importar: importFreeMind },
+  mermaid: { nome: 'Mermaid', extensao: 'mmd', mime: 'text/plain', exportar: exportMermaid, importar: importMermaid },
+};
+
+// Extensões aceitas na importação, para o atributo `accept` do input de arquivo
+export const IMPORT_ACCEPT = '.json,.md,.markdown,.txt,.opml,.xml,.mm,.mmd,.mermaid';
+
+const POR_EXTENSAO = {
+  json: 'json',
+  md: 'markdown',
+  markdown: 'markdown',
+  opml: 'opml',
+  mm: 'freemind',
+  mmd: 'mermaid',
+  mermaid: 'mermaid',
+};
+
+/**
+ * Descobre o formato pela extensão e, se ela não ajudar, pelo conteúdo.
+ */
+export function detectFormat(nomeArquivo, texto) {
+  const extensao = nomeArquivo.split('.').pop().toLowerCase();
+  if (POR_EXTENSAO[extensao]) return POR_EXTENSAO[extensao];
+
+  const inicio = texto.trimStart();
+  if (inicio.startsWith('{')) return 'json';
+  if (/<opml[\s>]/.test(inicio)) return 'opml';
+  if (/<map[\s>]/.test(inicio)) return 'freemind';
+  if (/^(?:%%.*\n\s*)*mindmap\s*$/m.test(inicio)) return 'mermaid';
+  return 'markdown';
+}
+
+/**
+ * Lê o conteúdo de um arquivo e o converte num documento de mapa.
+ */
+export function importMap(nomeArquivo, texto) {
+  const formato = detectFormat(nomeArquivo, texto);
+  const titulo = nomeArquivo.replace(/\.[^.]+$/, '');
+  const mapa = FORMATS[formato].importar(texto, titulo);
+  if (!mapa.nodes.length) {
+    throw new LocalizedError('erros.arquivo.semTopicos');
+  }
+  return { ...mapa, nodes: normalizeNodeColors(mapa.nodes), formato };
+}
+
+export function exportMap(formato, mapa) {
+  return FORMATS[formato].exportar(mapa);
+}
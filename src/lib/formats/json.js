@@ -0,0 +1,73 @@
+// --- FORMATO NATIVO (JSON) ---
+// Preserva tudo: posições, dados extras dos nós, layout, aparência e enquadramento.
+
+import { repairMapa } from '../validation';
+import { serializeNode, serializeEdge } from '../storage';
+import { LocalizedError } from '../i18n';
+
+const FORMATO = 'mapa-mental-ia';
+const VERSAO = 1;
+
+export function exportJson({ tema, resumo, nodes, edges, layoutMode, aparencia, viewport, opcoes, documento: fonte }) {
+  const documento = {
+    formato: FORMATO,
+    versao: VERSAO,
+    tema,
+    resumo,
+    layoutMode,
+    aparencia,
+    viewport,
+    opcoes,
+    // Mapas gerados de um documento levam os trechos citados pelos nós
+    documento: fonte,
+    nodes: nodes.map(serializeNode),
+    edges: edges.map(serializeEdge),
+  };
+  return JSON.stringify(documento, null, 2);
+}
+
+export function importJson(texto) {
+  let dados;
+  try {
+    dados = JSON.parse(texto);
+  } catch (err) {
+    throw new LocalizedError('erros.arquivo.jsonInvalido', {}, { cause: err });
+  }
+
+  if (dados.formato === FORMATO) {
+    if (dados.versao > VERSAO) {
+      throw new LocalizedError('erros.arquivo.versaoNova', { versao: dados.versao, suportada: VERSAO });
+    }
+    return {
+      tema: dados.tema,
+      resumo: dados.resumo || '',
+      nodes: dados.nodes.map(n => ({ type: 'mindmap', ...n, data: { ...n.data, id: n.id } })),
+      edges: dados.edges,
+      layoutMode: dados.layoutMode,
+      aparencia: dados.aparencia,
+      viewport: dados.viewport,
+      opcoes: dados.opcoes,
+      documento: dados.documento,
+      temPosicoes: dados.nodes.every(n => n.position),
+    };
+  }
+
+  // Também aceita o JSON cru da IA: { mapa: { nodes, edges }, resumo }
+  const { dados: reparado } = repairMapa(dados);
+  if (!reparado?.mapa?.nodes?.length) {
+    throw new LocalizedError('erros.arquivo.jsonSemMapa');
+  }
+  const nodes = reparado.mapa.nodes.map(n => ({
+    id: n.id,
+    type: 'mindmap',
+    position: { x: 0, y: 0 },
+    data: { ...n.data, id: n.id },
+  }));
+  return {
+    tema: nodes[0].data.label,
+    resumo: reparado.resumo || '',
+    nodes,
+    edges: reparado.mapa.edges,
+    temPosicoes: false,
+  };
+}
@@ -0,0 +1,152 @@
+// --- FORMATO MARKDOWN (LISTA INDENTADA) ---
+//
+//   # Tópico central
+//
+//   > Resumo do tema
+//
+//   - **Tópico**: descrição
+//     - **Subtópico**: descrição <!-- recolhido -->
+//
+//   ## Relações
+//
+//   - **Origem** — rótulo → **Destino**
+//
+// A árvore vai inteira; ramos recolhidos levam um comentário HTML, que não
+// aparece ao renderizar. As relações entre ramos citam os tópicos pelo label,
+// então com labels repetidos a importação liga ao primeiro tópico com aquele nome.
+
+import { toOutline, fromOutline } from './outline';
+import { isRelationEdge } from '../graph';
+import { LocalizedError } from '../i18n';
+
+const RECOLHIDO = '<!-- recolhido -->';
+const TITULO_RELACOES = /^##\s+Rela[çc][õo]es\s*$/i;
+// "**Origem** — rótulo → **Destino**", com o rótulo opcional
+const RELACAO = /^\*\*(.+?)\*\*\s*(?:—\s*(.*?)\s*)?→\s*\*\*(.+?)\*\*\s*$/;
+
+export function exportMarkdown({ resumo, nodes, edges }) {
+  const linhas = [];
+  const marca = (topico) => (topico.recolhido && topico.filhos.length > 0 ? ` ${RECOLHIDO}` : '');
+  const item = (topico, nivel) => {
+    const descricao = topico.descricao ? `: ${topico.descricao.replace(/\s*\n\s*/g, ' ')}` : '';
+    linhas.push(`${'  '.repeat(nivel)}- **${topico.label}**${descricao}${marca(topico)}`);
+    topico.filhos.forEach(f => item(f, nivel + 1));
+  };
+
+  toOutline(nodes, edges).forEach((raiz, i) => {
+    if (i > 0) linhas.push('');
+    linhas.push(`# ${raiz.label}${marca(raiz)}`, '');
+    if (raiz.descricao) linhas.push(raiz.descricao, '');
+    if (i === 0 && resumo) linhas.push(...resumo.split('\n').map(l => `> ${l}`), '');
+    raiz.filhos.forEach(f => item(f, 0));
+  });
+
+  const labelPorId = new Map(nodes.map(n => [n.id, n.data.label || '']));
+  const relacoes = edges.filter(e => isRelationEdge(e) && labelPorId.has(e.source) && labelPorId.has(e.target));
+  if (relacoes.length > 0) {
+    linhas.push('', '## Relações', '');
+    relacoes.forEach(e => {
+      const rotulo = e.label ? ` — ${e.label} ` : ' ';
+      linhas.push(`- **${labelPorId.get(e.source)}**${rotulo}→ **${labelPorId.get(e.target)}**`);
+    });
+  }
+
+  return `${linhas.join('\n').trimEnd()}\n`;
+}
+
+// "**Label**: descrição", "Label: descrição" ou só "Label"
+const lerItem = (texto) => {
+  const negrito = texto.match(/^\*\*(.+?)\*\*\s*(?:[:—–-]\s*(.*))?$/);
+  if (negrito) return { label: negrito[1].trim(), descricao: (negrito[2] || '').trim() };
+  const separado = texto.match(/^([^:]+):\s+(.*)$/);
+  if (separado) return { label: separado[1].trim(), descricao: separado[2].trim() };
+  return { label: texto.trim(), descricao: '' };
+};
+
+// Tira a marca de recolhido do fim da linha
+const lerRecolhido = (texto) => {
+  const recolhido = texto.trimEnd().endsWith(RECOLHIDO);
+  return { texto: recolhido ? texto.trimEnd().slice(0, -RECOLHIDO.length).trimEnd() : texto, recolhido };
+};
+
+export function importMarkdown(texto, nomeArquivo = 'Mapa importado') {
+  const raizes = [];
+  let raizAtual = null;
+  const resumo = [];
+  // Pilha de { indentacao, topico } para montar a hierarquia da lista
+  let pilha = [];
+  // Depois do "## Relações", os itens da lista são relações, não tópicos
+  let emRelacoes = false;
+  const relacoes = [];
+  // Label -> primeiro tópico com ele, para ligar as relações no fim
+  const porLabel = new Map();
+  let contador = 0;
+  const novoTopico = (dados, recolhido) => {
+    contador += 1;
+    const topico = { ...dados, id: contador, recolhido, relacoes: [], filhos: [] };
+    if (!porLabel.has(topico.label)) porLabel.set(topico.label, topico);
+    return topico;
+  };
+
+  texto.replace(/\r\n?/g, '\n').split('\n').forEach(linha => {
+    if (TITULO_RELACOES.test(linha)) {
+      emRelacoes = true;
+      return;
+    }
+
+    const titulo = linha.match(/^#\s+(.+)$/);
+    if (titulo) {
+      const { texto: label, recolhido } = lerRecolhido(titulo[1]);
+      raizAtual = novoTopico({ label: label.trim(), descricao: '' }, recolhido);
+      raizes.push(raizAtual);
+      pilha = [];
+      emRelacoes = false;
+      return;
+    }
+
+    if (emRelacoes) {
+      const relacao = linha.match(/^\s*[-*+]\s+(.+)$/)?.[1].trim().match(RELACAO);
+      if (relacao) relacoes.push({ origem: relacao[1].trim(), rotulo: (relacao[2] || '').trim(), destino: relacao[3].trim() });
+      return;
+    }
+
+    const citacao = linha.match(/^>\s?(.*)$/);
+    if (citacao) {
+      resumo.push(citacao[1]);
+      return;
+    }
+
+    const item = linha.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(.+)$/);
+    if (item) {
+      const indentacao = item[1].replace(/\t/g, '    ').length;
+      const { texto: conteudo, recolhido } = lerRecolhido(item[2]);
+      const topico = novoTopico(lerItem(conteudo), recolhido);
+      while (pilha.length > 0 && pilha[pilha.length - 1].indentacao >= indentacao) pilha.pop();
+      if (pilha.length > 0) {
+        pilha[pilha.length - 1].topico.filhos.push(topico);
+      } else if (raizAtual) {
+        raizAtual.filhos.push(topico);
+      } else {
+        raizes.push(topico);
+      }
+      pilha.push({ indentacao, topico });
+      return;
+    }
+
+    // Parágrafo logo após o título vira a descrição do tópico central
+    if (linha.trim() && raizAtual && raizAtual.filhos.length === 0 && pilha.length === 0) {
+      raizAtual.descricao = `${raizAtual.descricao} ${linha.trim()}`.trim();
+    }
+  });
+
+  if (raizes.length === 0) {
+    throw new LocalizedError('erros.arquivo.markdownVazio');
+  }
+  relacoes.forEach(({ origem, rotulo, destino }) => {
+    if (porLabel.has(origem) && porLabel.has(destino)) {
+      porLabel.get(origem).relacoes.push({ destino: porLabel.get(destino).id, rotulo });
+    }
+  });
+  const { nodes, edges, temPosicoes } = fromOutline(raizes, nomeArquivo);
+  return { tema: nodes[0].data.label, resumo: resumo.join('\n').trim(), nodes, edges, temPosicoes };
+}
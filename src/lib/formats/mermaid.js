@@ -0,0 +1,133 @@
+// --- FORMATO MERMAID (mindmap) ---
+//
+//   mindmap
+//     root(("`**Tópico central**
+//     descrição`"))
+//       n2["`**Tópico**
+//       descrição`"]
+//       :::recolhido
+//   %% relacao: n2 -.rótulo.-> n5
+//
+// O Mermaid não tem campo de descrição, então label e descrição vão juntos numa
+// "markdown string": o título em negrito e a descrição na linha seguinte.
+// A árvore vai inteira; ramos recolhidos recebem a classe "recolhido". O mindmap
+// não desenha arestas fora da árvore, então as relações entre ramos vão como
+// comentários no formato de aresta do flowchart, que a importação lê de volta.
+
+import { toOutline, fromOutline } from './outline';
+import { isRelationEdge } from '../graph';
+import { LocalizedError } from '../i18n';
+
+// Aspas e crases quebrariam a markdown string; o Mermaid aceita entidades
+const escapar = (texto = '') => texto.replace(/"/g, '#quot;').replace(/`/g, "'").replace(/\s*\n\s*/g, ' ');
+const desescapar = (texto = '') => texto.replace(/#quot;/g, '"').replace(/#35;/g, '#');
+
+// "%% relacao: n2 -.rótulo.-> n5", com o rótulo opcional ("n2 -.-> n5")
+const RELACAO = /^%%\s*relacao:\s*(\S+)\s+-\.(.*?)\.?->\s*(\S+)\s*$/;
+
+export function exportMermaid({ nodes, edges }) {
+  const linhas = ['mindmap'];
+  // id do nó no mapa -> id no diagrama, para as relações
+  const idsMermaid = new Map();
+  let contador = 0;
+  const no = (topico, nivel) => {
+    contador += 1;
+    const recuo = '  '.repeat(nivel);
+    const idMermaid = nivel === 1 ? 'root' : `n${contador}`;
+    if (topico.id !== undefined) idsMermaid.set(topico.id, idMermaid);
+    const texto = topico.descricao
+      ? `**${escapar(topico.label)}**\n${recuo}${escapar(topico.descricao)}`
+      : `**${escapar(topico.label)}**`;
+    // Nó central em círculo, os demais em retângulo
+    const [abre, fecha] = nivel === 1 ? ['((', '))'] : ['[', ']'];
+    linhas.push(`${recuo}${idMermaid}${abre}"\`${texto}\`"${fecha}`);
+    if (topico.recolhido && topico.filhos.length > 0) linhas.push(`${recuo}:::recolhido`);
+    topico.filhos.forEach(f => no(f, nivel + 1));
+  };
+
+  const raizes = toOutline(nodes, edges);
+  // O mindmap do Mermaid aceita uma única raiz
+  no(raizes.length === 1 ? raizes[0] : { label: 'Mapa', descricao: '', filhos: raizes }, 1);
+
+  edges
+    .filter(e => isRelationEdge(e) && idsMermaid.has(e.source) && idsMermaid.has(e.target))
+    .forEach(e => {
+      const seta = e.label ? `-.${escapar(e.label).replace(/\.->/g, '. ->')}.->` : '-.->';
+      linhas.push(`%% relacao: ${idsMermaid.get(e.source)} ${seta} ${idsMermaid.get(e.target)}`);
+    });
+  return `${linhas.join('\n')}\n`;
+}
+
+// Formas de nó do Mermaid: id((t)), id(t), id[t], id{{t}}, id))t((, id)t(, ou só o texto
+const FORMAS = /^([^\s([{)]*)\s*(\(\(|\)\)|\{\{|\(|\[|\))([\s\S]*?)(\)\)|\(\(|\}\}|\)|\]|\()$/;
+
+const lerTexto = (bruto) => {
+  const forma = bruto.match(FORMAS);
+  let texto = forma ? forma[3] : bruto;
+  const id = forma?.[1] || undefined;
+  texto = texto.trim().replace(/^"`?|`?"$/g, '');
+
+  // Markdown string: "**Label**" seguido da descrição nas linhas de baixo
+  const [primeira, ...resto] = texto.split('\n').map(l => l.trim());
+  const negrito = primeira.match(/^\*\*(.+)\*\*$/);
+  return {
+    ...(id ? { id } : {}),
+    label: desescapar(negrito ? negrito[1] : primeira),
+    descricao: desescapar(resto.join(' ').trim()),
+  };
+};
+
+export function importMermaid(texto, nomeArquivo = 'Mapa importado') {
+  const linhas = texto.replace(/\r\n?/g, '\n').split('\n');
+  const inicio = linhas.findIndex(l => l.trim() === 'mindmap');
+  if (inicio === -1) throw new LocalizedError('erros.arquivo.semMindmap');
+
+  // Junta as linhas de uma markdown string que continua nas linhas seguintes
+  const entradas = [];
+  const relacoes = [];
+  for (let i = inicio + 1; i < linhas.length; i++) {
+    const linha = linhas[i];
+    const conteudo = linha.trim();
+    const relacao = conteudo.match(RELACAO);
+    if (relacao) {
+      relacoes.push({ origem: relacao[1], rotulo: desescapar(relacao[2].trim()), destino: relacao[3] });
+      continue;
+    }
+    // A classe vale para o nó da linha anterior
+    if (conteudo.startsWith(':::')) {
+      if (entradas.length > 0 && conteudo.slice(3).split(/\s+/).includes('recolhido')) entradas[entradas.length - 1].recolhido = true;
+      continue;
+    }
+    if (!conteudo || conteudo.startsWith('%%') || conteudo.startsWith('::icon')) continue;
+
+    let bruto = conteudo;
+    const abertas = (bruto.match(/"`/g) || []).length;
+    const fechadas = (bruto.match(/`"/g) || []).length;
+    if (abertas > fechadas) {
+      while (i + 1 < linhas.length && !bruto.includes('`"', bruto.indexOf('"`') + 2)) {
+        i += 1;
+        bruto += `\n${linhas[i].trim()}`;
+      }
+    }
+    entradas.push({ indentacao: linha.match(/^\s*/)[0].replace(/\t/g, '    ').length, bruto });
+  }
+
+  const raizes = [];
+  const porId = new Map();
+  let pilha = [];
+  entradas.forEach(({ indentacao, bruto, recolhido }) => {
+    const topico = { ...lerTexto(bruto), recolhido: Boolean(recolhido), relacoes: [], filhos: [] };
+    if (topico.id && !porId.has(topico.id)) porId.set(topico.id, topico);
+    while (pilha.length > 0 && pilha[pilha.length - 1].indentacao >= indentacao) pilha.pop();
+    if (pilha.length > 0) pilha[pilha.length - 1].topico.filhos.push(topico);
+    else raizes.push(topico);
+    pilha.push({ indentacao, topico });
+  });
+
+  if (raizes.length === 0) throw new LocalizedError('erros.arquivo.mindmapVazio');
+  relacoes.forEach(({ origem, rotulo, destino }) => {
+    if (porId.has(origem) && porId.has(destino)) porId.get(origem).relacoes.push({ destino, rotulo });
+  });
+  const { nodes, edges, temPosicoes } = fromOutline(raizes, nomeArquivo);
+  return { tema: nodes[0].data.label, resumo: '', nodes, edges, temPosicoes };
+}
@@ -0,0 +1,100 @@
+// --- FORMATO OPML ---
+// Descrições vão no atributo `_note` (convenção de OmniOutliner, Workflowy etc.)
+// e as posições e ramos recolhidos nos atributos `x`/`y` e `recolhido`, ignorados
+// por outros programas. Relações entre ramos também vão em atributos próprios:
+// os tópicos ligados por elas ganham um `id`, e a origem, a lista `relacoes`
+// em JSON ([{ destino, rotulo, justificativa }]).
+
+import { toOutline, fromOutline, escapeXml, parseXml } from './outline';
+import { isRelationEdge } from '../graph';
+import { LocalizedError } from '../i18n';
+
+export function exportOpml({ tema, resumo, nodes, edges }) {
+  const ids = new Set(nodes.map(n => n.id));
+  const relacoes = edges.filter(e => isRelationEdge(e) && ids.has(e.source) && ids.has(e.target));
+  const ligados = new Set(relacoes.flatMap(e => [e.source, e.target]));
+  const relacoesDe = (id) => relacoes
+    .filter(e => e.source === id)
+    .map(e => ({ destino: e.target, rotulo: e.label || '', justificativa: e.data?.justificativa || '' }));
+
+  const outline = (topico, nivel) => {
+    const recuo = '  '.repeat(nivel);
+    const saindo = relacoesDe(topico.id);
+    const atributos = [
+      `text="${escapeXml(topico.label)}"`,
+      topico.descricao && `_note="${escapeXml(topico.descricao)}"`,
+      topico.position && `x="${Math.round(topico.position.x)}" y="${Math.round(topico.position.y)}"`,
+      topico.recolhido && 'recolhido="true"',
+      ligados.has(topico.id) && `id="${escapeXml(topico.id)}"`,
+      saindo.length > 0 && `relacoes="${escapeXml(JSON.stringify(saindo))}"`,
+    ].filter(Boolean).join(' ');
+    if (topico.filhos.length === 0) return `${recuo}<outline ${atributos}/>`;
+    return [
+      `${recuo}<outline ${atributos}>`,
+      ...topico.filhos.map(f => outline(f, nivel + 1)),
+      `${recuo}</outline>`,
+    ].join('\n');
+  };
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXml(tema)}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>${resumo ? `\n    <resumo>${escapeXml(resumo)}</resumo>` : ''}
+  </head>
+  <body>
+${toOutline(nodes, edges).map(r => outline(r, 2)).join('\n')}
+  </body>
+</opml>
+`;
+}
+
+// Lista `relacoes` de um outline; JSON inválido ou itens sem destino são ignorados
+const lerRelacoes = (atributo) => {
+  if (!atributo) return [];
+  let lista;
+  try {
+    lista = JSON.parse(atributo);
+  } catch {
+    return [];
+  }
+  return (Array.isArray(lista) ? lista : [])
+    .filter(r => typeof r?.destino === 'string')
+    .map(r => ({
+      destino: r.destino,
+      rotulo: typeof r.rotulo === 'string' ? r.rotulo : '',
+      justificativa: typeof r.justificativa === 'string' ? r.justificativa : '',
+    }));
+};
+
+export function importOpml(texto, nomeArquivo = 'Mapa importado') {
+  const doc = parseXml(texto);
+  const body = doc.querySelector('opml > body');
+  if (!body) throw new LocalizedError('erros.arquivo.opmlSemBody');
+
+  const ler = (elemento) => {
+    const x = parseFloat(elemento.getAttribute('x'));
+    const y = parseFloat(elemento.getAttribute('y'));
+    return {
+      label: elemento.getAttribute('text') || elemento.getAttribute('title') || '',
+      descricao: elemento.getAttribute('_note') || '',
+      position: Number.isFinite(x) && Number.isFinite(y) ? { x, y } : undefined,
+      recolhido: elemento.getAttribute('recolhido') === 'true',
+      ...(elemento.hasAttribute('id') ? { id: elemento.getAttribute('id') } : {}),
+      relacoes: lerRelacoes(elemento.getAttribute('relacoes')),
+      filhos: [...elemento.children].filter(c => c.tagName === 'outline').map(ler),
+    };
+  };
+  const raizes = [...body.children].filter(c => c.tagName === 'outline').map(ler);
+  if (raizes.length === 0) throw new LocalizedError('erros.arquivo.opmlVazio');
+
+  const titulo = doc.querySelector('opml > head > title')?.textContent.trim();
+  const { nodes, edges, temPosicoes } = fromOutline(raizes, titulo || nomeArquivo);
+  return {
+    tema: titulo || nodes[0].data.label,
+    resumo: doc.querySelector('opml > head > resumo')?.textContent.trim() || '',
+    nodes,
+    edges,
+    temPosicoes,
+  };
+}
@@ -0,0 +1,102 @@
+// --- CONVERSÃO ENTRE GRAFO E ÁRVORE DE TÓPICOS ---
+// Os formatos de texto (Markdown, OPML, FreeMind, Mermaid) são hierárquicos;
+// esta árvore intermediária evita que cada um reimplemente a travessia.
+//
+// Tópico: { id?, label, descricao, position?, recolhido?, relacoes?, filhos: Tópico[] }
+//
+// As relações entre ramos (relations.js) ficam fora da árvore; formatos que as
+// representam leem `id` na exportação e, na importação, dão a cada tópico um
+// `id` próprio do arquivo e a lista `relacoes: [{ destino, rotulo, justificativa? }]`.
+
+import { buildTree } from '../graph';
+import { createRelationEdge } from '../relations';
+import { LocalizedError } from '../i18n';
+
+/**
+ * Converte nodes/edges na lista de tópicos raiz.
+ */
+export function toOutline(nodes, edges) {
+  const { roots, children } = buildTree(nodes, edges);
+  const porId = new Map(nodes.map(n => [n.id, n]));
+  const montar = (id) => {
+    const { data, position } = porId.get(id);
+    return {
+      id,
+      label: data.label || '',
+      descricao: data.descricao || '',
+      position,
+      recolhido: Boolean(data.recolhido),
+      filhos: children.get(id).map(montar),
+    };
+  };
+  return roots.map(montar);
+}
+
+/**
+ * Converte tópicos em nodes/edges do React Flow.
+ * Se houver mais de uma raiz, elas ficam sob um nó central com o título dado.
+ *
+ * @returns {{ nodes: Array, edges: Array, temPosicoes: boolean }}
+ */
+export function fromOutline(topicos, tituloRaiz = 'Mapa importado') {
+  const raizes = topicos.length === 1
+    ? topicos
+    : [{ label: tituloRaiz, descricao: '', filhos: topicos }];
+
+  const nodes = [];
+  const edges = [];
+  // id do tópico no arquivo -> id do nó criado, para ligar as relações no fim
+  const idsDoArquivo = new Map();
+  const relacoes = [];
+  let contador = 0;
+  let temPosicoes = true;
+  const adicionar = (topico, paiId) => {
+    contador += 1;
+    if (!topico.position) temPosicoes = false;
+    const id = String(contador);
+    if (topico.id !== undefined) idsDoArquivo.set(topico.id, id);
+    (topico.relacoes || []).forEach(r => relacoes.push({ ...r, source: id }));
+    nodes.push({
+      id,
+      type: 'mindmap',
+      position: topico.position || { x: 0, y: 0 },
+      data: {
+        label: topico.label,
+        descricao: topico.descricao || '',
+        id,
+        ...(topico.recolhido && topico.filhos.length > 0 ? { recolhido: true } : {}),
+      },
+    });
+    if (paiId) edges.push({ id: `e${paiId}-${id}`, source: paiId, target: id });
+    topico.filhos.forEach(f => adicionar(f, id));
+  };
+  raizes.forEach(r => adicionar(r, null));
+
+  // Relações para tópicos que não estão no arquivo (ou para o próprio tópico) são ignoradas
+  relacoes.forEach(({ source, destino, rotulo, justificativa }) => {
+    const target = idsDoArquivo.get(destino);
+    if (!target || target === source || edges.some(e => e.id === `r${source}-${target}`)) return;
+    edges.push(createRelationEdge({ source, target, rotulo, justificativa }));
+  });
+
+  return { nodes, edges, temPosicoes };
+}
+
+// Escapa texto para atributos e conteúdo XML
+export const escapeXml = (texto = '') => texto
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Lê XML com o DOMParser do navegador, com erro legível se estiver malformado.
+ */
+export function parseXml(texto) {
+  const doc = new DOMParser().parseFromString(texto, 'application/xml');
+  const erro = doc.querySelector('parsererror');
+  if (erro) {
+    throw new LocalizedError('erros.arquivo.xmlInvalido', { detalhe: erro.textContent.split('\n')[0] });
+  }
+  return doc;
+}
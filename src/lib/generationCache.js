@@ -0,0 +1,53 @@
+// --- CACHE DE MAPAS GERADOS ---
+// Pedir de novo o mesmo tema, com as mesmas opções e ao mesmo modelo, devolve o
+// mapa já gerado sem gastar cota nem esperar. A chave ignora maiúsculas,
+// acentos e espaços extras do tema. Mapas de documentos não entram no cache.
+
+import { normalizeOptions } from './generationOptions';
+import { getCachedResponse, saveCachedResponse } from './storage';
+import { normalizeText } from './text';
+
+// Respostas guardadas e por quanto tempo valem
+const MAXIMO = 50;
+const VALIDADE = 7 * 24 * 60 * 60 * 1000;
+
+export const normalizeTopic = (tema) => normalizeText(tema).replace(/\s+/g, ' ').trim();
+
+/**
+ * Chave de um pedido: tema normalizado, provedor, modelo e opções de geração.
+ */
+export function generationCacheKey(tema, provider, opcoes) {
+  const { proposito, niveis, maxFilhos, publico, idioma, tamanhoDescricao } = normalizeOptions(opcoes);
+  return JSON.stringify([
+    normalizeTopic(tema), provider.id, provider.model,
+    proposito, niveis, maxFilhos, publico, idioma, tamanhoDescricao,
+  ]);
+}
+
+/**
+ * Mapa guardado para a chave, se ainda estiver na validade.
+ *
+ * @returns {Promise<{ dados, modelo: { provider, model }, criadoEm: string } | null>}
+ */
+export async function readCachedMap(chave) {
+  try {
+    const registro = await getCachedResponse(chave);
+    if (!registro || Date.now() - new Date(registro.criadoEm).getTime() > VALIDADE) return null;
+    return registro;
+  } catch (err) {
+    // Sem IndexedDB o cache só não funciona; a geração segue normalmente
+    console.warn('Cache de mapas indisponível:', err);
+    return null;
+  }
+}
+
+export async function writeCachedMap(chave, dados, modelo) {
+  try {
+    await saveCachedResponse({ chave, dados, modelo }, {
+      maximo: MAXIMO,
+      validoDesde: new Date(Date.now() - VALIDADE).toISOString(),
+    });
+  } catch (err) {
+    console.warn('Não foi possível guardar o mapa no cache:', err);
+  }
+}
@@ -0,0 +1,107 @@
+// --- OPÇÕES DE GERAÇÃO DO MAPA ---
+// Tamanho, público, idioma e estilo do mapa pedido à IA. As opções usadas ficam
+// salvas junto com o mapa, para gerar de novo do mesmo jeito.
+
+// Com extensão: também roda no servidor de IA (ver prompts.js)
+import { detectLanguage } from './i18n.js';
+
+export const PROPOSITOS = {
+  estudo: {
+    nome: 'Estudo',
+    instrucao: 'O mapa será usado para estudar: priorize conceitos-chave, definições e relações de causa e efeito, do geral para o específico.',
+    padroes: { niveis: 3, maxFilhos: 4, tamanhoDescricao: 'media' },
+  },
+  brainstorming: {
+    nome: 'Brainstorming',
+    instrucao: 'O mapa será usado num brainstorming: explore o tema com amplitude, incluindo ângulos variados, criativos e pouco óbvios.',
+    padroes: { niveis: 2, maxFilhos: 6, tamanhoDescricao: 'curta' },
+  },
+  projeto: {
+    nome: 'Planejamento de projeto',
+    instrucao: 'O mapa será usado para planejar um projeto: organize em fases ou frentes de trabalho, com entregas, tarefas, recursos e riscos.',
+    padroes: { niveis: 3, maxFilhos: 5, tamanhoDescricao: 'media' },
+  },
+};
+
+export const PUBLICOS = {
+  criancas: {
+    nome: 'Crianças',
+    instrucao: 'crianças de 8 a 12 anos: use palavras simples, frases curtas e exemplos do dia a dia, sem jargão',
+  },
+  graduacao: {
+    nome: 'Graduação',
+    instrucao: 'estudantes de graduação: use a terminologia da área, explicando os termos menos comuns',
+  },
+  especialista: {
+    nome: 'Especialista',
+    instrucao: 'especialistas no assunto: use terminologia técnica precisa e vá além do básico, com nuances e debates atuais',
+  },
+};
+
+export const IDIOMAS = {
+  'pt-BR': { nome: 'Português', instrucao: 'português do Brasil' },
+  en: { nome: 'English', instrucao: 'inglês' },
+  es: { nome: 'Español', instrucao: 'espanhol' },
+};
+
+export const TAMANHOS_DESCRICAO = {
+  curta: { nome: 'Curta', instrucao: 'uma frase curta, de até 12 palavras' },
+  media: { nome: 'Média', instrucao: 'uma ou duas frases' },
+  longa: { nome: 'Longa', instrucao: 'um parágrafo de 3 a 4 frases' },
+};
+
+export const LIMITES = {
+  niveis: { min: 1, max: 5 },
+  maxFilhos: { min: 2, max: 8 },
+};
+
+export const DEFAULT_OPTIONS = {
+  proposito: 'estudo',
+  ...PROPOSITOS.estudo.padroes,
+  publico: 'graduacao',
+  idioma: 'pt-BR',
+};
+
+const STORAGE_KEY = 'mapa-mental:opcoes-geracao';
+
+const limitar = (valor, { min, max }, padrao) => {
+  const numero = Math.round(Number(valor));
+  return Number.isFinite(numero) ? Math.min(max, Math.max(min, numero)) : padrao;
+};
+const escolher = (valor, opcoes, padrao) => (Object.hasOwn(opcoes, valor) ? valor : padrao);
+
+/**
+ * Completa e corrige um objeto de opções (ex.: vindo de um mapa salvo antigo
+ * ou do localStorage), garantindo valores conhecidos e dentro dos limites.
+ */
+export function normalizeOptions(opcoes = {}) {
+  return {
+    proposito: escolher(opcoes.proposito, PROPOSITOS, DEFAULT_OPTIONS.proposito),
+    niveis: limitar(opcoes.niveis, LIMITES.niveis, DEFAULT_OPTIONS.niveis),
+    maxFilhos: limitar(opcoes.maxFilhos, LIMITES.maxFilhos, DEFAULT_OPTIONS.maxFilhos),
+    publico: escolher(opcoes.publico, PUBLICOS, DEFAULT_OPTIONS.publico),
+    idioma: escolher(opcoes.idioma, IDIOMAS, DEFAULT_OPTIONS.idioma),
+    tamanhoDescricao: escolher(opcoes.tamanhoDescricao, TAMANHOS_DESCRICAO, DEFAULT_OPTIONS.tamanhoDescricao),
+  };
+}
+
+// Aplica os padrões de tamanho de um propósito, mantendo público e idioma
+export function applyPurpose(opcoes, proposito) {
+  return normalizeOptions({ ...opcoes, proposito, ...PROPOSITOS[proposito]?.padroes });
+}
+
+/**
+ * Últimas opções usadas neste navegador. Na primeira visita, os mapas saem no
+ * idioma do navegador.
+ */
+export function loadOptions() {
+  try {
+    return normalizeOptions(JSON.parse(localStorage.getItem(STORAGE_KEY)) || { idioma: detectLanguage() });
+  } catch {
+    return DEFAULT_OPTIONS;
+  }
+}
+
+export function saveOptions(opcoes) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(opcoes));
+}
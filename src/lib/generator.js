@@ -0,0 +1,55 @@
+// --- GERAÇÃO COM VALIDAÇÃO E CORREÇÃO ---
+
+import { buildTaskPrompt } from './prompts';
+import { MapValidationError } from './validation';
+import { withRetry } from './retry';
+import { RESPOSTA_CORRIGIDA_MAXIMA, ERROS_CORRIGIDOS_MAXIMO } from './apiLimits';
+
+// Total de chamadas ao modelo: a original mais as tentativas de correção
+const MAX_TENTATIVAS = 3;
+
+/**
+ * Chama o provedor, valida a resposta com `parse` e, se sobrarem erros,
+ * devolve-os ao modelo num prompt de correção antes de desistir.
+ *
+ * @param {object} params
+ * @param {object} params.provider Provedor criado por createProvider
+ * @param {object} params.meta Tarefa e parâmetros do prompt (ver buildTaskPrompt),
+ *   repassados ao provedor
+ * @param {(texto: string) => { dados: any, correcoes: string[], erros: Array }} params.parse
+ * @param {AbortSignal} [params.signal]
+ * @param {(texto: string, tentativa: number) => void} [params.onProgress] Recebe a
+ *   resposta parcial em streaming; a cada nova tentativa o texto recomeça do zero
+ * @param {Function} [params.onRetry] Avisada quando uma falha passageira do
+ *   provedor vai ser repetida (ver withRetry)
+ * @returns {Promise<any>} Os dados validados
+ * @throws {MapValidationError} Se a última tentativa ainda tiver erros
+ */
+export async function generateWithRepair({ provider, meta, parse, signal, onProgress, onRetry }) {
+  let correcao;
+  let validacao;
+
+  for (let tentativa = 1; tentativa <= MAX_TENTATIVAS; tentativa++) {
+    // Sobrecarga e quedas de rede são repetidas antes de contar como falha
+    const respostaTexto = await withRetry(() => provider.generate({
+      prompt: buildTaskPrompt(meta, correcao),
+      meta,
+      correcao,
+      signal,
+      onProgress: onProgress && ((texto) => onProgress(texto, tentativa)),
+    }), { signal, onRetry });
+
+    validacao = parse(respostaTexto);
+    if (validacao.erros.length === 0) {
+      return validacao.dados;
+    }
+
+    // Nos limites que o servidor de IA aceita
+    correcao = {
+      resposta: respostaTexto.slice(0, RESPOSTA_CORRIGIDA_MAXIMA),
+      erros: validacao.erros.slice(0, ERROS_CORRIGIDOS_MAXIMO),
+    };
+  }
+
+  throw new MapValidationError(validacao.erros);
+}
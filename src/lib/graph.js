@@ -0,0 +1,91 @@
+// --- ESTRUTURA DO GRAFO ---
+// Funções puras para enxergar o par nodes/edges do React Flow como árvore.
+
+// Relações entre ramos (ver relations.js) são arestas extras, fora da árvore
+export const isRelationEdge = (e) => Boolean(e.data?.relacao);
+
+/**
+ * Monta a árvore (ou floresta) a partir das arestas.
+ * A ordem dos filhos segue a ordem das arestas, e a ordem das raízes segue a
+ * ordem dos nós, para que o resultado seja sempre o mesmo para o mesmo grafo.
+ * Se um nó tiver mais de um pai, vale o primeiro alcançado pela busca em largura;
+ * ciclos são cortados no primeiro nó repetido. Arestas de relação não contam.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @returns {{ roots: string[], children: Map<string, string[]>, parent: Map<string, string>, depth: Map<string, number> }}
+ */
+export function buildTree(nodes, edges) {
+  const ids = new Set(nodes.map(n => n.id));
+  const adjacentes = new Map(nodes.map(n => [n.id, []]));
+  const comEntrada = new Set();
+
+  edges.forEach(e => {
+    if (isRelationEdge(e) || !ids.has(e.source) || !ids.has(e.target) || e.source === e.target) return;
+    adjacentes.get(e.source).push(e.target);
+    comEntrada.add(e.target);
+  });
+
+  let candidatas = nodes.map(n => n.id).filter(id => !comEntrada.has(id));
+  if (candidatas.length === 0 && nodes.length > 0) {
+    // Grafo todo em ciclo: começa pelo primeiro nó
+    candidatas = [nodes[0].id];
+  }
+
+  const children = new Map(nodes.map(n => [n.id, []]));
+  const parent = new Map();
+  const depth = new Map();
+  const roots = [];
+
+  const visitar = (inicio) => {
+    roots.push(inicio);
+    depth.set(inicio, 0);
+    const fila = [inicio];
+    while (fila.length > 0) {
+      const atual = fila.shift();
+      adjacentes.get(atual).forEach(filho => {
+        if (depth.has(filho)) return;
+        children.get(atual).push(filho);
+        parent.set(filho, atual);
+        depth.set(filho, depth.get(atual) + 1);
+        fila.push(filho);
+      });
+    }
+  };
+
+  candidatas.forEach(visitar);
+  // Nós presos em ciclos sem raiz alcançável viram raízes próprias
+  nodes.forEach(n => {
+    if (!depth.has(n.id)) visitar(n.id);
+  });
+
+  return { roots, children, parent, depth };
+}
+
+/**
+ * Rótulos do caminho da raiz até o nó (inclusive).
+ */
+export function getPathLabels(nodes, edges, id) {
+  const { parent } = buildTree(nodes, edges);
+  const porId = new Map(nodes.map(n => [n.id, n]));
+  const caminho = [];
+  for (let atual = id; atual !== undefined; atual = parent.get(atual)) {
+    caminho.unshift(porId.get(atual)?.data.label);
+  }
+  return caminho;
+}
+
+let contadorIds = 0;
+
+/**
+ * Id novo para nós criados no próprio aplicativo (não vindos da IA).
+ * Combina o instante atual com um contador e garante que não colide com `existentes`.
+ */
+export function createNodeId(existentes = new Set()) {
+  let id;
+  do {
+    contadorIds += 1;
+    id = `n${Date.now().toString(36)}${contadorIds.toString(36)}`;
+  } while (existentes.has(id));
+  return id;
+}
@@ -0,0 +1,108 @@
+// --- IDIOMA DA INTERFACE ---
+// Textos da interface em português, inglês e espanhol, escolhidos pelo idioma
+// do navegador até o usuário trocar no seletor. O idioma da interface é
+// independente do idioma em que os mapas são gerados (`opcoes.idioma`, ver
+// generationOptions.js): dá para usar o app em inglês e gerar mapas em espanhol.
+//
+// Os textos ficam em locales/<idioma>.js, agrupados por tela ou painel, e são
+// lidos por chave ("inicio.gerar"). Trechos entre chaves ("{total}") são
+// trocados pelos parâmetros; um texto com formas { one, other } (e `zero`, se
+// quiser) escolhe a forma pelo parâmetro `n`, com as regras de plural do idioma.
+
+// Com extensão: também roda no servidor de IA (ver prompts.js)
+import ptBR from './locales/pt-BR.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+export const IDIOMAS_INTERFACE = {
+  'pt-BR': { nome: 'Português', textos: ptBR },
+  en: { nome: 'English', textos: en },
+  es: { nome: 'Español', textos: es },
+};
+
+export const IDIOMA_PADRAO = 'pt-BR';
+
+const STORAGE_KEY = 'mapa-mental:idioma-interface';
+
+/**
+ * Primeiro idioma suportado entre os preferidos do navegador (qualquer
+ * variante de português vira pt-BR; "en-GB" vira "en").
+ */
+export function detectLanguage(preferidos = globalThis.navigator?.languages || []) {
+  for (const tag of preferidos) {
+    const base = tag.toLowerCase().split('-')[0];
+    if (base === 'pt') return 'pt-BR';
+    if (Object.hasOwn(IDIOMAS_INTERFACE, base)) return base;
+  }
+  return IDIOMA_PADRAO;
+}
+
+/**
+ * Idioma escolhido no seletor ou, sem escolha, o detectado no navegador.
+ */
+export function loadLanguage() {
+  try {
+    const salvo = localStorage.getItem(STORAGE_KEY);
+    if (salvo && Object.hasOwn(IDIOMAS_INTERFACE, salvo)) return salvo;
+  } catch {
+    // Sem localStorage (modo privado restrito): segue com o detectado
+  }
+  return detectLanguage();
+}
+
+export function saveLanguage(idioma) {
+  localStorage.setItem(STORAGE_KEY, idioma);
+}
+
+const buscar = (textos, chave) => chave.split('.').reduce((atual, parte) => atual?.[parte], textos);
+
+/**
+ * Texto da chave no idioma, com os parâmetros aplicados. Chaves que faltam
+ * numa tradução caem no português; as que faltam em todos voltam como a
+ * própria chave, para aparecerem na tela e serem corrigidas.
+ */
+export function translate(idioma, chave, params = {}) {
+  let texto = buscar(IDIOMAS_INTERFACE[idioma]?.textos, chave) ?? buscar(ptBR, chave);
+  if (texto === undefined) {
+    console.warn(`Texto sem tradução: ${chave}`);
+    return chave;
+  }
+  if (typeof texto === 'object') {
+    const n = Number(params.n ?? 0);
+    texto = (n === 0 && texto.zero) || texto[new Intl.PluralRules(idioma).select(n)] || texto.other;
+  }
+  const numeros = new Intl.NumberFormat(idioma);
+  return texto.replace(/\{(\w+)\}/g, (marca, nome) => {
+    const valor = params[nome];
+    if (valor === undefined || valor === null) return marca;
+    return typeof valor === 'number' ? numeros.format(valor) : String(valor);
+  });
+}
+
+/**
+ * Funções de texto e formatação presas a um idioma, como o useI18n entrega
+ * aos componentes.
+ */
+export function createI18n(idioma) {
+  const datas = new Intl.DateTimeFormat(idioma, { dateStyle: 'short', timeStyle: 'short' });
+  return {
+    idioma,
+    t: (chave, params) => translate(idioma, chave, params),
+    // Data e hora curtas (ex.: 19/10/2026 14:05 ou 10/19/26, 2:05 PM)
+    formatarData: (data) => datas.format(new Date(data)),
+  };
+}
+
+/**
+ * Erro cuja mensagem para o usuário é uma chave de tradução, para a interface
+ * mostrar o motivo no idioma escolhido (t(err.chave, err.params)). O `message`
+ * fica em português, para o console.
+ */
+export class LocalizedError extends Error {
+  constructor(chave, params = {}, { cause } = {}) {
+    super(translate(IDIOMA_PADRAO, chave, params), { cause });
+    this.name = 'LocalizedError';
+    this.chave = chave;
+    this.params = params;
+  }
+}
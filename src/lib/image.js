@@ -0,0 +1,43 @@
+// --- EXPORTAÇÃO COMO IMAGEM (PNG) ---
+// Fotografa o canvas do React Flow enquadrando o mapa inteiro (e não só a parte
+// que está na tela), com as cores, ícones e ligações da aparência escolhida.
+
+import { toPng } from 'html-to-image';
+import { getNodesBounds, getViewportForBounds } from 'reactflow';
+import { LocalizedError } from './i18n';
+
+const MARGEM = 48;
+// Lado máximo da imagem final, em pixels (limite seguro de canvas nos navegadores)
+const LADO_MAXIMO = 8192;
+
+/**
+ * Gera o PNG do mapa.
+ *
+ * @param {HTMLElement} container Elemento que contém o React Flow
+ * @param {Array} nodes Nós desenhados, já medidos (ex.: `rfInstance.getNodes()`)
+ * @param {{ fundo: string }} opcoes Cor de fundo (a do tema)
+ * @returns {Promise<Blob>}
+ */
+export async function buildMapImage(container, nodes, { fundo }) {
+  const viewport = container.querySelector('.react-flow__viewport');
+  if (!viewport || nodes.length === 0) throw new LocalizedError('exportar.mapaNaoDesenhado');
+
+  const limites = getNodesBounds(nodes);
+  const largura = Math.ceil(limites.width + MARGEM * 2);
+  const altura = Math.ceil(limites.height + MARGEM * 2);
+  // Tamanho real (zoom 1), com o mapa centralizado na margem
+  const { x, y, zoom } = getViewportForBounds(limites, largura, altura, 0.1, 1, 0);
+
+  const dataUrl = await toPng(viewport, {
+    backgroundColor: fundo,
+    width: largura,
+    height: altura,
+    pixelRatio: Math.min(2, LADO_MAXIMO / Math.max(largura, altura)),
+    style: {
+      width: `${largura}px`,
+      height: `${altura}px`,
+      transform: `translate(${x}px, ${y}px) scale(${zoom})`,
+    },
+  });
+  return (await fetch(dataUrl)).blob();
+}
@@ -0,0 +1,359 @@
+// --- MOTOR DE LAYOUT ---
+// Calcula as posições dos nós a partir da estrutura das arestas, ignorando
+// qualquer posição sugerida pela IA. É determinístico: o mesmo grafo (e os
+// mesmos tamanhos de nó) sempre produz as mesmas posições.
+
+import { Position } from 'reactflow';
+import { buildTree } from './graph';
+
+export const LAYOUTS = {
+  TB: 'TB',         // Árvore de cima para baixo
+  LR: 'LR',         // Árvore da esquerda para a direita
+  RADIAL: 'RADIAL', // Raiz no centro, ramos em anéis
+};
+
+// Largura do card (w-64) e uma altura estimada enquanto o React Flow não mediu o nó
+const DEFAULT_WIDTH = 256;
+const DEFAULT_HEIGHT = 120;
+
+const DEFAULT_OPTIONS = {
+  nodeGap: 40,  // Espaço entre irmãos
+  levelGap: 90, // Espaço entre níveis
+};
+
+/**
+ * Tamanho real do nó (medido pelo React Flow) ou uma estimativa.
+ */
+export function getNodeSize(node) {
+  return {
+    width: node.width || DEFAULT_WIDTH,
+    height: node.height || DEFAULT_HEIGHT,
+  };
+}
+
+// Árvore "arrumada": cada subárvore recebe uma faixa exclusiva no eixo de largura,
+// e cada nível começa depois do maior nó do nível anterior, então nada se sobrepõe.
+function layoutArvore(nodes, tree, horizontal, { nodeGap, levelGap }) {
+  const tamanhos = new Map(nodes.map(n => [n.id, getNodeSize(n)]));
+  const largura = (id) => horizontal ? tamanhos.get(id).height : tamanhos.get(id).width;
+  const altura = (id) => horizontal ? tamanhos.get(id).width : tamanhos.get(id).height;
+
+  // Profundidade máxima de cada nível para separar os níveis
+  const alturaNivel = [];
+  tree.depth.forEach((d, id) => {
+    alturaNivel[d] = Math.max(alturaNivel[d] || 0, altura(id));
+  });
+  const inicioNivel = [0];
+  for (let d = 1; d < alturaNivel.length; d++) {
+    inicioNivel[d] = inicioNivel[d - 1] + alturaNivel[d - 1] + levelGap;
+  }
+
+  const extensao = new Map();
+  const medir = (id) => {
+    const filhos = tree.children.get(id);
+    const somaFilhos = filhos.reduce((acc, f) => acc + medir(f), 0) + nodeGap * Math.max(filhos.length - 1, 0);
+    const ext = Math.max(largura(id), somaFilhos);
+    extensao.set(id, ext);
+    return ext;
+  };
+
+  const centros = new Map();
+  const posicionar = (id, inicio) => {
+    const ext = extensao.get(id);
+    const d = tree.depth.get(id);
+    centros.set(id, {
+      largura: inicio + ext / 2,
+      profundidade: inicioNivel[d] + alturaNivel[d] / 2,
+    });
+
+    const filhos = tree.children.get(id);
+    const somaFilhos = filhos.reduce((acc, f) => acc + extensao.get(f), 0) + nodeGap * Math.max(filhos.length - 1, 0);
+    let cursor = inicio + (ext - somaFilhos) / 2;
+    filhos.forEach(f => {
+      posicionar(f, cursor);
+      cursor += extensao.get(f) + nodeGap;
+    });
+  };
+
+  let cursor = 0;
+  tree.roots.forEach(raiz => {
+    medir(raiz);
+    posicionar(raiz, cursor);
+    cursor += extensao.get(raiz) + nodeGap * 2;
+  });
+
+  return nodes.map(n => {
+    const c = centros.get(n.id);
+    const { width, height } = tamanhos.get(n.id);
+    const x = horizontal ? c.profundidade : c.largura;
+    const y = horizontal ? c.largura : c.profundidade;
+    return {
+      ...n,
+      position: { x: x - width / 2, y: y - height / 2 },
+      sourcePosition: horizontal ? Position.Right : Position.Bottom,
+      targetPosition: horizontal ? Position.Left : Position.Top,
+    };
+  });
+}
+
+// Radial: cada subárvore ganha um setor proporcional ao número de folhas, e o raio
+// de cada anel cresce até que o menor setor daquele nível comporte o nó inteiro.
+function layoutRadial(nodes, tree, { nodeGap, levelGap }) {
+  const tamanhos = new Map(nodes.map(n => [n.id, getNodeSize(n)]));
+  const diagonal = (id) => Math.hypot(tamanhos.get(id).width, tamanhos.get(id).height);
+
+  const folhas = new Map();
+  const contarFolhas = (id) => {
+    const filhos = tree.children.get(id);
+    const total = filhos.length === 0 ? 1 : filhos.reduce((acc, f) => acc + contarFolhas(f), 0);
+    folhas.set(id, total);
+    return total;
+  };
+
+  const setores = new Map();
+  const distribuir = (id, inicio, abertura) => {
+    setores.set(id, { inicio, abertura });
+    let cursor = inicio;
+    tree.children.get(id).forEach(f => {
+      const parte = abertura * (folhas.get(f) / folhas.get(id));
+      distribuir(f, cursor, parte);
+      cursor += parte;
+    });
+  };
+
+  const centros = new Map();
+  let deslocamentoX = 0;
+
+  tree.roots.forEach(raiz => {
+    contarFolhas(raiz);
+    distribuir(raiz, -Math.PI / 2, Math.PI * 2);
+
+    // Agrupa os nós desta árvore por nível
+    const niveis = [];
+    const coletar = (id) => {
+      const d = tree.depth.get(id) - tree.depth.get(raiz);
+      (niveis[d] = niveis[d] || []).push(id);
+      tree.children.get(id).forEach(coletar);
+    };
+    coletar(raiz);
+
+    const raios = [0];
+    for (let d = 1; d < niveis.length; d++) {
+      const maiorAnterior = Math.max(...niveis[d - 1].map(diagonal));
+      const maiorAtual = Math.max(...niveis[d].map(diagonal));
+      let raio = raios[d - 1] + (maiorAnterior + maiorAtual) / 2 + levelGap;
+      niveis[d].forEach(id => {
+        const { abertura } = setores.get(id);
+        raio = Math.max(raio, (diagonal(id) + nodeGap) / abertura);
+      });
+      raios[d] = raio;
+    }
+
+    const raioExterno = raios[raios.length - 1] + Math.max(...niveis[niveis.length - 1].map(diagonal)) / 2;
+    const centroX = deslocamentoX + raioExterno;
+
+    niveis.forEach((ids, d) => {
+      ids.forEach(id => {
+        const { inicio, abertura } = setores.get(id);
+        const angulo = inicio + abertura / 2;
+        centros.set(id, {
+          x: centroX + raios[d] * Math.cos(angulo),
+          y: raios[d] * Math.sin(angulo),
+        });
+      });
+    });
+
+    deslocamentoX += raioExterno * 2 + nodeGap * 2;
+  });
+
+  return nodes.map(n => {
+    const c = centros.get(n.id);
+    const { width, height } = tamanhos.get(n.id);
+    return {
+      ...n,
+      position: { x: c.x - width / 2, y: c.y - height / 2 },
+      sourcePosition: Position.Bottom,
+      targetPosition: Position.Top,
+    };
+  });
+}
+
+/**
+ * Reposiciona todos os nós de acordo com o layout escolhido.
+ *
+ * @param {Array} nodes Nós do React Flow (usa width/height medidos quando existem)
+ * @param {Array} edges Arestas do React Flow
+ * @param {{ direction?: string, nodeGap?: number, levelGap?: number }} options
+ * @returns {Array} Novos nós com `position` calculada
+ */
+export function computeLayout(nodes, edges, options = {}) {
+  if (nodes.length === 0) return nodes;
+  const { direction = LAYOUTS.TB, ...espacamento } = options;
+  const opcoes = { ...DEFAULT_OPTIONS, ...espacamento };
+  const tree = buildTree(nodes, edges);
+
+  if (direction === LAYOUTS.RADIAL) {
+    return layoutRadial(nodes, tree, opcoes);
+  }
+  return layoutArvore(nodes, tree, direction === LAYOUTS.LR, opcoes);
+}
+
+const sobrepoe = (a, b, folga) => (
+  a.x < b.x + b.width + folga && b.x < a.x + a.width + folga &&
+  a.y < b.y + b.height + folga && b.y < a.y + a.height + folga
+);
+
+/**
+ * Posiciona novos filhos de um nó sem mexer nos nós existentes.
+ * Os filhos ficam em fila "depois" do pai (abaixo no layout vertical, à direita no
+ * horizontal, para fora do centro no radial); se a fila colidir com algum nó, ela é
+ * deslocada para os lados e depois para mais longe até achar espaço livre.
+ *
+ * @param {Array} nodes Nós já existentes (com o pai entre eles)
+ * @param {Array} edges Arestas existentes
+ * @param {string} parentId Id do nó pai
+ * @param {Array} novos Nós novos, ainda sem posição
+ * @param {{ direction?: string, nodeGap?: number, levelGap?: number }} options
+ * @returns {Array} Os nós novos com `position`, `sourcePosition` e `targetPosition`
+ */
+export function placeNewChildren(nodes, edges, parentId, novos, options = {}) {
+  const { direction = LAYOUTS.TB, ...espacamento } = options;
+  const { nodeGap, levelGap } = { ...DEFAULT_OPTIONS, ...espacamento };
+  const pai = nodes.find(n => n.id === parentId);
+  if (!pai || novos.length === 0) return novos;
+
+  const tamanhoPai = getNodeSize(pai);
+  const centroPai = { x: pai.position.x + tamanhoPai.width / 2, y: pai.position.y + tamanhoPai.height / 2 };
+
+  // Direção em que a fila cresce (eixo) e a direção ao longo da fila (lado)
+  let eixo = direction === LAYOUTS.LR ? { x: 1, y: 0 } : { x: 0, y: 1 };
+  if (direction === LAYOUTS.RADIAL) {
+    const idRaiz = buildTree(nodes, edges).roots[0];
+    const raiz = nodes.find(n => n.id === idRaiz) || pai;
+    const { width, height } = getNodeSize(raiz);
+    const dx = centroPai.x - (raiz.position.x + width / 2);
+    const dy = centroPai.y - (raiz.position.y + height / 2);
+    const norma = Math.hypot(dx, dy);
+    if (norma > 0) eixo = { x: dx / norma, y: dy / norma };
+  }
+  // Nas árvores a fila corre da esquerda para a direita (ou de cima para baixo)
+  const lado = direction === LAYOUTS.RADIAL ? { x: -eixo.y, y: eixo.x } : { x: eixo.y, y: eixo.x };
+
+  const tamanhos = novos.map(getNodeSize);
+  const largura = (t) => Math.abs(lado.x) * t.width + Math.abs(lado.y) * t.height;
+  const profundidade = (t) => Math.abs(eixo.x) * t.width + Math.abs(eixo.y) * t.height;
+  const larguraFila = tamanhos.reduce((acc, t) => acc + largura(t), 0) + nodeGap * (novos.length - 1);
+  const distanciaBase = profundidade(tamanhoPai) / 2 + levelGap + Math.max(...tamanhos.map(profundidade)) / 2;
+
+  const montarFila = (distancia, desvio) => {
+    let cursor = -larguraFila / 2 + desvio;
+    return tamanhos.map(t => {
+      const meio = cursor + largura(t) / 2;
+      cursor += largura(t) + nodeGap;
+      const cx = centroPai.x + eixo.x * distancia + lado.x * meio;
+      const cy = centroPai.y + eixo.y * distancia + lado.y * meio;
+      return { x: cx - t.width / 2, y: cy - t.height / 2, width: t.width, height: t.height };
+    });
+  };
+
+  const ocupados = nodes.map(n => ({ ...n.position, ...getNodeSize(n) }));
+  const livre = (fila) => fila.every(r => !ocupados.some(o => sobrepoe(r, o, nodeGap / 2)));
+
+  const passoLado = larguraFila / 2 + nodeGap;
+  const passoEixo = Math.max(...tamanhos.map(profundidade)) + levelGap;
+  const procurarFila = () => {
+    for (let camada = 0; camada < 20; camada++) {
+      for (const k of [0, 1, -1, 2, -2]) {
+        const candidata = montarFila(distanciaBase + camada * passoEixo, k * passoLado);
+        if (livre(candidata)) return candidata;
+      }
+    }
+    return montarFila(distanciaBase, 0);
+  };
+  const fila = procurarFila();
+
+  return novos.map((n, i) => ({
+    ...n,
+    position: { x: fila[i].x, y: fila[i].y },
+    sourcePosition: pai.sourcePosition,
+    targetPosition: pai.targetPosition,
+  }));
+}
+
+// --- GEOMETRIA DAS LIGAÇÕES ---
+// O PDF e o HTML da apresentação desenham o mapa sem o React Flow. Os dois
+// recebem caixas { node, x, y, width, height } e traçam as ligações daqui, para
+// saírem iguais entre si e próximas das da tela.
+
+// Ponto de saída/chegada da aresta, seguindo a posição dos handles do nó
+const pontoDoHandle = (caixa, posicao) => {
+  switch (posicao) {
+    case 'right': return { x: caixa.x + caixa.width, y: caixa.y + caixa.height / 2 };
+    case 'left': return { x: caixa.x, y: caixa.y + caixa.height / 2 };
+    case 'top': return { x: caixa.x + caixa.width / 2, y: caixa.y };
+    default: return { x: caixa.x + caixa.width / 2, y: caixa.y + caixa.height };
+  }
+};
+
+/**
+ * Traçado de uma aresta da árvore no tipo escolhido na aparência. Os degraus
+ * saem na direção do handle e mudam de eixo no meio do caminho (sem o
+ * arredondamento dos cantos).
+ *
+ * @param {string} tipo Um dos EDGE_TYPES (theme.js)
+ * @returns {{ inicio: {x, y}, trechos: Array<{x, y, c1?, c2?}>, meio: {x, y} }} Cada
+ *   trecho é uma reta até (x, y) ou, com `c1` e `c2`, uma curva de Bézier
+ */
+export function getTreeEdgePath(origem, destino, tipo) {
+  const saida = origem.node.sourcePosition || 'bottom';
+  const a = pontoDoHandle(origem, saida);
+  const b = pontoDoHandle(destino, destino.node.targetPosition || 'top');
+  const horizontal = saida === 'right';
+  const meio = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+  if (tipo === 'straight') return { inicio: a, trechos: [b], meio };
+  if (tipo === 'step' || tipo === 'smoothstep') {
+    const dobras = horizontal
+      ? [{ x: meio.x, y: a.y }, { x: meio.x, y: b.y }]
+      : [{ x: a.x, y: meio.y }, { x: b.x, y: meio.y }];
+    return { inicio: a, trechos: [...dobras, b], meio };
+  }
+  const curva = Math.max(Math.abs(horizontal ? b.x - a.x : b.y - a.y) / 2, 20);
+  const c1 = horizontal ? { x: a.x + curva, y: a.y } : { x: a.x, y: a.y + curva };
+  const c2 = horizontal ? { x: b.x - curva, y: b.y } : { x: b.x, y: b.y - curva };
+  return { inicio: a, trechos: [{ ...b, c1, c2 }], meio };
+}
+
+// Lado de cada caixa por onde passa uma relação, com a direção em que a curva sai dele
+const LADOS = {
+  right: { x: 1, y: 0 },
+  left: { x: -1, y: 0 },
+  bottom: { x: 0, y: 1 },
+  top: { x: 0, y: -1 },
+};
+
+/**
+ * Relação entre ramos: uma curva entre os lados das duas caixas que ficam de frente.
+ *
+ * @returns {{ a, b, c1, c2, chegada: {x, y}, meio: {x, y} }} Pontos da curva de
+ *   Bézier de `a` a `b`; `chegada` é a direção do lado de destino, para a ponta da
+ *   seta, e `meio` o ponto da curva onde vai o rótulo
+ */
+export function getRelationPath(origem, destino) {
+  const dx = (destino.x + destino.width / 2) - (origem.x + origem.width / 2);
+  const dy = (destino.y + destino.height / 2) - (origem.y + origem.height / 2);
+  const [ladoA, ladoB] = Math.abs(dx) > Math.abs(dy)
+    ? (dx > 0 ? ['right', 'left'] : ['left', 'right'])
+    : (dy > 0 ? ['bottom', 'top'] : ['top', 'bottom']);
+  const a = pontoDoHandle(origem, ladoA);
+  const b = pontoDoHandle(destino, ladoB);
+  const [na, nb] = [LADOS[ladoA], LADOS[ladoB]];
+  const curva = Math.max(Math.hypot(b.x - a.x, b.y - a.y) / 3, 20);
+  const c1 = { x: a.x + na.x * curva, y: a.y + na.y * curva };
+  const c2 = { x: b.x + nb.x * curva, y: b.y + nb.y * curva };
+  return {
+    a, b, c1, c2,
+    chegada: nb,
+    meio: { x: (a.x + 3 * c1.x + 3 * c2.x + b.x) / 8, y: (a.y + 3 * c1.y + 3 * c2.y + b.y) / 8 },
+  };
+}
@@ -0,0 +1,624 @@
+// --- TEXTOS DA INTERFACE: INGLÊS ---
+// Mesmas chaves de pt-BR.js; o que faltar aqui aparece em português.
+
+export default {
+  comum: {
+    cancelar: 'Cancel',
+    fechar: 'Close',
+    fecharEsc: 'Close (Esc)',
+    mostrarNoMapa: 'Show on map',
+    idiomaInterface: 'Interface language',
+  },
+
+  app: {
+    titulo: 'AI Mind Map Generator',
+    tituloPagina: 'Mind Map Generator',
+  },
+
+  inicio: {
+    slogan: 'Turn ideas into visual structures',
+    subtitulo: 'Artificial intelligence to create professional mind maps in seconds',
+    placeholderTema: 'Type your topic here... (e.g. Cold War, Digital Marketing)',
+    placeholderDocumento: 'Focus within the document (optional)',
+    gerar: 'Generate Map',
+    importar: 'Import file',
+    aPartirDeDocumento: 'From a document',
+    ignorarCache: 'Skip the cache',
+    ignorarCacheDica: 'Ask the AI for a new map even if this topic was already generated with the same options',
+    niveis: { one: '{n} level', other: '{n} levels' },
+    recursos: {
+      ia: 'Advanced AI',
+      rapido: 'Fast Generator',
+      pdf: 'PDF Export',
+    },
+    temaVazio: 'Please type a topic.',
+    temaLongo: 'The topic can have at most {maximo} characters.',
+    documentoLongo: 'The document is too long ({partes} parts; the limit is {maximo}). Use a shorter excerpt.',
+  },
+
+  carregando: {
+    titulo: 'Processing your idea...',
+    estruturando: 'The AI is structuring your mind map',
+    progresso: '{topicos}, {conexoes}',
+    topicosRecebidos: { one: '{n} topic received', other: '{n} topics received' },
+    conexoes: { one: '{n} connection', other: '{n} connections' },
+    corrigindo: 'Fixing the AI response (attempt {n})',
+    repetindo: 'The AI service did not respond; trying again ({repeticao} of {total})',
+    lendoDocumento: 'Reading the document: part {parte} of {total}',
+    montandoDocumento: 'Building the map from the document',
+    manter: 'Stop and keep what arrived',
+    abrindo: 'Opening the map...',
+  },
+
+  resultado: {
+    titulo: 'Your Mind Map',
+    tema: 'Topic:',
+    salvarCopia: 'Save a copy',
+    salvarCopiaDica: 'Keep this map in your library to edit and study',
+    estudar: 'Study',
+    estudarDica: 'Review the map with flashcards and quizzes',
+    apresentar: 'Present',
+    apresentarDica: 'Walk through the map branch by branch in full screen, with the descriptions as speaker notes',
+    regenerar: 'Regenerate',
+    regenerarDica: 'Generate a new version of the map and review the changes before applying them',
+    versoes: 'Versions',
+    versoesDica: 'See and restore previous versions of the map',
+    relacoes: 'Relations',
+    relacoesDica: 'See, suggest with AI and edit relations between topics of different branches',
+    colaborar: 'Collaborate',
+    colaborarDica: 'Edit this map in real time with other people',
+    compartilhar: 'Share',
+    compartilharDica: 'Copy a read-only link to this map',
+    linkCopiado: 'Link copied!',
+    novoMapa: 'New Map',
+    somenteLeitura: 'Shared map, read only. Save a copy to edit, expand topics or study.',
+    regenerando: 'Generating a new version {nome}. The map only changes after you review the changes.',
+    doCache: 'This map was reused from the cache (generated on {data} with the same topic and options).',
+    gerarNovo: 'Generate a new one',
+    manterEste: 'Keep this one',
+    vendoVersao: 'Viewing version "{rotulo}" ({data}). The current map was not changed.',
+    restaurarVersao: 'Restore this version',
+    voltarAoAtual: 'Back to the current map',
+    resumo: 'Topic Summary',
+    topicos: 'Main Topics',
+    nenhumTopicoBusca: 'No topic matches "{termo}".',
+  },
+
+  busca: {
+    placeholder: 'Search the map (Ctrl+F)',
+    rotulo: 'Search the map',
+    nenhum: 'No results',
+    posicao: '{atual} of {total}',
+    resultados: { one: '{n} result', other: '{n} results' },
+    anterior: 'Previous result (Shift+Enter)',
+    proximo: 'Next result (Enter)',
+    limpar: 'Clear search (Esc)',
+  },
+
+  visao: {
+    rotulo: 'Map view',
+    mapa: 'View as map',
+    lista: 'View as topic list (screen reader friendly)',
+    aparencia: 'Appearance: color theme and connection style',
+  },
+
+  canvas: {
+    rotulo: 'Mind map: {tema}',
+    instrucoes: 'Use the arrow keys to move to the parent topic, subtopics and siblings, Space to collapse or show subtopics and Enter to open the details.',
+    trilha: 'Path to the focused branch',
+    mostrarInteiro: 'Show the whole map',
+    sairDoFoco: 'Leave focus',
+    expandirTudo: 'Expand all',
+    expandirTudoDica: 'Show every branch',
+    recolherAte: 'Collapse to level',
+    recolherAteOpcao: 'Collapse to level…',
+    soRaiz: 'Central topic only',
+    nivel: 'Level {n}',
+    bloquear: 'Lock Map',
+    desbloquear: 'Unlock Map',
+    layoutVertical: 'Rearrange: vertical tree',
+    layoutHorizontal: 'Rearrange: horizontal tree',
+    layoutRadial: 'Rearrange: radial',
+    editar: 'Edit map (double-click the texts to edit)',
+    sairEdicao: 'Leave edit mode',
+    desfazer: 'Undo: {acao} (Ctrl+Z)',
+    nadaDesfazer: 'Nothing to undo',
+    refazer: 'Redo: {acao} (Ctrl+Shift+Z)',
+    nadaRefazer: 'Nothing to redo',
+    rotuloLigacao: 'Connection label (leave empty to remove):',
+    lista: 'Mind map as topics',
+  },
+
+  historico: {
+    suaUltimaAlteracao: 'your last change',
+    expandirTopico: 'expand topic',
+    regenerar: 'regenerate',
+    restaurarVersao: 'restore version',
+    aceitarRelacao: 'accept relation',
+    aceitarRelacoes: 'accept relations',
+    rotularRelacao: 'label relation',
+    removerRelacao: 'remove relation',
+    moverRelacao: 'move relation',
+    editarTexto: 'edit text',
+    adicionarSubtopico: 'add subtopic',
+    adicionarIrmao: 'add sibling topic',
+    excluirTopico: 'delete topic',
+    mudarEstilo: 'change style',
+    rotularLigacao: 'label connection',
+    reconectarTopico: 'reconnect topic',
+    moverTopico: 'move topic',
+    reorganizarLayout: 'rearrange layout',
+    editarNotas: 'edit notes',
+    elaborarNotas: 'expand notes with AI',
+    adicionarLink: 'add link',
+    removerLink: 'remove link',
+    anexarImagem: 'attach image',
+    removerImagem: 'remove image',
+  },
+
+  versoes: {
+    titulo: 'Map versions',
+    fechar: 'Close the history (Esc)',
+    erro: 'Could not read the versions saved in this browser.',
+    nenhuma: 'No saved versions yet. Regenerating the map or a branch keeps the previous version here.',
+    maisRecente: '(latest)',
+    ver: 'View',
+    restaurar: 'Restore',
+    gerado: 'Generated map',
+    edicoesManuais: 'Manual edits',
+    original: 'Original version',
+    restaurada: 'Restored: {rotulo}',
+    regeneracao: 'Regeneration {nome} ({aceitas} of {total} changes accepted)',
+  },
+
+  regeneracao: {
+    doRamo: 'of the branch "{titulo}"',
+    doMapa: 'of the whole map',
+    novaVersao: 'New version {nome}',
+    semMudancas: 'The new version brought no changes.',
+  },
+
+  pdf: {
+    titulo: 'Mind Map: {tema}',
+    criador: 'AI Mind Map Generator',
+    mapa: { one: 'Map', other: 'Map ({n} pages)' },
+    resumo: 'Topic Summary',
+    topicos: 'Main Topics',
+    relacoes: 'Relations between Topics',
+    relacionaSe: 'relates to',
+    links: 'Links',
+  },
+
+  relacoes: {
+    semNovas: 'The AI found no new relations between the topics of this map.',
+    naoCabe: 'This relation no longer fits the map: the topics changed since the suggestion.',
+    rotulo: 'Relation label:',
+    descricao: 'Connections between topics of different branches, drawn dashed on the map.',
+    semRotulo: '(no label)',
+    procurando: 'Looking for relations... (cancel)',
+    sugerir: 'Suggest relations with AI',
+    sugeridas: 'Suggested ({n})',
+    aceitar: 'Accept',
+    noMapa: 'On the map ({n})',
+    nenhuma: 'No relations yet.',
+    nenhumaDica: 'Ask the AI for suggestions and accept the ones that make sense.',
+    editarRotulo: 'Edit label',
+    remover: 'Remove',
+  },
+
+  exportar: {
+    titulo: 'Export Result',
+    descricao: 'Download your complete mind map, summary and topics in a single PDF file, with searchable text and bookmarks, or just the map as an image. Both follow the chosen appearance.',
+    pdf: 'Export as PDF',
+    imagem: 'Export as image (PNG)',
+    imagemDica: 'Download the map as an image, with the chosen theme',
+    imagemIndisponivel: 'Go back to the map view to export the image',
+    apresentacao: 'Export presentation (HTML)',
+    apresentacaoDica: 'Download the map presentation as an HTML file that works offline',
+    paginaUnica: 'Single enlarged page',
+    folhasA4: 'Split into A4 sheets',
+    outrosFormatos: 'Or export to other tools:',
+    baixar: 'Download .{extensao}',
+    incluiMapa: '✓ Visual map',
+    incluiResumo: '✓ Topic summary',
+    incluiTopicos: '✓ Detailed topics',
+    nomeArquivo: 'mind-map',
+    erroPdf: 'Could not export the PDF',
+    erroImagem: 'Could not export the image',
+    mapaNaoDesenhado: 'The map has not been drawn yet.',
+    formatos: {
+      json: 'JSON (native)',
+      markdown: 'Markdown',
+      opml: 'OPML',
+      freemind: 'FreeMind / Freeplane',
+      mermaid: 'Mermaid',
+    },
+  },
+
+  erros: {
+    abrirMapa: 'Could not open the map',
+    mapaNaoSalvo: 'It is not saved in this browser.',
+    copieOLink: 'Copy the map link:',
+    gerarLink: 'Could not create the link',
+    salvarCopia: 'Could not save the copy',
+    importar: 'Could not import "{arquivo}"',
+    inesperado: 'Something unexpected went wrong. Please try again.',
+    link: {
+      corrompido: 'The share link is incomplete or corrupted.',
+      versaoNova: 'The link was created by a newer version of the app (format {versao}).',
+      semMapa: 'The share link does not contain a map.',
+    },
+    arquivo: {
+      semTopicos: 'The file does not contain any topics.',
+      jsonInvalido: 'The file is not valid JSON.',
+      versaoNova: 'The file is from version {versao}, newer than the supported one ({suportada}).',
+      jsonSemMapa: 'The JSON does not contain a mind map.',
+      xmlInvalido: 'The XML is invalid: {detalhe}',
+      freemindSemCentral: 'The .mm file has no central node.',
+      opmlSemBody: 'The OPML file has no <body>.',
+      opmlVazio: 'The OPML file has no <outline>.',
+      markdownVazio: 'No heading (#) or list item (-) was found in the Markdown.',
+      semMindmap: 'The file does not contain a Mermaid "mindmap" diagram.',
+      mindmapVazio: 'The Mermaid mindmap is empty.',
+    },
+  },
+
+  validacao: {
+    JSON_INVALIDO: 'The response is not valid JSON.',
+    ESTRUTURA: 'The response does not have the requested structure.',
+    SEM_NOS: 'The response has no topics.',
+    SEM_RESUMO: 'The response has no summary of the topic.',
+    SEM_ID: 'A topic came without an identifier.',
+    ID_DUPLICADO: 'The identifier "{topico}" is used by more than one topic.',
+    SEM_LABEL: 'The topic "{topico}" came without a title.',
+    SEM_DESCRICAO: 'The topic "{topico}" came without a description.',
+    ARESTA_INVALIDA: 'A link points to a topic that does not exist.',
+    MULTIPLOS_PAIS: 'The topic "{topico}" ended up with more than one parent.',
+    CICLO: 'The links between topics form a cycle.',
+    NO_ORFAO: 'The topic "{topico}" is not linked to any other.',
+    MULTIPLAS_RAIZES: 'The map came with {n} central topics instead of one.',
+    SEM_CARTOES: 'No valid study cards were generated.',
+    SEM_FONTES: 'Only {citados} of {total} topics cite passages from the document.',
+    SEM_NOTAS: 'The response has no notes.',
+    SEM_PONTOS: 'No point in the response cites the passages of this part of the document.',
+    SEM_RELACOES: 'No suggested relation links valid topics.',
+  },
+
+  falhas: {
+    provedorPadrao: 'AI provider',
+    detalhes: 'Technical details',
+    tentarDeNovo: 'Try again',
+    abrirConfiguracoes: 'Open settings',
+    segundos: '{n} s',
+    minutos: '{n} min',
+    chave: {
+      titulo: 'Invalid or missing API key',
+      mensagem: 'The API key was rejected ({provedor}). Check the key in the settings (or the AI server\'s GEMINI_API_KEY).',
+    },
+    cota: {
+      titulo: 'AI quota exhausted',
+      mensagem: 'The account in use ({provedor}) reached its usage limit. Try later or pick another provider in the settings.',
+    },
+    limite: {
+      titulo: 'Too many requests in a row',
+      aguarde: 'Wait {espera} before asking again.',
+      mensagem: 'Wait a few moments before asking again.',
+    },
+    sobrecarga: {
+      titulo: 'AI service unavailable',
+      mensagem: 'The service ({provedor}) is overloaded or down, even after retrying. Try again in a little while.',
+    },
+    bloqueado: {
+      titulo: 'Content blocked',
+      mensagem: 'The AI safety filter refused this request. Rephrase the topic or choose another subject.',
+    },
+    offline: {
+      titulo: 'No connection',
+      mensagem: 'You are offline. Check your internet connection and try again.',
+    },
+    rede: {
+      titulo: 'Connection failure',
+      mensagem: 'Could not reach the service ({provedor}). Check the address in the settings or your network.',
+    },
+    formato: {
+      titulo: 'AI response in an invalid format',
+      mensagem: 'The AI returned a broken response even after the automatic fixes. Try again or use another model.',
+    },
+    desconhecida: {
+      titulo: 'Something went wrong',
+      mensagem: 'Unknown error.',
+    },
+  },
+
+  aparencia: {
+    titulo: 'Appearance',
+    tema: 'Theme',
+    temas: {
+      claro: 'Light',
+      escuro: 'Dark',
+      pastel: 'Pastel',
+      contraste: 'High contrast',
+    },
+    ligacoes: 'Connections',
+    tiposLigacao: {
+      default: 'Curved',
+      straight: 'Straight',
+      step: 'Stepped',
+      smoothstep: 'Rounded steps',
+    },
+    animar: 'Animate the connections',
+    dicaRotulo: 'In edit mode, double-click a connection to write a label on it.',
+  },
+
+  colab: {
+    conectando: 'Connecting to the room...',
+    aoVivo: 'Live',
+    desconectado: 'Disconnected; retrying (edits are sent when the connection is back)',
+    seuNome: 'How do you want to appear to the group?',
+    voce: '{nome} (you) · click to change the name',
+    participantes: {
+      zero: 'Just you for now',
+      one: 'You and {n} other person',
+      other: 'You and {n} other people',
+    },
+    conviteCopiado: 'Invite copied!',
+    copiarConvite: 'Copy invite',
+    sair: 'Leave the room',
+  },
+
+  documento: {
+    titulo: 'Generate from a document',
+    erroLeitura: 'Could not read "{arquivo}": {detalhe}',
+    pdfSemTexto: 'The PDF has no selectable text (it may be a scanned image).',
+    arquivoVazio: 'The file is empty.',
+    textoColado: 'Pasted text',
+    caracteres: { one: '{n} character', other: '{n} characters' },
+    paginas: { one: '{n} page', other: '{n} pages' },
+    lidoEmPartes: 'read in {n} parts',
+    remover: 'Remove document',
+    lendo: 'Reading the document...',
+    escolher: 'Choose a .txt, .md or .pdf file',
+    placeholder: '...or paste the text here (lecture notes, an article)',
+    rotuloTexto: 'Document text',
+    usarTexto: 'Use this text',
+    dica: 'The topic typed above is optional and sets the focus within the document. Each topic on the map keeps the document excerpts it came from.',
+  },
+
+  opcoes: {
+    titulo: 'Generation options',
+    proposito: 'Purpose',
+    propositos: {
+      estudo: 'Study',
+      brainstorming: 'Brainstorming',
+      projeto: 'Project planning',
+    },
+    niveis: 'Levels below the topic',
+    maxFilhos: 'Maximum subtopics per node',
+    publico: 'Audience',
+    publicos: {
+      criancas: 'Children',
+      graduacao: 'Undergraduate',
+      especialista: 'Expert',
+    },
+    idioma: 'Map language',
+    tamanhoDescricao: 'Description length',
+    tamanhos: {
+      curta: 'Short',
+      media: 'Medium',
+      longa: 'Long',
+    },
+  },
+
+  biblioteca: {
+    titulo: 'My Maps',
+    erro: 'Could not access the maps saved in this browser.',
+    confirmarExclusao: 'Delete the map "{nome}"? This cannot be undone.',
+    buscar: 'Search maps...',
+    salvarNome: 'Save name',
+    topicos: { one: '{n} topic', other: '{n} topics' },
+    abrir: 'Open',
+    renomear: 'Rename',
+    duplicar: 'Duplicate',
+    excluir: 'Delete',
+    nenhum: 'No maps found for "{termo}".',
+  },
+
+  no: {
+    adicionarSubtopico: 'Add subtopic',
+    adicionarIrmao: 'Add sibling topic',
+    regenerar: 'Regenerate this branch with AI (changes are reviewed before applying)',
+    estilo: 'Topic color, icon and shape',
+    excluir: 'Delete topic and subtopics',
+    rejeitado: 'rejected',
+    semTitulo: 'Untitled',
+    novoTopico: 'New topic',
+    adicionarDescricao: 'Double-click to add a description',
+    proposta: 'Proposal:',
+    mudaDeLugar: 'Moves to another place on the map.',
+    aceitar: 'Accept this change',
+    rejeitar: 'Reject this change',
+    verTrechos: { one: 'See the document excerpt', other: 'See the {n} document excerpts' },
+    mostrarOcultos: { one: 'Show {n} hidden subtopic', other: 'Show {n} hidden subtopics' },
+    recolher: 'Collapse subtopics',
+    focar: 'Focus on this branch',
+    expandir: 'Expand this topic with AI',
+    extras: 'See the topic notes, links and images',
+  },
+
+  estilo: {
+    titulo: 'Topic style',
+    cor: 'Branch color',
+    automatica: 'Automatic',
+    corValor: 'Color {cor}',
+    icone: 'Icon',
+    semIcone: 'No icon',
+    icones: {
+      ideia: 'Idea',
+      destaque: 'Highlight',
+      objetivo: 'Goal',
+      leitura: 'Reading',
+      duvida: 'Question',
+      concluido: 'Done',
+      atencao: 'Warning',
+      favorito: 'Favorite',
+      marco: 'Milestone',
+      lancamento: 'Launch',
+      energia: 'Energy',
+      prazo: 'Deadline',
+    },
+    forma: 'Shape',
+    formas: {
+      arredondado: 'Rounded',
+      retangulo: 'Rectangle',
+      pilula: 'Pill',
+    },
+  },
+
+  revisao: {
+    titulo: 'Review changes',
+    descartarDica: 'Discard the new version (Esc)',
+    tipos: {
+      adicionado: 'New',
+      removido: 'Removed',
+      alterado: 'Changed',
+    },
+    novos: { one: '{n} new', other: '{n} new' },
+    removidos: { one: '{n} removed', other: '{n} removed' },
+    alterados: { one: '{n} changed', other: '{n} changed' },
+    aceitarTodas: 'Accept all',
+    rejeitarTodas: 'Reject all',
+    novoResumo: 'Use the new summary',
+    decisao: 'Decision on "{titulo}"',
+    tituloAntes: 'Title before:',
+    novaDescricao: 'New description:',
+    vazia: '(empty)',
+    aplicar: 'Apply ({aceitas} of {total})',
+    descartar: 'Discard',
+  },
+
+  detalhes: {
+    fechar: 'Close details (Esc)',
+    caminho: 'Path:',
+    semDescricao: 'No description.',
+    subtopicos: {
+      zero: 'No subtopics.',
+      one: '{n} subtopic in this branch.',
+      other: '{n} subtopics in this branch.',
+    },
+    subtopicosRecolhidos: {
+      zero: 'No subtopics.',
+      one: '{n} subtopic in this branch (collapsed).',
+      other: '{n} subtopics in this branch (collapsed).',
+    },
+    trechos: 'Excerpts from {documento}',
+    documento: 'the document',
+    pagina: 'page {n}',
+    regenerarDica: 'Generate a new version of this topic and its subtopics, to review before applying',
+    regenerar: 'Regenerate this branch',
+    notas: 'Notes',
+    semNotas: 'No notes yet.',
+    editarNotas: 'Edit',
+    placeholderNotas: 'Write in Markdown: ## heading, - list, **bold**, *italic*, [text](https://...)',
+    salvar: 'Save',
+    elaborar: 'Go deeper with AI',
+    elaborarDica: 'Ask the AI for a fuller explanation of this topic, added to the notes',
+    elaborando: 'Writing the notes...',
+    links: 'Links',
+    endereco: 'Link address',
+    tituloLink: 'Title (optional)',
+    adicionarLink: 'Add',
+    urlInvalida: 'Enter a valid http(s) or mailto address.',
+    removerLink: 'Remove link',
+    imagens: 'Images',
+    anexarImagem: 'Attach image',
+    lendoImagem: 'Reading the image...',
+    limiteImagens: 'Limit of {n} images per topic.',
+    erroImagem: 'Could not attach "{arquivo}": {detalhe}',
+    imagemInvalida: 'The file is not an image.',
+    imagemGrande: 'The image is larger than {maximo} MB.',
+    imagemIlegivel: 'Could not read the image.',
+    removerImagem: 'Remove image',
+  },
+
+  configuracoes: {
+    titulo: 'AI provider',
+    provedores: {
+      servidor: 'Project server',
+      gemini: 'Gemini (direct key)',
+      openai: 'OpenAI-compatible',
+      ollama: 'Ollama (local)',
+      fixture: 'Offline demo',
+    },
+    descricoes: {
+      servidor: 'Uses Gemini through the project\'s AI server (npm run api), which holds the key. The key never goes through the browser.',
+      gemini: 'Development mode: the key stays in the browser. Do not use it on a published site.',
+      fixture: 'Generates ready-made maps, with no network and no cost. Ideal for demos and tests.',
+    },
+    campos: {
+      baseUrl: 'Base URL',
+      model: 'Model',
+      apiKey: 'API key',
+    },
+  },
+
+  apresentacao: {
+    titulo: 'Presentation',
+    ordem: 'Order:',
+    ordens: {
+      profundidade: 'Branch by branch',
+      largura: 'Level by level',
+    },
+    anterior: 'Previous',
+    proximo: 'Next',
+    sair: 'Exit presentation (Esc)',
+    passo: '{atual} / {total}',
+    baixarHtml: 'Download HTML',
+    baixarHtmlDica: 'Download this presentation, in the chosen order, as an HTML file that works offline',
+    dica: '← → to navigate · Esc to exit',
+    dicaHtml: '← → to navigate · F for full screen',
+  },
+
+  estudo: {
+    titulo: 'Study mode',
+    tipos: {
+      flashcard: 'Flashcard',
+      multipla: 'Multiple choice',
+      lacuna: 'Fill in',
+    },
+    ia: 'AI',
+    comoFoi: 'How did it go?',
+    notas: {
+      errei: 'Wrong',
+      dificil: 'Hard',
+      bom: 'Good',
+      facil: 'Easy',
+    },
+    mostrarResposta: 'Show answer',
+    digiteResposta: 'Type the answer',
+    conferir: 'Check',
+    correto: 'Correct!',
+    respostaCerta: 'Right answer: {resposta}',
+    continuar: 'Continue',
+    erroProgresso: 'Could not load the saved progress; it will not be kept in this session.',
+    confirmarZerar: 'Erase all study progress for this map?',
+    paraRevisar: 'to review',
+    novos: 'new',
+    agendados: 'scheduled',
+    estudar: { zero: 'Nothing to review today', one: 'Study {n} card', other: 'Study {n} cards' },
+    gerarDica: 'Generate more elaborate questions with AI',
+    gerar: 'Generate questions with AI',
+    zerar: 'Reset progress',
+    rodape: '{n} cards ({ia} from AI). Progress is saved in this browser, and each card comes back for review at growing intervals as you get it right.',
+    concluida: 'Session complete!',
+    acertos: { one: '{acertos} of {n} answer right.', other: '{acertos} of {n} answers right.' },
+    voltar: 'Back to the summary',
+    perguntas: {
+      oQueE: 'What is "{label}"?',
+      oQueEDentro: 'What is "{label}", within "{pai}"?',
+      qualDescricao: 'Which description matches "{label}"?',
+      quaisSubtopicos: 'What are the subtopics of "{label}"?',
+      subtopicoDe: '"{label}" is a subtopic of which theme?',
+      dicaLacuna: 'Subtopic of "{pai}"',
+    },
+  },
+};
@@ -0,0 +1,624 @@
+// --- TEXTOS DA INTERFACE: ESPANHOL ---
+// Mesmas chaves de pt-BR.js; o que faltar aqui aparece em português.
+
+export default {
+  comum: {
+    cancelar: 'Cancelar',
+    fechar: 'Cerrar',
+    fecharEsc: 'Cerrar (Esc)',
+    mostrarNoMapa: 'Mostrar en el mapa',
+    idiomaInterface: 'Idioma de la interfaz',
+  },
+
+  app: {
+    titulo: 'Generador de Mapas Mentales IA',
+    tituloPagina: 'Generador de Mapas Mentales',
+  },
+
+  inicio: {
+    slogan: 'Convierte ideas en estructuras visuales',
+    subtitulo: 'Inteligencia artificial para crear mapas mentales profesionales en segundos',
+    placeholderTema: 'Escribe tu tema aquí... (ej.: Guerra Fría, Marketing Digital)',
+    placeholderDocumento: 'Enfoque dentro del documento (opcional)',
+    gerar: 'Generar Mapa',
+    importar: 'Importar archivo',
+    aPartirDeDocumento: 'A partir de un documento',
+    ignorarCache: 'Ignorar la caché',
+    ignorarCacheDica: 'Pedir un mapa nuevo a la IA aunque este tema ya se haya generado con las mismas opciones',
+    niveis: { one: '{n} nivel', other: '{n} niveles' },
+    recursos: {
+      ia: 'IA Avanzada',
+      rapido: 'Generador Rápido',
+      pdf: 'Exportar PDF',
+    },
+    temaVazio: 'Por favor, escribe un tema.',
+    temaLongo: 'El tema puede tener como máximo {maximo} caracteres.',
+    documentoLongo: 'El documento es demasiado largo ({partes} partes; el límite es {maximo}). Usa un fragmento más corto.',
+  },
+
+  carregando: {
+    titulo: 'Procesando tu idea...',
+    estruturando: 'La IA está estructurando tu mapa mental',
+    progresso: '{topicos}, {conexoes}',
+    topicosRecebidos: { one: '{n} tema recibido', other: '{n} temas recibidos' },
+    conexoes: { one: '{n} conexión', other: '{n} conexiones' },
+    corrigindo: 'Corrigiendo la respuesta de la IA (intento {n})',
+    repetindo: 'El servicio de IA no respondió; intentando de nuevo ({repeticao} de {total})',
+    lendoDocumento: 'Leyendo el documento: parte {parte} de {total}',
+    montandoDocumento: 'Armando el mapa a partir del documento',
+    manter: 'Parar y conservar lo recibido',
+    abrindo: 'Abriendo el mapa...',
+  },
+
+  resultado: {
+    titulo: 'Tu Mapa Mental',
+    tema: 'Tema:',
+    salvarCopia: 'Guardar una copia',
+    salvarCopiaDica: 'Guardar este mapa en tu biblioteca para editarlo y estudiarlo',
+    estudar: 'Estudiar',
+    estudarDica: 'Repasar el mapa con tarjetas y preguntas',
+    apresentar: 'Presentar',
+    apresentarDica: 'Recorrer el mapa rama por rama en pantalla completa, con las descripciones como guion',
+    regenerar: 'Regenerar',
+    regenerarDica: 'Generar una nueva versión del mapa y revisar los cambios antes de aplicarlos',
+    versoes: 'Versiones',
+    versoesDica: 'Ver y restaurar las versiones anteriores del mapa',
+    relacoes: 'Relaciones',
+    relacoesDica: 'Ver, sugerir con IA y editar relaciones entre temas de ramas distintas',
+    colaborar: 'Colaborar',
+    colaborarDica: 'Editar este mapa en tiempo real con otras personas',
+    compartilhar: 'Compartir',
+    compartilharDica: 'Copiar un enlace que abre este mapa, solo para lectura',
+    linkCopiado: '¡Enlace copiado!',
+    novoMapa: 'Nuevo Mapa',
+    somenteLeitura: 'Mapa compartido, solo lectura. Guarda una copia para editar, expandir temas o estudiar.',
+    regenerando: 'Generando una nueva versión {nome}. El mapa solo cambia después de que revises los cambios.',
+    doCache: 'Este mapa se reutilizó de la caché (generado el {data} con el mismo tema y las mismas opciones).',
+    gerarNovo: 'Generar uno nuevo',
+    manterEste: 'Conservar este',
+    vendoVersao: 'Viendo la versión "{rotulo}" ({data}). El mapa actual no se modificó.',
+    restaurarVersao: 'Restaurar esta versión',
+    voltarAoAtual: 'Volver al mapa actual',
+    resumo: 'Resumen del Tema',
+    topicos: 'Temas Principales',
+    nenhumTopicoBusca: 'Ningún tema coincide con "{termo}".',
+  },
+
+  busca: {
+    placeholder: 'Buscar en el mapa (Ctrl+F)',
+    rotulo: 'Buscar en el mapa',
+    nenhum: 'Sin resultados',
+    posicao: '{atual} de {total}',
+    resultados: { one: '{n} resultado', other: '{n} resultados' },
+    anterior: 'Resultado anterior (Shift+Enter)',
+    proximo: 'Resultado siguiente (Enter)',
+    limpar: 'Borrar búsqueda (Esc)',
+  },
+
+  visao: {
+    rotulo: 'Vista del mapa',
+    mapa: 'Ver como mapa',
+    lista: 'Ver como lista de temas (accesible con lector de pantalla)',
+    aparencia: 'Apariencia: tema de colores y estilo de las conexiones',
+  },
+
+  canvas: {
+    rotulo: 'Mapa mental: {tema}',
+    instrucoes: 'Usa las flechas para ir al tema padre, a los subtemas y a los hermanos, Espacio para contraer o mostrar subtemas y Enter para abrir los detalles.',
+    trilha: 'Camino hasta la rama enfocada',
+    mostrarInteiro: 'Mostrar el mapa completo',
+    sairDoFoco: 'Salir del enfoque',
+    expandirTudo: 'Expandir todo',
+    expandirTudoDica: 'Mostrar todas las ramas',
+    recolherAte: 'Contraer hasta el nivel',
+    recolherAteOpcao: 'Contraer hasta el nivel…',
+    soRaiz: 'Solo el tema central',
+    nivel: 'Nivel {n}',
+    bloquear: 'Bloquear Mapa',
+    desbloquear: 'Desbloquear Mapa',
+    layoutVertical: 'Reorganizar: árbol vertical',
+    layoutHorizontal: 'Reorganizar: árbol horizontal',
+    layoutRadial: 'Reorganizar: radial',
+    editar: 'Editar mapa (doble clic en los textos para editar)',
+    sairEdicao: 'Salir del modo de edición',
+    desfazer: 'Deshacer: {acao} (Ctrl+Z)',
+    nadaDesfazer: 'Nada que deshacer',
+    refazer: 'Rehacer: {acao} (Ctrl+Shift+Z)',
+    nadaRefazer: 'Nada que rehacer',
+    rotuloLigacao: 'Etiqueta de la conexión (déjala vacía para quitarla):',
+    lista: 'Mapa mental en temas',
+  },
+
+  historico: {
+    suaUltimaAlteracao: 'tu último cambio',
+    expandirTopico: 'expandir tema',
+    regenerar: 'regenerar',
+    restaurarVersao: 'restaurar versión',
+    aceitarRelacao: 'aceptar relación',
+    aceitarRelacoes: 'aceptar relaciones',
+    rotularRelacao: 'etiquetar relación',
+    removerRelacao: 'quitar relación',
+    moverRelacao: 'mover relación',
+    editarTexto: 'editar texto',
+    adicionarSubtopico: 'añadir subtema',
+    adicionarIrmao: 'añadir tema hermano',
+    excluirTopico: 'eliminar tema',
+    mudarEstilo: 'cambiar estilo',
+    rotularLigacao: 'etiquetar conexión',
+    reconectarTopico: 'reconectar tema',
+    moverTopico: 'mover tema',
+    reorganizarLayout: 'reorganizar diseño',
+    editarNotas: 'editar notas',
+    elaborarNotas: 'ampliar notas con la IA',
+    adicionarLink: 'añadir enlace',
+    removerLink: 'quitar enlace',
+    anexarImagem: 'adjuntar imagen',
+    removerImagem: 'quitar imagen',
+  },
+
+  versoes: {
+    titulo: 'Versiones del mapa',
+    fechar: 'Cerrar el historial (Esc)',
+    erro: 'No se pudieron leer las versiones guardadas en este navegador.',
+    nenhuma: 'Todavía no hay versiones guardadas. Regenerar el mapa o una rama guarda aquí la versión anterior.',
+    maisRecente: '(más reciente)',
+    ver: 'Ver',
+    restaurar: 'Restaurar',
+    gerado: 'Mapa generado',
+    edicoesManuais: 'Ediciones manuales',
+    original: 'Versión original',
+    restaurada: 'Restaurada: {rotulo}',
+    regeneracao: 'Regeneración {nome} ({aceitas} de {total} cambios aceptados)',
+  },
+
+  regeneracao: {
+    doRamo: 'de la rama "{titulo}"',
+    doMapa: 'del mapa completo',
+    novaVersao: 'Nueva versión {nome}',
+    semMudancas: 'La nueva versión no trajo cambios.',
+  },
+
+  pdf: {
+    titulo: 'Mapa Mental: {tema}',
+    criador: 'Generador de Mapas Mentales IA',
+    mapa: { one: 'Mapa', other: 'Mapa ({n} páginas)' },
+    resumo: 'Resumen del Tema',
+    topicos: 'Temas Principales',
+    relacoes: 'Relaciones entre Temas',
+    relacionaSe: 'se relaciona con',
+    links: 'Enlaces',
+  },
+
+  relacoes: {
+    semNovas: 'La IA no encontró nuevas relaciones entre los temas de este mapa.',
+    naoCabe: 'Esta relación ya no encaja en el mapa: los temas cambiaron desde la sugerencia.',
+    rotulo: 'Etiqueta de la relación:',
+    descricao: 'Conexiones entre temas de ramas distintas, dibujadas con línea discontinua en el mapa.',
+    semRotulo: '(sin etiqueta)',
+    procurando: 'Buscando relaciones... (cancelar)',
+    sugerir: 'Sugerir relaciones con IA',
+    sugeridas: 'Sugeridas ({n})',
+    aceitar: 'Aceptar',
+    noMapa: 'En el mapa ({n})',
+    nenhuma: 'Todavía no hay relaciones.',
+    nenhumaDica: 'Pide sugerencias a la IA y acepta las que tengan sentido.',
+    editarRotulo: 'Editar etiqueta',
+    remover: 'Quitar',
+  },
+
+  exportar: {
+    titulo: 'Exportar Resultado',
+    descricao: 'Descarga tu mapa mental completo, el resumen y los temas en un único archivo PDF, con texto buscable y marcadores, o solo el mapa como imagen. Ambos siguen la apariencia elegida.',
+    pdf: 'Exportar como PDF',
+    imagem: 'Exportar como imagen (PNG)',
+    imagemDica: 'Descargar el mapa como imagen, con el tema elegido',
+    imagemIndisponivel: 'Vuelve a la vista de mapa para exportar la imagen',
+    apresentacao: 'Exportar presentación (HTML)',
+    apresentacaoDica: 'Descargar la presentación del mapa en un archivo HTML que funciona sin conexión',
+    paginaUnica: 'Página única ampliada',
+    folhasA4: 'Dividir en hojas A4',
+    outrosFormatos: 'O exporta a otras herramientas:',
+    baixar: 'Descargar .{extensao}',
+    incluiMapa: '✓ Mapa visual',
+    incluiResumo: '✓ Resumen del tema',
+    incluiTopicos: '✓ Temas detallados',
+    nomeArquivo: 'mapa-mental',
+    erroPdf: 'No se pudo exportar el PDF',
+    erroImagem: 'No se pudo exportar la imagen',
+    mapaNaoDesenhado: 'El mapa todavía no se ha dibujado.',
+    formatos: {
+      json: 'JSON (nativo)',
+      markdown: 'Markdown',
+      opml: 'OPML',
+      freemind: 'FreeMind / Freeplane',
+      mermaid: 'Mermaid',
+    },
+  },
+
+  erros: {
+    abrirMapa: 'No se pudo abrir el mapa',
+    mapaNaoSalvo: 'No está guardado en este navegador.',
+    copieOLink: 'Copia el enlace del mapa:',
+    gerarLink: 'No se pudo generar el enlace',
+    salvarCopia: 'No se pudo guardar la copia',
+    importar: 'No se pudo importar "{arquivo}"',
+    inesperado: 'Ocurrió un error inesperado. Inténtalo de nuevo.',
+    link: {
+      corrompido: 'El enlace para compartir está incompleto o dañado.',
+      versaoNova: 'El enlace fue creado por una versión más nueva de la aplicación (formato {versao}).',
+      semMapa: 'El enlace para compartir no contiene un mapa.',
+    },
+    arquivo: {
+      semTopicos: 'El archivo no contiene ningún tema.',
+      jsonInvalido: 'El archivo no es un JSON válido.',
+      versaoNova: 'El archivo es de la versión {versao}, más nueva que la admitida ({suportada}).',
+      jsonSemMapa: 'El JSON no contiene un mapa mental.',
+      xmlInvalido: 'El XML no es válido: {detalhe}',
+      freemindSemCentral: 'El archivo .mm no tiene nodo central.',
+      opmlSemBody: 'El archivo OPML no tiene <body>.',
+      opmlVazio: 'El archivo OPML no tiene ningún <outline>.',
+      markdownVazio: 'No se encontró ningún título (#) ni elemento de lista (-) en el Markdown.',
+      semMindmap: 'El archivo no contiene un diagrama "mindmap" de Mermaid.',
+      mindmapVazio: 'El mindmap de Mermaid está vacío.',
+    },
+  },
+
+  validacao: {
+    JSON_INVALIDO: 'La respuesta no es un JSON válido.',
+    ESTRUTURA: 'La respuesta no tiene la estructura pedida.',
+    SEM_NOS: 'La respuesta no trajo ningún tema.',
+    SEM_RESUMO: 'La respuesta no trajo el resumen del tema.',
+    SEM_ID: 'Un tema vino sin identificador.',
+    ID_DUPLICADO: 'El identificador "{topico}" aparece en más de un tema.',
+    SEM_LABEL: 'El tema "{topico}" vino sin título.',
+    SEM_DESCRICAO: 'El tema "{topico}" vino sin descripción.',
+    ARESTA_INVALIDA: 'Una conexión apunta a un tema que no existe.',
+    MULTIPLOS_PAIS: 'El tema "{topico}" quedó con más de un padre.',
+    CICLO: 'Las conexiones entre los temas forman un ciclo.',
+    NO_ORFAO: 'El tema "{topico}" no está conectado a ningún otro.',
+    MULTIPLAS_RAIZES: 'El mapa vino con {n} temas centrales en lugar de uno.',
+    SEM_CARTOES: 'No se generó ninguna tarjeta de estudio válida.',
+    SEM_FONTES: 'Solo {citados} de {total} temas citan fragmentos del documento.',
+    SEM_NOTAS: 'La respuesta no trajo las notas.',
+    SEM_PONTOS: 'Ningún punto de la respuesta cita los fragmentos de esta parte del documento.',
+    SEM_RELACOES: 'Ninguna relación sugerida conecta temas válidos.',
+  },
+
+  falhas: {
+    provedorPadrao: 'proveedor de IA',
+    detalhes: 'Detalles técnicos',
+    tentarDeNovo: 'Intentar de nuevo',
+    abrirConfiguracoes: 'Abrir configuración',
+    segundos: '{n} s',
+    minutos: '{n} min',
+    chave: {
+      titulo: 'Clave de API inválida o ausente',
+      mensagem: 'La clave de API fue rechazada ({provedor}). Revisa la clave en la configuración (o la GEMINI_API_KEY del servidor de IA).',
+    },
+    cota: {
+      titulo: 'Cuota de IA agotada',
+      mensagem: 'La cuenta usada ({provedor}) alcanzó su límite de uso. Inténtalo más tarde o elige otro proveedor en la configuración.',
+    },
+    limite: {
+      titulo: 'Demasiadas solicitudes seguidas',
+      aguarde: 'Espera {espera} antes de volver a pedir.',
+      mensagem: 'Espera unos instantes antes de volver a pedir.',
+    },
+    sobrecarga: {
+      titulo: 'Servicio de IA no disponible',
+      mensagem: 'El servicio ({provedor}) está sobrecargado o caído, incluso tras nuevos intentos. Vuelve a intentarlo en un rato.',
+    },
+    bloqueado: {
+      titulo: 'Contenido bloqueado',
+      mensagem: 'El filtro de seguridad de la IA rechazó esta solicitud. Reformula el tema o elige otro asunto.',
+    },
+    offline: {
+      titulo: 'Sin conexión',
+      mensagem: 'Estás sin conexión. Revisa internet y vuelve a intentarlo.',
+    },
+    rede: {
+      titulo: 'Fallo de conexión',
+      mensagem: 'No se pudo contactar con el servicio ({provedor}). Revisa la dirección en la configuración o tu red.',
+    },
+    formato: {
+      titulo: 'Respuesta de la IA en formato inválido',
+      mensagem: 'La IA devolvió una respuesta con problemas incluso tras las correcciones automáticas. Vuelve a intentarlo o usa otro modelo.',
+    },
+    desconhecida: {
+      titulo: 'Algo salió mal',
+      mensagem: 'Error desconocido.',
+    },
+  },
+
+  aparencia: {
+    titulo: 'Apariencia',
+    tema: 'Tema',
+    temas: {
+      claro: 'Claro',
+      escuro: 'Oscuro',
+      pastel: 'Pastel',
+      contraste: 'Alto contraste',
+    },
+    ligacoes: 'Conexiones',
+    tiposLigacao: {
+      default: 'Curva',
+      straight: 'Recta',
+      step: 'Escalonada',
+      smoothstep: 'Escalones redondeados',
+    },
+    animar: 'Animar las conexiones',
+    dicaRotulo: 'En el modo de edición, haz doble clic en una conexión para escribirle una etiqueta.',
+  },
+
+  colab: {
+    conectando: 'Conectando a la sala...',
+    aoVivo: 'En vivo',
+    desconectado: 'Sin conexión; reintentando (las ediciones se envían al reconectar)',
+    seuNome: '¿Cómo quieres aparecer para el grupo?',
+    voce: '{nome} (tú) · haz clic para cambiar el nombre',
+    participantes: {
+      zero: 'Solo tú por ahora',
+      one: 'Tú y {n} persona más',
+      other: 'Tú y {n} personas más',
+    },
+    conviteCopiado: '¡Invitación copiada!',
+    copiarConvite: 'Copiar invitación',
+    sair: 'Salir de la sala',
+  },
+
+  documento: {
+    titulo: 'Generar a partir de un documento',
+    erroLeitura: 'No se pudo leer "{arquivo}": {detalhe}',
+    pdfSemTexto: 'El PDF no tiene texto seleccionable (puede ser una imagen escaneada).',
+    arquivoVazio: 'El archivo está vacío.',
+    textoColado: 'Texto pegado',
+    caracteres: { one: '{n} carácter', other: '{n} caracteres' },
+    paginas: { one: '{n} página', other: '{n} páginas' },
+    lidoEmPartes: 'leído en {n} partes',
+    remover: 'Quitar documento',
+    lendo: 'Leyendo el documento...',
+    escolher: 'Elegir archivo .txt, .md o .pdf',
+    placeholder: '...o pega aquí el texto (apuntes de clase, un artículo)',
+    rotuloTexto: 'Texto del documento',
+    usarTexto: 'Usar este texto',
+    dica: 'El tema escrito arriba es opcional y sirve para indicar el enfoque dentro del documento. Cada tema del mapa guarda los fragmentos del documento de los que salió.',
+  },
+
+  opcoes: {
+    titulo: 'Opciones de generación',
+    proposito: 'Propósito',
+    propositos: {
+      estudo: 'Estudio',
+      brainstorming: 'Lluvia de ideas',
+      projeto: 'Planificación de proyecto',
+    },
+    niveis: 'Niveles debajo del tema',
+    maxFilhos: 'Máximo de subtemas por nodo',
+    publico: 'Público',
+    publicos: {
+      criancas: 'Niños',
+      graduacao: 'Universitario',
+      especialista: 'Especialista',
+    },
+    idioma: 'Idioma del mapa',
+    tamanhoDescricao: 'Longitud de las descripciones',
+    tamanhos: {
+      curta: 'Corta',
+      media: 'Media',
+      longa: 'Larga',
+    },
+  },
+
+  biblioteca: {
+    titulo: 'Mis Mapas',
+    erro: 'No se pudo acceder a los mapas guardados en este navegador.',
+    confirmarExclusao: '¿Eliminar el mapa "{nome}"? Esta acción no se puede deshacer.',
+    buscar: 'Buscar mapas...',
+    salvarNome: 'Guardar nombre',
+    topicos: { one: '{n} tema', other: '{n} temas' },
+    abrir: 'Abrir',
+    renomear: 'Renombrar',
+    duplicar: 'Duplicar',
+    excluir: 'Eliminar',
+    nenhum: 'No se encontraron mapas para "{termo}".',
+  },
+
+  no: {
+    adicionarSubtopico: 'Añadir subtema',
+    adicionarIrmao: 'Añadir tema hermano',
+    regenerar: 'Regenerar esta rama con la IA (los cambios se revisan antes de aplicarlos)',
+    estilo: 'Color, icono y forma del tema',
+    excluir: 'Eliminar tema y subtemas',
+    rejeitado: 'rechazado',
+    semTitulo: 'Sin título',
+    novoTopico: 'Nuevo tema',
+    adicionarDescricao: 'Doble clic para añadir una descripción',
+    proposta: 'Propuesta:',
+    mudaDeLugar: 'Cambia de lugar en el mapa.',
+    aceitar: 'Aceptar este cambio',
+    rejeitar: 'Rechazar este cambio',
+    verTrechos: { one: 'Ver el fragmento del documento', other: 'Ver los {n} fragmentos del documento' },
+    mostrarOcultos: { one: 'Mostrar {n} subtema oculto', other: 'Mostrar {n} subtemas ocultos' },
+    recolher: 'Contraer subtemas',
+    focar: 'Enfocar esta rama',
+    expandir: 'Expandir este tema con la IA',
+    extras: 'Ver las notas, enlaces e imágenes del tema',
+  },
+
+  estilo: {
+    titulo: 'Estilo del tema',
+    cor: 'Color de la rama',
+    automatica: 'Automático',
+    corValor: 'Color {cor}',
+    icone: 'Icono',
+    semIcone: 'Sin icono',
+    icones: {
+      ideia: 'Idea',
+      destaque: 'Destacado',
+      objetivo: 'Objetivo',
+      leitura: 'Lectura',
+      duvida: 'Duda',
+      concluido: 'Completado',
+      atencao: 'Atención',
+      favorito: 'Favorito',
+      marco: 'Hito',
+      lancamento: 'Lanzamiento',
+      energia: 'Energía',
+      prazo: 'Plazo',
+    },
+    forma: 'Forma',
+    formas: {
+      arredondado: 'Redondeado',
+      retangulo: 'Rectángulo',
+      pilula: 'Píldora',
+    },
+  },
+
+  revisao: {
+    titulo: 'Revisar cambios',
+    descartarDica: 'Descartar la nueva versión (Esc)',
+    tipos: {
+      adicionado: 'Nuevo',
+      removido: 'Eliminado',
+      alterado: 'Modificado',
+    },
+    novos: { one: '{n} nuevo', other: '{n} nuevos' },
+    removidos: { one: '{n} eliminado', other: '{n} eliminados' },
+    alterados: { one: '{n} modificado', other: '{n} modificados' },
+    aceitarTodas: 'Aceptar todos',
+    rejeitarTodas: 'Rechazar todos',
+    novoResumo: 'Usar el nuevo resumen',
+    decisao: 'Decisión sobre "{titulo}"',
+    tituloAntes: 'Título anterior:',
+    novaDescricao: 'Nueva descripción:',
+    vazia: '(vacía)',
+    aplicar: 'Aplicar ({aceitas} de {total})',
+    descartar: 'Descartar',
+  },
+
+  detalhes: {
+    fechar: 'Cerrar detalles (Esc)',
+    caminho: 'Camino:',
+    semDescricao: 'Sin descripción.',
+    subtopicos: {
+      zero: 'Sin subtemas.',
+      one: '{n} subtema en esta rama.',
+      other: '{n} subtemas en esta rama.',
+    },
+    subtopicosRecolhidos: {
+      zero: 'Sin subtemas.',
+      one: '{n} subtema en esta rama (contraído).',
+      other: '{n} subtemas en esta rama (contraídos).',
+    },
+    trechos: 'Fragmentos de {documento}',
+    documento: 'el documento',
+    pagina: 'página {n}',
+    regenerarDica: 'Generar una nueva versión de este tema y de sus subtemas, para revisarla antes de aplicarla',
+    regenerar: 'Regenerar esta rama',
+    notas: 'Notas',
+    semNotas: 'Todavía no hay notas.',
+    editarNotas: 'Editar',
+    placeholderNotas: 'Escribe en Markdown: ## título, - lista, **negrita**, *cursiva*, [texto](https://...)',
+    salvar: 'Guardar',
+    elaborar: 'Profundizar con la IA',
+    elaborarDica: 'Pedir a la IA una explicación más completa de este tema, añadida a las notas',
+    elaborando: 'Escribiendo las notas...',
+    links: 'Enlaces',
+    endereco: 'Dirección del enlace',
+    tituloLink: 'Título (opcional)',
+    adicionarLink: 'Añadir',
+    urlInvalida: 'Introduce una dirección http(s) o mailto válida.',
+    removerLink: 'Quitar enlace',
+    imagens: 'Imágenes',
+    anexarImagem: 'Adjuntar imagen',
+    lendoImagem: 'Leyendo la imagen...',
+    limiteImagens: 'Límite de {n} imágenes por tema.',
+    erroImagem: 'No se pudo adjuntar "{arquivo}": {detalhe}',
+    imagemInvalida: 'El archivo no es una imagen.',
+    imagemGrande: 'La imagen supera los {maximo} MB.',
+    imagemIlegivel: 'No se pudo leer la imagen.',
+    removerImagem: 'Quitar imagen',
+  },
+
+  configuracoes: {
+    titulo: 'Proveedor de IA',
+    provedores: {
+      servidor: 'Servidor del proyecto',
+      gemini: 'Gemini (clave directa)',
+      openai: 'Compatible con OpenAI',
+      ollama: 'Ollama (local)',
+      fixture: 'Demostración sin conexión',
+    },
+    descricoes: {
+      servidor: 'Usa Gemini a través del servidor de IA del proyecto (npm run api), que guarda la clave. La clave no pasa por el navegador.',
+      gemini: 'Modo de desarrollo: la clave queda en el navegador. No lo uses en un sitio publicado.',
+      fixture: 'Genera mapas predefinidos, sin red y sin costo. Ideal para demostraciones y pruebas.',
+    },
+    campos: {
+      baseUrl: 'URL base',
+      model: 'Modelo',
+      apiKey: 'Clave de API',
+    },
+  },
+
+  apresentacao: {
+    titulo: 'Presentación',
+    ordem: 'Orden:',
+    ordens: {
+      profundidade: 'Rama por rama',
+      largura: 'Nivel por nivel',
+    },
+    anterior: 'Anterior',
+    proximo: 'Siguiente',
+    sair: 'Salir de la presentación (Esc)',
+    passo: '{atual} / {total}',
+    baixarHtml: 'Descargar HTML',
+    baixarHtmlDica: 'Descargar esta presentación, en el orden elegido, en un archivo HTML que funciona sin conexión',
+    dica: '← → para navegar · Esc para salir',
+    dicaHtml: '← → para navegar · F para pantalla completa',
+  },
+
+  estudo: {
+    titulo: 'Modo de estudio',
+    tipos: {
+      flashcard: 'Tarjeta',
+      multipla: 'Opción múltiple',
+      lacuna: 'Completar',
+    },
+    ia: 'IA',
+    comoFoi: '¿Cómo te fue?',
+    notas: {
+      errei: 'Fallé',
+      dificil: 'Difícil',
+      bom: 'Bien',
+      facil: 'Fácil',
+    },
+    mostrarResposta: 'Mostrar respuesta',
+    digiteResposta: 'Escribe la respuesta',
+    conferir: 'Comprobar',
+    correto: '¡Correcto!',
+    respostaCerta: 'Respuesta correcta: {resposta}',
+    continuar: 'Continuar',
+    erroProgresso: 'No se pudo cargar el progreso guardado; no se conservará en esta sesión.',
+    confirmarZerar: '¿Borrar todo el progreso de estudio de este mapa?',
+    paraRevisar: 'para repasar',
+    novos: 'nuevas',
+    agendados: 'programadas',
+    estudar: { zero: 'Nada que repasar hoy', one: 'Estudiar {n} tarjeta', other: 'Estudiar {n} tarjetas' },
+    gerarDica: 'Generar preguntas más elaboradas con la IA',
+    gerar: 'Generar preguntas con la IA',
+    zerar: 'Reiniciar progreso',
+    rodape: '{n} tarjetas ({ia} de la IA). El progreso se guarda en este navegador, y cada tarjeta vuelve a repasarse en intervalos cada vez mayores a medida que aciertas.',
+    concluida: '¡Sesión completada!',
+    acertos: { one: '{acertos} de {n} respuesta correcta.', other: '{acertos} de {n} respuestas correctas.' },
+    voltar: 'Volver al resumen',
+    perguntas: {
+      oQueE: '¿Qué es "{label}"?',
+      oQueEDentro: '¿Qué es "{label}", dentro de "{pai}"?',
+      qualDescricao: '¿Qué descripción corresponde a "{label}"?',
+      quaisSubtopicos: '¿Cuáles son los subtemas de "{label}"?',
+      subtopicoDe: '¿"{label}" es un subtema de qué tema?',
+      dicaLacuna: 'Subtema de "{pai}"',
+    },
+  },
+};
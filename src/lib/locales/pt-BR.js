@@ -0,0 +1,634 @@
+// --- TEXTOS DA INTERFACE: PORTUGUÊS (BRASIL) ---
+// Idioma de referência: as outras traduções seguem as mesmas chaves, e o que
+// faltar nelas cai neste arquivo (ver i18n.js).
+
+export default {
+  comum: {
+    cancelar: 'Cancelar',
+    fechar: 'Fechar',
+    fecharEsc: 'Fechar (Esc)',
+    mostrarNoMapa: 'Mostrar no mapa',
+    idiomaInterface: 'Idioma da interface',
+  },
+
+  app: {
+    titulo: 'Gerador de Mapa Mental IA',
+    tituloPagina: 'Gerador de Mapa Mental',
+  },
+
+  inicio: {
+    slogan: 'Transforme ideias em estruturas visuais',
+    subtitulo: 'Inteligência artificial para criar mapas mentais profissionais em segundos',
+    placeholderTema: 'Digite seu tema aqui... (ex: Guerra Fria, Marketing Digital)',
+    placeholderDocumento: 'Foco dentro do documento (opcional)',
+    gerar: 'Gerar Mapa',
+    importar: 'Importar arquivo',
+    aPartirDeDocumento: 'A partir de um documento',
+    ignorarCache: 'Ignorar o cache',
+    ignorarCacheDica: 'Pedir um mapa novo à IA mesmo que este tema já tenha sido gerado com as mesmas opções',
+    niveis: { one: '{n} nível', other: '{n} níveis' },
+    recursos: {
+      ia: 'IA Avançada',
+      rapido: 'Gerador Rápido',
+      pdf: 'Exportar PDF',
+    },
+    temaVazio: 'Por favor, digite um tema.',
+    temaLongo: 'O tema pode ter no máximo {maximo} caracteres.',
+    documentoLongo: 'O documento é longo demais ({partes} partes; o limite é {maximo}). Use um trecho menor.',
+  },
+
+  carregando: {
+    titulo: 'Processando sua ideia...',
+    estruturando: 'A IA está estruturando seu mapa mental',
+    progresso: '{topicos}, {conexoes}',
+    topicosRecebidos: { one: '{n} tópico recebido', other: '{n} tópicos recebidos' },
+    conexoes: { one: '{n} conexão', other: '{n} conexões' },
+    corrigindo: 'Corrigindo a resposta da IA (tentativa {n})',
+    repetindo: 'O serviço de IA não respondeu; tentando de novo ({repeticao} de {total})',
+    lendoDocumento: 'Lendo o documento: parte {parte} de {total}',
+    montandoDocumento: 'Montando o mapa a partir do documento',
+    manter: 'Parar e manter o que chegou',
+    abrindo: 'Abrindo o mapa...',
+  },
+
+  resultado: {
+    titulo: 'Seu Mapa Mental',
+    tema: 'Tema:',
+    salvarCopia: 'Salvar uma cópia',
+    salvarCopiaDica: 'Guardar este mapa na sua biblioteca para editar e estudar',
+    estudar: 'Estudar',
+    estudarDica: 'Revisar o mapa com flashcards e questões',
+    apresentar: 'Apresentar',
+    apresentarDica: 'Percorrer o mapa ramo a ramo em tela cheia, com as descrições como roteiro',
+    regenerar: 'Regenerar',
+    regenerarDica: 'Gerar uma nova versão do mapa e revisar as mudanças antes de aplicar',
+    versoes: 'Versões',
+    versoesDica: 'Ver e restaurar as versões anteriores do mapa',
+    relacoes: 'Relações',
+    relacoesDica: 'Ver, sugerir com IA e editar relações entre tópicos de ramos diferentes',
+    colaborar: 'Colaborar',
+    colaborarDica: 'Editar este mapa em tempo real com outras pessoas',
+    compartilhar: 'Compartilhar',
+    compartilharDica: 'Copiar um link que abre este mapa, só para leitura',
+    linkCopiado: 'Link copiado!',
+    novoMapa: 'Novo Mapa',
+    somenteLeitura: 'Mapa compartilhado, somente leitura. Salve uma cópia para editar, expandir tópicos ou estudar.',
+    regenerando: 'Gerando uma nova versão {nome}. O mapa só muda depois que você revisar as mudanças.',
+    doCache: 'Este mapa foi reaproveitado do cache (gerado em {data} com o mesmo tema e as mesmas opções).',
+    gerarNovo: 'Gerar um novo',
+    manterEste: 'Manter este',
+    vendoVersao: 'Vendo a versão "{rotulo}" ({data}). O mapa atual não foi alterado.',
+    restaurarVersao: 'Restaurar esta versão',
+    voltarAoAtual: 'Voltar ao mapa atual',
+    resumo: 'Resumo do Tema',
+    topicos: 'Principais Tópicos',
+    nenhumTopicoBusca: 'Nenhum tópico corresponde a "{termo}".',
+  },
+
+  busca: {
+    placeholder: 'Buscar no mapa (Ctrl+F)',
+    rotulo: 'Buscar no mapa',
+    nenhum: 'Nenhum resultado',
+    posicao: '{atual} de {total}',
+    resultados: { one: '{n} resultado', other: '{n} resultados' },
+    anterior: 'Resultado anterior (Shift+Enter)',
+    proximo: 'Próximo resultado (Enter)',
+    limpar: 'Limpar busca (Esc)',
+  },
+
+  visao: {
+    rotulo: 'Visão do mapa',
+    mapa: 'Ver como mapa',
+    lista: 'Ver como lista de tópicos (acessível por leitor de tela)',
+    aparencia: 'Aparência: tema de cores e estilo das ligações',
+  },
+
+  canvas: {
+    rotulo: 'Mapa mental: {tema}',
+    instrucoes: 'Use as setas para ir ao tópico pai, aos subtópicos e aos irmãos, Espaço para recolher ou mostrar subtópicos e Enter para abrir os detalhes.',
+    trilha: 'Caminho até o ramo em foco',
+    mostrarInteiro: 'Mostrar o mapa inteiro',
+    sairDoFoco: 'Sair do foco',
+    expandirTudo: 'Expandir tudo',
+    expandirTudoDica: 'Mostrar todos os ramos',
+    recolherAte: 'Recolher até o nível',
+    recolherAteOpcao: 'Recolher até o nível…',
+    soRaiz: 'Só o tema central',
+    nivel: 'Nível {n}',
+    bloquear: 'Bloquear Mapa',
+    desbloquear: 'Desbloquear Mapa',
+    layoutVertical: 'Reorganizar: árvore vertical',
+    layoutHorizontal: 'Reorganizar: árvore horizontal',
+    layoutRadial: 'Reorganizar: radial',
+    editar: 'Editar mapa (duplo clique nos textos para editar)',
+    sairEdicao: 'Sair do modo de edição',
+    desfazer: 'Desfazer: {acao} (Ctrl+Z)',
+    nadaDesfazer: 'Nada para desfazer',
+    refazer: 'Refazer: {acao} (Ctrl+Shift+Z)',
+    nadaRefazer: 'Nada para refazer',
+    rotuloLigacao: 'Rótulo da ligação (deixe vazio para remover):',
+    lista: 'Mapa mental em tópicos',
+  },
+
+  // Passos do desfazer/refazer, mostrados como "Desfazer: <passo>"
+  historico: {
+    suaUltimaAlteracao: 'sua última alteração',
+    expandirTopico: 'expandir tópico',
+    regenerar: 'regenerar',
+    restaurarVersao: 'restaurar versão',
+    aceitarRelacao: 'aceitar relação',
+    aceitarRelacoes: 'aceitar relações',
+    rotularRelacao: 'rotular relação',
+    removerRelacao: 'remover relação',
+    moverRelacao: 'mover relação',
+    editarTexto: 'editar texto',
+    adicionarSubtopico: 'adicionar subtópico',
+    adicionarIrmao: 'adicionar tópico irmão',
+    excluirTopico: 'excluir tópico',
+    mudarEstilo: 'mudar estilo',
+    rotularLigacao: 'rotular ligação',
+    reconectarTopico: 'reconectar tópico',
+    moverTopico: 'mover tópico',
+    reorganizarLayout: 'reorganizar layout',
+    editarNotas: 'editar notas',
+    elaborarNotas: 'aprofundar notas com a IA',
+    adicionarLink: 'adicionar link',
+    removerLink: 'remover link',
+    anexarImagem: 'anexar imagem',
+    removerImagem: 'remover imagem',
+  },
+
+  // Painel de versões e os rótulos guardados em cada versão
+  versoes: {
+    titulo: 'Versões do mapa',
+    fechar: 'Fechar o histórico (Esc)',
+    erro: 'Não foi possível ler as versões salvas neste navegador.',
+    nenhuma: 'Nenhuma versão salva ainda. Regenerar o mapa ou um ramo guarda a versão anterior aqui.',
+    maisRecente: '(mais recente)',
+    ver: 'Ver',
+    restaurar: 'Restaurar',
+    gerado: 'Mapa gerado',
+    edicoesManuais: 'Edições manuais',
+    original: 'Versão original',
+    restaurada: 'Restaurada: {rotulo}',
+    regeneracao: 'Regeneração {nome} ({aceitas} de {total} mudanças aceitas)',
+  },
+
+  regeneracao: {
+    doRamo: 'do ramo "{titulo}"',
+    doMapa: 'do mapa inteiro',
+    novaVersao: 'Nova versão {nome}',
+    semMudancas: 'A nova versão não trouxe mudanças.',
+  },
+
+  // Títulos e marcadores do PDF, no idioma do mapa (ver pdf.js)
+  pdf: {
+    titulo: 'Mapa Mental: {tema}',
+    criador: 'Gerador de Mapa Mental IA',
+    mapa: { one: 'Mapa', other: 'Mapa ({n} páginas)' },
+    resumo: 'Resumo do Tema',
+    topicos: 'Principais Tópicos',
+    relacoes: 'Relações entre Tópicos',
+    relacionaSe: 'relaciona-se com',
+    links: 'Links',
+  },
+
+  relacoes: {
+    semNovas: 'A IA não encontrou novas relações entre os tópicos deste mapa.',
+    naoCabe: 'Essa relação não cabe mais no mapa: os tópicos mudaram desde a sugestão.',
+    rotulo: 'Rótulo da relação:',
+    descricao: 'Ligações entre tópicos de ramos diferentes, desenhadas tracejadas no mapa.',
+    semRotulo: '(sem rótulo)',
+    procurando: 'Procurando relações... (cancelar)',
+    sugerir: 'Sugerir relações com IA',
+    sugeridas: 'Sugeridas ({n})',
+    aceitar: 'Aceitar',
+    noMapa: 'No mapa ({n})',
+    nenhuma: 'Nenhuma relação ainda.',
+    nenhumaDica: 'Peça sugestões à IA e aceite as que fizerem sentido.',
+    editarRotulo: 'Editar rótulo',
+    remover: 'Remover',
+  },
+
+  exportar: {
+    titulo: 'Exportar Resultado',
+    descricao: 'Baixe seu mapa mental completo, resumo e tópicos em um único arquivo PDF, com texto pesquisável e marcadores, ou só o mapa como imagem. Os dois seguem a aparência escolhida.',
+    pdf: 'Exportar como PDF',
+    imagem: 'Exportar como imagem (PNG)',
+    imagemDica: 'Baixar o mapa como imagem, com o tema escolhido',
+    imagemIndisponivel: 'Volte à visão de mapa para exportar a imagem',
+    apresentacao: 'Exportar apresentação (HTML)',
+    apresentacaoDica: 'Baixar a apresentação do mapa em um arquivo HTML que funciona offline',
+    paginaUnica: 'Página única ampliada',
+    folhasA4: 'Dividir em folhas A4',
+    outrosFormatos: 'Ou exporte para outras ferramentas:',
+    baixar: 'Baixar .{extensao}',
+    incluiMapa: '✓ Mapa visual',
+    incluiResumo: '✓ Resumo do tema',
+    incluiTopicos: '✓ Tópicos detalhados',
+    nomeArquivo: 'mapa-mental',
+    erroPdf: 'Não foi possível exportar o PDF',
+    erroImagem: 'Não foi possível exportar a imagem',
+    mapaNaoDesenhado: 'O mapa ainda não foi desenhado.',
+    formatos: {
+      json: 'JSON (nativo)',
+      markdown: 'Markdown',
+      opml: 'OPML',
+      freemind: 'FreeMind / Freeplane',
+      mermaid: 'Mermaid',
+    },
+  },
+
+  erros: {
+    abrirMapa: 'Não foi possível abrir o mapa',
+    mapaNaoSalvo: 'Ele não está salvo neste navegador.',
+    copieOLink: 'Copie o link do mapa:',
+    gerarLink: 'Não foi possível gerar o link',
+    salvarCopia: 'Não foi possível salvar a cópia',
+    importar: 'Não foi possível importar "{arquivo}"',
+    inesperado: 'Ocorreu um erro inesperado. Tente de novo.',
+    // Motivos lançados pelas bibliotecas (LocalizedError, ver i18n.js)
+    link: {
+      corrompido: 'O link de compartilhamento está incompleto ou corrompido.',
+      versaoNova: 'O link foi criado por uma versão mais nova do aplicativo (formato {versao}).',
+      semMapa: 'O link de compartilhamento não contém um mapa.',
+    },
+    arquivo: {
+      semTopicos: 'O arquivo não contém nenhum tópico.',
+      jsonInvalido: 'O arquivo não é um JSON válido.',
+      versaoNova: 'O arquivo é da versão {versao}, mais nova que a suportada ({suportada}).',
+      jsonSemMapa: 'O JSON não contém um mapa mental.',
+      xmlInvalido: 'O XML é inválido: {detalhe}',
+      freemindSemCentral: 'O arquivo .mm não tem nó central.',
+      opmlSemBody: 'O arquivo OPML não tem <body>.',
+      opmlVazio: 'O arquivo OPML não tem nenhum <outline>.',
+      markdownVazio: 'Nenhum título (#) ou item de lista (-) foi encontrado no Markdown.',
+      semMindmap: 'O arquivo não contém um diagrama "mindmap" do Mermaid.',
+      mindmapVazio: 'O mindmap do Mermaid está vazio.',
+    },
+  },
+
+  // Problemas na resposta da IA, pelo código do erro (ver validation.js)
+  validacao: {
+    JSON_INVALIDO: 'A resposta não é um JSON válido.',
+    ESTRUTURA: 'A resposta não tem a estrutura pedida.',
+    SEM_NOS: 'A resposta não trouxe nenhum tópico.',
+    SEM_RESUMO: 'A resposta não trouxe o resumo do tema.',
+    SEM_ID: 'Um tópico veio sem identificador.',
+    ID_DUPLICADO: 'O identificador "{topico}" aparece em mais de um tópico.',
+    SEM_LABEL: 'O tópico "{topico}" veio sem título.',
+    SEM_DESCRICAO: 'O tópico "{topico}" veio sem descrição.',
+    ARESTA_INVALIDA: 'Uma ligação aponta para um tópico que não existe.',
+    MULTIPLOS_PAIS: 'O tópico "{topico}" ficou com mais de um pai.',
+    CICLO: 'As ligações entre os tópicos formam um ciclo.',
+    NO_ORFAO: 'O tópico "{topico}" não está ligado a nenhum outro.',
+    MULTIPLAS_RAIZES: 'O mapa veio com {n} tópicos centrais em vez de um.',
+    SEM_CARTOES: 'Nenhum cartão de estudo válido foi gerado.',
+    SEM_FONTES: 'Só {citados} de {total} tópicos citam trechos do documento.',
+    SEM_NOTAS: 'A resposta não trouxe as notas.',
+    SEM_PONTOS: 'Nenhum ponto da resposta cita os trechos desta parte do documento.',
+    SEM_RELACOES: 'Nenhuma relação sugerida liga tópicos válidos.',
+  },
+
+  // Falhas da IA (ver aiErrors.js)
+  falhas: {
+    provedorPadrao: 'provedor de IA',
+    detalhes: 'Detalhes técnicos',
+    tentarDeNovo: 'Tentar de novo',
+    abrirConfiguracoes: 'Abrir configurações',
+    segundos: '{n} s',
+    minutos: '{n} min',
+    chave: {
+      titulo: 'Chave de API inválida ou ausente',
+      mensagem: 'A chave de API foi recusada ({provedor}). Confira a chave nas configurações (ou a GEMINI_API_KEY do servidor de IA).',
+    },
+    cota: {
+      titulo: 'Cota da IA esgotada',
+      mensagem: 'A conta usada ({provedor}) atingiu o limite de uso. Tente mais tarde ou escolha outro provedor nas configurações.',
+    },
+    limite: {
+      titulo: 'Muitos pedidos seguidos',
+      aguarde: 'Aguarde {espera} antes de pedir de novo.',
+      mensagem: 'Aguarde alguns instantes antes de pedir de novo.',
+    },
+    sobrecarga: {
+      titulo: 'Serviço de IA indisponível',
+      mensagem: 'O serviço ({provedor}) está sobrecarregado ou fora do ar, mesmo após novas tentativas. Tente de novo daqui a pouco.',
+    },
+    bloqueado: {
+      titulo: 'Conteúdo bloqueado',
+      mensagem: 'O filtro de segurança da IA recusou este pedido. Reformule o tema ou escolha outro assunto.',
+    },
+    offline: {
+      titulo: 'Sem conexão',
+      mensagem: 'Você está offline. Verifique a internet e tente de novo.',
+    },
+    rede: {
+      titulo: 'Falha de conexão',
+      mensagem: 'Não foi possível falar com o serviço ({provedor}). Confira o endereço nas configurações ou a sua rede.',
+    },
+    formato: {
+      titulo: 'Resposta da IA em formato inválido',
+      mensagem: 'A IA devolveu uma resposta com problemas mesmo após as correções automáticas. Tente de novo ou use outro modelo.',
+    },
+    desconhecida: {
+      titulo: 'Algo deu errado',
+      mensagem: 'Erro desconhecido.',
+    },
+  },
+
+  aparencia: {
+    titulo: 'Aparência',
+    tema: 'Tema',
+    temas: {
+      claro: 'Claro',
+      escuro: 'Escuro',
+      pastel: 'Pastel',
+      contraste: 'Alto contraste',
+    },
+    ligacoes: 'Ligações',
+    tiposLigacao: {
+      default: 'Curva',
+      straight: 'Reta',
+      step: 'Em degraus',
+      smoothstep: 'Degraus arredondados',
+    },
+    animar: 'Animar as ligações',
+    dicaRotulo: 'No modo de edição, dê duplo clique numa ligação para escrever um rótulo nela.',
+  },
+
+  colab: {
+    conectando: 'Conectando à sala...',
+    aoVivo: 'Ao vivo',
+    desconectado: 'Sem conexão; tentando de novo (as edições são enviadas ao reconectar)',
+    seuNome: 'Como você quer aparecer para o grupo?',
+    voce: '{nome} (você) · clique para mudar o nome',
+    participantes: {
+      zero: 'Só você por enquanto',
+      one: 'Você e mais {n} pessoa',
+      other: 'Você e mais {n} pessoas',
+    },
+    conviteCopiado: 'Convite copiado!',
+    copiarConvite: 'Copiar convite',
+    sair: 'Sair da sala',
+  },
+
+  documento: {
+    titulo: 'Gerar a partir de um documento',
+    erroLeitura: 'Não foi possível ler "{arquivo}": {detalhe}',
+    pdfSemTexto: 'O PDF não tem texto selecionável (pode ser uma imagem escaneada).',
+    arquivoVazio: 'O arquivo está vazio.',
+    textoColado: 'Texto colado',
+    caracteres: { one: '{n} caractere', other: '{n} caracteres' },
+    paginas: { one: '{n} página', other: '{n} páginas' },
+    lidoEmPartes: 'lido em {n} partes',
+    remover: 'Remover documento',
+    lendo: 'Lendo o documento...',
+    escolher: 'Escolher arquivo .txt, .md ou .pdf',
+    placeholder: '...ou cole aqui o texto (anotações de aula, um artigo)',
+    rotuloTexto: 'Texto do documento',
+    usarTexto: 'Usar este texto',
+    dica: 'O tema digitado acima é opcional e serve para indicar o foco dentro do documento. Cada tópico do mapa guarda os trechos do documento de onde veio.',
+  },
+
+  opcoes: {
+    titulo: 'Opções de geração',
+    proposito: 'Propósito',
+    propositos: {
+      estudo: 'Estudo',
+      brainstorming: 'Brainstorming',
+      projeto: 'Planejamento de projeto',
+    },
+    niveis: 'Níveis abaixo do tema',
+    maxFilhos: 'Máximo de subtópicos por nó',
+    publico: 'Público-alvo',
+    publicos: {
+      criancas: 'Crianças',
+      graduacao: 'Graduação',
+      especialista: 'Especialista',
+    },
+    idioma: 'Idioma do mapa',
+    tamanhoDescricao: 'Tamanho das descrições',
+    tamanhos: {
+      curta: 'Curta',
+      media: 'Média',
+      longa: 'Longa',
+    },
+  },
+
+  biblioteca: {
+    titulo: 'Meus Mapas',
+    erro: 'Não foi possível acessar os mapas salvos neste navegador.',
+    confirmarExclusao: 'Excluir o mapa "{nome}"? Esta ação não pode ser desfeita.',
+    buscar: 'Buscar mapas...',
+    salvarNome: 'Salvar nome',
+    topicos: { one: '{n} tópico', other: '{n} tópicos' },
+    abrir: 'Abrir',
+    renomear: 'Renomear',
+    duplicar: 'Duplicar',
+    excluir: 'Excluir',
+    nenhum: 'Nenhum mapa encontrado para "{termo}".',
+  },
+
+  // Tópico no mapa (MindMapNode)
+  no: {
+    adicionarSubtopico: 'Adicionar subtópico',
+    adicionarIrmao: 'Adicionar tópico irmão',
+    regenerar: 'Regenerar este ramo com a IA (as mudanças são revisadas antes de aplicar)',
+    estilo: 'Cor, ícone e forma do tópico',
+    excluir: 'Excluir tópico e subtópicos',
+    rejeitado: 'rejeitado',
+    semTitulo: 'Sem título',
+    novoTopico: 'Novo tópico',
+    adicionarDescricao: 'Duplo clique para adicionar uma descrição',
+    proposta: 'Proposta:',
+    mudaDeLugar: 'Muda de lugar no mapa.',
+    aceitar: 'Aceitar esta mudança',
+    rejeitar: 'Rejeitar esta mudança',
+    verTrechos: { one: 'Ver o trecho do documento', other: 'Ver os {n} trechos do documento' },
+    mostrarOcultos: { one: 'Mostrar {n} subtópico oculto', other: 'Mostrar {n} subtópicos ocultos' },
+    recolher: 'Recolher subtópicos',
+    focar: 'Focar neste ramo',
+    expandir: 'Expandir este tópico com a IA',
+    extras: 'Ver notas, links e imagens do tópico',
+  },
+
+  estilo: {
+    titulo: 'Estilo do tópico',
+    cor: 'Cor do ramo',
+    automatica: 'Automática',
+    corValor: 'Cor {cor}',
+    icone: 'Ícone',
+    semIcone: 'Sem ícone',
+    icones: {
+      ideia: 'Ideia',
+      destaque: 'Destaque',
+      objetivo: 'Objetivo',
+      leitura: 'Leitura',
+      duvida: 'Dúvida',
+      concluido: 'Concluído',
+      atencao: 'Atenção',
+      favorito: 'Favorito',
+      marco: 'Marco',
+      lancamento: 'Lançamento',
+      energia: 'Energia',
+      prazo: 'Prazo',
+    },
+    forma: 'Forma',
+    formas: {
+      arredondado: 'Arredondado',
+      retangulo: 'Retângulo',
+      pilula: 'Pílula',
+    },
+  },
+
+  // Revisão de uma regeneração (ReviewPanel e destaques no mapa)
+  revisao: {
+    titulo: 'Revisar mudanças',
+    descartarDica: 'Descartar a nova versão (Esc)',
+    tipos: {
+      adicionado: 'Novo',
+      removido: 'Removido',
+      alterado: 'Alterado',
+    },
+    novos: { one: '{n} novo', other: '{n} novos' },
+    removidos: { one: '{n} removido', other: '{n} removidos' },
+    alterados: { one: '{n} alterado', other: '{n} alterados' },
+    aceitarTodas: 'Aceitar todas',
+    rejeitarTodas: 'Rejeitar todas',
+    novoResumo: 'Usar o novo resumo',
+    decisao: 'Decisão sobre "{titulo}"',
+    tituloAntes: 'Título antes:',
+    novaDescricao: 'Nova descrição:',
+    vazia: '(vazia)',
+    aplicar: 'Aplicar ({aceitas} de {total})',
+    descartar: 'Descartar',
+  },
+
+  detalhes: {
+    fechar: 'Fechar detalhes (Esc)',
+    caminho: 'Caminho:',
+    semDescricao: 'Sem descrição.',
+    subtopicos: {
+      zero: 'Sem subtópicos.',
+      one: '{n} subtópico neste ramo.',
+      other: '{n} subtópicos neste ramo.',
+    },
+    subtopicosRecolhidos: {
+      zero: 'Sem subtópicos.',
+      one: '{n} subtópico neste ramo (recolhido).',
+      other: '{n} subtópicos neste ramo (recolhidos).',
+    },
+    trechos: 'Trechos de {documento}',
+    documento: 'documento',
+    pagina: 'página {n}',
+    regenerarDica: 'Gerar uma nova versão deste tópico e dos subtópicos, para revisar antes de aplicar',
+    regenerar: 'Regenerar este ramo',
+    notas: 'Notas',
+    semNotas: 'Nenhuma nota ainda.',
+    editarNotas: 'Editar',
+    placeholderNotas: 'Escreva em Markdown: ## título, - lista, **negrito**, *itálico*, [texto](https://...)',
+    salvar: 'Salvar',
+    elaborar: 'Aprofundar com a IA',
+    elaborarDica: 'Pedir à IA uma explicação mais completa deste tópico, acrescentada às notas',
+    elaborando: 'Escrevendo as notas...',
+    links: 'Links',
+    endereco: 'Endereço do link',
+    tituloLink: 'Título (opcional)',
+    adicionarLink: 'Adicionar',
+    urlInvalida: 'Informe um endereço http(s) ou mailto válido.',
+    removerLink: 'Remover link',
+    imagens: 'Imagens',
+    anexarImagem: 'Anexar imagem',
+    lendoImagem: 'Lendo a imagem...',
+    limiteImagens: 'Limite de {n} imagens por tópico.',
+    erroImagem: 'Não foi possível anexar "{arquivo}": {detalhe}',
+    imagemInvalida: 'O arquivo não é uma imagem.',
+    imagemGrande: 'A imagem passa de {maximo} MB.',
+    imagemIlegivel: 'Não foi possível ler a imagem.',
+    removerImagem: 'Remover imagem',
+  },
+
+  configuracoes: {
+    titulo: 'Provedor de IA',
+    provedores: {
+      servidor: 'Servidor do projeto',
+      gemini: 'Gemini (chave direta)',
+      openai: 'Compatível com OpenAI',
+      ollama: 'Ollama (local)',
+      fixture: 'Demonstração offline',
+    },
+    descricoes: {
+      servidor: 'Usa o Gemini pelo servidor de IA do projeto (npm run api), que guarda a chave. A chave não passa pelo navegador.',
+      gemini: 'Modo de desenvolvimento: a chave fica no navegador. Não use num site publicado.',
+      fixture: 'Gera mapas prontos, sem rede e sem custo. Ideal para demonstrações e testes.',
+    },
+    campos: {
+      baseUrl: 'URL base',
+      model: 'Modelo',
+      apiKey: 'Chave de API',
+    },
+  },
+
+  apresentacao: {
+    titulo: 'Apresentação',
+    ordem: 'Ordem:',
+    ordens: {
+      profundidade: 'Ramo a ramo',
+      largura: 'Nível a nível',
+    },
+    anterior: 'Anterior',
+    proximo: 'Próximo',
+    sair: 'Sair da apresentação (Esc)',
+    passo: '{atual} / {total}',
+    baixarHtml: 'Baixar HTML',
+    baixarHtmlDica: 'Baixar esta apresentação, na ordem escolhida, em um arquivo HTML que funciona offline',
+    dica: '← → para navegar · Esc para sair',
+    dicaHtml: '← → para navegar · F para tela cheia',
+  },
+
+  estudo: {
+    titulo: 'Modo de estudo',
+    tipos: {
+      flashcard: 'Flashcard',
+      multipla: 'Múltipla escolha',
+      lacuna: 'Completar',
+    },
+    ia: 'IA',
+    comoFoi: 'Como foi?',
+    notas: {
+      errei: 'Errei',
+      dificil: 'Difícil',
+      bom: 'Bom',
+      facil: 'Fácil',
+    },
+    mostrarResposta: 'Mostrar resposta',
+    digiteResposta: 'Digite a resposta',
+    conferir: 'Conferir',
+    correto: 'Correto!',
+    respostaCerta: 'Resposta certa: {resposta}',
+    continuar: 'Continuar',
+    erroProgresso: 'Não foi possível carregar o progresso salvo; ele não será guardado nesta sessão.',
+    confirmarZerar: 'Apagar todo o progresso de estudo deste mapa?',
+    paraRevisar: 'para revisar',
+    novos: 'novos',
+    agendados: 'agendados',
+    estudar: { zero: 'Nada para revisar hoje', one: 'Estudar {n} cartão', other: 'Estudar {n} cartões' },
+    gerarDica: 'Gerar questões mais elaboradas com a IA',
+    gerar: 'Gerar questões com a IA',
+    zerar: 'Zerar progresso',
+    rodape: '{n} cartões ({ia} da IA). O progresso fica salvo neste navegador, e cada cartão volta para revisão em intervalos cada vez maiores conforme você acerta.',
+    concluida: 'Sessão concluída!',
+    acertos: { one: '{acertos} de {n} resposta certa.', other: '{acertos} de {n} respostas certas.' },
+    voltar: 'Voltar ao resumo',
+    // Cartões gerados da estrutura do mapa (ver study.js)
+    perguntas: {
+      oQueE: 'O que é "{label}"?',
+      oQueEDentro: 'O que é "{label}", dentro de "{pai}"?',
+      qualDescricao: 'Qual descrição corresponde a "{label}"?',
+      quaisSubtopicos: 'Quais são os subtópicos de "{label}"?',
+      subtopicoDe: '"{label}" é um subtópico de qual tema?',
+      dicaLacuna: 'Subtópico de "{pai}"',
+    },
+  },
+};
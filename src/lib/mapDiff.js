@@ -0,0 +1,254 @@
+// --- COMPARAÇÃO ENTRE VERSÕES DO MAPA ---
+// Ao regenerar o mapa (ou um ramo), a proposta da IA é comparada com o mapa
+// atual tópico a tópico. O usuário aceita ou rejeita cada mudança antes de
+// aplicar; o resultado mistura o que foi aceito da proposta com o resto do mapa.
+
+import { buildTree, createNodeId, isRelationEdge } from './graph';
+import { getSubtreeIds } from './editing';
+import { normalizeText } from './text';
+
+export const MUDANCAS = {
+  ADICIONADO: 'adicionado',
+  REMOVIDO: 'removido',
+  ALTERADO: 'alterado',
+};
+
+// Títulos comparados sem maiúsculas, acentos e pontuação
+const chaveTitulo = (label = '') => normalizeText(label)
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const textos = (no) => ({ label: no.data.label || '', descricao: no.data.descricao || '' });
+
+/**
+ * Compara o mapa atual com uma proposta gerada pela IA.
+ *
+ * Os tópicos são pareados a partir da raiz: filhos de tópicos pareados com o
+ * mesmo título são o mesmo tópico. Títulos que sobram são procurados no resto do
+ * escopo (tópico que mudou de lugar). A raiz da proposta é sempre o nó `raizId`.
+ *
+ * @param {{ nodes, edges }} atual Mapa atual (formato do React Flow)
+ * @param {{ nodes, edges }} proposta Mapa no formato da IA, com ids próprios
+ * @param {string} raizId Nó do mapa atual que a proposta substitui (a raiz, ou o ramo regenerado)
+ * @returns {{ proposta: { nodes, edges }, mudancas: Array<{ id, tipo, antes?, depois?, moveu? }> }}
+ *   A proposta volta com os ids do mapa atual nos tópicos pareados e ids novos nos demais
+ */
+export function diffMaps(atual, proposta, raizId) {
+  const arvoreAtual = buildTree(atual.nodes, atual.edges);
+  const arvoreProposta = buildTree(proposta.nodes, proposta.edges);
+  const noAtual = new Map(atual.nodes.map(n => [n.id, n]));
+  const escopo = getSubtreeIds(atual.nodes, atual.edges, raizId);
+  const raizProposta = proposta.nodes.find(n => !arvoreProposta.parent.has(n.id))?.id ?? proposta.nodes[0]?.id;
+
+  // id da proposta → id do mapa atual
+  const pares = new Map([[raizProposta, raizId]]);
+  const pareados = new Set([raizId]);
+
+  const parear = (idProposta, idAtual) => {
+    const livres = (arvoreAtual.children.get(idAtual) || []).filter(id => !pareados.has(id));
+    (arvoreProposta.children.get(idProposta) || []).forEach(filho => {
+      const chave = chaveTitulo(proposta.nodes.find(n => n.id === filho)?.data?.label);
+      const igual = livres.find(id => !pareados.has(id) && chaveTitulo(noAtual.get(id).data.label) === chave);
+      if (igual) {
+        pares.set(filho, igual);
+        pareados.add(igual);
+      }
+    });
+    (arvoreProposta.children.get(idProposta) || []).forEach(filho => {
+      if (pares.has(filho)) parear(filho, pares.get(filho));
+    });
+  };
+  parear(raizProposta, raizId);
+
+  // Segunda passada: tópicos que mudaram de pai, pareados pelo título em todo o escopo
+  const sobrasAtuais = [...escopo].filter(id => !pareados.has(id));
+  proposta.nodes.forEach(n => {
+    if (pares.has(n.id)) return;
+    const chave = chaveTitulo(n.data?.label);
+    const igual = sobrasAtuais.find(id => !pareados.has(id) && chaveTitulo(noAtual.get(id).data.label) === chave);
+    if (igual) {
+      pares.set(n.id, igual);
+      pareados.add(igual);
+    }
+  });
+
+  // Ids finais: os do mapa atual nos pares, novos nos tópicos acrescentados
+  const existentes = new Set(atual.nodes.map(n => n.id));
+  const idFinal = new Map(proposta.nodes.map(n => {
+    if (pares.has(n.id)) return [n.id, pares.get(n.id)];
+    const novo = createNodeId(existentes);
+    existentes.add(novo);
+    return [n.id, novo];
+  }));
+
+  const nodes = proposta.nodes.map(n => ({
+    id: idFinal.get(n.id),
+    data: { label: n.data.label, descricao: n.data.descricao || '' },
+  }));
+  const edges = proposta.edges
+    .filter(e => idFinal.has(e.source) && idFinal.has(e.target))
+    .map(e => ({ id: `e${idFinal.get(e.source)}-${idFinal.get(e.target)}`, source: idFinal.get(e.source), target: idFinal.get(e.target) }));
+  const paiNovo = new Map(edges.map(e => [e.target, e.source]));
+
+  const mudancas = [];
+  nodes.forEach(n => {
+    if (!noAtual.has(n.id)) {
+      mudancas.push({ id: n.id, tipo: MUDANCAS.ADICIONADO, depois: textos(n) });
+      return;
+    }
+    const antes = textos(noAtual.get(n.id));
+    const depois = textos(n);
+    const moveu = n.id !== raizId && paiNovo.get(n.id) !== arvoreAtual.parent.get(n.id);
+    if (moveu || antes.label !== depois.label || antes.descricao !== depois.descricao) {
+      mudancas.push({ id: n.id, tipo: MUDANCAS.ALTERADO, antes, depois, moveu });
+    }
+  });
+  const naProposta = new Set(nodes.map(n => n.id));
+  atual.nodes.forEach(n => {
+    if (escopo.has(n.id) && !naProposta.has(n.id)) {
+      mudancas.push({ id: n.id, tipo: MUDANCAS.REMOVIDO, antes: textos(n) });
+    }
+  });
+
+  return { proposta: { nodes, edges }, mudancas };
+}
+
+/**
+ * Mapa usado na revisão: o atual mais os tópicos acrescentados pela proposta,
+ * ligados ao pai que têm na proposta. Removidos e alterados continuam no lugar de antes.
+ */
+export function buildReviewMap(atual, revisao) {
+  const porId = new Map(revisao.proposta.nodes.map(n => [n.id, n]));
+  const adicionados = revisao.mudancas.filter(m => m.tipo === MUDANCAS.ADICIONADO);
+  const paiNovo = new Map(revisao.proposta.edges.map(e => [e.target, e.source]));
+
+  return {
+    nodes: [
+      ...atual.nodes.map(({ id, type, position, data }) => ({ id, type, position, data: { ...data, recolhido: false } })),
+      ...adicionados.map(m => ({ id: m.id, type: 'mindmap', position: { x: 0, y: 0 }, data: { ...porId.get(m.id).data, id: m.id } })),
+    ],
+    edges: [
+      ...atual.edges.filter(e => !isRelationEdge(e)).map(({ id, source, target }) => ({ id, source, target })),
+      ...adicionados
+        .filter(m => paiNovo.has(m.id))
+        .map(m => ({ id: `e${paiNovo.get(m.id)}-${m.id}`, source: paiNovo.get(m.id), target: m.id })),
+    ],
+  };
+}
+
+/**
+ * Aplica as mudanças aceitas ao mapa atual.
+ *
+ * Cada tópico fica sob o pai da versão que valeu para ele (a proposta, se a
+ * mudança foi aceita ou não houve mudança; a atual, se foi rejeitada). Se esse
+ * pai ficou de fora, sobe pelos ancestrais até achar um que ficou.
+ *
+ * @param {{ nodes, edges }} atual
+ * @param {{ proposta, mudancas }} revisao Resultado de diffMaps
+ * @param {string} raizId
+ * @param {Set<string>} aceitas Ids das mudanças aceitas
+ * @returns {{ nodes, edges }} Nós sem posição calculada para os acrescentados (refazer o layout)
+ */
+export function applyReview(atual, revisao, raizId, aceitas) {
+  const { parent: paiAtual } = buildTree(atual.nodes, atual.edges);
+  const paiProposta = new Map(revisao.proposta.edges.map(e => [e.target, e.source]));
+  const noProposta = new Map(revisao.proposta.nodes.map(n => [n.id, n]));
+  const mudanca = new Map(revisao.mudancas.map(m => [m.id, m]));
+  const escopo = getSubtreeIds(atual.nodes, atual.edges, raizId);
+
+  // Quem fica no mapa e em qual versão (proposta ou atual)
+  const segueProposta = new Set();
+  const ficam = new Set();
+  atual.nodes.forEach(n => {
+    const m = mudanca.get(n.id);
+    if (!escopo.has(n.id)) ficam.add(n.id);
+    else if (!m) {
+      ficam.add(n.id);
+      if (noProposta.has(n.id)) segueProposta.add(n.id);
+    } else if (m.tipo === MUDANCAS.REMOVIDO) {
+      if (!aceitas.has(n.id)) ficam.add(n.id);
+    } else {
+      ficam.add(n.id);
+      if (aceitas.has(n.id)) segueProposta.add(n.id);
+    }
+  });
+  const adicionados = revisao.mudancas.filter(m => m.tipo === MUDANCAS.ADICIONADO && aceitas.has(m.id));
+  adicionados.forEach(m => {
+    ficam.add(m.id);
+    segueProposta.add(m.id);
+  });
+
+  const acharPai = (id) => {
+    if (id === raizId) return paiAtual.get(id);
+    let pai = segueProposta.has(id) ? paiProposta.get(id) : paiAtual.get(id);
+    const vistos = new Set([id]);
+    while (pai && !ficam.has(pai) && !vistos.has(pai)) {
+      vistos.add(pai);
+      pai = paiProposta.get(pai) ?? paiAtual.get(pai);
+    }
+    return pai && ficam.has(pai) ? pai : raizId;
+  };
+
+  const nodes = [
+    ...atual.nodes.filter(n => ficam.has(n.id)).map(n => {
+      if (!segueProposta.has(n.id) || !mudanca.has(n.id)) return n;
+      const { label, descricao } = noProposta.get(n.id).data;
+      return { ...n, data: { ...n.data, label, descricao } };
+    }),
+    ...adicionados.map(m => ({
+      id: m.id,
+      type: 'mindmap',
+      position: { x: 0, y: 0 },
+      data: { ...noProposta.get(m.id).data, id: m.id },
+    })),
+  ];
+
+  // Ordem dos irmãos: a da proposta, com os tópicos que só existem no mapa atual
+  // intercalados onde estavam antes
+  const noAtual = new Set(atual.nodes.map(n => n.id));
+  const ordemAtual = atual.nodes.map(n => n.id).filter(id => escopo.has(id));
+  const posicaoAtual = new Map(ordemAtual.map((id, i) => [id, i]));
+  const soAtual = ordemAtual.filter(id => !noProposta.has(id));
+  const ordem = [];
+  let proximo = 0;
+  revisao.proposta.nodes.forEach(({ id }) => {
+    if (noAtual.has(id)) {
+      while (proximo < soAtual.length && posicaoAtual.get(soAtual[proximo]) < posicaoAtual.get(id)) {
+        ordem.push(soAtual[proximo++]);
+      }
+    }
+    ordem.push(id);
+  });
+  ordem.push(...soAtual.slice(proximo));
+
+  const paiFinal = new Map(ordem.filter(id => id !== raizId && ficam.has(id)).map(id => [id, acharPai(id)]));
+  // Aceitar a mudança de lugar de um tópico e rejeitar a de outro pode fechar um
+  // ciclo (A sob B e B sob A); o tópico que fecha o ciclo vai para a raiz do escopo
+  paiFinal.forEach((_pai, id) => {
+    const caminho = new Set([id]);
+    let pai = paiFinal.get(id);
+    while (paiFinal.has(pai) && !caminho.has(pai)) {
+      caminho.add(pai);
+      pai = paiFinal.get(pai);
+    }
+    if (pai === id) paiFinal.set(id, raizId);
+  });
+
+  // Arestas fora do escopo ficam como estão; as de dentro são refeitas na ordem
+  // acima. Relações continuam enquanto os dois tópicos ficarem no mapa
+  const arvore = atual.edges.filter(e => !isRelationEdge(e));
+  const arestaAtual = new Map(arvore.map(e => [`${e.source}>${e.target}`, e]));
+  const edges = [
+    ...arvore.filter(e => !escopo.has(e.target) || e.target === raizId),
+    ...[...paiFinal].map(([id, pai]) => arestaAtual.get(`${pai}>${id}`) || { id: `e${pai}-${id}`, source: pai, target: id }),
+    ...atual.edges.filter(e => isRelationEdge(e) && ficam.has(e.source) && ficam.has(e.target)),
+  ];
+
+  return { nodes, edges };
+}
+
+// Conteúdo do mapa sem posições nem estado de exibição, para saber se duas versões diferem
+export const mapSignature = ({ nodes, edges }) => JSON.stringify([
+  nodes.map(n => [n.id, n.data.label || '', n.data.descricao || '']).sort(),
+  edges.map(e => `${e.source}>${e.target}`).sort(),
+]);
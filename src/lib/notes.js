@@ -0,0 +1,224 @@
+// --- NOTAS, LINKS E IMAGENS DOS TÓPICOS ---
+// Além do título e da descrição curta do cartão, cada tópico pode guardar
+// conteúdo longo, editado no painel de detalhes e salvo com o mapa:
+//
+//   data.notas    Texto em Markdown
+//   data.links    [{ url, titulo }]
+//   data.imagens  [{ id, nome, src, largura, altura }] (src é um data URL JPEG reduzido)
+//
+// Do Markdown vale um subconjunto: títulos (#, ##, ###), parágrafos, listas,
+// citações, blocos de código, negrito, itálico, código em linha e links. Ele é
+// lido aqui em blocos e trechos, que o painel desenha como elementos React
+// (nunca como HTML) e o PDF escreve como texto.
+
+import { cleanJsonString } from './validation';
+import { LocalizedError } from './i18n';
+
+export const IMAGE_ACCEPT = 'image/png,image/jpeg,image/gif,image/webp';
+export const MAX_IMAGENS = 6;
+
+// Imagens são reduzidas antes de entrar no mapa, que vai inteiro para o
+// IndexedDB, o histórico de versões e a sala de colaboração
+const LADO_MAXIMO = 1024;
+const QUALIDADE_JPEG = 0.82;
+const ARQUIVO_MAXIMO = 15 * 1024 * 1024;
+
+const isTexto = (v) => typeof v === 'string' && v.trim() !== '';
+const erro = (codigo, params = {}) => ({ codigo, params });
+
+/**
+ * Se o tópico tem notas, links ou imagens (o cartão mostra um indicador).
+ */
+export const hasNodeExtras = (data) => Boolean(isTexto(data.notas) || data.links?.length || data.imagens?.length);
+
+/**
+ * URL segura para abrir em nova aba: http(s) ou mailto. Sem esquema, assume
+ * https ("exemplo.com" vira "https://exemplo.com/"). Retorna null se não servir.
+ */
+export function normalizeUrl(texto = '') {
+  const bruto = texto.trim();
+  if (!bruto) return null;
+  const comEsquema = /^[a-z][a-z\d+.-]*:/i.test(bruto) ? bruto : `https://${bruto}`;
+  try {
+    const url = new URL(comEsquema);
+    return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// --- MARKDOWN ---
+
+const TITULO = /^(#{1,3})\s+(.*)$/;
+const ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const CITACAO = /^\s*>\s?(.*)$/;
+const CERCA = /^\s*```/;
+
+/**
+ * Divide o Markdown em blocos:
+ * `{ tipo: 'titulo', nivel, texto }`, `{ tipo: 'paragrafo', texto }`,
+ * `{ tipo: 'lista', ordenada, itens }`, `{ tipo: 'citacao', texto }` e
+ * `{ tipo: 'codigo', texto }`. O texto dos blocos (menos o código) ainda tem
+ * as marcações em linha, lidas por parseInline.
+ */
+export function parseMarkdown(texto = '') {
+  const linhas = String(texto).replace(/\r\n?/g, '\n').split('\n');
+  const blocos = [];
+  let paragrafo = [];
+  // Uma linha em branco separa listas e citações seguidas
+  let anteriorVazia = true;
+
+  const fecharParagrafo = () => {
+    if (paragrafo.length > 0) blocos.push({ tipo: 'paragrafo', texto: paragrafo.join(' ') });
+    paragrafo = [];
+  };
+  const ultimo = () => blocos[blocos.length - 1];
+
+  for (let i = 0; i < linhas.length; i++) {
+    const linha = linhas[i];
+
+    if (CERCA.test(linha)) {
+      fecharParagrafo();
+      const codigo = [];
+      for (i++; i < linhas.length && !CERCA.test(linhas[i]); i++) codigo.push(linhas[i]);
+      blocos.push({ tipo: 'codigo', texto: codigo.join('\n') });
+      anteriorVazia = false;
+      continue;
+    }
+    if (!linha.trim()) {
+      fecharParagrafo();
+      anteriorVazia = true;
+      continue;
+    }
+
+    const titulo = linha.match(TITULO);
+    const item = linha.match(ITEM);
+    const citacao = linha.match(CITACAO);
+    if (titulo) {
+      fecharParagrafo();
+      blocos.push({ tipo: 'titulo', nivel: titulo[1].length, texto: titulo[2].trim() });
+    } else if (item) {
+      fecharParagrafo();
+      const ordenada = /\d/.test(item[1]);
+      const lista = ultimo();
+      if (lista?.tipo === 'lista' && lista.ordenada === ordenada) lista.itens.push(item[2].trim());
+      else blocos.push({ tipo: 'lista', ordenada, itens: [item[2].trim()] });
+    } else if (citacao) {
+      fecharParagrafo();
+      const bloco = ultimo();
+      if (bloco?.tipo === 'citacao' && !anteriorVazia) bloco.texto += ` ${citacao[1].trim()}`;
+      else blocos.push({ tipo: 'citacao', texto: citacao[1].trim() });
+    } else if (/^\s/.test(linha) && paragrafo.length === 0 && ultimo()?.tipo === 'lista' && !anteriorVazia) {
+      // Linha recuada logo abaixo de um item continua o item
+      const { itens } = ultimo();
+      itens[itens.length - 1] += ` ${linha.trim()}`;
+    } else {
+      paragrafo.push(linha.trim());
+    }
+    anteriorVazia = false;
+  }
+  fecharParagrafo();
+  return blocos;
+}
+
+const EM_LINHA = /\*\*(.+?)\*\*|\*(.+?)\*|(?<!\w)_(.+?)_(?!\w)|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+/**
+ * Trechos de uma linha de Markdown: `{ tipo: 'texto' | 'negrito' | 'italico' | 'codigo', texto }`
+ * e `{ tipo: 'link', texto, url }`. Links com endereço inseguro viram texto.
+ */
+export function parseInline(texto = '') {
+  const trechos = [];
+  let fim = 0;
+  for (const m of texto.matchAll(EM_LINHA)) {
+    if (m.index > fim) trechos.push({ tipo: 'texto', texto: texto.slice(fim, m.index) });
+    if (m[1] !== undefined) trechos.push({ tipo: 'negrito', texto: m[1] });
+    else if (m[2] !== undefined || m[3] !== undefined) trechos.push({ tipo: 'italico', texto: m[2] ?? m[3] });
+    else if (m[4] !== undefined) trechos.push({ tipo: 'codigo', texto: m[4] });
+    else {
+      const url = normalizeUrl(m[6]);
+      trechos.push(url ? { tipo: 'link', texto: m[5], url } : { tipo: 'texto', texto: m[5] });
+    }
+    fim = m.index + m[0].length;
+  }
+  if (fim < texto.length) trechos.push({ tipo: 'texto', texto: texto.slice(fim) });
+  return trechos;
+}
+
+/**
+ * Texto de uma linha sem as marcações, com o endereço dos links entre parênteses.
+ */
+export const inlineToText = (texto) => parseInline(texto)
+  .map(t => (t.tipo === 'link' && t.url !== t.texto ? `${t.texto} (${t.url})` : t.texto))
+  .join('');
+
+// --- IMAGENS ---
+
+/**
+ * Lê uma imagem escolhida pelo usuário, reduzida a no máximo LADO_MAXIMO px
+ * no lado maior e convertida em JPEG.
+ *
+ * @param {File} arquivo
+ * @returns {Promise<{ id: string, nome: string, src: string, largura: number, altura: number }>}
+ */
+export async function readImageFile(arquivo) {
+  if (!arquivo.type.startsWith('image/')) {
+    throw new LocalizedError('detalhes.imagemInvalida');
+  }
+  if (arquivo.size > ARQUIVO_MAXIMO) {
+    throw new LocalizedError('detalhes.imagemGrande', { maximo: ARQUIVO_MAXIMO / 1024 / 1024 });
+  }
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(arquivo);
+  } catch (err) {
+    throw new LocalizedError('detalhes.imagemIlegivel', {}, { cause: err });
+  }
+
+  const escala = Math.min(1, LADO_MAXIMO / Math.max(bitmap.width, bitmap.height));
+  const largura = Math.max(1, Math.round(bitmap.width * escala));
+  const altura = Math.max(1, Math.round(bitmap.height * escala));
+  const canvas = document.createElement('canvas');
+  canvas.width = largura;
+  canvas.height = altura;
+  const contexto = canvas.getContext('2d');
+  // JPEG não tem transparência: o fundo transparente vira branco, e não preto
+  contexto.fillStyle = '#ffffff';
+  contexto.fillRect(0, 0, largura, altura);
+  contexto.drawImage(bitmap, 0, 0, largura, altura);
+  bitmap.close();
+
+  return {
+    id: crypto.randomUUID(),
+    nome: arquivo.name,
+    src: canvas.toDataURL('image/jpeg', QUALIDADE_JPEG),
+    largura,
+    altura,
+  };
+}
+
+// --- NOTAS ESCRITAS PELA IA ---
+
+/**
+ * Valida a resposta do pedido "elaborar" (`{ notas: string }`).
+ *
+ * @param {string} texto Resposta bruta do modelo
+ * @returns {{ dados: string, correcoes: string[], erros: Array }}
+ */
+export function parseElaboration(texto) {
+  let bruto;
+  try {
+    bruto = JSON.parse(cleanJsonString(texto));
+  } catch {
+    return { dados: null, correcoes: [], erros: [erro('JSON_INVALIDO')] };
+  }
+  if (!isTexto(bruto?.notas)) {
+    return { dados: null, correcoes: [], erros: [erro('SEM_NOTAS')] };
+  }
+  return { dados: bruto.notas.trim(), correcoes: [], erros: [] };
+}
+
+/**
+ * Junta as notas da IA às que o tópico já tinha, sem apagar as do usuário.
+ */
+export const appendNotes = (atuais, novas) => (isTexto(atuais) ? `${atuais.trimEnd()}\n\n${novas}` : novas);
@@ -0,0 +1,166 @@
+// --- LEITURA INCREMENTAL DE JSON ---
+// Durante o streaming a resposta chega cortada no meio (`{"mapa": {"nodes": [{"id": "1", "da`).
+// Este parser lê o que já chegou e devolve tudo o que está completo, para o
+// canvas ir mostrando os nós antes do fim da geração.
+
+const FIM = Symbol('fim do texto');
+
+// Sinaliza que o texto acabou dentro de um objeto/array; leva o valor parcial
+class Truncado {
+  constructor(valor) {
+    this.valor = valor;
+  }
+}
+
+const LITERAL = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/;
+
+/**
+ * Interpreta um JSON possivelmente incompleto.
+ *
+ * Regras para o trecho cortado:
+ * - elementos incompletos de arrays são descartados (um nó pela metade não entra);
+ * - em objetos, valores incompletos que são objetos/arrays são mantidos com o que
+ *   já chegou, e valores simples incompletos (string, número) são descartados.
+ *
+ * Texto antes do primeiro `{` ou `[` (como cercas ```json) é ignorado.
+ *
+ * @param {string} texto
+ * @returns {any} O valor lido, ou undefined se ainda não há nada aproveitável
+ */
+export function parsePartialJson(texto) {
+  let i = texto.search(/[{[]/);
+  if (i === -1) return undefined;
+
+  const pularEspacos = () => {
+    while (i < texto.length && /\s/.test(texto[i])) i++;
+    if (i >= texto.length) throw FIM;
+  };
+
+  const lerString = () => {
+    let fim = i + 1;
+    while (fim < texto.length && texto[fim] !== '"') {
+      fim += texto[fim] === '\\' ? 2 : 1;
+    }
+    if (fim >= texto.length) throw FIM;
+    const valor = JSON.parse(texto.slice(i, fim + 1));
+    i = fim + 1;
+    return valor;
+  };
+
+  const lerObjeto = () => {
+    const objeto = {};
+    i++;
+    for (;;) {
+      try {
+        pularEspacos();
+      } catch {
+        throw new Truncado(objeto);
+      }
+      if (texto[i] === '}') {
+        i++;
+        return objeto;
+      }
+      if (texto[i] === ',') {
+        i++;
+        continue;
+      }
+      let chave;
+      try {
+        chave = lerString();
+        pularEspacos();
+        if (texto[i] !== ':') throw new SyntaxError(`Esperado ":" na posição ${i}`);
+        i++;
+        objeto[chave] = lerValor();
+      } catch (err) {
+        if (err instanceof Truncado) objeto[chave] = err.valor;
+        else if (err !== FIM) throw err;
+        throw new Truncado(objeto);
+      }
+    }
+  };
+
+  const lerArray = () => {
+    const lista = [];
+    i++;
+    for (;;) {
+      try {
+        pularEspacos();
+        if (texto[i] === ']') {
+          i++;
+          return lista;
+        }
+        if (texto[i] === ',') {
+          i++;
+          continue;
+        }
+        lista.push(lerValor());
+      } catch (err) {
+        if (err instanceof Truncado || err === FIM) throw new Truncado(lista);
+        throw err;
+      }
+    }
+  };
+
+  const lerValor = () => {
+    pularEspacos();
+    const c = texto[i];
+    if (c === '{') return lerObjeto();
+    if (c === '[') return lerArray();
+    if (c === '"') return lerString();
+    const literal = texto.slice(i).match(LITERAL);
+    // Um literal que encosta no fim do texto pode estar incompleto ("tru", "12")
+    if (!literal || i + literal[0].length >= texto.length) {
+      if (literal || texto.length - i < 6) throw FIM;
+      throw new SyntaxError(`Valor inválido na posição ${i}`);
+    }
+    i += literal[0].length;
+    return JSON.parse(literal[0]);
+  };
+
+  try {
+    return lerValor();
+  } catch (err) {
+    if (err instanceof Truncado) return err.valor;
+    if (err === FIM) return undefined;
+    throw err;
+  }
+}
+
+/**
+ * Extrai de uma resposta parcial do gerador de mapas os nós e arestas já
+ * completos. Arestas só entram quando os dois nós já chegaram.
+ *
+ * @param {string} texto Resposta acumulada até agora
+ * @returns {{ resumo: string, nodes: Array, edges: Array }}
+ */
+export function readPartialMap(texto) {
+  let valor;
+  try {
+    valor = parsePartialJson(texto);
+  } catch {
+    // JSON malformado: a validação no fim da geração cuida disso
+    valor = undefined;
+  }
+  const raiz = valor && typeof valor === 'object' ? valor : {};
+  const mapa = raiz.mapa && typeof raiz.mapa === 'object' ? raiz.mapa : raiz;
+
+  // Ids em string, como o React Flow exige (a validação final faz o mesmo)
+  const nodes = (Array.isArray(mapa.nodes) ? mapa.nodes : [])
+    .filter(n => n && n.id != null && typeof n.data?.label === 'string')
+    .map(n => ({ ...n, id: String(n.id) }));
+  const ids = new Set(nodes.map(n => n.id));
+  const edges = (Array.isArray(mapa.edges) ? mapa.edges : [])
+    .filter(e => e && ids.has(String(e.source)) && ids.has(String(e.target)))
+    .map(e => ({
+      ...e,
+      id: e.id != null ? String(e.id) : `e${e.source}-${e.target}`,
+      source: String(e.source),
+      target: String(e.target),
+    }));
+
+  return {
+    resumo: typeof raiz.resumo === 'string' ? raiz.resumo : '',
+    nodes,
+    edges,
+  };
+}
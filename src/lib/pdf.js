@@ -0,0 +1,487 @@
+// --- EXPORTAÇÃO EM PDF ---
+// O mapa é desenhado como vetor (retângulos, curvas e texto de verdade), então o
+// PDF é pesquisável e copiável e não perde nitidez com zoom. Mapas grandes vão
+// numa página ampliada do tamanho do mapa ou divididos em folhas A4; o resumo e a
+// lista de tópicos (com as notas e os links de cada um) são paginados, com
+// marcadores (bookmarks) por ramo. As páginas
+// do mapa seguem a aparência escolhida (tema, cores dos ramos, ícones, formas e
+// estilo das ligações).
+
+import { jsPDF } from 'jspdf';
+import interRegularUrl from '@expo-google-fonts/inter/400Regular/Inter_400Regular.ttf?url';
+import interBoldUrl from '@expo-google-fonts/inter/700Bold/Inter_700Bold.ttf?url';
+import { buildTree, isRelationEdge } from './graph';
+import { getNodeSize, getTreeEdgePath, getRelationPath } from './layout';
+import { THEMES, DEFAULT_APPEARANCE, getBranchColors, getIconColor } from './theme';
+import { translate, IDIOMA_PADRAO } from './i18n';
+import { parseMarkdown, inlineToText } from './notes';
+
+export const PDF_MODES = {
+  AMPLIADA: 'AMPLIADA', // Uma página do tamanho do mapa
+  A4: 'A4',             // Mapa dividido em folhas A4 (para imprimir)
+};
+
+const PX_PARA_PT = 0.75;       // 1px de tela = 0,75pt de PDF
+const MAX_PAGINA_PT = 14400;   // Limite de tamanho de página da especificação PDF
+const MARGEM = 36;
+const CABECALHO = 40;
+const A4 = { largura: 595.28, altura: 841.89 };
+
+// Cores das páginas de texto; as do mapa vêm do tema
+const CORES = {
+  titulo: '#111827',
+  texto: '#374151',
+  suave: '#6b7280',
+};
+
+// --- FONTES ---
+// As fontes padrão do PDF só cobrem Latin-1; a Inter embutida cobre acentos,
+// grego, cirílico e vietnamita. Carregada só na primeira exportação.
+
+let fontesPromise = null;
+
+const paraBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binario = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binario += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binario);
+};
+
+function carregarFontes() {
+  if (!fontesPromise) {
+    fontesPromise = Promise.all([interRegularUrl, interBoldUrl].map(async (url) => {
+      const resposta = await fetch(url);
+      if (!resposta.ok) throw new Error(`Fonte indisponível (${resposta.status})`);
+      return paraBase64(await resposta.arrayBuffer());
+    }));
+    fontesPromise.catch(() => { fontesPromise = null; });
+  }
+  return fontesPromise;
+}
+
+async function prepararFontes(doc) {
+  try {
+    const [regular, bold] = await carregarFontes();
+    doc.addFileToVFS('Inter-Regular.ttf', regular);
+    doc.addFont('Inter-Regular.ttf', 'Inter', 'normal');
+    doc.addFileToVFS('Inter-Bold.ttf', bold);
+    doc.addFont('Inter-Bold.ttf', 'Inter', 'bold');
+    return 'Inter';
+  } catch (err) {
+    console.warn('Não foi possível carregar a fonte Inter; usando Helvetica:', err);
+    return 'Helvetica';
+  }
+}
+
+// --- GEOMETRIA DO MAPA ---
+
+function medirMapa(nodes) {
+  const caixas = nodes.map(n => ({ node: n, ...n.position, ...getNodeSize(n) }));
+  const minX = Math.min(...caixas.map(c => c.x));
+  const minY = Math.min(...caixas.map(c => c.y));
+  const maxX = Math.max(...caixas.map(c => c.x + c.width));
+  const maxY = Math.max(...caixas.map(c => c.y + c.height));
+  return { caixas, minX, minY, largura: maxX - minX, altura: maxY - minY };
+}
+
+// Traça a aresta da árvore; devolve o meio dela, para o rótulo
+function tracarAresta(doc, origem, destino, tipo, tx, ty) {
+  const { inicio, trechos, meio } = getTreeEdgePath(origem, destino, tipo);
+  doc.moveTo(tx(inicio.x), ty(inicio.y));
+  trechos.forEach(({ x, y, c1, c2 }) => {
+    if (c1) doc.curveTo(tx(c1.x), ty(c1.y), tx(c2.x), ty(c2.y), tx(x), ty(y));
+    else doc.lineTo(tx(x), ty(y));
+  });
+  doc.stroke();
+  return { x: tx(meio.x), y: ty(meio.y) };
+}
+
+// Relação: curva tracejada com seta na chegada; devolve o meio da curva, para o rótulo
+function tracarRelacao(doc, origem, destino, escala, tx, ty) {
+  const { a, b, c1, c2, chegada: nb, meio } = getRelationPath(origem, destino);
+
+  doc.setLineDashPattern([8 * escala, 5 * escala], 0);
+  doc.moveTo(tx(a.x), ty(a.y));
+  doc.curveTo(tx(c1.x), ty(c1.y), tx(c2.x), ty(c2.y), tx(b.x), ty(b.y));
+  doc.stroke();
+  doc.setLineDashPattern([], 0);
+
+  // Ponta da seta em `b`, apontando para dentro da caixa de destino
+  const comprimento = 10;
+  const base = { x: b.x + nb.x * comprimento, y: b.y + nb.y * comprimento };
+  const meia = { x: -nb.y * comprimento / 2, y: nb.x * comprimento / 2 };
+  doc.triangle(
+    tx(b.x), ty(b.y),
+    tx(base.x + meia.x), ty(base.y + meia.y),
+    tx(base.x - meia.x), ty(base.y - meia.y),
+    'F'
+  );
+  return { x: tx(meio.x), y: ty(meio.y) };
+}
+
+/**
+ * Desenha o mapa na página atual. `transformar` converte coordenadas de tela
+ * (px) em pontos da página; `visivel` filtra os nós que cabem no recorte.
+ */
+function desenharMapa(doc, fonte, geometria, edges, estilo, { escala, origemX, origemY, visivel = () => true }) {
+  const { tema, raizes, cores, arestas, icones } = estilo;
+  const tx = (x) => origemX + (x - geometria.minX) * escala;
+  const ty = (y) => origemY + (y - geometria.minY) * escala;
+  const porId = new Map(geometria.caixas.map(c => [c.node.id, c]));
+
+  // Arestas primeiro, para ficarem por baixo dos nós
+  doc.setLineWidth(1.5 * escala);
+  const rotulos = [];
+  edges.forEach(e => {
+    const origem = porId.get(e.source);
+    const destino = porId.get(e.target);
+    if (!origem || !destino) return;
+    // Relações entre ramos ligam os lados das caixas que ficam de frente
+    if (isRelationEdge(e)) {
+      doc.setDrawColor(tema.relacao);
+      doc.setFillColor(tema.relacao);
+      const meio = tracarRelacao(doc, origem, destino, escala, tx, ty);
+      if (e.label) rotulos.push({ texto: e.label, ...meio, cor: tema.relacao });
+      return;
+    }
+    doc.setDrawColor(cores.get(e.target) || tema.aresta);
+    const meio = tracarAresta(doc, origem, destino, arestas, tx, ty);
+    if (e.label) rotulos.push({ texto: e.label, ...meio });
+  });
+
+  // Rótulos das ligações no meio delas, sobre um fundo da cor da página
+  doc.setFont(fonte, 'bold');
+  doc.setFontSize(11 * escala);
+  rotulos.forEach(({ texto, x, y, cor = tema.no.texto }) => {
+    const largura = doc.getTextWidth(texto) + 8 * escala;
+    const altura = 16 * escala;
+    doc.setFillColor(tema.fundo);
+    doc.roundedRect(x - largura / 2, y - altura / 2, largura, altura, 3 * escala, 3 * escala, 'F');
+    doc.setTextColor(cor);
+    doc.text(texto, x, y, { align: 'center', baseline: 'middle' });
+  });
+
+  const padding = 16 * escala;
+  const tamanhoIcone = 16 * escala;
+  geometria.caixas.filter(visivel).forEach(caixa => {
+    const { id, data } = caixa.node;
+    const isRaiz = raizes.has(id);
+    const cor = cores.get(id);
+    const icone = data.icone && icones.get(`${data.icone}|${getIconColor(id, estilo)}`);
+    const recuoIcone = icone ? tamanhoIcone + 6 * escala : 0;
+    const larguraTexto = caixa.width * escala - padding * 2;
+
+    doc.setFont(fonte, 'bold');
+    doc.setFontSize(16 * escala);
+    const linhasLabel = doc.splitTextToSize(data.label || '', larguraTexto - recuoIcone);
+    doc.setFont(fonte, 'normal');
+    doc.setFontSize(13 * escala);
+    const linhasDescricao = data.descricao
+      ? doc.splitTextToSize(data.descricao, larguraTexto)
+      : [];
+
+    // A caixa cresce se o texto no PDF ocupar mais que na tela
+    const alturaLabel = linhasLabel.length * 16 * 1.25 * escala;
+    const alturaDescricao = linhasDescricao.length * 13 * 1.35 * escala;
+    const alturaNecessaria = padding * 2 + alturaLabel + (linhasDescricao.length ? 14 * escala + alturaDescricao : 0);
+    const x = tx(caixa.x);
+    const y = ty(caixa.y);
+    const largura = caixa.width * escala;
+    const altura = Math.max(caixa.height * escala, alturaNecessaria);
+
+    const raio = data.forma === 'retangulo' ? 0
+      : data.forma === 'pilula' ? Math.min(altura, largura) / 2
+        : 10 * escala;
+
+    doc.setLineWidth(1.5 * escala);
+    doc.setDrawColor(isRaiz ? (data.cor || tema.raiz.borda) : (cor || tema.aresta));
+    doc.setFillColor(isRaiz ? (data.cor || tema.raiz.solido) : tema.no.fundo);
+    doc.roundedRect(x, y, largura, altura, raio, raio, 'FD');
+
+    let cursor = y + padding;
+    if (icone) doc.addImage(icone, 'PNG', x + padding, cursor + 2 * escala, tamanhoIcone, tamanhoIcone);
+    doc.setFont(fonte, 'bold');
+    doc.setFontSize(16 * escala);
+    doc.setTextColor(isRaiz ? tema.raiz.texto : tema.no.texto);
+    doc.text(linhasLabel, x + padding + recuoIcone, cursor, { baseline: 'top', lineHeightFactor: 1.25 });
+    cursor += alturaLabel;
+
+    if (linhasDescricao.length) {
+      cursor += 6 * escala;
+      doc.setDrawColor(isRaiz ? tema.raiz.descricao : (cor || tema.aresta));
+      doc.setLineWidth(0.75 * escala);
+      doc.line(x + padding, cursor, x + largura - padding, cursor);
+      cursor += 8 * escala;
+      doc.setFont(fonte, 'normal');
+      doc.setFontSize(13 * escala);
+      doc.setTextColor(isRaiz ? tema.raiz.descricao : tema.no.descricao);
+      doc.text(linhasDescricao, x + padding, cursor, { baseline: 'top', lineHeightFactor: 1.35 });
+    }
+  });
+}
+
+// Título da página do mapa, sobre o fundo do tema
+function cabecalho(doc, fonte, texto, tema) {
+  const { width, height } = doc.internal.pageSize;
+  doc.setFillColor(tema.fundo);
+  doc.rect(0, 0, width, height, 'F');
+  doc.setFont(fonte, 'bold');
+  doc.setFontSize(18);
+  doc.setTextColor(tema.no.texto);
+  doc.text(texto, MARGEM, MARGEM, { baseline: 'top' });
+}
+
+// --- PÁGINAS DO MAPA ---
+
+function paginasAmpliadas(geometria, edges, estilo, titulo) {
+  let escala = PX_PARA_PT;
+  const tamanho = () => ({
+    largura: geometria.largura * escala + MARGEM * 2,
+    altura: geometria.altura * escala + MARGEM * 2 + CABECALHO,
+  });
+  // Mapas gigantes são reduzidos até caber no limite de página do PDF
+  const { largura, altura } = tamanho();
+  if (largura > MAX_PAGINA_PT || altura > MAX_PAGINA_PT) {
+    escala *= Math.min(MAX_PAGINA_PT / largura, MAX_PAGINA_PT / altura);
+  }
+  const final = tamanho();
+  const formato = [Math.max(final.largura, A4.largura), Math.max(final.altura, A4.altura * 0.5)];
+  const doc = new jsPDF({
+    unit: 'pt',
+    format: formato,
+    orientation: formato[0] > formato[1] ? 'landscape' : 'portrait',
+  });
+  return {
+    doc,
+    desenhar: (f) => {
+      cabecalho(doc, f, titulo, estilo.tema);
+      desenharMapa(doc, f, geometria, edges, estilo, { escala, origemX: MARGEM, origemY: MARGEM + CABECALHO });
+    },
+  };
+}
+
+function paginasA4(geometria, edges, estilo, titulo) {
+  const doc = new jsPDF({ unit: 'pt', format: 'a4', orientation: 'landscape' });
+  const larguraArea = A4.altura - MARGEM * 2;
+  const alturaArea = A4.largura - MARGEM * 2 - CABECALHO;
+  const escala = PX_PARA_PT;
+  const colunas = Math.max(1, Math.ceil((geometria.largura * escala) / larguraArea));
+  const linhas = Math.max(1, Math.ceil((geometria.altura * escala) / alturaArea));
+
+  return {
+    doc,
+    desenhar: (fonte) => {
+      for (let linha = 0; linha < linhas; linha++) {
+        for (let coluna = 0; coluna < colunas; coluna++) {
+          const indice = linha * colunas + coluna;
+          if (indice > 0) doc.addPage('a4', 'landscape');
+          const total = linhas * colunas;
+          cabecalho(doc, fonte, total > 1 ? `${titulo} (parte ${indice + 1} de ${total})` : titulo, estilo.tema);
+
+          // Recorte desta folha, em coordenadas de tela
+          const x0 = geometria.minX + (coluna * larguraArea) / escala;
+          const y0 = geometria.minY + (linha * alturaArea) / escala;
+          const x1 = x0 + larguraArea / escala;
+          const y1 = y0 + alturaArea / escala;
+
+          doc.saveGraphicsState();
+          doc.rect(MARGEM, MARGEM + CABECALHO, larguraArea, alturaArea, null);
+          doc.clip();
+          doc.discardPath();
+          desenharMapa(doc, fonte, geometria, edges, estilo, {
+            escala,
+            origemX: MARGEM - coluna * larguraArea,
+            origemY: MARGEM + CABECALHO - linha * alturaArea,
+            visivel: (c) => c.x < x1 && c.x + c.width > x0 && c.y < y1 && c.y + c.height > y0,
+          });
+          doc.restoreGraphicsState();
+        }
+      }
+    },
+  };
+}
+
+// --- RESUMO E TÓPICOS (TEXTO PAGINADO) ---
+
+function escreverTexto(doc, fonte, t, { resumo, nodes, edges }) {
+  const margem = 50;
+  const largura = A4.largura - margem * 2;
+  const limite = A4.altura - margem;
+  let y = margem;
+
+  const novaPagina = () => {
+    doc.addPage('a4', 'portrait');
+    y = margem;
+  };
+  const garantirEspaco = (altura) => {
+    if (y + altura > limite) novaPagina();
+  };
+  // Escreve linhas quebradas, trocando de página no meio do parágrafo se preciso
+  const paragrafo = (texto, { tamanho, estilo = 'normal', cor = CORES.texto, recuo = 0, entrelinha = 1.4 }) => {
+    doc.setFont(fonte, estilo);
+    doc.setFontSize(tamanho);
+    doc.setTextColor(cor);
+    const alturaLinha = tamanho * entrelinha;
+    doc.splitTextToSize(texto, largura - recuo).forEach(linha => {
+      garantirEspaco(alturaLinha);
+      doc.text(linha, margem + recuo, y, { baseline: 'top' });
+      y += alturaLinha;
+    });
+  };
+  const paginaAtual = () => doc.getCurrentPageInfo().pageNumber;
+
+  // Notas em Markdown (ver notes.js) e links do tópico, abaixo da descrição
+  const notasELinks = (data, recuo) => {
+    parseMarkdown(data.notas || '').forEach(bloco => {
+      if (bloco.tipo === 'titulo') {
+        paragrafo(inlineToText(bloco.texto), { tamanho: 10, estilo: 'bold', recuo });
+      } else if (bloco.tipo === 'lista') {
+        bloco.itens.forEach((item, i) => {
+          paragrafo(`${bloco.ordenada ? `${i + 1}.` : '•'} ${inlineToText(item)}`, { tamanho: 10, recuo: recuo + 8 });
+        });
+      } else if (bloco.tipo === 'codigo') {
+        paragrafo(bloco.texto, { tamanho: 9, cor: CORES.suave, recuo: recuo + 8, entrelinha: 1.3 });
+      } else {
+        const citacao = bloco.tipo === 'citacao';
+        paragrafo(inlineToText(bloco.texto), { tamanho: 10, cor: citacao ? CORES.suave : CORES.texto, recuo: citacao ? recuo + 8 : recuo });
+      }
+      y += 3;
+    });
+    if (data.links?.length > 0) {
+      paragrafo(t('pdf.links'), { tamanho: 10, estilo: 'bold', recuo });
+      data.links.forEach(link => {
+        paragrafo(`• ${link.titulo ? `${link.titulo}: ${link.url}` : link.url}`, { tamanho: 9, cor: CORES.suave, recuo: recuo + 8 });
+      });
+      y += 3;
+    }
+  };
+
+  novaPagina();
+  const paginaResumo = paginaAtual();
+  paragrafo(t('pdf.resumo'), { tamanho: 18, estilo: 'bold', cor: CORES.titulo });
+  y += 6;
+  paragrafo(resumo || '', { tamanho: 11 });
+  y += 24;
+
+  garantirEspaco(60);
+  const paginaTopicos = paginaAtual();
+  paragrafo(t('pdf.topicos'), { tamanho: 18, estilo: 'bold', cor: CORES.titulo });
+  y += 6;
+
+  const { roots, children } = buildTree(nodes, edges);
+  const porId = new Map(nodes.map(n => [n.id, n]));
+  const ramos = [];
+
+  const topico = (id, numero, nivel) => {
+    const { data } = porId.get(id);
+    const recuo = Math.min(nivel, 6) * 16;
+    // Não deixa o título sozinho no pé da página
+    garantirEspaco(40);
+    if (nivel === 1) {
+      y += 8;
+      ramos.push({ titulo: `${numero} ${data.label}`, pagina: paginaAtual() });
+    }
+    paragrafo(`${numero} ${data.label}`, { tamanho: nivel <= 1 ? 13 : 11, estilo: 'bold', cor: CORES.titulo, recuo });
+    if (data.descricao) {
+      paragrafo(data.descricao, { tamanho: 10, cor: CORES.suave, recuo: recuo + 14 });
+    }
+    notasELinks(data, recuo + 14);
+    y += 4;
+    children.get(id).forEach((filho, i) => topico(filho, `${numero}${i + 1}.`, nivel + 1));
+  };
+
+  roots.forEach(raiz => {
+    const { data } = porId.get(raiz);
+    // O nó central abre a lista sem numeração; seus filhos são os ramos numerados
+    garantirEspaco(40);
+    paragrafo(data.label, { tamanho: 14, estilo: 'bold', cor: CORES.titulo });
+    if (data.descricao) paragrafo(data.descricao, { tamanho: 10, cor: CORES.suave });
+    notasELinks(data, 0);
+    y += 6;
+    children.get(raiz).forEach((filho, i) => topico(filho, `${i + 1}.`, 1));
+  });
+
+  // Relações entre ramos, que a lista de tópicos (uma árvore) não mostra
+  const relacoes = edges.filter(e => isRelationEdge(e) && porId.has(e.source) && porId.has(e.target));
+  let paginaRelacoes = null;
+  if (relacoes.length > 0) {
+    y += 18;
+    garantirEspaco(60);
+    paginaRelacoes = paginaAtual();
+    paragrafo(t('pdf.relacoes'), { tamanho: 18, estilo: 'bold', cor: CORES.titulo });
+    y += 6;
+    relacoes.forEach(e => {
+      garantirEspaco(30);
+      const origem = porId.get(e.source).data.label;
+      const destino = porId.get(e.target).data.label;
+      paragrafo(`${origem} → ${e.label || t('pdf.relacionaSe')} → ${destino}`, { tamanho: 11, estilo: 'bold', cor: CORES.titulo });
+      if (e.data.justificativa) paragrafo(e.data.justificativa, { tamanho: 10, cor: CORES.suave, recuo: 14 });
+      y += 4;
+    });
+  }
+
+  return { paginaResumo, paginaTopicos, ramos, paginaRelacoes };
+}
+
+function numerarPaginas(doc, fonte) {
+  const total = doc.getNumberOfPages();
+  for (let i = 1; i <= total; i++) {
+    doc.setPage(i);
+    const { width, height } = doc.internal.pageSize;
+    doc.setFont(fonte, 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(CORES.suave);
+    doc.text(`${i} / ${total}`, width / 2, height - 16, { align: 'center' });
+  }
+}
+
+/**
+ * Gera o PDF do mapa.
+ *
+ * @param {object} mapa
+ * @param {string} mapa.tema
+ * @param {string} mapa.resumo
+ * @param {Array} mapa.nodes Nós com posição (e tamanho medido, se houver)
+ * @param {Array} mapa.edges
+ * @param {string} [mapa.modo] Um de PDF_MODES
+ * @param {object} [mapa.aparencia] Tema e estilo das ligações (ver theme.js)
+ * @param {Map<string, string>} [mapa.icones] PNG dos ícones, de renderIconImages
+ * @param {string} [mapa.idioma] Idioma dos títulos e marcadores (um de IDIOMAS_INTERFACE)
+ * @returns {Promise<jsPDF>}
+ */
+export async function buildMapPdf({ tema, resumo, nodes, edges, modo = PDF_MODES.AMPLIADA, aparencia = DEFAULT_APPEARANCE, icones = new Map(), idioma = IDIOMA_PADRAO }) {
+  const t = (chave, params) => translate(idioma, chave, params);
+  const titulo = t('pdf.titulo', { tema });
+  const geometria = medirMapa(nodes);
+  const temaVisual = THEMES[aparencia.tema];
+  const estilo = {
+    tema: temaVisual,
+    ...getBranchColors(nodes, edges, temaVisual.paleta),
+    arestas: aparencia.arestas,
+    icones,
+  };
+
+  const { doc, desenhar } = modo === PDF_MODES.A4
+    ? paginasA4(geometria, edges, estilo, titulo)
+    : paginasAmpliadas(geometria, edges, estilo, titulo);
+  const fonte = await prepararFontes(doc);
+
+  doc.setProperties({ title: titulo, subject: resumo, creator: t('pdf.criador') });
+  desenhar(fonte);
+  const paginasMapa = doc.getNumberOfPages();
+  const { paginaResumo, paginaTopicos, ramos, paginaRelacoes } = escreverTexto(doc, fonte, t, { resumo, nodes, edges });
+  numerarPaginas(doc, fonte);
+
+  // Marcadores: mapa, resumo, um por ramo de primeiro nível e as relações
+  doc.outline.add(null, t('pdf.mapa', { n: paginasMapa }), { pageNumber: 1 });
+  doc.outline.add(null, t('pdf.resumo'), { pageNumber: paginaResumo });
+  const topicos = doc.outline.add(null, t('pdf.topicos'), { pageNumber: paginaTopicos });
+  ramos.forEach(({ titulo: tituloRamo, pagina }) => {
+    doc.outline.add(topicos, tituloRamo, { pageNumber: pagina });
+  });
+  if (paginaRelacoes) doc.outline.add(null, t('pdf.relacoes'), { pageNumber: paginaRelacoes });
+
+  return doc;
+}
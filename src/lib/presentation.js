@@ -0,0 +1,319 @@
+// --- MODO APRESENTAÇÃO ---
+// O mapa vira uma sequência de passos: a raiz e depois cada ramo, em
+// profundidade (um ramo inteiro antes do próximo) ou em largura (nível a nível).
+// Cada passo enquadra o tópico ao lado do pai e o revela; os já apresentados
+// continuam à vista. A mesma sequência pode ser baixada como um HTML único,
+// com estilo e script embutidos, que funciona offline em qualquer navegador.
+
+import { buildTree, isRelationEdge } from './graph';
+import { getNodeSize, getTreeEdgePath, getRelationPath } from './layout';
+import { THEMES, DEFAULT_APPEARANCE, getBranchColors } from './theme';
+import { translate, IDIOMA_PADRAO } from './i18n';
+import { parseMarkdown, parseInline } from './notes';
+import { escapeXml } from './formats/outline';
+
+export const PRESENTATION_ORDERS = {
+  PROFUNDIDADE: 'profundidade',
+  LARGURA: 'largura',
+};
+
+// Teclas da apresentação, as mesmas no app e no HTML exportado
+export const PRESENTATION_KEYS = {
+  ArrowRight: 'proximo',
+  ArrowDown: 'proximo',
+  PageDown: 'proximo',
+  ' ': 'proximo',
+  ArrowLeft: 'anterior',
+  ArrowUp: 'anterior',
+  PageUp: 'anterior',
+  Home: 'inicio',
+  End: 'fim',
+};
+
+/**
+ * Passos da apresentação, na ordem escolhida. Arestas de relação não entram na
+ * ordem; aparecem quando os dois tópicos já foram revelados.
+ *
+ * @param {'profundidade'|'largura'} ordem
+ * @returns {Array<{ id: string, pai: string|null, nivel: number, caminho: string[], label: string, descricao: string, notas: string }>}
+ *   `caminho` são os títulos dos ancestrais, da raiz até o pai
+ */
+export function buildPresentationSteps(nodes, edges, ordem = PRESENTATION_ORDERS.PROFUNDIDADE) {
+  const { roots, children, parent, depth } = buildTree(nodes, edges);
+  const porId = new Map(nodes.map(n => [n.id, n]));
+  const ids = [];
+
+  if (ordem === PRESENTATION_ORDERS.LARGURA) {
+    roots.forEach(raiz => {
+      const fila = [raiz];
+      while (fila.length > 0) {
+        const id = fila.shift();
+        ids.push(id);
+        fila.push(...children.get(id));
+      }
+    });
+  } else {
+    const visitar = (id) => {
+      ids.push(id);
+      children.get(id).forEach(visitar);
+    };
+    roots.forEach(visitar);
+  }
+
+  return ids.map(id => {
+    const caminho = [];
+    for (let atual = parent.get(id); atual !== undefined; atual = parent.get(atual)) {
+      caminho.unshift(porId.get(atual).data.label);
+    }
+    const { label = '', descricao = '', notas = '' } = porId.get(id).data;
+    return { id, pai: parent.get(id) ?? null, nivel: depth.get(id), caminho, label, descricao, notas };
+  });
+}
+
+/**
+ * Ids revelados até o passo `indice` (inclusive).
+ */
+export const getRevealedIds = (passos, indice) => new Set(passos.slice(0, indice + 1).map(p => p.id));
+
+// --- EXPORTAÇÃO EM HTML ---
+
+const MARGEM = 80;
+const ZOOM_MAXIMO = 1.4;
+const RAIOS = { arredondado: '12px', retangulo: '0', pilula: '2rem' };
+
+// Markdown das notas em HTML, com todo o texto escapado
+const emLinhaParaHtml = (texto) => parseInline(texto).map(trecho => {
+  const conteudo = escapeXml(trecho.texto);
+  if (trecho.tipo === 'negrito') return `<strong>${conteudo}</strong>`;
+  if (trecho.tipo === 'italico') return `<em>${conteudo}</em>`;
+  if (trecho.tipo === 'codigo') return `<code>${conteudo}</code>`;
+  if (trecho.tipo === 'link') return `<a href="${escapeXml(trecho.url)}" target="_blank" rel="noopener noreferrer">${conteudo}</a>`;
+  return conteudo;
+}).join('');
+
+const notasParaHtml = (texto) => parseMarkdown(texto).map(bloco => {
+  if (bloco.tipo === 'titulo') return `<h${bloco.nivel + 3}>${emLinhaParaHtml(bloco.texto)}</h${bloco.nivel + 3}>`;
+  if (bloco.tipo === 'lista') {
+    const lista = bloco.ordenada ? 'ol' : 'ul';
+    return `<${lista}>${bloco.itens.map(item => `<li>${emLinhaParaHtml(item)}</li>`).join('')}</${lista}>`;
+  }
+  if (bloco.tipo === 'citacao') return `<blockquote>${emLinhaParaHtml(bloco.texto)}</blockquote>`;
+  if (bloco.tipo === 'codigo') return `<pre><code>${escapeXml(bloco.texto)}</code></pre>`;
+  return `<p>${emLinhaParaHtml(bloco.texto)}</p>`;
+}).join('');
+
+// Traçados SVG das ligações (geometria em layout.js)
+function caminhoAresta(origem, destino, tipo) {
+  const { inicio, trechos, meio } = getTreeEdgePath(origem, destino, tipo);
+  const d = trechos.map(({ x, y, c1, c2 }) => (c1 ? `C${c1.x},${c1.y} ${c2.x},${c2.y} ${x},${y}` : `L${x},${y}`));
+  return { d: `M${inicio.x},${inicio.y} ${d.join(' ')}`, meio };
+}
+
+function caminhoRelacao(origem, destino) {
+  const { a, b, c1, c2, meio } = getRelationPath(origem, destino);
+  return { d: `M${a.x},${a.y} C${c1.x},${c1.y} ${c2.x},${c2.y} ${b.x},${b.y}`, meio };
+}
+
+// Script do HTML exportado: navegação, revelação e enquadramento de cada passo
+const SCRIPT = `
+(function () {
+  var dados = JSON.parse(document.getElementById('dados').textContent);
+  var passos = dados.passos;
+  var palco = document.getElementById('palco');
+  var mapa = document.getElementById('mapa');
+  var falas = document.getElementById('falas');
+  var contador = document.getElementById('contador');
+  var atual = 0;
+
+  function enquadrar() {
+    var caixas = passos[atual].caixas;
+    var minX = Math.min.apply(null, caixas.map(function (c) { return c.x; })) - dados.margem;
+    var minY = Math.min.apply(null, caixas.map(function (c) { return c.y; })) - dados.margem;
+    var maxX = Math.max.apply(null, caixas.map(function (c) { return c.x + c.largura; })) + dados.margem;
+    var maxY = Math.max.apply(null, caixas.map(function (c) { return c.y + c.altura; })) + dados.margem;
+    var escala = Math.min(dados.zoomMaximo, palco.clientWidth / (maxX - minX), palco.clientHeight / (maxY - minY));
+    var x = (palco.clientWidth - (maxX - minX) * escala) / 2 - minX * escala;
+    var y = (palco.clientHeight - (maxY - minY) * escala) / 2 - minY * escala;
+    mapa.style.transform = 'translate(' + x + 'px, ' + y + 'px) scale(' + escala + ')';
+  }
+
+  function mostrar(indice) {
+    atual = Math.max(0, Math.min(passos.length - 1, indice));
+    var revelados = {};
+    passos.slice(0, atual + 1).forEach(function (p) { revelados[p.id] = true; });
+    document.querySelectorAll('[data-no]').forEach(function (el) {
+      el.classList.toggle('visivel', Boolean(revelados[el.dataset.no]));
+      el.classList.toggle('atual', el.dataset.no === passos[atual].id);
+    });
+    document.querySelectorAll('[data-origem]').forEach(function (el) {
+      el.classList.toggle('visivel', Boolean(revelados[el.dataset.origem] && revelados[el.dataset.destino]));
+    });
+    falas.innerHTML = passos[atual].html;
+    falas.scrollTop = 0;
+    contador.textContent = (atual + 1) + ' / ' + passos.length;
+    enquadrar();
+  }
+
+  var acoes = {
+    proximo: function () { mostrar(atual + 1); },
+    anterior: function () { mostrar(atual - 1); },
+    inicio: function () { mostrar(0); },
+    fim: function () { mostrar(passos.length - 1); }
+  };
+  document.addEventListener('keydown', function (e) {
+    if (e.key === 'f' || e.key === 'F') {
+      if (document.fullscreenElement) document.exitFullscreen();
+      else if (document.documentElement.requestFullscreen) document.documentElement.requestFullscreen();
+      return;
+    }
+    var acao = dados.teclas[e.key];
+    if (!acao) return;
+    e.preventDefault();
+    acoes[acao]();
+  });
+  document.getElementById('anterior').addEventListener('click', acoes.anterior);
+  document.getElementById('proximo').addEventListener('click', acoes.proximo);
+  window.addEventListener('resize', enquadrar);
+  mostrar(0);
+})();
+`;
+
+/**
+ * Apresentação como um arquivo HTML único (estilo, dados e script embutidos,
+ * sem nada baixado da rede). Ramos recolhidos devem vir já filtrados.
+ *
+ * @param {{ tema: string, nodes: Array, edges: Array, aparencia?: object, ordem?: string, idioma?: string }} opcoes
+ * @returns {string}
+ */
+export function buildPresentationHtml({
+  tema: titulo, nodes, edges, aparencia = DEFAULT_APPEARANCE,
+  ordem = PRESENTATION_ORDERS.PROFUNDIDADE, idioma = IDIOMA_PADRAO,
+}) {
+  const t = (chave, params) => translate(idioma, chave, params);
+  const tema = THEMES[aparencia.tema] || THEMES[DEFAULT_APPEARANCE.tema];
+  const { raizes, cores } = getBranchColors(nodes, edges, tema.paleta);
+  const passos = buildPresentationSteps(nodes, edges, ordem);
+
+  // Coordenadas do mapa a partir de (0, 0)
+  const minX = Math.min(...nodes.map(n => n.position.x));
+  const minY = Math.min(...nodes.map(n => n.position.y));
+  const caixas = new Map(nodes.map(n => [n.id, {
+    node: n, x: n.position.x - minX, y: n.position.y - minY, ...getNodeSize(n),
+  }]));
+  const largura = Math.max(...[...caixas.values()].map(c => c.x + c.width));
+  const altura = Math.max(...[...caixas.values()].map(c => c.y + c.height));
+
+  const arestas = edges.map(e => {
+    const origem = caixas.get(e.source);
+    const destino = caixas.get(e.target);
+    if (!origem || !destino) return '';
+    const dados = `data-origem="${escapeXml(e.source)}" data-destino="${escapeXml(e.target)}"`;
+    if (isRelationEdge(e)) {
+      const { d, meio } = caminhoRelacao(origem, destino);
+      const rotulo = e.label ? `<text x="${meio.x}" y="${meio.y}" fill="${tema.relacao}">${escapeXml(e.label)}</text>` : '';
+      return `<g class="aresta" ${dados}><path d="${d}" stroke="${tema.relacao}" stroke-dasharray="8 5" marker-end="url(#seta)"/>${rotulo}</g>`;
+    }
+    const { d, meio } = caminhoAresta(origem, destino, aparencia.arestas);
+    const rotulo = e.label
+      ? `<text x="${meio.x}" y="${meio.y}" fill="${tema.no.texto}">${escapeXml(e.label)}</text>`
+      : '';
+    return `<g class="aresta" ${dados}><path d="${d}" stroke="${escapeXml(cores.get(e.target) || tema.aresta)}"/>${rotulo}</g>`;
+  }).join('');
+
+  const cartoes = [...caixas.values()].map(({ node, x, y, width }) => {
+    const { id, data } = node;
+    const isRaiz = raizes.has(id);
+    const corRamo = cores.get(id) || tema.aresta;
+    const estilo = isRaiz
+      ? `background:${data.cor || tema.raiz.fundo};border-color:${data.cor || tema.raiz.borda};color:${tema.raiz.texto}`
+      : `background:${tema.no.fundo};border-color:${corRamo};color:${tema.no.texto}`;
+    const corDescricao = isRaiz ? tema.raiz.descricao : tema.no.descricao;
+    return `<div class="no${isRaiz ? ' raiz' : ''}" data-no="${escapeXml(id)}" style="left:${x}px;top:${y}px;width:${width}px;border-radius:${RAIOS[data.forma] || RAIOS.arredondado};${escapeXml(estilo)}">`
+      + `<strong>${escapeXml(data.label || t('no.semTitulo'))}</strong>`
+      + (data.descricao ? `<hr style="border-color:${escapeXml(isRaiz ? tema.raiz.descricao : corRamo)}"><p style="color:${corDescricao}">${escapeXml(data.descricao)}</p>` : '')
+      + '</div>';
+  }).join('');
+
+  const dados = {
+    margem: MARGEM,
+    zoomMaximo: ZOOM_MAXIMO,
+    teclas: PRESENTATION_KEYS,
+    passos: passos.map(p => ({
+      id: p.id,
+      caixas: [p.id, p.pai].filter(Boolean).map(id => {
+        const c = caixas.get(id);
+        return { x: c.x, y: c.y, largura: c.width, altura: c.height };
+      }),
+      html: `<h2>${escapeXml(p.label || t('no.semTitulo'))}</h2>`
+        + (p.caminho.length > 0 ? `<p class="caminho">${p.caminho.map(escapeXml).join(' › ')}</p>` : '')
+        + (p.descricao ? `<p class="descricao">${escapeXml(p.descricao)}</p>` : '')
+        + (p.notas.trim() ? `<div class="notas">${notasParaHtml(p.notas)}</div>` : ''),
+    })),
+  };
+  // "</script>" dentro dos dados fecharia a tag antes da hora
+  const json = JSON.stringify(dados).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeXml(idioma)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(`${titulo} · ${t('apresentacao.titulo')}`)}</title>
+<style>
+* { box-sizing: border-box; }
+html, body { margin: 0; height: 100%; }
+body { display: flex; flex-direction: column; overflow: hidden; background: ${tema.fundo}; font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; }
+#palco { position: relative; flex: 1; overflow: hidden; background-image: radial-gradient(${tema.pontos} 1px, transparent 1px); background-size: 16px 16px; }
+#mapa { position: absolute; left: 0; top: 0; width: ${largura}px; height: ${altura}px; transform-origin: 0 0; transition: transform 0.8s ease-in-out; }
+#mapa svg { position: absolute; left: 0; top: 0; overflow: visible; }
+.aresta { opacity: 0; transition: opacity 0.5s; }
+.aresta path { fill: none; stroke-width: 2; }
+.aresta text { font-size: 12px; font-weight: 600; text-anchor: middle; dominant-baseline: middle; paint-order: stroke; stroke: ${tema.fundo}; stroke-width: 4px; }
+.no { position: absolute; padding: 16px; border: 2px solid; box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1); overflow-wrap: break-word; opacity: 0; transform: scale(0.92); transition: opacity 0.5s, transform 0.5s, box-shadow 0.3s; }
+.no strong { font-size: 16px; }
+.no.raiz strong { font-size: 18px; }
+.no hr { margin: 8px 0; border: 0; border-top: 1px solid; opacity: 0.4; }
+.no p { margin: 0; font-size: 14px; line-height: 1.4; }
+.visivel { opacity: 1; transform: none; }
+.no.atual { box-shadow: 0 0 0 4px ${tema.fundo}, 0 0 0 8px #60a5fa; }
+#rodape { display: flex; gap: 24px; align-items: flex-start; padding: 16px 24px; max-height: 35vh; background: #ffffff; border-top: 1px solid #e5e7eb; color: #374151; }
+#falas { flex: 1; max-height: calc(35vh - 32px); overflow-y: auto; line-height: 1.5; }
+#falas h2 { margin: 0; font-size: 22px; color: #111827; }
+#falas .caminho { margin: 2px 0 0; font-size: 12px; color: #6b7280; }
+#falas .descricao { margin: 8px 0 0; font-size: 17px; }
+#falas .notas { margin-top: 8px; font-size: 14px; }
+#falas .notas blockquote { margin: 0; padding-left: 12px; border-left: 4px solid #d1d5db; color: #4b5563; }
+#falas .notas code { background: #f3f4f6; border-radius: 4px; padding: 0 4px; }
+#falas .notas a { color: #2563eb; }
+#controles { display: flex; flex-direction: column; align-items: center; gap: 8px; }
+#controles div { display: flex; gap: 8px; }
+#controles button { padding: 8px 16px; border: 1px solid #e5e7eb; border-radius: 12px; background: #ffffff; font: inherit; font-weight: 600; color: #374151; cursor: pointer; }
+#controles button:hover { border-color: #93c5fd; }
+#contador { font-weight: 700; color: #2563eb; }
+#dica { font-size: 11px; color: #9ca3af; text-align: center; }
+</style>
+</head>
+<body>
+<div id="palco">
+<div id="mapa">
+<svg width="${largura}" height="${altura}" aria-hidden="true">
+<defs><marker id="seta" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="${tema.relacao}"/></marker></defs>
+${arestas}
+</svg>
+${cartoes}
+</div>
+</div>
+<div id="rodape">
+<div id="falas" aria-live="polite"></div>
+<div id="controles">
+<span id="contador"></span>
+<div><button id="anterior" type="button">${escapeXml(t('apresentacao.anterior'))}</button><button id="proximo" type="button">${escapeXml(t('apresentacao.proximo'))}</button></div>
+<span id="dica">${escapeXml(t('apresentacao.dicaHtml'))}</span>
+</div>
+</div>
+<script type="application/json" id="dados">${json}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,19 @@
+// Erro comum a todos os provedores, com o status HTTP quando houver. `tipo` é
+// preenchido quando o provedor já sabe a causa (ver FALHAS em ../aiErrors.js) e
+// `retryAfter`, em segundos, quando o serviço diz quanto esperar
+export class ProviderError extends Error {
+  constructor(message, { provider, status, tipo, retryAfter, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.tipo = tipo;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Segundos do cabeçalho Retry-After (só o formato numérico)
+export const readRetryAfter = (response) => {
+  const segundos = Number(response.headers.get('Retry-After'));
+  return Number.isFinite(segundos) && segundos > 0 ? segundos : undefined;
+};
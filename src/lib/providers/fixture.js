@@ -0,0 +1,224 @@
+// --- PROVEDOR: FIXTURES OFFLINE ---
+// Respostas prontas e determinísticas, para demonstrações sem rede e testes.
+// Cada tarefa (meta.tarefa) tem seu próprio gerador de resposta.
+
+import { ProviderError } from './errors';
+
+const no = (id, label, descricao) => ({ id, data: { label, descricao } });
+const aresta = (source, target) => ({ id: `e${source}-${target}`, source, target });
+
+// Mapas prontos para temas de demonstração, indexados pelo tema normalizado
+const MAPAS_PRONTOS = {
+  'guerra fria': {
+    mapa: {
+      nodes: [
+        no('1', 'Guerra Fria', 'Disputa geopolítica entre EUA e URSS de 1947 a 1991.'),
+        no('2', 'Bipolaridade', 'Divisão do mundo em blocos capitalista e socialista.'),
+        no('3', 'Corrida Armamentista', 'Acúmulo de armas nucleares como forma de dissuasão.'),
+        no('4', 'Corrida Espacial', 'Competição tecnológica pela conquista do espaço.'),
+        no('5', 'Fim da Guerra Fria', 'Queda do Muro de Berlim e dissolução da URSS.'),
+        no('6', 'OTAN', 'Aliança militar liderada pelos EUA, criada em 1949.'),
+        no('7', 'Pacto de Varsóvia', 'Aliança militar do bloco soviético, criada em 1955.'),
+        no('8', 'Crise dos Mísseis', 'Confronto de 1962 em torno de mísseis soviéticos em Cuba.'),
+        no('9', 'Sputnik', 'Primeiro satélite artificial, lançado pela URSS em 1957.'),
+        no('10', 'Apollo 11', 'Missão americana que levou o homem à Lua em 1969.'),
+        no('11', 'Queda do Muro', 'Abertura da fronteira entre as Alemanhas em 1989.'),
+      ],
+      edges: [
+        aresta('1', '2'), aresta('1', '3'), aresta('1', '4'), aresta('1', '5'),
+        aresta('2', '6'), aresta('2', '7'), aresta('3', '8'),
+        aresta('4', '9'), aresta('4', '10'), aresta('5', '11'),
+      ],
+    },
+    resumo: 'A Guerra Fria foi o conflito indireto entre Estados Unidos e União Soviética após a Segunda Guerra Mundial. Marcada pela bipolaridade, pela corrida armamentista e pela corrida espacial, terminou com a queda do Muro de Berlim e o fim da URSS.',
+  },
+};
+
+// Mapa genérico montado a partir do tema, para qualquer outro assunto
+const mapaGenerico = (tema) => ({
+  mapa: {
+    nodes: [
+      no('1', tema, `Visão geral sobre ${tema}.`),
+      no('2', 'Conceitos Fundamentais', `Ideias e definições básicas de ${tema}.`),
+      no('3', 'Contexto', `Origem e evolução de ${tema}.`),
+      no('4', 'Aplicações', `Onde e como ${tema} aparece na prática.`),
+      no('5', 'Desafios', `Limitações e questões em aberto sobre ${tema}.`),
+      no('6', 'Definições', 'Termos essenciais para entender o assunto.'),
+      no('7', 'Princípios', 'Regras e ideias que sustentam o tema.'),
+      no('8', 'Histórico', 'Marcos importantes ao longo do tempo.'),
+      no('9', 'Exemplos', 'Casos concretos que ilustram o tema.'),
+      no('10', 'Tendências', 'Direções futuras e debates atuais.'),
+    ],
+    edges: [
+      aresta('1', '2'), aresta('1', '3'), aresta('1', '4'), aresta('1', '5'),
+      aresta('2', '6'), aresta('2', '7'), aresta('3', '8'),
+      aresta('4', '9'), aresta('5', '10'),
+    ],
+  },
+  resumo: `Este é um mapa de demonstração sobre ${tema}, gerado offline a partir de um modelo fixo. Ele cobre conceitos fundamentais, contexto, aplicações e desafios do tema.`,
+});
+
+const normalizar = (texto = '') => texto.trim().toLowerCase();
+
+// Primeiras palavras e primeira frase de um trecho, para simular tópicos do documento
+const primeirasPalavras = (texto, quantidade = 4) => texto.split(/\s+/).slice(0, quantidade).join(' ');
+const primeiraFrase = (texto) => (texto.match(/^[^.!?]*[.!?]?/)?.[0] || texto).slice(0, 160).trim();
+
+// Mapa de demonstração com um tópico por ponto (ou trecho) do documento, citando a fonte
+const mapaDoDocumento = ({ tema, trechos, pontos }) => {
+  const itens = (pontos || trechos.map(t => ({ topico: primeirasPalavras(t.texto), resumo: primeiraFrase(t.texto), fontes: [t.id] })))
+    .slice(0, 8);
+  return {
+    mapa: {
+      nodes: [
+        no('1', tema || 'Documento', 'Assunto principal do documento (demonstração).'),
+        ...itens.map((item, i) => ({ id: String(i + 2), data: { label: item.topico, descricao: item.resumo, fontes: item.fontes } })),
+      ],
+      edges: itens.map((_, i) => aresta('1', String(i + 2))),
+    },
+    resumo: `Resumo de demonstração do documento, com ${itens.length} pontos extraídos dos próprios trechos.`,
+  };
+};
+
+export const FIXTURE_HANDLERS = {
+  mapa: ({ tema }) => MAPAS_PRONTOS[normalizar(tema)] || mapaGenerico(tema),
+  estudo: ({ topicos = [] }) => ({
+    // Só tópicos com pai, para a pergunta de múltipla escolha fazer sentido
+    cartoes: topicos.filter(t => t.caminho.length > 1).slice(0, 6).flatMap(({ id, caminho }) => {
+      const topico = caminho[caminho.length - 1];
+      const pai = caminho[caminho.length - 2];
+      return [
+        {
+          nodeId: id,
+          tipo: 'flashcard',
+          pergunta: `Explique com suas palavras a importância de "${topico}" (demonstração).`,
+          resposta: `"${topico}" ajuda a entender "${pai}".`,
+        },
+        {
+          nodeId: id,
+          tipo: 'multipla',
+          pergunta: `"${topico}" está diretamente ligado a qual tópico? (demonstração)`,
+          resposta: pai,
+          alternativas: [pai, 'Nenhum tópico', 'Outro mapa', 'Todos os tópicos'],
+        },
+      ];
+    }),
+  }),
+  notas: ({ trechos }) => ({
+    pontos: trechos.slice(0, 4).map(t => ({ topico: primeirasPalavras(t.texto), resumo: primeiraFrase(t.texto), fontes: [t.id] })),
+  }),
+  documento: mapaDoDocumento,
+  // Versão revisada: reescreve metade das descrições, tira a última folha e acrescenta um tópico
+  regenerar: ({ caminho, topicos }) => {
+    const [raiz] = topicos;
+    const folhas = topicos.filter(t => t.pai && !topicos.some(outro => outro.pai === t.id));
+    const removido = folhas[folhas.length - 1]?.id;
+    const mantidos = topicos.filter(t => t.id !== removido);
+    return {
+      mapa: {
+        nodes: [
+          ...mantidos.map((t, i) => no(t.id, t.label, i % 2 === 1 ? `${t.descricao} (revisado)`.trim() : t.descricao)),
+          no('novo', `Novo aspecto de ${raiz.label}`, 'Tópico acrescentado na regeneração (demonstração).'),
+        ],
+        edges: [
+          ...mantidos.filter(t => t.pai).map(t => aresta(t.pai, t.id)),
+          aresta(raiz.id, 'novo'),
+        ],
+      },
+      resumo: `Versão revisada de demonstração de "${caminho[caminho.length - 1]}".`,
+    };
+  },
+  // Liga tópicos de ramos vizinhos (caminho[1] é o ramo), pulando pares já ligados
+  relacoes: ({ topicos = [], ligados = [] }) => {
+    const ocupados = new Set(ligados.map(par => [...par].sort().join('|')));
+    const porRamo = new Map();
+    topicos.filter(t => t.caminho.length > 1).forEach(t => {
+      porRamo.set(t.caminho[1], [...(porRamo.get(t.caminho[1]) || []), t]);
+    });
+    const ramos = [...porRamo.values()];
+    const ultimo = (caminho) => caminho[caminho.length - 1];
+    const relacoes = [];
+    ramos.forEach((ramo, i) => {
+      const outro = ramos[i + 1];
+      if (!outro) return;
+      const [origem, destino] = [ramo[ramo.length - 1], outro[outro.length - 1]];
+      if (ocupados.has([origem.id, destino.id].sort().join('|'))) return;
+      relacoes.push({
+        origem: origem.id,
+        destino: destino.id,
+        rotulo: 'relaciona-se com',
+        justificativa: `"${ultimo(origem.caminho)}" e "${ultimo(destino.caminho)}" tratam de aspectos complementares (demonstração).`,
+      });
+    });
+    return { relacoes: relacoes.slice(0, 4) };
+  },
+  elaborar: ({ caminho }) => {
+    const topico = caminho[caminho.length - 1];
+    return {
+      notas: [
+        `## ${topico}`,
+        '',
+        `Notas de demonstração sobre **${topico}**, dentro de *${caminho.join(' > ')}*.`,
+        '',
+        '- Ideia principal do tópico',
+        '- Um exemplo concreto',
+        `- Como "${topico}" se liga ao tema central`,
+      ].join('\n'),
+    };
+  },
+  expandir: ({ caminho, existentes = [] }) => {
+    const topico = caminho[caminho.length - 1];
+    return {
+      nodes: [1, 2, 3].map(i => {
+        const numero = existentes.length + i;
+        return { data: { label: `${topico}: aspecto ${numero}`, descricao: `Detalhe ${numero} de "${topico}" (demonstração).` } };
+      }),
+    };
+  },
+};
+
+// Espera `ms` milissegundos, rejeitando com AbortError se o sinal for acionado
+const esperar = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Requisição cancelada', 'AbortError'));
+    return;
+  }
+  const aoCancelar = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Requisição cancelada', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', aoCancelar);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', aoCancelar, { once: true });
+});
+
+// Quantidade de pedaços em que a resposta é dividida no modo streaming
+const PEDACOS_STREAMING = 40;
+
+export function createFixtureProvider({ delay = 400 } = {}) {
+  return {
+    id: 'fixture',
+    model: 'fixture',
+    async generate({ meta = {}, signal, onProgress }) {
+      const handler = FIXTURE_HANDLERS[meta.tarefa];
+      if (!handler) {
+        throw new ProviderError(`O provedor de demonstração não tem resposta para a tarefa "${meta.tarefa}".`, { provider: 'fixture' });
+      }
+      const resposta = JSON.stringify(handler(meta), null, 2);
+      if (!onProgress) {
+        await esperar(delay, signal);
+        return resposta;
+      }
+
+      // Simula o streaming entregando a resposta aos poucos
+      const tamanho = Math.ceil(resposta.length / PEDACOS_STREAMING);
+      for (let fim = tamanho; fim < resposta.length + tamanho; fim += tamanho) {
+        await esperar(delay / 4, signal);
+        onProgress(resposta.slice(0, fim));
+      }
+      return resposta;
+    },
+  };
+}
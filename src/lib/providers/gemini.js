@@ -0,0 +1,50 @@
+// --- PROVEDOR: GOOGLE GEMINI (CHAVE DIRETA) ---
+// Só no modo de desenvolvimento com VITE_DIRECT_KEY_MODE=true (ver index.js).
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { ProviderError } from './errors';
+
+export const GEMINI_DEFAULT_MODEL = 'gemini-2.0-flash';
+
+// No limite por minuto o Gemini informa quanto esperar, em RetryInfo ("12s")
+const esperaSugerida = (err) => {
+  const info = err.errorDetails?.find(d => d['@type']?.endsWith('RetryInfo'));
+  const segundos = parseFloat(info?.retryDelay);
+  return Number.isFinite(segundos) ? segundos : undefined;
+};
+
+export function createGeminiProvider({ apiKey, model = GEMINI_DEFAULT_MODEL }) {
+  if (!apiKey) {
+    throw new ProviderError('Chave de API do Gemini não encontrada! Informe-a nas configurações ou no arquivo .env.local (modo de chave direta).', { provider: 'gemini' });
+  }
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    id: 'gemini',
+    model,
+    async generate({ prompt, json = true, signal, onProgress }) {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        generationConfig: json ? { responseMimeType: 'application/json' } : undefined,
+      });
+      try {
+        if (onProgress) {
+          const result = await generativeModel.generateContentStream(prompt, { signal });
+          let texto = '';
+          for await (const pedaco of result.stream) {
+            texto += pedaco.text();
+            onProgress(texto);
+          }
+          return texto;
+        }
+        const result = await generativeModel.generateContent(prompt, { signal });
+        const response = await result.response;
+        return response.text();
+      } catch (err) {
+        // O SDK embrulha o cancelamento num erro próprio; os demais provedores lançam AbortError
+        if (signal?.aborted) throw new DOMException('Requisição cancelada', 'AbortError');
+        throw new ProviderError(err.message, { provider: 'gemini', status: err.status, retryAfter: esperaSugerida(err), cause: err });
+      }
+    },
+  };
+}
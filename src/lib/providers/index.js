@@ -0,0 +1,121 @@
+// --- CAMADA DE PROVEDORES DE LLM ---
+// O gerador conversa só com esta interface:
+//
+//   provider.generate({ prompt, json, meta, correcao, signal, onProgress }) => Promise<string>
+//
+// `prompt` é o texto enviado ao modelo, `json` pede saída em JSON, `meta` descreve
+// a tarefa ({ tarefa: 'mapa', tema, ... }) para provedores que não leem o prompt
+// (como as fixtures e o servidor do projeto, que monta o prompt a partir dela),
+// `correcao` traz a resposta anterior e os erros dela ({ codigo, params }, ver
+// prompts.js) numa tentativa de correção e `signal` permite cancelar a requisição. Se `onProgress` for
+// passado, a resposta vem em streaming e ele recebe o texto acumulado a cada pedaço.
+//
+// O padrão é o servidor do projeto, que guarda a chave do Gemini. Chamar o Gemini
+// direto do navegador (com a chave no .env.local) só existe em desenvolvimento e
+// com VITE_DIRECT_KEY_MODE=true: no build de produção a chave nunca entra no site.
+
+import { createServerProvider, SERVER_DEFAULT_BASE_URL } from './server';
+import { createGeminiProvider, GEMINI_DEFAULT_MODEL } from './gemini';
+import { createOpenAIProvider, OPENAI_DEFAULT_BASE_URL, OPENAI_DEFAULT_MODEL } from './openai';
+import { createOllamaProvider, OLLAMA_DEFAULT_BASE_URL, OLLAMA_DEFAULT_MODEL } from './ollama';
+import { createFixtureProvider } from './fixture';
+import { ProviderError } from './errors';
+
+export { ProviderError };
+
+// Cada variável é lida pelo nome: ler `import.meta.env` inteiro faria o Vite
+// colocar todas as VITE_* (inclusive chaves) no bundle
+export const DIRECT_KEY_MODE = import.meta.env.DEV && import.meta.env.VITE_DIRECT_KEY_MODE === 'true';
+
+export const PROVIDERS = {
+  servidor: {
+    nome: 'Servidor do projeto',
+    campos: ['baseUrl'],
+    descricao: 'Usa o Gemini pelo servidor de IA do projeto (npm run api), que guarda a chave. A chave não passa pelo navegador.',
+    create: createServerProvider,
+  },
+  ...(DIRECT_KEY_MODE ? {
+    gemini: {
+      nome: 'Gemini (chave direta)',
+      campos: ['model', 'apiKey'],
+      descricao: 'Modo de desenvolvimento: a chave fica no navegador. Não use num site publicado.',
+      create: createGeminiProvider,
+    },
+  } : {}),
+  openai: {
+    nome: 'Compatível com OpenAI',
+    campos: ['baseUrl', 'model', 'apiKey'],
+    create: createOpenAIProvider,
+  },
+  ollama: {
+    nome: 'Ollama (local)',
+    campos: ['baseUrl', 'model'],
+    create: createOllamaProvider,
+  },
+  fixture: {
+    nome: 'Demonstração offline',
+    campos: [],
+    descricao: 'Gera mapas prontos, sem rede e sem custo. Ideal para demonstrações e testes.',
+    create: createFixtureProvider,
+  },
+};
+
+const STORAGE_KEY = 'mapa-mental:llm-settings';
+
+const PROVEDOR_ENV = import.meta.env.VITE_LLM_PROVIDER;
+
+// Valores padrão vindos das variáveis de ambiente (.env.local). Chaves só no modo direto
+export const DEFAULT_SETTINGS = {
+  provider: PROVIDERS[PROVEDOR_ENV] ? PROVEDOR_ENV : 'servidor',
+  servidor: {
+    baseUrl: import.meta.env.VITE_API_URL || SERVER_DEFAULT_BASE_URL,
+  },
+  gemini: {
+    model: import.meta.env.VITE_GEMINI_MODEL || GEMINI_DEFAULT_MODEL,
+    apiKey: DIRECT_KEY_MODE ? import.meta.env.VITE_GEMINI_API_KEY || '' : '',
+  },
+  openai: {
+    baseUrl: import.meta.env.VITE_OPENAI_BASE_URL || OPENAI_DEFAULT_BASE_URL,
+    model: import.meta.env.VITE_OPENAI_MODEL || OPENAI_DEFAULT_MODEL,
+    apiKey: DIRECT_KEY_MODE ? import.meta.env.VITE_OPENAI_API_KEY || '' : '',
+  },
+  ollama: {
+    baseUrl: import.meta.env.VITE_OLLAMA_BASE_URL || OLLAMA_DEFAULT_BASE_URL,
+    model: import.meta.env.VITE_OLLAMA_MODEL || OLLAMA_DEFAULT_MODEL,
+  },
+  fixture: {},
+};
+
+/**
+ * Configurações salvas no navegador, sobrepostas aos padrões do ambiente.
+ */
+export function loadSettings() {
+  try {
+    const salvas = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    if (!PROVIDERS[salvas.provider]) delete salvas.provider;
+    return Object.fromEntries(
+      Object.entries(DEFAULT_SETTINGS).map(([chave, padrao]) => [
+        chave,
+        typeof padrao === 'object' ? { ...padrao, ...salvas[chave] } : (salvas[chave] || padrao),
+      ])
+    );
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+}
+
+export function saveSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Instancia o provedor escolhido nas configurações.
+ * Lança ProviderError se faltar algo obrigatório (ex.: chave de API).
+ */
+export function createProvider(settings) {
+  const definicao = PROVIDERS[settings.provider];
+  if (!definicao) {
+    throw new ProviderError(`Provedor de IA desconhecido: "${settings.provider}".`);
+  }
+  return definicao.create(settings[settings.provider] || {});
+}
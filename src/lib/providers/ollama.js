@@ -0,0 +1,57 @@
+// --- PROVEDOR: OLLAMA LOCAL ---
+
+import { ProviderError } from './errors';
+import { readLines } from './stream';
+
+export const OLLAMA_DEFAULT_BASE_URL = 'http://localhost:11434';
+export const OLLAMA_DEFAULT_MODEL = 'llama3.1';
+
+export function createOllamaProvider({ baseUrl = OLLAMA_DEFAULT_BASE_URL, model = OLLAMA_DEFAULT_MODEL }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/api/generate`;
+
+  return {
+    id: 'ollama',
+    model,
+    async generate({ prompt, json = true, signal, onProgress }) {
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            model,
+            prompt,
+            stream: Boolean(onProgress),
+            ...(json ? { format: 'json' } : {}),
+          }),
+          signal,
+        });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        throw new ProviderError(`Não foi possível conectar ao Ollama em ${baseUrl}. Ele está rodando?`, { provider: 'ollama', cause: err });
+      }
+
+      if (!response.ok) {
+        const detalhe = await response.text().catch(() => '');
+        throw new ProviderError(`Erro ${response.status} do Ollama. ${detalhe}`.trim(), { provider: 'ollama', status: response.status });
+      }
+
+      if (onProgress) {
+        // NDJSON: um objeto por linha, cada um com um pedaço em `response`
+        let texto = '';
+        await readLines(response, (linha) => {
+          const pedaco = JSON.parse(linha);
+          if (pedaco.error) {
+            throw new ProviderError(`Erro do Ollama: ${pedaco.error}`, { provider: 'ollama' });
+          }
+          texto += pedaco.response || '';
+          onProgress(texto);
+        });
+        return texto;
+      }
+
+      const corpo = await response.json();
+      return corpo.response;
+    },
+  };
+}
@@ -0,0 +1,74 @@
+// --- PROVEDOR: API COMPATÍVEL COM OPENAI ---
+// Serve para qualquer servidor que implemente POST /chat/completions
+// (OpenAI, vLLM, LM Studio, llama.cpp server, OpenRouter...).
+
+import { ProviderError, readRetryAfter } from './errors';
+import { readLines } from './stream';
+
+export const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+export const OPENAI_DEFAULT_MODEL = 'gpt-4o-mini';
+
+export function createOpenAIProvider({ baseUrl = OPENAI_DEFAULT_BASE_URL, apiKey, model = OPENAI_DEFAULT_MODEL }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    id: 'openai',
+    model,
+    async generate({ prompt, json = true, signal, onProgress }) {
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            ...(json ? { response_format: { type: 'json_object' } } : {}),
+            stream: Boolean(onProgress),
+          }),
+          signal,
+        });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        throw new ProviderError(`Não foi possível conectar a ${url}: ${err.message}`, { provider: 'openai', cause: err });
+      }
+
+      if (!response.ok) {
+        const detalhe = await response.text().catch(() => '');
+        throw new ProviderError(`Erro ${response.status} do servidor compatível com OpenAI. ${detalhe}`.trim(), { provider: 'openai', status: response.status, retryAfter: readRetryAfter(response) });
+      }
+
+      if (onProgress) {
+        // Server-Sent Events: "data: {...}" com um pedaço do texto em cada evento
+        let texto = '';
+        await readLines(response, (linha) => {
+          if (!linha.startsWith('data:')) return;
+          const dado = linha.slice(5).trim();
+          if (dado === '[DONE]') return;
+          let evento;
+          try {
+            evento = JSON.parse(dado);
+          } catch {
+            throw new ProviderError(`Evento de streaming inválido: ${dado}`, { provider: 'openai' });
+          }
+          if (evento.error) {
+            throw new ProviderError(evento.error.message || 'Erro durante o streaming.', { provider: 'openai' });
+          }
+          texto += evento.choices?.[0]?.delta?.content || '';
+          onProgress(texto);
+        });
+        return texto;
+      }
+
+      const corpo = await response.json();
+      const texto = corpo.choices?.[0]?.message?.content;
+      if (typeof texto !== 'string') {
+        throw new ProviderError('Resposta sem "choices[0].message.content".', { provider: 'openai' });
+      }
+      return texto;
+    },
+  };
+}
@@ -0,0 +1,57 @@
+// --- PROVEDOR: SERVIDOR DO PROJETO ---
+// Chama o servidor de IA (server/api.js), que guarda a chave do Gemini. Só a
+// descrição da tarefa vai no pedido: o prompt é montado no servidor. A
+// resposta sempre vem em streaming (NDJSON); sem `onProgress`, o texto só é
+// devolvido no fim. Os erros trazem o `tipo` da falha (ver ../aiErrors.js).
+
+import { ProviderError, readRetryAfter } from './errors';
+import { readLines } from './stream';
+
+export const SERVER_DEFAULT_BASE_URL = '/api';
+
+export function createServerProvider({ baseUrl = SERVER_DEFAULT_BASE_URL }) {
+  const url = `${(baseUrl || SERVER_DEFAULT_BASE_URL).replace(/\/+$/, '')}/generate`;
+
+  const provider = {
+    id: 'servidor',
+    // Trocado pelo modelo que o servidor informar na resposta
+    model: 'gemini',
+    async generate({ meta, correcao, signal, onProgress }) {
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ meta, correcao }),
+          signal,
+        });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        throw new ProviderError('Não foi possível conectar ao servidor de IA. Ele está rodando (npm run api)?', { provider: 'servidor', cause: err });
+      }
+
+      if (!response.ok) {
+        const corpo = await response.json().catch(() => ({}));
+        throw new ProviderError(corpo.erro || `Erro ${response.status} do servidor de IA.`, {
+          provider: 'servidor',
+          status: response.status,
+          tipo: corpo.tipo,
+          retryAfter: readRetryAfter(response),
+        });
+      }
+      provider.model = response.headers.get('X-Model') || provider.model;
+
+      let texto = '';
+      await readLines(response, (linha) => {
+        const pedaco = JSON.parse(linha);
+        if (pedaco.erro) {
+          throw new ProviderError(pedaco.erro, { provider: 'servidor', tipo: pedaco.tipo });
+        }
+        texto += pedaco.texto || '';
+        onProgress?.(texto);
+      });
+      return texto;
+    },
+  };
+  return provider;
+}
@@ -0,0 +1,25 @@
+// --- LEITURA DE RESPOSTAS EM STREAMING ---
+
+/**
+ * Lê o corpo de uma resposta HTTP linha a linha, conforme chega
+ * (NDJSON do Ollama ou Server-Sent Events da API da OpenAI).
+ * Rejeita com AbortError se a requisição for cancelada no meio da leitura.
+ *
+ * @param {Response} response
+ * @param {(linha: string) => void} onLine Chamada para cada linha não vazia
+ */
+export async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let pendente = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    pendente += decoder.decode(value, { stream: !done });
+    const linhas = pendente.split('\n');
+    // A última linha pode estar incompleta; fica para a próxima leitura
+    pendente = done ? '' : linhas.pop();
+    linhas.map(l => l.trim()).filter(Boolean).forEach(onLine);
+    if (done) return;
+  }
+}
@@ -0,0 +1,137 @@
+// --- RELAÇÕES ENTRE RAMOS ---
+// O mapa é uma árvore, mas tópicos de ramos diferentes costumam se relacionar
+// ("causa", "contrasta com", "exemplo de"). Essas relações são arestas extras,
+// marcadas em `data.relacao`, que ficam fora da árvore (buildTree as ignora) e
+// são desenhadas tracejadas, com o rótulo da relação:
+//
+//   { id, source, target, label, data: { relacao: true, justificativa } }
+//
+// A IA sugere relações por parseCrossLinks; cada sugestão é aceita ou
+// descartada pelo usuário antes de entrar no mapa.
+
+import { buildTree, isRelationEdge } from './graph';
+import { cleanJsonString } from './validation';
+
+export const MAX_SUGESTOES = 8;
+const ROTULO_MAXIMO = 40;
+
+const isTexto = (v) => typeof v === 'string' && v.trim() !== '';
+const erro = (codigo, params = {}) => ({ codigo, params });
+
+// Mesma chave nos dois sentidos: A→B e B→A são o mesmo par
+const chavePar = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+export const createRelationEdge = ({ source, target, rotulo = '', justificativa = '' }) => ({
+  id: `r${source}-${target}`,
+  source,
+  target,
+  ...(rotulo ? { label: rotulo } : {}),
+  data: { relacao: true, justificativa },
+});
+
+/**
+ * Pares que não podem receber uma relação: pai e filho (já ligados pela árvore)
+ * e os que já têm uma relação.
+ */
+export function getLinkedPairs(nodes, edges) {
+  const { parent } = buildTree(nodes, edges);
+  const pares = new Set([...parent].map(([filho, pai]) => chavePar(filho, pai)));
+  edges.filter(isRelationEdge).forEach(e => pares.add(chavePar(e.source, e.target)));
+  return pares;
+}
+
+/**
+ * Valida as relações sugeridas pela IA.
+ * Sugestões com ids desconhecidos, entre pai e filho ou repetidas são
+ * descartadas; uma lista vazia é uma resposta válida (nada a sugerir).
+ *
+ * @param {string} texto Resposta bruta do modelo
+ * @returns {{ dados: Array<{ id, source, target, rotulo, justificativa }>, correcoes: string[], erros: Array }}
+ */
+export function parseCrossLinks(texto, nodes, edges) {
+  let bruto;
+  try {
+    bruto = JSON.parse(cleanJsonString(texto));
+  } catch {
+    return { dados: null, correcoes: [], erros: [erro('JSON_INVALIDO')] };
+  }
+
+  const lista = Array.isArray(bruto) ? bruto : bruto?.relacoes;
+  if (!Array.isArray(lista)) {
+    return { dados: null, correcoes: [], erros: [erro('ESTRUTURA', { chave: 'relacoes' })] };
+  }
+
+  const ids = new Set(nodes.map(n => n.id));
+  const ocupados = getLinkedPairs(nodes, edges);
+  const correcoes = [];
+  const relacoes = [];
+
+  lista.forEach((r, i) => {
+    const source = String(r?.origem ?? '');
+    const target = String(r?.destino ?? '');
+    if (!ids.has(source) || !ids.has(target) || source === target) {
+      correcoes.push(`Relação na posição ${i} descartada: tópicos "${source}" e "${target}" inválidos.`);
+      return;
+    }
+    if (!isTexto(r.rotulo)) {
+      correcoes.push(`Relação na posição ${i} descartada: sem rótulo.`);
+      return;
+    }
+    const par = chavePar(source, target);
+    if (ocupados.has(par)) {
+      correcoes.push(`Relação ${source} → ${target} descartada: os tópicos já estão ligados.`);
+      return;
+    }
+    ocupados.add(par);
+    relacoes.push({
+      id: `r${source}-${target}`,
+      source,
+      target,
+      rotulo: r.rotulo.trim().slice(0, ROTULO_MAXIMO),
+      justificativa: isTexto(r.justificativa) ? r.justificativa.trim() : '',
+    });
+  });
+
+  // Sugestões que existiam mas não serviram: pede de novo, com os motivos
+  const erros = lista.length > 0 && relacoes.length === 0
+    ? [erro('SEM_RELACOES')]
+    : [];
+  return { dados: relacoes.slice(0, MAX_SUGESTOES), correcoes, erros };
+}
+
+// --- EDIÇÃO ---
+// Mesma assinatura das operações de editing.js, para o histórico de desfazer
+
+/**
+ * Acrescenta relações aceitas, ignorando as que perderam um dos tópicos ou já
+ * estão ligadas (o mapa pode ter mudado desde a sugestão).
+ */
+export function addRelations(nodes, edges, relacoes) {
+  const ids = new Set(nodes.map(n => n.id));
+  const ocupados = getLinkedPairs(nodes, edges);
+  const novas = relacoes.filter(r => {
+    const par = chavePar(r.source, r.target);
+    if (!ids.has(r.source) || !ids.has(r.target) || ocupados.has(par)) return false;
+    ocupados.add(par);
+    return true;
+  });
+  if (novas.length === 0) return null;
+  return { nodes, edges: [...edges, ...novas.map(createRelationEdge)] };
+}
+
+export function removeRelation(nodes, edges, id) {
+  return { nodes, edges: edges.filter(e => e.id !== id) };
+}
+
+/**
+ * Leva uma relação para outro par de tópicos (reconexão no modo de edição).
+ */
+export function reconnectRelation(nodes, edges, id, source, target) {
+  if (!source || !target || source === target) return null;
+  const outras = edges.filter(e => e.id !== id);
+  if (getLinkedPairs(nodes, outras).has(chavePar(source, target))) return null;
+  return {
+    nodes,
+    edges: edges.map(e => (e.id === id ? { ...e, id: `r${source}-${target}`, source, target } : e)),
+  };
+}
@@ -0,0 +1,56 @@
+// --- NOVAS TENTATIVAS COM ESPERA CRESCENTE ---
+// Falhas passageiras (serviço sobrecarregado, limite por minuto, rede instável)
+// são repetidas com espera exponencial e um sorteio ("jitter"), para que vários
+// clientes não voltem todos no mesmo instante.
+
+import { isRetryableFailure } from './aiErrors';
+
+const REPETICOES = 3;
+const ESPERA_BASE = 1000;
+const ESPERA_TETO = 15000;
+
+/**
+ * Espera antes da repetição número `repeticao` (a partir de 1): metade fixa e
+ * metade sorteada de base·2^(n-1), limitada a ESPERA_TETO.
+ */
+export function backoffDelay(repeticao, { base = ESPERA_BASE, teto = ESPERA_TETO } = {}) {
+  const limite = Math.min(teto, base * 2 ** (repeticao - 1));
+  return limite / 2 + Math.random() * (limite / 2);
+}
+
+const esperar = (ms, signal) => new Promise((resolve, reject) => {
+  const cancelar = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Requisição cancelada', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', cancelar);
+    resolve();
+  }, ms);
+  if (signal?.aborted) cancelar();
+  else signal?.addEventListener('abort', cancelar, { once: true });
+});
+
+/**
+ * Executa `operacao` e a repete enquanto a falha for passageira.
+ *
+ * @param {() => Promise<any>} operacao
+ * @param {object} [opcoes]
+ * @param {AbortSignal} [opcoes.signal] Interrompe também a espera entre tentativas
+ * @param {number} [opcoes.repeticoes] Repetições além da primeira chamada
+ * @param {(info: { repeticao: number, total: number, espera: number, erro: Error }) => void} [opcoes.onRetry]
+ *   Avisada antes de cada espera (em milissegundos)
+ */
+export async function withRetry(operacao, { signal, repeticoes = REPETICOES, onRetry } = {}) {
+  for (let repeticao = 1; ; repeticao++) {
+    try {
+      return await operacao();
+    } catch (err) {
+      if (signal?.aborted || repeticao > repeticoes || !isRetryableFailure(err)) throw err;
+      // O pedido do serviço vale mais que a nossa conta, mas nunca passa do teto
+      const espera = err.retryAfter ? Math.min(ESPERA_TETO, err.retryAfter * 1000) : backoffDelay(repeticao);
+      onRetry?.({ repeticao, total: repeticoes, espera, erro: err });
+      await esperar(espera, signal);
+    }
+  }
+}
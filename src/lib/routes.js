@@ -0,0 +1,68 @@
+// --- ROTAS DA APLICAÇÃO ---
+// As telas ficam no fragmento da URL (#/...), para o voltar/avançar do navegador
+// funcionar e para links de compartilhamento abrirem direto no mapa. O fragmento
+// não vai para o servidor, então qualquer hospedagem estática serve.
+//
+//   #/              tela inicial
+//   #/gerando       geração em andamento
+//   #/mapa/<id>     mapa salvo na biblioteca deste navegador
+//   #/sala/<id>     o mesmo mapa, editado em tempo real com quem tiver o link
+//   #/ver/<dados>   mapa compartilhado, somente leitura (dados comprimidos no próprio link)
+
+export const TELAS = {
+  HOME: 'HOME',
+  LOADING: 'LOADING',
+  RESULT: 'RESULT',
+};
+
+const ROTA_INICIAL = { tela: TELAS.HOME, chave: '#/' };
+
+// Um "%" malformado no link não pode derrubar a renderização
+const decodificar = (parametro) => {
+  try {
+    return decodeURIComponent(parametro);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Interpreta o fragmento da URL.
+ *
+ * @param {string} hash Ex.: "#/mapa/abc"
+ * @returns {{ tela: string, chave: string, mapaId?: string, sala?: boolean, compartilhado?: string }}
+ *   `chave` identifica a rota normalizada, para comparar com o que já está aberto
+ */
+export function parseRoute(hash = '') {
+  const caminho = hash.replace(/^#\/?/, '');
+  const [secao, ...resto] = caminho.split('/');
+  const parametro = resto.join('/');
+
+  if (secao === 'gerando') return { tela: TELAS.LOADING, chave: '#/gerando' };
+  if (secao === 'mapa' && parametro) {
+    const mapaId = decodificar(parametro);
+    if (!mapaId) return ROTA_INICIAL;
+    return { tela: TELAS.RESULT, chave: buildRoute({ tela: TELAS.RESULT, mapaId }), mapaId };
+  }
+  // A sala tem o id do mapa: quem entra guarda o mapa na própria biblioteca com o mesmo id
+  if (secao === 'sala' && parametro) {
+    const mapaId = decodificar(parametro);
+    if (!mapaId) return ROTA_INICIAL;
+    return { tela: TELAS.RESULT, chave: buildRoute({ tela: TELAS.RESULT, mapaId, sala: true }), mapaId, sala: true };
+  }
+  if (secao === 'ver' && parametro) {
+    return { tela: TELAS.RESULT, chave: `#/ver/${parametro}`, compartilhado: parametro };
+  }
+  return ROTA_INICIAL;
+}
+
+/**
+ * Monta o fragmento de uma rota (o inverso de parseRoute).
+ */
+export function buildRoute({ tela, mapaId, sala, compartilhado }) {
+  if (tela === TELAS.LOADING) return '#/gerando';
+  if (tela === TELAS.RESULT && compartilhado) return `#/ver/${compartilhado}`;
+  if (tela === TELAS.RESULT && mapaId && sala) return `#/sala/${encodeURIComponent(mapaId)}`;
+  if (tela === TELAS.RESULT && mapaId) return `#/mapa/${encodeURIComponent(mapaId)}`;
+  return '#/';
+}
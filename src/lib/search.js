@@ -0,0 +1,66 @@
+// --- BUSCA NO MAPA ---
+// Ignora acentos e maiúsculas ("acao" encontra "Ação") e procura no título e
+// na descrição dos tópicos.
+
+import { buildTree } from './graph';
+import { normalizeText } from './text';
+
+/**
+ * Ids dos nós cujo label ou descrição contém o termo, na ordem da árvore
+ * (de cima para baixo, ramo a ramo), para Enter/Shift+Enter seguirem o mapa.
+ *
+ * @returns {string[]} Vazio se o termo estiver em branco
+ */
+export function searchNodes(nodes, edges, termo) {
+  const busca = normalizeText(termo.trim());
+  if (!busca) return [];
+
+  const { roots, children } = buildTree(nodes, edges);
+  const porId = new Map(nodes.map(n => [n.id, n]));
+  const encontrados = [];
+  const visitar = (id) => {
+    const { label = '', descricao = '' } = porId.get(id).data;
+    if (normalizeText(label).includes(busca) || normalizeText(descricao).includes(busca)) {
+      encontrados.push(id);
+    }
+    (children.get(id) || []).forEach(visitar);
+  };
+  roots.forEach(visitar);
+  return encontrados;
+}
+
+/**
+ * Divide o texto em trechos marcando onde o termo aparece, para destacar com
+ * <mark>. Os trechos são do texto original, com os acentos preservados.
+ *
+ * @returns {Array<{ texto: string, destaque: boolean }>}
+ */
+export function splitMatches(texto = '', termo = '') {
+  const busca = normalizeText(termo.trim());
+  if (!busca || !texto) return [{ texto, destaque: false }];
+
+  // Normaliza caractere a caractere, guardando de onde veio cada posição
+  let normalizado = '';
+  const origem = [];
+  let indice = 0;
+  for (const caractere of texto) {
+    for (const c of normalizeText(caractere)) {
+      normalizado += c;
+      origem.push(indice);
+    }
+    indice += caractere.length;
+  }
+  origem.push(texto.length);
+
+  const trechos = [];
+  let cursor = 0;
+  for (let pos = normalizado.indexOf(busca); pos !== -1; pos = normalizado.indexOf(busca, pos + busca.length)) {
+    const inicio = origem[pos];
+    const fim = origem[pos + busca.length];
+    if (inicio > cursor) trechos.push({ texto: texto.slice(cursor, inicio), destaque: false });
+    trechos.push({ texto: texto.slice(inicio, fim), destaque: true });
+    cursor = fim;
+  }
+  if (cursor < texto.length) trechos.push({ texto: texto.slice(cursor), destaque: false });
+  return trechos;
+}
@@ -0,0 +1,97 @@
+// --- LINKS DE COMPARTILHAMENTO ---
+// O mapa inteiro (tema, resumo, nós com posições, arestas e aparência) vai comprimido no
+// próprio link, em base64 "url-safe". Não há servidor: quem abre o link vê o
+// mapa sem chamar a IA e sem precisar da biblioteca de quem compartilhou.
+
+import { LocalizedError } from './i18n';
+import { normalizeNodeColors } from './theme';
+
+const VERSAO = 1;
+
+// Bytes em base64 sem "+", "/" e "=", que teriam de ser escapados na URL
+const paraBase64Url = (bytes) => {
+  let binario = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binario += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binario).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const deBase64Url = (texto) => {
+  const base64 = texto.replace(/-/g, '+').replace(/_/g, '/');
+  const binario = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binario, c => c.charCodeAt(0));
+};
+
+const transformar = async (bytes, stream) => new Uint8Array(
+  await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()
+);
+
+// Só o que não se recalcula: tipo do nó, `data.id` e o estilo das arestas são repostos ao abrir.
+// As imagens anexadas aos tópicos (ver notes.js) ficam de fora: deixariam o link enorme
+const compactarNo = ({ id, position, data }) => {
+  const { id: _id, imagens: _imagens, ...resto } = data;
+  return { id, x: Math.round(position.x), y: Math.round(position.y), data: resto };
+};
+
+const compactarAresta = ({ id, source, target, label, data }) => ({
+  id, source, target, ...(label ? { label } : {}), ...(data ? { data } : {}),
+});
+
+/**
+ * Gera o trecho do link com o mapa comprimido.
+ *
+ * @returns {Promise<string>} Texto seguro para ir no fragmento da URL
+ */
+export async function encodeSharedMap({ tema, resumo, nodes, edges, layoutMode, aparencia, documento }) {
+  const payload = {
+    v: VERSAO,
+    tema,
+    resumo,
+    layoutMode,
+    aparencia,
+    nodes: nodes.map(compactarNo),
+    edges: edges.map(compactarAresta),
+    ...(documento ? { documento } : {}),
+  };
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  return paraBase64Url(await transformar(bytes, new CompressionStream('deflate-raw')));
+}
+
+/**
+ * Lê um mapa compartilhado. Lança erro se o link estiver incompleto ou corrompido.
+ *
+ * @returns {Promise<{ tema, resumo, layoutMode, aparencia?, nodes, edges, documento? }>} Nós no
+ *   formato do React Flow; as arestas ainda sem o estilo padrão da aplicação
+ */
+export async function decodeSharedMap(texto) {
+  let payload;
+  try {
+    const bytes = await transformar(deBase64Url(texto), new DecompressionStream('deflate-raw'));
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (err) {
+    throw new LocalizedError('erros.link.corrompido', {}, { cause: err });
+  }
+
+  if (payload?.v > VERSAO) {
+    throw new LocalizedError('erros.link.versaoNova', { versao: payload.v });
+  }
+  if (!Array.isArray(payload?.nodes) || payload.nodes.length === 0 || !Array.isArray(payload.edges)) {
+    throw new LocalizedError('erros.link.semMapa');
+  }
+
+  return {
+    tema: payload.tema || payload.nodes[0].data?.label || '',
+    resumo: payload.resumo || '',
+    layoutMode: payload.layoutMode,
+    aparencia: payload.aparencia,
+    nodes: normalizeNodeColors(payload.nodes.map(({ id, x, y, data }) => ({
+      id: String(id),
+      type: 'mindmap',
+      position: { x: Number(x) || 0, y: Number(y) || 0 },
+      data: { ...data, id: String(id) },
+    }))),
+    edges: payload.edges,
+    documento: payload.documento,
+  };
+}
@@ -0,0 +1,81 @@
+// --- REPETIÇÃO ESPAÇADA (SM-2) ---
+// Cada cartão guarda { repeticoes, intervalo (dias), facilidade, vencimento, ultimaRevisao }.
+// Acertos seguidos aumentam o intervalo até a próxima revisão; um erro recomeça
+// a sequência e o cartão volta no mesmo dia.
+
+export const NOTAS = {
+  errei: { nome: 'Errei', qualidade: 1 },
+  dificil: { nome: 'Difícil', qualidade: 3 },
+  bom: { nome: 'Bom', qualidade: 4 },
+  facil: { nome: 'Fácil', qualidade: 5 },
+};
+
+const FACILIDADE_INICIAL = 2.5;
+const FACILIDADE_MINIMA = 1.3;
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calcula o novo estado de um cartão depois de uma revisão.
+ *
+ * @param {object|undefined} estado Estado atual (undefined para cartão novo)
+ * @param {keyof NOTAS} nota Como foi a resposta
+ * @param {Date} [agora]
+ * @returns {object} Novo estado, com `vencimento` em ISO
+ */
+export function scheduleCard(estado, nota, agora = new Date()) {
+  const { qualidade } = NOTAS[nota];
+  const anterior = estado || { repeticoes: 0, intervalo: 0, facilidade: FACILIDADE_INICIAL };
+
+  const facilidade = Math.max(
+    FACILIDADE_MINIMA,
+    anterior.facilidade + (0.1 - (5 - qualidade) * (0.08 + (5 - qualidade) * 0.02))
+  );
+
+  let repeticoes;
+  let intervalo;
+  if (qualidade < 3) {
+    repeticoes = 0;
+    intervalo = 0;
+  } else {
+    repeticoes = anterior.repeticoes + 1;
+    if (repeticoes === 1) intervalo = 1;
+    else if (repeticoes === 2) intervalo = 6;
+    else intervalo = Math.round(anterior.intervalo * facilidade);
+  }
+
+  return {
+    repeticoes,
+    intervalo,
+    facilidade: Math.round(facilidade * 100) / 100,
+    vencimento: new Date(agora.getTime() + intervalo * DIA_MS).toISOString(),
+    ultimaRevisao: agora.toISOString(),
+  };
+}
+
+export const isDue = (estado, agora = new Date()) => !estado || new Date(estado.vencimento) <= agora;
+
+/**
+ * Monta a fila de uma sessão: primeiro os cartões vencidos (os mais atrasados
+ * antes), depois até `maxNovos` cartões nunca estudados.
+ *
+ * @param {Array<{ id: string }>} cartoes
+ * @param {Object<string, object>} progresso Estado por id de cartão
+ */
+export function buildSession(cartoes, progresso, { maxNovos = 15, agora = new Date() } = {}) {
+  const vencidos = cartoes
+    .filter(c => progresso[c.id] && isDue(progresso[c.id], agora))
+    .sort((a, b) => progresso[a.id].vencimento.localeCompare(progresso[b.id].vencimento));
+  const novos = cartoes.filter(c => !progresso[c.id]).slice(0, maxNovos);
+  return [...vencidos, ...novos];
+}
+
+// Contagens para o painel: novos, vencidos e já agendados para depois
+export function summarizeProgress(cartoes, progresso, agora = new Date()) {
+  return cartoes.reduce((total, c) => {
+    const estado = progresso[c.id];
+    if (!estado) total.novos += 1;
+    else if (isDue(estado, agora)) total.vencidos += 1;
+    else total.agendados += 1;
+    return total;
+  }, { novos: 0, vencidos: 0, agendados: 0 });
+}
@@ -0,0 +1,210 @@
+// --- BIBLIOTECA LOCAL DE MAPAS (IndexedDB) ---
+// Cada mapa é salvo como um documento:
+// { id, nome, tema, resumo, nodes, edges, layoutMode, viewport, modelo, opcoes, criadoEm, atualizadoEm }
+// (`opcoes` são as opções de geração usadas pela IA; ausente em mapas importados)
+//
+// O progresso do modo de estudo fica num store separado, um registro por mapa:
+// { mapaId, cartoesIa, progresso: { [idDoCartao]: estadoSM2 }, atualizadoEm }
+//
+// O histórico de versões de cada mapa (estados confirmados, como o gerado e o
+// resultado de cada regeneração) também fica num store separado:
+// { id, mapaId, rotulo, tema, resumo, nodes, edges, layoutMode, criadoEm }
+//
+// As respostas da IA guardadas para reaproveitar (ver generationCache.js):
+// { chave, dados, modelo, criadoEm }
+
+const DB_NAME = 'mapa-mental-ia';
+const DB_VERSION = 4;
+const STORE = 'mapas';
+const STORE_ESTUDO = 'estudo';
+const STORE_VERSOES = 'versoes';
+const STORE_CACHE = 'cache';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Este navegador não suporta IndexedDB.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('atualizadoEm', 'atualizadoEm');
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(STORE_ESTUDO, { keyPath: 'mapaId' });
+        }
+        if (event.oldVersion < 3) {
+          const versoes = db.createObjectStore(STORE_VERSOES, { keyPath: 'id' });
+          versoes.createIndex('mapaId', 'mapaId');
+        }
+        if (event.oldVersion < 4) {
+          const cache = db.createObjectStore(STORE_CACHE, { keyPath: 'chave' });
+          cache.createIndex('criadoEm', 'criadoEm');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Permite tentar de novo numa próxima chamada se a abertura falhar
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Executa uma operação numa transação e resolve com o resultado da requisição
+async function comStore(modo, operacao, nomeStore = STORE) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(nomeStore, modo);
+    const request = operacao(tx.objectStore(nomeStore));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Remove do nó o estado interno do React Flow que não deve ser persistido
+export const serializeNode = ({ id, type, position, data, sourcePosition, targetPosition }) => (
+  { id, type, position, data, sourcePosition, targetPosition }
+);
+export const serializeEdge = (edge) => {
+  const { selected: _selected, ...resto } = edge;
+  return resto;
+};
+
+/**
+ * Lista os mapas salvos, do mais recente para o mais antigo.
+ */
+export async function listMaps() {
+  const mapas = await comStore('readonly', store => store.getAll());
+  return mapas.sort((a, b) => b.atualizadoEm.localeCompare(a.atualizadoEm));
+}
+
+export function getMap(id) {
+  return comStore('readonly', store => store.get(id));
+}
+
+/**
+ * Cria ou atualiza um mapa. Preenche `criadoEm` na primeira vez e sempre
+ * atualiza `atualizadoEm`.
+ */
+export async function saveMap(mapa) {
+  const agora = new Date().toISOString();
+  const documento = {
+    ...mapa,
+    nome: mapa.nome || mapa.tema,
+    nodes: mapa.nodes.map(serializeNode),
+    edges: mapa.edges.map(serializeEdge),
+    criadoEm: mapa.criadoEm || agora,
+    atualizadoEm: agora,
+  };
+  await comStore('readwrite', store => store.put(documento));
+  return documento;
+}
+
+export async function renameMap(id, nome) {
+  const mapa = await getMap(id);
+  if (!mapa) return null;
+  return saveMap({ ...mapa, nome });
+}
+
+export async function duplicateMap(id) {
+  const mapa = await getMap(id);
+  if (!mapa) return null;
+  return saveMap({
+    ...mapa,
+    id: crypto.randomUUID(),
+    nome: `${mapa.nome} (cópia)`,
+    criadoEm: null,
+  });
+}
+
+export async function deleteMap(id) {
+  await comStore('readwrite', store => store.delete(id));
+  await comStore('readwrite', store => store.delete(id), STORE_ESTUDO);
+  await comStore('readwrite', store => {
+    const request = store.index('mapaId').openCursor(IDBKeyRange.only(id));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+    return request;
+  }, STORE_VERSOES);
+}
+
+// --- PROGRESSO DO MODO DE ESTUDO ---
+
+export async function getStudyProgress(mapaId) {
+  const registro = await comStore('readonly', store => store.get(mapaId), STORE_ESTUDO);
+  return registro || { mapaId, cartoesIa: [], progresso: {} };
+}
+
+export async function saveStudyProgress(registro) {
+  const documento = { ...registro, atualizadoEm: new Date().toISOString() };
+  await comStore('readwrite', store => store.put(documento), STORE_ESTUDO);
+  return documento;
+}
+
+// --- HISTÓRICO DE VERSÕES ---
+
+/**
+ * Versões salvas de um mapa, da mais recente para a mais antiga.
+ */
+export async function listVersions(mapaId) {
+  const versoes = await comStore('readonly', store => store.index('mapaId').getAll(mapaId), STORE_VERSOES);
+  return versoes.sort((a, b) => b.criadoEm.localeCompare(a.criadoEm));
+}
+
+export async function saveVersion({ mapaId, rotulo, tema, resumo, nodes, edges, layoutMode }) {
+  const versao = {
+    id: crypto.randomUUID(),
+    mapaId,
+    rotulo,
+    tema,
+    resumo,
+    nodes: nodes.map(serializeNode),
+    edges: edges.map(serializeEdge),
+    layoutMode,
+    criadoEm: new Date().toISOString(),
+  };
+  await comStore('readwrite', store => store.put(versao), STORE_VERSOES);
+  return versao;
+}
+
+// --- CACHE DE RESPOSTAS DA IA ---
+
+export async function getCachedResponse(chave) {
+  return (await comStore('readonly', store => store.get(chave), STORE_CACHE)) || null;
+}
+
+/**
+ * Guarda uma resposta e apaga as vencidas (criadas antes de `validoDesde`) e as
+ * mais antigas além de `maximo`.
+ */
+export async function saveCachedResponse(registro, { maximo, validoDesde }) {
+  const documento = { ...registro, criadoEm: new Date().toISOString() };
+  await comStore('readwrite', store => store.put(documento), STORE_CACHE);
+  await comStore('readwrite', store => {
+    let restantes = maximo;
+    // Da mais nova para a mais antiga
+    const request = store.index('criadoEm').openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (restantes > 0 && cursor.value.criadoEm >= validoDesde) restantes--;
+      else cursor.delete();
+      cursor.continue();
+    };
+    return request;
+  }, STORE_CACHE);
+  return documento;
+}
@@ -0,0 +1,230 @@
+// --- CARTÕES DE ESTUDO ---
+// Transforma o mapa em flashcards, questões de múltipla escolha e de completar.
+// Os cartões "offline" saem só da estrutura (label, descrição e pai/filhos) e têm
+// ids estáveis por nó, para o progresso da repetição espaçada sobreviver a edições.
+// Cartões gerados pela IA chegam por parseStudyCards e ficam salvos com o progresso.
+
+import { buildTree } from './graph';
+import { cleanJsonString } from './validation';
+import { normalizeText } from './text';
+import { translate, IDIOMA_PADRAO } from './i18n';
+
+export const TIPOS_CARTAO = {
+  flashcard: 'Flashcard',
+  multipla: 'Múltipla escolha',
+  lacuna: 'Completar',
+};
+
+const LACUNA = '______';
+const isTexto = (v) => typeof v === 'string' && v.trim() !== '';
+const erro = (codigo, params = {}) => ({ codigo, params });
+
+// Hash curto (FNV-1a) para ids de cartões e sementes de embaralhamento
+const hash = (texto) => {
+  let h = 2166136261;
+  for (let i = 0; i < texto.length; i++) {
+    h ^= texto.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+};
+
+// Embaralhamento determinístico: as alternativas não mudam de ordem a cada sessão
+const embaralhar = (lista, semente) => {
+  const copia = [...lista];
+  let estado = hash(semente) || 1;
+  for (let i = copia.length - 1; i > 0; i--) {
+    estado = (Math.imul(estado, 1103515245) + 12345) >>> 0;
+    const j = estado % (i + 1);
+    [copia[i], copia[j]] = [copia[j], copia[i]];
+  }
+  return copia;
+};
+
+// Esconde o próprio label dentro da descrição, para a pergunta não entregar a resposta
+const esconderTermo = (texto, termo) => {
+  const escapado = termo.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return escapado ? texto.replace(new RegExp(escapado, 'gi'), LACUNA) : texto;
+};
+
+const unicos = (lista) => [...new Set(lista.filter(isTexto).map(t => t.trim()))];
+
+/**
+ * Gera cartões a partir da estrutura do mapa, sem usar a IA.
+ *
+ * @param {Array} nodes Nós do React Flow
+ * @param {Array} edges
+ * @param {Function} [t] Tradução do idioma da interface (ver useI18n); sem ela, português
+ * @returns {Array<{ id, tipo, nodeId, pergunta, resposta, alternativas?, dica?, origem }>}
+ */
+export function buildOfflineCards(nodes, edges, t = (chave, params) => translate(IDIOMA_PADRAO, chave, params)) {
+  const { children, parent } = buildTree(nodes, edges);
+  const porId = new Map(nodes.map(n => [n.id, n]));
+  const labelDe = (id) => porId.get(id)?.data.label || '';
+  const descricoes = unicos(nodes.map(n => n.data.descricao));
+  const pais = unicos(nodes.filter(n => (children.get(n.id) || []).length > 0).map(n => n.data.label));
+  const cartoes = [];
+
+  nodes.forEach(node => {
+    const { label, descricao } = node.data;
+    if (!isTexto(label)) return;
+    const pai = parent.get(node.id);
+    const filhos = children.get(node.id) || [];
+    const base = { nodeId: node.id, origem: 'mapa' };
+
+    if (isTexto(descricao)) {
+      cartoes.push({
+        ...base,
+        id: `flashcard:${node.id}`,
+        tipo: 'flashcard',
+        pergunta: pai
+          ? t('estudo.perguntas.oQueEDentro', { label, pai: labelDe(pai) })
+          : t('estudo.perguntas.oQueE', { label }),
+        resposta: descricao,
+      });
+
+      const distratores = embaralhar(descricoes.filter(d => d !== descricao.trim()), node.id).slice(0, 3);
+      if (distratores.length === 3) {
+        cartoes.push({
+          ...base,
+          id: `multipla:${node.id}`,
+          tipo: 'multipla',
+          pergunta: t('estudo.perguntas.qualDescricao', { label }),
+          resposta: descricao.trim(),
+          alternativas: embaralhar([descricao.trim(), ...distratores], `multipla:${node.id}`),
+        });
+      }
+    }
+
+    if (filhos.length >= 2) {
+      cartoes.push({
+        ...base,
+        id: `subtopicos:${node.id}`,
+        tipo: 'flashcard',
+        pergunta: t('estudo.perguntas.quaisSubtopicos', { label }),
+        resposta: filhos.map(labelDe).join(' · '),
+      });
+    }
+
+    if (pai) {
+      const distratores = embaralhar(pais.filter(p => p !== labelDe(pai) && p !== label), node.id).slice(0, 3);
+      if (distratores.length === 3) {
+        cartoes.push({
+          ...base,
+          id: `pai:${node.id}`,
+          tipo: 'multipla',
+          pergunta: t('estudo.perguntas.subtopicoDe', { label }),
+          resposta: labelDe(pai),
+          alternativas: embaralhar([labelDe(pai), ...distratores], `pai:${node.id}`),
+        });
+      }
+
+      if (isTexto(descricao)) {
+        cartoes.push({
+          ...base,
+          id: `lacuna:${node.id}`,
+          tipo: 'lacuna',
+          pergunta: `${LACUNA}: ${esconderTermo(descricao, label)}`,
+          dica: t('estudo.perguntas.dicaLacuna', { pai: labelDe(pai) }),
+          resposta: label,
+        });
+      }
+    }
+  });
+
+  return cartoes;
+}
+
+// Distância de edição, para aceitar pequenos erros de digitação nas lacunas
+const distancia = (a, b) => {
+  let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const atual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      atual[j] = Math.min(anterior[j] + 1, atual[j - 1] + 1, anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    anterior = atual;
+  }
+  return anterior[b.length];
+};
+
+const simplificar = (texto) => normalizeText(texto).replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Confere a resposta digitada numa lacuna, ignorando acentos, maiúsculas,
+ * pontuação e um erro de digitação a cada 6 letras.
+ */
+export function checkAnswer(digitada, esperada) {
+  const a = simplificar(digitada);
+  const b = simplificar(esperada);
+  if (!a) return false;
+  return distancia(a, b) <= Math.floor(b.length / 6);
+}
+
+/**
+ * Converte a resposta do modelo em cartões. Aceita `{ cartoes: [...] }` ou um
+ * array direto; cartões sem pergunta/resposta são descartados e questões de
+ * múltipla escolha sem alternativas suficientes viram flashcards.
+ *
+ * @param {string} texto Resposta bruta do modelo
+ * @param {Array} nodes Nós do mapa, para validar `nodeId`
+ * @returns {{ dados: Array, correcoes: string[], erros: Array }}
+ */
+export function parseStudyCards(texto, nodes) {
+  let bruto;
+  try {
+    bruto = JSON.parse(cleanJsonString(texto));
+  } catch {
+    return { dados: null, correcoes: [], erros: [erro('JSON_INVALIDO')] };
+  }
+
+  const lista = Array.isArray(bruto) ? bruto : bruto?.cartoes;
+  if (!Array.isArray(lista)) {
+    return { dados: null, correcoes: [], erros: [erro('ESTRUTURA', { chave: 'cartoes' })] };
+  }
+
+  const ids = new Set(nodes.map(n => n.id));
+  const correcoes = [];
+  const vistos = new Set();
+  const cartoes = [];
+
+  lista.forEach((c, i) => {
+    if (!isTexto(c?.pergunta) || !isTexto(c?.resposta)) {
+      correcoes.push(`Cartão na posição ${i} descartado: sem pergunta ou resposta.`);
+      return;
+    }
+    const pergunta = c.pergunta.trim();
+    const resposta = c.resposta.trim();
+    let tipo = TIPOS_CARTAO[c.tipo] ? c.tipo : 'flashcard';
+    let alternativas;
+    if (tipo === 'multipla') {
+      alternativas = unicos([resposta, ...(Array.isArray(c.alternativas) ? c.alternativas : [])]).slice(0, 5);
+      if (alternativas.length < 3) {
+        correcoes.push(`Cartão "${pergunta}" sem alternativas suficientes: virou flashcard.`);
+        tipo = 'flashcard';
+        alternativas = undefined;
+      }
+    }
+
+    const id = `ia:${hash(`${tipo}|${pergunta}`).toString(36)}`;
+    if (vistos.has(id)) {
+      correcoes.push(`Cartão "${pergunta}" descartado: repetido.`);
+      return;
+    }
+    vistos.add(id);
+
+    cartoes.push({
+      id,
+      tipo,
+      nodeId: ids.has(String(c.nodeId)) ? String(c.nodeId) : null,
+      pergunta,
+      resposta,
+      ...(alternativas ? { alternativas: embaralhar(alternativas, id) } : {}),
+      ...(isTexto(c.dica) ? { dica: c.dica.trim() } : {}),
+      origem: 'ia',
+    });
+  });
+
+  const erros = cartoes.length === 0 ? [erro('SEM_CARTOES')] : [];
+  return { dados: cartoes, correcoes, erros };
+}
@@ -0,0 +1,8 @@
+// --- UTILITÁRIOS DE TEXTO ---
+
+/**
+ * Minúsculas e sem acentos, para buscas e comparações ("Ação" → "acao").
+ */
+export function normalizeText(texto = '') {
+  return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
@@ -0,0 +1,212 @@
+// --- TEMAS E CORES DOS RAMOS ---
+// A aparência (tema de cores e estilo das ligações) é salva com cada mapa; a
+// última escolhida vira o padrão dos próximos mapas. Cada ramo de primeiro nível
+// recebe uma cor da paleta do tema, herdada pelos descendentes; a cor escolhida
+// num tópico vale para ele e para todo o ramo abaixo dele.
+
+import { buildTree, isRelationEdge } from './graph';
+
+export const THEMES = {
+  claro: {
+    nome: 'Claro',
+    escuro: false,
+    fundo: '#ffffff',
+    pontos: '#e5e7eb',
+    raiz: {
+      fundo: 'linear-gradient(to bottom right, #2563eb, #16a34a)',
+      // Cor única para onde não há gradiente (PDF, minimapa)
+      solido: '#2563eb',
+      borda: '#1d4ed8',
+      texto: '#ffffff',
+      descricao: '#dbeafe',
+    },
+    no: { fundo: '#ffffff', texto: '#111827', descricao: '#4b5563' },
+    aresta: '#6b7280',
+    // Relações entre ramos (ver relations.js)
+    relacao: '#9333ea',
+    paleta: ['#2563eb', '#16a34a', '#d97706', '#db2777', '#7c3aed', '#0891b2', '#dc2626', '#65a30d'],
+  },
+  escuro: {
+    nome: 'Escuro',
+    escuro: true,
+    fundo: '#111827',
+    pontos: '#374151',
+    raiz: {
+      fundo: 'linear-gradient(to bottom right, #1d4ed8, #15803d)',
+      solido: '#1d4ed8',
+      borda: '#60a5fa',
+      texto: '#ffffff',
+      descricao: '#bfdbfe',
+    },
+    no: { fundo: '#1f2937', texto: '#f9fafb', descricao: '#d1d5db' },
+    aresta: '#9ca3af',
+    relacao: '#c084fc',
+    paleta: ['#60a5fa', '#4ade80', '#fbbf24', '#f472b6', '#a78bfa', '#22d3ee', '#f87171', '#a3e635'],
+  },
+  pastel: {
+    nome: 'Pastel',
+    escuro: false,
+    fundo: '#fdfaf5',
+    pontos: '#ede6da',
+    raiz: {
+      fundo: 'linear-gradient(to bottom right, #f9a8d4, #a5b4fc)',
+      solido: '#c4b5fd',
+      borda: '#a78bfa',
+      texto: '#1f2937',
+      descricao: '#374151',
+    },
+    no: { fundo: '#ffffff', texto: '#1f2937', descricao: '#57534e' },
+    aresta: '#a8a29e',
+    relacao: '#8b5cf6',
+    paleta: ['#93c5fd', '#86efac', '#fcd34d', '#f9a8d4', '#c4b5fd', '#67e8f9', '#fca5a5', '#bef264'],
+  },
+  contraste: {
+    nome: 'Alto contraste',
+    escuro: false,
+    fundo: '#ffffff',
+    pontos: '#d4d4d4',
+    raiz: {
+      fundo: '#000000',
+      solido: '#000000',
+      borda: '#000000',
+      texto: '#ffffff',
+      descricao: '#e5e5e5',
+    },
+    no: { fundo: '#ffffff', texto: '#000000', descricao: '#262626' },
+    aresta: '#000000',
+    relacao: '#7a0099',
+    paleta: ['#0033cc', '#006600', '#b30000', '#6600cc', '#995c00', '#00666b'],
+  },
+};
+
+// Tipos de ligação do React Flow
+export const EDGE_TYPES = {
+  default: { nome: 'Curva' },
+  straight: { nome: 'Reta' },
+  step: { nome: 'Em degraus' },
+  smoothstep: { nome: 'Degraus arredondados' },
+};
+
+export const NODE_SHAPES = {
+  arredondado: { nome: 'Arredondado' },
+  retangulo: { nome: 'Retângulo' },
+  pilula: { nome: 'Pílula' },
+};
+
+export const DEFAULT_APPEARANCE = {
+  tema: 'claro',
+  arestas: 'default',
+  animadas: true,
+};
+
+const STORAGE_KEY = 'mapa-mental:aparencia';
+
+const escolher = (valor, opcoes, padrao) => (Object.hasOwn(opcoes, valor) ? valor : padrao);
+
+/**
+ * Completa e corrige a aparência de um mapa (ex.: salvo antes dos temas).
+ */
+export function normalizeAppearance(aparencia = {}) {
+  return {
+    tema: escolher(aparencia.tema, THEMES, DEFAULT_APPEARANCE.tema),
+    arestas: escolher(aparencia.arestas, EDGE_TYPES, DEFAULT_APPEARANCE.arestas),
+    animadas: typeof aparencia.animadas === 'boolean' ? aparencia.animadas : DEFAULT_APPEARANCE.animadas,
+  };
+}
+
+// As cores das paletas são todas "#rrggbb"; é o mesmo formato que o servidor de
+// colaboração aceita na presença
+const COR_VALIDA = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Descarta cores de tópico que não sejam "#rrggbb". A cor vai direto para o CSS
+ * e para o PDF, então mapas vindos de fora (arquivos, links) passam por aqui.
+ */
+export function normalizeNodeColors(nodes) {
+  return nodes.map(n => (
+    n.data?.cor === undefined || COR_VALIDA.test(n.data.cor) ? n : { ...n, data: { ...n.data, cor: undefined } }
+  ));
+}
+
+/**
+ * Última aparência escolhida neste navegador, usada nos mapas novos.
+ */
+export function loadAppearance() {
+  try {
+    return normalizeAppearance(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+  } catch {
+    return DEFAULT_APPEARANCE;
+  }
+}
+
+export function saveAppearance(aparencia) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(aparencia));
+}
+
+/**
+ * Raízes do mapa (nós sem pai, pelo grafo) e a cor de cada nó.
+ *
+ * @returns {{ raizes: Set<string>, cores: Map<string, string|null> }} As raízes
+ *   só têm cor se o usuário escolheu uma; os demais sempre têm
+ */
+export function getBranchColors(nodes, edges, paleta) {
+  const { roots, children } = buildTree(nodes, edges);
+  const porId = new Map(nodes.map(n => [n.id, n]));
+  const cores = new Map();
+
+  const pintar = (id, herdada) => {
+    const cor = porId.get(id).data.cor || herdada;
+    cores.set(id, cor);
+    children.get(id).forEach(filho => pintar(filho, cor));
+  };
+  roots.forEach(raiz => {
+    cores.set(raiz, porId.get(raiz).data.cor || null);
+    children.get(raiz).forEach((filho, i) => pintar(filho, paleta[i % paleta.length]));
+  });
+
+  return { raizes: new Set(roots), cores };
+}
+
+// Relações: curvas tracejadas com seta, na cor própria do tema; as sugeridas
+// pela IA e ainda não aceitas ficam mais claras e pontilhadas
+const estiloRelacao = (e, tema) => {
+  const sugestao = Boolean(e.data.sugestao);
+  return {
+    ...e,
+    type: 'default',
+    animated: false,
+    style: { stroke: tema.relacao, strokeWidth: 2, strokeDasharray: sugestao ? '2 5' : '8 5', opacity: sugestao ? 0.75 : 1 },
+    markerEnd: { type: 'arrowclosed', color: tema.relacao },
+    ...(e.label ? {
+      labelStyle: { fill: tema.relacao, fontWeight: 600, fontStyle: 'italic' },
+      labelBgStyle: { fill: tema.fundo, fillOpacity: 0.9 },
+      labelBgPadding: [6, 3],
+      labelBgBorderRadius: 4,
+    } : {}),
+  };
+};
+
+/**
+ * Arestas com o estilo da aparência: tipo, animação e a cor do ramo de destino.
+ * O estilo não é salvo nas arestas; é aplicado só na hora de desenhar.
+ */
+export function styleEdges(edges, cores, aparencia) {
+  const tema = THEMES[aparencia.tema];
+  return edges.map(e => (isRelationEdge(e) ? estiloRelacao(e, tema) : {
+    ...e,
+    type: aparencia.arestas,
+    animated: aparencia.animadas,
+    style: { ...e.style, stroke: cores.get(e.target) || tema.aresta },
+    ...(e.label ? {
+      labelStyle: { fill: tema.no.texto, fontWeight: 600 },
+      labelBgStyle: { fill: tema.fundo, fillOpacity: 0.9 },
+      labelBgPadding: [6, 3],
+      labelBgBorderRadius: 4,
+    } : {}),
+  }));
+}
+
+// Cor do ícone de um nó: a do texto na raiz, a do ramo nos demais
+export const getIconColor = (id, { tema, raizes, cores }) => (
+  raizes.has(id) ? tema.raiz.texto : (cores.get(id) || tema.no.texto)
+);
@@ -0,0 +1,79 @@
+// --- NAVEGAÇÃO PELO TECLADO ---
+// O mapa é percorrido como árvore: pai, primeiro filho e irmãos. No canvas as
+// setas seguem a direção do layout (na árvore vertical, ↓ desce para o filho;
+// na horizontal, → avança para o filho). A lista em tópicos usa o padrão de
+// árvore do WAI-ARIA: ↑/↓ passam pelos itens visíveis e ←/→ recolhem ou abrem.
+
+import { buildTree } from './graph';
+import { LAYOUTS } from './layout';
+
+const SETAS_VERTICAL = { ArrowUp: 'pai', ArrowDown: 'filho', ArrowLeft: 'anterior', ArrowRight: 'proximo' };
+const SETAS_HORIZONTAL = { ArrowLeft: 'pai', ArrowRight: 'filho', ArrowUp: 'anterior', ArrowDown: 'proximo' };
+
+// No radial não há um "para baixo" fixo; vale o mesmo mapeamento da árvore vertical
+export const ARROW_RELATIONS = {
+  [LAYOUTS.TB]: SETAS_VERTICAL,
+  [LAYOUTS.LR]: SETAS_HORIZONTAL,
+  [LAYOUTS.RADIAL]: SETAS_VERTICAL,
+};
+
+/**
+ * Nível, posição entre os irmãos e total de irmãos de cada nó, para
+ * `aria-level`, `aria-posinset` e `aria-setsize`.
+ *
+ * @returns {Map<string, { nivel: number, posicao: number, total: number }>}
+ */
+export function getTreeItemInfo(nodes, edges) {
+  const { roots, children, parent, depth } = buildTree(nodes, edges);
+  const info = new Map();
+  nodes.forEach(n => {
+    const irmaos = parent.has(n.id) ? children.get(parent.get(n.id)) : roots;
+    info.set(n.id, {
+      nivel: depth.get(n.id) + 1,
+      posicao: irmaos.indexOf(n.id) + 1,
+      total: irmaos.length,
+    });
+  });
+  return info;
+}
+
+/**
+ * Ids visíveis na ordem em que aparecem na lista em tópicos (busca em profundidade).
+ *
+ * @param {Set<string>} ocultos Nós escondidos por ramos recolhidos ou pelo foco
+ */
+export function flattenVisible(nodes, edges, ocultos = new Set()) {
+  const { roots, children } = buildTree(nodes, edges);
+  const ordem = [];
+  // Segue descendo mesmo por nós ocultos: no foco, os ancestrais somem mas a subárvore fica
+  const visitar = (id) => {
+    if (!ocultos.has(id)) ordem.push(id);
+    (children.get(id) || []).forEach(visitar);
+  };
+  roots.forEach(visitar);
+  return ordem;
+}
+
+/**
+ * Vizinho visível do nó na árvore.
+ *
+ * @param {'pai'|'filho'|'anterior'|'proximo'} relacao
+ * @returns {string|null} null se não houver vizinho visível nessa direção
+ */
+export function findNeighbor(nodes, edges, id, relacao, ocultos = new Set()) {
+  const { roots, children, parent } = buildTree(nodes, edges);
+  const visivel = (outro) => outro !== undefined && !ocultos.has(outro);
+
+  if (relacao === 'pai') {
+    const pai = parent.get(id);
+    return visivel(pai) ? pai : null;
+  }
+  if (relacao === 'filho') {
+    return (children.get(id) || []).find(visivel) ?? null;
+  }
+
+  const irmaos = (parent.has(id) ? children.get(parent.get(id)) : roots).filter(visivel);
+  const indice = irmaos.indexOf(id);
+  const vizinho = relacao === 'anterior' ? irmaos[indice - 1] : irmaos[indice + 1];
+  return vizinho ?? null;
+}
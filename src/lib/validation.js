@@ -0,0 +1,314 @@
+// --- VALIDAÇÃO E REPARO DO JSON DO MAPA ---
+// O modelo nem sempre devolve um JSON bem formado. Aqui o payload
+// `{ mapa: { nodes, edges }, resumo }` é verificado, reparado quando possível e,
+// se sobrar algum problema, os erros ficam prontos para voltar ao modelo.
+
+import { describeValidationError } from './prompts';
+
+/**
+ * Erro com a lista concreta de problemas encontrados no mapa.
+ */
+export class MapValidationError extends Error {
+  constructor(erros) {
+    const lista = erros.map(e => `• ${describeValidationError(e)}`).join('\n');
+    super(`O mapa gerado pela IA veio com problemas que não puderam ser corrigidos:\n${lista}`);
+    this.name = 'MapValidationError';
+    this.erros = erros;
+  }
+}
+
+// Só o código e os parâmetros: o texto para o modelo vem de prompts.js
+// (describeValidationError) e o da interface, dos locales (validacao.<codigo>)
+const erro = (codigo, params = {}) => ({ codigo, params });
+// Ids e labels vão no pedido de correção, que o servidor de IA aceita com até 100 caracteres
+const nome = (v) => String(v).slice(0, 100);
+
+/**
+ * Remove cercas de código markdown e qualquer texto fora do objeto JSON.
+ */
+export function cleanJsonString(text) {
+  const semCercas = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/```$/, '');
+  const inicio = semCercas.indexOf('{');
+  const fim = semCercas.lastIndexOf('}');
+  if (inicio === -1 || fim < inicio) return semCercas;
+  return semCercas.slice(inicio, fim + 1);
+}
+
+const isTexto = (v) => typeof v === 'string' && v.trim() !== '';
+
+/**
+ * Lista todos os problemas do payload, sem alterá-lo.
+ *
+ * @param {any} dados Objeto já convertido de JSON
+ * @returns {Array<{ codigo: string, params: object }>}
+ */
+export function validateMapa(dados) {
+  const erros = [];
+
+  if (!dados || typeof dados !== 'object' || !dados.mapa || typeof dados.mapa !== 'object') {
+    return [erro('ESTRUTURA', { chave: 'mapa' })];
+  }
+  const { nodes, edges } = dados.mapa;
+  if (!Array.isArray(nodes)) {
+    return [erro('ESTRUTURA', { chave: 'mapa.nodes' })];
+  }
+  if (nodes.length === 0) {
+    return [erro('SEM_NOS')];
+  }
+  if (edges !== undefined && !Array.isArray(edges)) {
+    erros.push(erro('ESTRUTURA', { chave: 'mapa.edges' }));
+  }
+  if (!isTexto(dados.resumo)) {
+    erros.push(erro('SEM_RESUMO'));
+  }
+
+  const ids = new Set();
+  nodes.forEach((n, i) => {
+    const id = n?.id;
+    if (id === undefined || id === null || id === '') {
+      erros.push(erro('SEM_ID', { posicao: i }));
+      return;
+    }
+    if (ids.has(String(id))) {
+      erros.push(erro('ID_DUPLICADO', { topico: nome(id) }));
+    }
+    ids.add(String(id));
+    if (!isTexto(n.data?.label)) {
+      erros.push(erro('SEM_LABEL', { topico: nome(id) }));
+    }
+    if (!isTexto(n.data?.descricao)) {
+      erros.push(erro('SEM_DESCRICAO', { topico: nome(isTexto(n.data?.label) ? n.data.label : id) }));
+    }
+  });
+
+  const listaArestas = Array.isArray(edges) ? edges : [];
+  const pais = new Map();
+  const conectados = new Set();
+  const saidas = new Map([...ids].map(id => [id, []]));
+
+  listaArestas.forEach((e, i) => {
+    const source = String(e?.source);
+    const target = String(e?.target);
+    if (!ids.has(source) || !ids.has(target)) {
+      erros.push(erro('ARESTA_INVALIDA', { aresta: nome(e?.id ?? i), origem: nome(e?.source), destino: nome(e?.target) }));
+      return;
+    }
+    if (pais.has(target) && pais.get(target) !== source) {
+      erros.push(erro('MULTIPLOS_PAIS', { topico: nome(target) }));
+    }
+    pais.set(target, source);
+    conectados.add(source);
+    conectados.add(target);
+    saidas.get(source).push(target);
+  });
+
+  // Ciclos: busca em profundidade com marcação de "em visita"
+  const estado = new Map();
+  let cicloEncontrado = null;
+  const visitar = (id, caminho) => {
+    estado.set(id, 'visitando');
+    for (const filho of saidas.get(id)) {
+      if (cicloEncontrado) return;
+      if (estado.get(filho) === 'visitando') {
+        cicloEncontrado = [...caminho, id, filho];
+        return;
+      }
+      if (!estado.has(filho)) visitar(filho, [...caminho, id]);
+    }
+    estado.set(id, 'visitado');
+  };
+  ids.forEach(id => {
+    if (!estado.has(id) && !cicloEncontrado) visitar(id, []);
+  });
+  if (cicloEncontrado) {
+    const inicio = cicloEncontrado.indexOf(cicloEncontrado[cicloEncontrado.length - 1]);
+    erros.push(erro('CICLO', { topico: nome(cicloEncontrado[inicio]) }));
+  }
+
+  if (ids.size > 1) {
+    const orfaos = [...ids].filter(id => !conectados.has(id));
+    orfaos.forEach(id => {
+      erros.push(erro('NO_ORFAO', { topico: nome(id) }));
+    });
+    const raizes = [...ids].filter(id => conectados.has(id) && !pais.has(id));
+    if (raizes.length > 1) {
+      erros.push(erro('MULTIPLAS_RAIZES', { n: raizes.length }));
+    }
+  }
+
+  return erros;
+}
+
+/**
+ * Corrige automaticamente o que não depende de conteúdo novo: ids ausentes ou
+ * duplicados, arestas quebradas, ciclos, pais múltiplos, órfãos e raízes extras.
+ * Os problemas que sobram (ex.: nó sem descrição) voltam em `erros`.
+ *
+ * @param {any} dados Objeto já convertido de JSON
+ * @returns {{ dados: object, correcoes: string[], erros: Array<{ codigo: string, params: object }> }}
+ */
+export function repairMapa(dados) {
+  const correcoes = [];
+  let bruto = dados;
+
+  // Alguns modelos devolvem { nodes, edges } sem a chave "mapa"
+  if (bruto && typeof bruto === 'object' && !bruto.mapa && Array.isArray(bruto.nodes)) {
+    bruto = { mapa: { nodes: bruto.nodes, edges: bruto.edges }, resumo: bruto.resumo };
+    correcoes.push('Nós e arestas movidos para dentro da chave "mapa".');
+  }
+  if (!bruto?.mapa || !Array.isArray(bruto.mapa.nodes) || bruto.mapa.nodes.length === 0) {
+    return { dados: bruto, correcoes, erros: validateMapa(bruto) };
+  }
+
+  // 1. Nós: ids únicos em string e label/descricao dentro de "data"
+  const ids = new Set();
+  const nodes = bruto.mapa.nodes
+    .filter(n => n && typeof n === 'object')
+    .map((n, i) => {
+      let id = n.id === undefined || n.id === null || n.id === '' ? `node-${i}` : String(n.id);
+      if (id !== String(n.id)) correcoes.push(`Nó na posição ${i} recebeu o id "${id}".`);
+      if (ids.has(id)) {
+        let sufixo = 2;
+        while (ids.has(`${id}-${sufixo}`)) sufixo++;
+        const novo = `${id}-${sufixo}`;
+        correcoes.push(`Id duplicado "${id}" renomeado para "${novo}".`);
+        id = novo;
+      }
+      ids.add(id);
+
+      const label = n.data?.label ?? n.label;
+      const descricao = n.data?.descricao ?? n.descricao;
+      const data = { ...n.data, label, descricao };
+      if (!isTexto(label) && isTexto(descricao)) {
+        data.label = descricao.split(/[.:;]/)[0].slice(0, 60).trim();
+        correcoes.push(`Nó "${id}" sem label: usado o início da descrição.`);
+      }
+      return { id, data };
+    });
+
+  // 2. Arestas: remove as quebradas, repetidas, laços, pais extras e ciclos
+  const pais = new Map();
+  const isAncestral = (possivel, id) => {
+    for (let atual = id; atual !== undefined; atual = pais.get(atual)) {
+      if (atual === possivel) return true;
+    }
+    return false;
+  };
+  const edges = [];
+  (Array.isArray(bruto.mapa.edges) ? bruto.mapa.edges : []).forEach((e, i) => {
+    const source = String(e?.source);
+    const target = String(e?.target);
+    const nome = e?.id ?? i;
+    if (!ids.has(source) || !ids.has(target)) {
+      correcoes.push(`Aresta ${nome} removida: aponta para um nó inexistente.`);
+      return;
+    }
+    if (pais.has(target)) {
+      if (pais.get(target) !== source) {
+        correcoes.push(`Aresta ${nome} removida: "${target}" já tinha um pai.`);
+      }
+      return;
+    }
+    if (isAncestral(target, source)) {
+      correcoes.push(`Aresta ${nome} removida: fechava um ciclo.`);
+      return;
+    }
+    pais.set(target, source);
+    edges.push({ ...e, id: e?.id ? String(e.id) : `e${source}-${target}`, source, target });
+  });
+
+  // 3. Raízes: mantém a que tem mais descendentes e pendura as demais nela
+  const descendentes = new Map();
+  const contar = (id) => {
+    if (descendentes.has(id)) return descendentes.get(id);
+    const total = edges.filter(e => e.source === id).reduce((acc, e) => acc + 1 + contar(e.target), 0);
+    descendentes.set(id, total);
+    return total;
+  };
+  const raizes = nodes.map(n => n.id).filter(id => !pais.has(id));
+  if (raizes.length > 1) {
+    const principal = raizes.reduce((melhor, id) => contar(id) > contar(melhor) ? id : melhor, raizes[0]);
+    raizes.filter(id => id !== principal).forEach(id => {
+      edges.push({ id: `e${principal}-${id}`, source: principal, target: id });
+      correcoes.push(`Nó "${id}" sem pai ligado ao nó central "${principal}".`);
+    });
+  }
+
+  const reparado = { ...bruto, mapa: { ...bruto.mapa, nodes, edges } };
+  return { dados: reparado, correcoes, erros: validateMapa(reparado) };
+}
+
+/**
+ * Converte o texto do modelo em payload reparado.
+ * Se o texto nem for JSON, o erro de sintaxe também volta em `erros`.
+ *
+ * @param {string} texto Resposta bruta do modelo
+ */
+export function parseMapa(texto) {
+  let dados;
+  try {
+    dados = JSON.parse(cleanJsonString(texto));
+  } catch {
+    return {
+      dados: null,
+      correcoes: [],
+      erros: [erro('JSON_INVALIDO')],
+    };
+  }
+  return repairMapa(dados);
+}
+
+/**
+ * Converte a resposta de "expandir tópico" em uma lista de subtópicos.
+ * Aceita `{ nodes: [...] }` ou um array direto; descarta subtópicos sem label
+ * e os que repetem um subtópico já existente.
+ *
+ * @param {string} texto Resposta bruta do modelo
+ * @param {string[]} existentes Labels dos filhos que o nó já tem
+ * @returns {{ dados: Array<{ label: string, descricao: string }>, correcoes: string[], erros: Array }}
+ */
+export function parseExpansao(texto, existentes = []) {
+  let bruto;
+  try {
+    bruto = JSON.parse(cleanJsonString(texto));
+  } catch {
+    return { dados: null, correcoes: [], erros: [erro('JSON_INVALIDO')] };
+  }
+
+  const lista = Array.isArray(bruto) ? bruto : bruto?.nodes;
+  if (!Array.isArray(lista)) {
+    return { dados: null, correcoes: [], erros: [erro('ESTRUTURA', { chave: 'nodes' })] };
+  }
+
+  const correcoes = [];
+  const erros = [];
+  const vistos = new Set(existentes.map(l => l.trim().toLowerCase()));
+  const filhos = [];
+
+  lista.forEach((n, i) => {
+    const label = n?.data?.label ?? n?.label;
+    const descricao = n?.data?.descricao ?? n?.descricao;
+    if (!isTexto(label)) {
+      correcoes.push(`Subtópico na posição ${i} descartado: sem label.`);
+      return;
+    }
+    const chave = label.trim().toLowerCase();
+    if (vistos.has(chave)) {
+      correcoes.push(`Subtópico "${label}" descartado: repetido.`);
+      return;
+    }
+    vistos.add(chave);
+    if (!isTexto(descricao)) {
+      erros.push(erro('SEM_DESCRICAO', { topico: nome(label) }));
+    }
+    filhos.push({ label: label.trim(), descricao });
+  });
+
+  if (filhos.length === 0 && erros.length === 0) {
+    erros.push(erro('SEM_NOS'));
+  }
+  return { dados: filhos, correcoes, erros };
+}
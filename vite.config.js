@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Servidor de IA (npm run api), que guarda a chave do Gemini
+    proxy: {
+      '/api': `http://localhost:${process.env.API_PORT || 8787}`,
+    },
+  },
 })